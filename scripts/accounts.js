@@ -0,0 +1,125 @@
+/**
+ * Gmail 계정 프로필 (다중 계정 다이제스트)
+ *
+ * config/accounts.json (gitignored, 예시: config/accounts.example.json):
+ *   {
+ *     "accounts": [
+ *       { "name": "personal" },
+ *       { "name": "team", "token": "config/credentials/token_team.json",
+ *         "labels": { "IT": "Team/IT", "경제": { "gmail_label": "Team/Economy", "sub_labels": [] } } }
+ *     ]
+ *   }
+ *
+ * - token: 토큰 경로 (프로젝트 루트 기준). 생략 시 config/credentials/token_<name>.json
+ *   (이름이 'default'면 기존 단일 계정 경로 token.json)
+ * - labels: 리포트 라벨 → 이 계정의 Gmail 라벨 매핑. 지정한 라벨만 이 계정에서 수집.
+ *   생략 시 labels.json의 모든 라벨을 gmail_label 그대로 수집
+ *
+ * accounts.json이 없으면 단일 계정(token.json) 모드 → 기존 동작과 동일.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const ACCOUNTS_PATH = path.join(PROJECT_ROOT, 'config', 'accounts.json');
+const CREDENTIALS_DIR = path.join(PROJECT_ROOT, 'config', 'credentials');
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * 계정 이름 → 기본 토큰 경로
+ */
+function defaultTokenPath(name) {
+  return name === DEFAULT_ACCOUNT || !name
+    ? path.join(CREDENTIALS_DIR, 'token.json')
+    : path.join(CREDENTIALS_DIR, `token_${name}.json`);
+}
+
+/**
+ * 계정 목록 로드
+ * @param {string} [accountsPath]
+ * @returns {Array<{name, tokenPath, syncStatePath, labels}>} - 파일이 없으면 빈 배열(단일 계정 모드)
+ */
+function loadAccounts(accountsPath = ACCOUNTS_PATH) {
+  if (!fs.existsSync(accountsPath)) return [];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(accountsPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`accounts.json 파싱 실패: ${e.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : (data.accounts || []);
+  const seen = new Set();
+  return list.map(a => {
+    const name = String(a.name || '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`accounts.json: 계정 이름은 영문/숫자/_/-만 허용됩니다: "${a.name}"`);
+    }
+    if (seen.has(name)) throw new Error(`accounts.json: 중복된 계정 이름: ${name}`);
+    seen.add(name);
+    return {
+      name,
+      tokenPath: a.token ? path.resolve(PROJECT_ROOT, a.token) : defaultTokenPath(name),
+      // history 커서도 계정별 파일 (계정마다 historyId 체계가 다름)
+      syncStatePath: path.join(PROJECT_ROOT, 'config', `gmail_sync_state.${name}.json`),
+      labels: a.labels && typeof a.labels === 'object' ? a.labels : null
+    };
+  });
+}
+
+/**
+ * 이름으로 계정 조회 (auth.js / refresh_token.js --account)
+ *   이름 미지정 → 단일 계정(token.json). 지정했는데 accounts.json에 없으면
+ *   기본 토큰 경로(token_<name>.json)로 새 계정을 만든다(첫 인증 편의).
+ */
+function getAccount(name, accountsPath = ACCOUNTS_PATH) {
+  if (!name) {
+    return { name: DEFAULT_ACCOUNT, tokenPath: defaultTokenPath(DEFAULT_ACCOUNT), syncStatePath: null, labels: null };
+  }
+  const found = loadAccounts(accountsPath).find(a => a.name === name);
+  if (found) return found;
+  return {
+    name,
+    tokenPath: defaultTokenPath(name),
+    syncStatePath: path.join(PROJECT_ROOT, 'config', `gmail_sync_state.${name}.json`),
+    labels: null
+  };
+}
+
+/**
+ * 이 계정에서 해당 라벨을 수집할 Gmail 라벨 설정
+ * @param {Object} account
+ * @param {Object} label - labels.json 라벨 {name, gmail_label, sub_labels}
+ * @returns {{gmail_label: string, sub_labels: string[]}|null} - 이 계정이 수집하지 않는 라벨이면 null
+ */
+function resolveAccountLabel(account, label) {
+  if (!account.labels) {
+    return { gmail_label: label.gmail_label || label.name, sub_labels: label.sub_labels || [] };
+  }
+  const mapped = account.labels[label.name];
+  if (!mapped) return null;
+  if (typeof mapped === 'string') return { gmail_label: mapped, sub_labels: [] };
+  return {
+    gmail_label: mapped.gmail_label || label.gmail_label || label.name,
+    sub_labels: Array.isArray(mapped.sub_labels) ? mapped.sub_labels : []
+  };
+}
+
+/**
+ * CLI 인자에서 --account <name> 추출
+ */
+function parseAccountArg(argv) {
+  const idx = argv.indexOf('--account');
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+module.exports = {
+  ACCOUNTS_PATH,
+  DEFAULT_ACCOUNT,
+  loadAccounts,
+  getAccount,
+  resolveAccountLabel,
+  parseAccountArg,
+  defaultTokenPath
+};
@@ -5,13 +5,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const { catalogSenders, senderMatches } = require('./source_attribution');
+const { createLogger } = require('./logger');
+
+const log = createLogger('adaptive_learning');
 
 class AdaptiveLearning {
-  constructor() {
+  /**
+   * @param {{overlayDir?: string}} [options] - overlayDir: 드라이런용 스크래치 폴더.
+   *   카탈로그·SKILL 쓰기는 overlayDir/config, overlayDir/skills/newsletters로 가고,
+   *   읽기는 오버레이 → 원본 순 (원본 config/·skills/는 건드리지 않음)
+   */
+  constructor(options = {}) {
     this.configDir = path.join(__dirname, '..', 'config');
     this.skillsDir = path.join(__dirname, '..', 'skills', 'newsletters');
     this.catalogPath = path.join(this.configDir, 'newsletters.json');
 
+    this.overlayDir = options.overlayDir || null;
+    if (this.overlayDir) {
+      this.baseCatalogPath = this.catalogPath;
+      this.baseSkillsDir = this.skillsDir;
+      this.configDir = path.join(this.overlayDir, 'config');
+      this.skillsDir = path.join(this.overlayDir, 'skills', 'newsletters');
+      this.catalogPath = path.join(this.configDir, 'newsletters.json');
+    }
+
     // 카탈로그 캐싱
     this._catalogCache = null;
     this._isDirty = false;
@@ -26,8 +44,10 @@ class AdaptiveLearning {
       return this._catalogCache;
     }
 
-    if (fs.existsSync(this.catalogPath)) {
-      this._catalogCache = JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
+    // 오버레이 모드: 아직 오버레이에 쓴 적 없으면 원본 카탈로그에서 시작
+    const sourcePath = [this.catalogPath, this.baseCatalogPath].find(p => p && fs.existsSync(p));
+    if (sourcePath) {
+      this._catalogCache = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
     } else {
       this._catalogCache = { newsletters: [], last_scan: null };
     }
@@ -66,7 +86,7 @@ class AdaptiveLearning {
    */
   detectNewNewsletters(senders, label) {
     const catalog = this.loadCatalog();
-    const knownEmails = new Set(catalog.newsletters.map(n => n.sender.toLowerCase()));
+    const knownEmails = new Set(catalog.newsletters.flatMap(catalogSenders));
 
     const newNewsletters = [];
     for (const sender of senders) {
@@ -107,7 +127,7 @@ class AdaptiveLearning {
     const id = this.generateId(newsletter.email);
 
     // 이미 등록되어 있으면 무시
-    if (catalog.newsletters.some(n => n.sender.toLowerCase() === newsletter.email.toLowerCase())) {
+    if (catalog.newsletters.some(n => senderMatches(n, newsletter.email))) {
       return null;
     }
 
@@ -133,7 +153,7 @@ class AdaptiveLearning {
     catalog.newsletters.push(newEntry);
     this.saveCatalog(catalog);
 
-    console.log(`  [NEW] ${newsletter.name} <${newsletter.email}> 등록됨 (SKILL 대기)`);
+    log.info(`  [NEW] ${newsletter.name} <${newsletter.email}> 등록됨 (SKILL 대기)`, { event: 'newsletter_registered', sender: newsletter.email });
 
     return newEntry;
   }
@@ -145,12 +165,10 @@ class AdaptiveLearning {
    */
   saveAnalyzedSkill(senderEmail, analysis) {
     const catalog = this.loadCatalog();
-    const newsletter = catalog.newsletters.find(
-      n => n.sender.toLowerCase() === senderEmail.toLowerCase()
-    );
+    const newsletter = catalog.newsletters.find(n => senderMatches(n, senderEmail));
 
     if (!newsletter) {
-      console.warn(`  뉴스레터를 찾을 수 없음: ${senderEmail}`);
+      log.warn(`  뉴스레터를 찾을 수 없음: ${senderEmail}`, { sender: senderEmail });
       return false;
     }
 
@@ -166,7 +184,7 @@ class AdaptiveLearning {
     };
     this.saveCatalog(catalog);
 
-    console.log(`  [SKILL] ${newsletter.name} 분석 완료 → SKILL_${id}.md`);
+    log.info(`  [SKILL] ${newsletter.name} 분석 완료 → SKILL_${id}.md`, { event: 'skill_generated', sender: senderEmail, skill: `SKILL_${id}.md` });
     return true;
   }
 
@@ -245,9 +263,7 @@ ${analysis.special_notes || '없음'}
    */
   isSkillGenerated(senderEmail) {
     const catalog = this.loadCatalog();
-    const newsletter = catalog.newsletters.find(
-      n => n.sender.toLowerCase() === senderEmail.toLowerCase()
-    );
+    const newsletter = catalog.newsletters.find(n => senderMatches(n, senderEmail));
     return newsletter?.skill_generated === true;
   }
 
@@ -257,9 +273,7 @@ ${analysis.special_notes || '없음'}
    */
   recordAnalyzeFailure(senderEmail) {
     const catalog = this.loadCatalog();
-    const newsletter = catalog.newsletters.find(
-      n => n.sender.toLowerCase() === senderEmail.toLowerCase()
-    );
+    const newsletter = catalog.newsletters.find(n => senderMatches(n, senderEmail));
     if (!newsletter) return;
     newsletter.analyze_failed_count = (newsletter.analyze_failed_count || 0) + 1;
     newsletter.analyze_last_failed_at = new Date().toISOString();
@@ -272,9 +286,7 @@ ${analysis.special_notes || '없음'}
    */
   shouldSkipAnalyze(senderEmail, maxAttempts = 3) {
     const catalog = this.loadCatalog();
-    const newsletter = catalog.newsletters.find(
-      n => n.sender.toLowerCase() === senderEmail.toLowerCase()
-    );
+    const newsletter = catalog.newsletters.find(n => senderMatches(n, senderEmail));
     return (newsletter?.analyze_failed_count || 0) >= maxAttempts;
   }
 
@@ -389,7 +401,8 @@ ${analysis.special_notes || '없음'}
       return { newCount: 0, newsletters: [] };
     }
 
-    // 사용자에게 알림
+    // 사용자에게 알림 (상자는 콘솔 장식, 로그 파일에는 감지 이벤트 한 건)
+    log.debug(`새 뉴스레터 ${newNewsletters.length}개 감지`, { event: 'new_senders', count: newNewsletters.length });
     console.log('');
     console.log('  ┌──────────────────────────────────────────────┐');
     console.log(`  │  [NEW] 새 뉴스레터 ${newNewsletters.length}개 감지됨                 │`);
@@ -397,7 +410,7 @@ ${analysis.special_notes || '없음'}
 
     const registered = [];
     for (const newsletter of newNewsletters) {
-      console.log(`  → ${newsletter.name} <${newsletter.email}>`);
+      log.info(`  → ${newsletter.name} <${newsletter.email}>`, { sender: newsletter.email });
 
       // 카탈로그에 등록 (SKILL은 LLM 분석 후 생성)
       const entry = await this.registerNewsletter(newsletter);
@@ -432,11 +445,11 @@ ${analysis.special_notes || '없음'}
   }
 
   /**
-   * 발신자로 뉴스레터 찾기
+   * 발신자로 뉴스레터 찾기 (sender 또는 aliases)
    */
   findBySender(email) {
     const catalog = this.loadCatalog();
-    return catalog.newsletters.find(n => n.sender.toLowerCase() === email.toLowerCase());
+    return catalog.newsletters.find(n => senderMatches(n, email));
   }
 
   /**
@@ -445,10 +458,71 @@ ${analysis.special_notes || '없음'}
   getSkillPath(senderEmail) {
     const newsletter = this.findBySender(senderEmail);
     if (newsletter && newsletter.skill_file) {
+      if (this.overlayDir) {
+        const overlayPath = path.join(this.overlayDir, newsletter.skill_file);
+        if (fs.existsSync(overlayPath)) return overlayPath;
+      }
       return path.join(__dirname, '..', newsletter.skill_file);
     }
     return null;
   }
+
+  /**
+   * 에이전트 러너에 넘길 SKILL 참조 (getSkillPath 결과 → runner skills 항목)
+   * 러너는 파일명을 skills/·skills/newsletters/에서만 찾으므로, 오버레이 SKILL은 절대 경로로 넘긴다
+   * (파일명만 넘기면 드라이런에서 새로 만든 SKILL은 빠지고, 다시 분석한 SKILL은 원본으로 바뀜)
+   */
+  skillRef(skillPath) {
+    if (this.overlayDir && !path.relative(this.overlayDir, skillPath).startsWith('..')) return skillPath;
+    return path.basename(skillPath);
+  }
+
+  /**
+   * 오버레이와 원본 비교 (드라이런 끝에 "실제 실행이었다면 바뀌었을 내용")
+   * @returns {{catalog: {added: Array, changed: Array<{id: string, fields: Object}>}, skills: {added: Array<string>, changed: Array<{file: string, removed: Array<string>, added: Array<string>}>}}}
+   */
+  diffOverlay() {
+    const diff = { catalog: { added: [], changed: [] }, skills: { added: [], changed: [] } };
+    if (!this.overlayDir) return diff;
+
+    const base = fs.existsSync(this.baseCatalogPath)
+      ? JSON.parse(fs.readFileSync(this.baseCatalogPath, 'utf8'))
+      : { newsletters: [] };
+    const baseById = new Map((base.newsletters || []).map(n => [n.id, n]));
+    for (const n of this.loadCatalog().newsletters) {
+      const prev = baseById.get(n.id);
+      if (!prev) {
+        diff.catalog.added.push({ id: n.id, name: n.name, sender: n.sender, labels: n.labels });
+        continue;
+      }
+      const fields = {};
+      for (const key of new Set([...Object.keys(prev), ...Object.keys(n)])) {
+        if (JSON.stringify(prev[key]) !== JSON.stringify(n[key])) fields[key] = { before: prev[key], after: n[key] };
+      }
+      if (Object.keys(fields).length > 0) diff.catalog.changed.push({ id: n.id, fields });
+    }
+
+    if (fs.existsSync(this.skillsDir)) {
+      for (const file of fs.readdirSync(this.skillsDir).filter(f => f.endsWith('.md')).sort()) {
+        const basePath = path.join(this.baseSkillsDir, file);
+        const after = fs.readFileSync(path.join(this.skillsDir, file), 'utf8');
+        if (!fs.existsSync(basePath)) {
+          diff.skills.added.push(file);
+          continue;
+        }
+        const before = fs.readFileSync(basePath, 'utf8');
+        if (before === after) continue;
+        const beforeLines = new Set(before.split('\n'));
+        const afterLines = new Set(after.split('\n'));
+        diff.skills.changed.push({
+          file,
+          removed: [...beforeLines].filter(l => !afterLines.has(l)),
+          added: [...afterLines].filter(l => !beforeLines.has(l))
+        });
+      }
+    }
+    return diff;
+  }
 }
 
 module.exports = { AdaptiveLearning };
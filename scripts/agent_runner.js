@@ -1,17 +1,73 @@
 /**
- * Agent Runner - OpenRouter LLM API 호출 및 에이전트 실행
- * 모델: deepseek/deepseek-v4-pro 단일, reasoning OFF (추출/분석/병합 전 단계)
+ * Agent Runner - LLM API 호출 및 에이전트 실행
+ * 모델: 기본 deepseek/deepseek-v4-pro, reasoning OFF. llm.json routing으로 작업/라벨/SKILL 언어별 분할 (model_routing.js)
  *
  * 주요 기능:
- * - OpenRouter API (OpenAI Chat Completions 호환) 지원
+ * - 프로바이더 설정 기반 호출 (OpenRouter 기본, OpenAI 호환 서버 / Ollama / Anthropic — llm_providers.js)
  * - 긴 텍스트 자동 청크 분할 처리 (정보 손실 없음)
  * - 토큰 초과 에러 자동 복구
  * - Rate Limit 관리
+ * - 요청/응답 캐시 record / replay / read-through (llm_cache.js)
+ * - 비용 예산: soft 한도 → 저가 모델 전환, hard 한도 → 호출 차단 (cost_budget.js)
+ * - 전역 LLM 동시 호출 풀 (run 전체가 runner 하나를 공유 → 라벨·메일·청크 호출이 한 큐로)
  * - 재시도 로직
  */
 
 const fs = require('fs');
 const path = require('path');
+const { resolveProviderSpec, createProvider } = require('./llm_providers');
+const { LlmCache } = require('./llm_cache');
+const { ModelRouter, parseSkillLanguage } = require('./model_routing');
+const { CostBudget } = require('./cost_budget');
+const { createLogger, currentContext } = require('./logger');
+
+const logger = createLogger('agent_runner');
+
+// 모델 단가: 2026-06 기준 USD per 1M tokens (OpenRouter 모델 ID + Anthropic 네이티브 ID).
+// 프로바이더가 호출 비용을 보고하면(OpenRouter usage.cost, claude CLI total_cost_usd) 그 값이 우선.
+// 단가도 보고도 없는 모델은 0으로 집계되므로 경고하고, 비용 예산이 설정돼 있으면 호출을 차단한다.
+const MODEL_PRICING = {
+  'deepseek/deepseek-v4-pro':   { in: 0.435, out: 0.87,  cached: 0.003625 },
+  'deepseek/deepseek-v4-flash': { in: 0.14,  out: 0.28,  cached: 0.0028 },
+  'google/gemini-2.5-flash':    { in: 0.30,  out: 2.50,  cached: 0.075 },
+  'anthropic/claude-haiku-4.5': { in: 1.0,   out: 5.0,   cached: 0.10 },
+  'claude-haiku-4-5':           { in: 1.0,   out: 5.0,   cached: 0.10 }
+};
+
+/**
+ * 토큰 수 → USD (캐시 히트분은 cached 단가)
+ */
+function tokenCost(model, promptTokens, completionTokens, cachedTokens) {
+  const p = MODEL_PRICING[model] || { in: 0, out: 0, cached: 0 };
+  const freshIn = Math.max(0, promptTokens - cachedTokens);
+  return {
+    inUsd: (freshIn / 1e6) * p.in + (cachedTokens / 1e6) * p.cached,
+    outUsd: (completionTokens / 1e6) * p.out
+  };
+}
+
+/**
+ * 호출 1회 비용. 프로바이더 보고액(usage.costUsd)이 있으면 단가 비율대로 입력/출력에 나눠 쓰고,
+ * 없으면 단가표로 계산. priced=false → 단가도 보고도 없어 0으로 집계됨
+ */
+function callCost(model, usage) {
+  const { inUsd, outUsd } = tokenCost(model, usage.promptTokens, usage.completionTokens, usage.cachedTokens);
+  if (typeof usage.costUsd !== 'number') return { inUsd, outUsd, priced: !!MODEL_PRICING[model] };
+  const estimated = inUsd + outUsd;
+  const inShare = estimated > 0 ? inUsd / estimated : 1;
+  return { inUsd: usage.costUsd * inShare, outUsd: usage.costUsd * (1 - inShare), priced: true };
+}
+
+/**
+ * 누적 사용량 → 비용 (호출마다 누적한 inputUsd/outputUsd)
+ */
+function usageCost(u) {
+  return {
+    input_usd: +u.inputUsd.toFixed(4),
+    output_usd: +u.outputUsd.toFixed(4),
+    total_usd: +(u.inputUsd + u.outputUsd).toFixed(4)
+  };
+}
 
 // node-fetch 캐싱 (모듈 레벨에서 한 번만 로드)
 let fetchModule = null;
@@ -24,21 +80,29 @@ async function getFetch() {
 
 class AgentRunner {
   constructor(apiKey, model = 'deepseek/deepseek-v4-pro', options = {}) {
-    this.apiKey = apiKey;
-    this.model = model;
+    // API 프로바이더: options.provider(설정 객체) 또는 config/llm.json + env (llm_providers.js).
+    // apiKey 인자가 있으면 선택된 프로바이더의 키로 사용, 프로필에 model이 있으면 그 모델 사용.
+    this.providerSpec = options.provider || resolveProviderSpec();
+    this.apiKey = apiKey || this.providerSpec.apiKey;
+    this.model = this.providerSpec.model || model;
     this.logDir = options.logDir || 'logs';
 
-    // API 프로바이더 (OpenRouter 전용)
-    this.provider = 'openrouter';
+    this.provider = this.providerSpec.name;
     // OpenRouter 권장 헤더 (앱 식별·랭킹용, 선택)
     this.referer = options.referer || 'https://github.com/yoonkumsung/yks-gmail-manager';
     this.title = options.title || 'yks-gmail-manager';
+    this.llmProvider = createProvider({
+      ...this.providerSpec,
+      apiKey: this.apiKey,
+      referer: this.referer,
+      title: this.title
+    });
 
     // 추론(reasoning) 토글: 기본 OFF(비용·지연 절감). 추출 완결성↑ 필요 시 ON.
     // options.reasoning 또는 env REASONING_ENABLED=1 로 켤 수 있음.
     this.reasoningEnabled = options.reasoning === true || process.env.REASONING_ENABLED === '1';
 
-    // LLM 백엔드: 'openrouter'(기본, 종량제) | 'claude'(Claude Code CLI, 정액 구독 헤드리스).
+    // LLM 백엔드: 'openrouter'(기본, 위 HTTP 프로바이더) | 'claude'(Claude Code CLI, 정액 구독 헤드리스).
     // env LLM_BACKEND 또는 options.backend로 전환. claude 백엔드는 `claude -p` 셸아웃(callClaudeCLI).
     this.backend = options.backend || process.env.LLM_BACKEND || 'openrouter';
     // claude 백엔드 모델 별칭(haiku|sonnet|opus). env CLAUDE_MODEL로 재정의. 단계별 분할은 추후.
@@ -63,15 +127,43 @@ class AgentRunner {
     this.maxRequestsPerMinute = options.maxRequestsPerMinute || 30;
     this.minRequestInterval = options.minRequestInterval || 2000;   // 2초 간격
     this.lastRequestTime = 0;
+    // 동시 호출자들이 같은 카운터를 동시에 읽고 함께 통과하지 않도록 rate limit 검사를 직렬화
+    this.rateGate = Promise.resolve();
+
+    // 전역 LLM 동시 호출 한도 (options.concurrency 또는 env LLM_CONCURRENCY, 기본 6).
+    // 슬롯은 실제 API 호출 동안만 점유하고 재시도 대기 중에는 반납한다.
+    this.concurrency = Math.max(1, options.concurrency || parseInt(process.env.LLM_CONCURRENCY, 10) || 6);
+    this.activeCalls = 0;
+    this.peakActiveCalls = 0;
+    this.slotWaiters = [];
+    this.tempSeq = 0;   // 동시 청크 처리 시 임시 파일명 충돌 방지
+
+    // 모델 라우팅: 작업 유형/라벨/SKILL 언어별 모델·reasoning·temperature (options.routing 또는 llm.json routing).
+    // 규칙이 없으면 모든 호출이 this.model 단일 모델 (기존 동작).
+    this.router = options.routing instanceof ModelRouter ? options.routing
+      : options.routing ? new ModelRouter(options.routing) : ModelRouter.fromConfig();
+
+    // 비용 예산 (options.budget 또는 env LLM_BUDGET_*, 한도 미설정이면 비활성)
+    this.budget = options.budget instanceof CostBudget ? options.budget : new CostBudget(options.budget || {});
 
+    // 요청/응답 캐시 (options.cache {mode, dir} 또는 env LLM_CACHE / LLM_CACHE_DIR, 기본 off)
+    this.llmCache = options.cache instanceof LlmCache ? options.cache : new LlmCache(options.cache || {});
 
     // 토큰/비용 누적 통계 (run 전체. _run_stats.json으로 직렬화 → generate_html이 소비)
     this.usage = {
       totalPromptTokens: 0,
       totalCompletionTokens: 0,
       totalCachedPromptTokens: 0,  // 프롬프트 캐시 히트분 (있으면)
-      totalCalls: 0
+      totalCalls: 0,
+      inputUsd: 0,
+      outputUsd: 0
     };
+    // 모델별 누적 (라우팅으로 여러 모델을 쓰면 비용을 모델 단가별로 계산)
+    this.usageByModel = {};
+    // 라벨별·모델별 누적 (라벨은 로그 맥락 withLogContext({label})에서 — 라벨 병렬 처리에서도 섞이지 않음)
+    this.usageByLabel = {};
+    // 비용을 알 수 없는 모델 (단가 미등록 + 프로바이더 보고 없음, 경고는 모델당 1회)
+    this.unpricedModels = new Set();
 
     // 로그 디렉토리 생성
     if (!fs.existsSync(this.logDir)) {
@@ -81,23 +173,39 @@ class AgentRunner {
 
   /**
    * 누적 토큰/비용 통계 반환. _run_stats.json 직렬화용.
-   * 가격은 2026-06 OpenRouter 단가(USD per 1M tokens). 미등록 모델은 0 처리.
+   * 비용은 실제 호출한 모델별 단가로 계산해 합산 (by_model).
    */
   getStats() {
-    const PRICING = {
-      'deepseek/deepseek-v4-pro':   { in: 0.435, out: 0.87,  cached: 0.003625 },
-      'deepseek/deepseek-v4-flash': { in: 0.14,  out: 0.28,  cached: 0.0028 },
-      'google/gemini-2.5-flash':    { in: 0.30,  out: 2.50,  cached: 0.075 },
-      'anthropic/claude-haiku-4.5': { in: 1.0,   out: 5.0,   cached: 0.10 }
-    };
-    const p = PRICING[this.model] || { in: 0, out: 0, cached: 0 };
     const u = this.usage;
-    const freshIn = Math.max(0, u.totalPromptTokens - u.totalCachedPromptTokens);
-    const inUsd = (freshIn / 1e6) * p.in + (u.totalCachedPromptTokens / 1e6) * p.cached;
-    const outUsd = (u.totalCompletionTokens / 1e6) * p.out;
+    const byModel = {};
+    let inUsd = 0;
+    let outUsd = 0;
+    for (const [model, mu] of Object.entries(this.usageByModel)) {
+      const cost = usageCost(mu);
+      inUsd += cost.input_usd;
+      outUsd += cost.output_usd;
+      byModel[model] = { usage: { ...mu }, cost };
+    }
+    const byLabel = {};
+    for (const [label, models] of Object.entries(this.usageByLabel)) {
+      const usage = { totalPromptTokens: 0, totalCompletionTokens: 0, totalCachedPromptTokens: 0, totalCalls: 0 };
+      let labelUsd = 0;
+      for (const [model, mu] of Object.entries(models)) {
+        for (const key of Object.keys(usage)) usage[key] += mu[key];
+        labelUsd += mu.inputUsd + mu.outputUsd;
+      }
+      byLabel[label] = { usage, cost: { total_usd: +labelUsd.toFixed(4) } };
+    }
     return {
       model: this.model,
       usage: { ...u },
+      by_model: byModel,
+      by_label: byLabel,
+      ...(this.llmCache.enabled ? { llm_cache: this.llmCache.getStats() } : {}),
+      ...(this.budget.enabled ? { budget: this.budget.getStats() } : {}),
+      ...(this.unpricedModels.size ? { unpriced_models: [...this.unpricedModels] } : {}),
+      // 전역 LLM 풀: 설정 한도 / 실제 최대 동시 호출 수
+      concurrency: { limit: this.concurrency, peak: this.peakActiveCalls },
       cost: {
         input_usd: +inUsd.toFixed(4),
         output_usd: +outUsd.toFixed(4),
@@ -177,6 +285,43 @@ class AgentRunner {
     return configs[taskType] || configs.extract;
   }
 
+  /**
+   * 라우팅 규칙으로 이번 호출의 모델·reasoning·temperature 결정
+   * @param {string} taskType
+   * @param {Object} options - runAgent 옵션 (label, language, skills)
+   * @returns {Object|null} - 규칙이 없으면 null (기본 모델 사용)
+   */
+  resolveRoute(taskType, options = {}) {
+    if (!this.router.enabled) return null;
+    const language = options.language !== undefined ? options.language : this.skillLanguage(options.skills);
+    const route = this.router.resolve(
+      { task: taskType, label: options.label, language },
+      { model: this.model, reasoning: this.reasoningEnabled, temperature: this.getTaskConfig(taskType).temperature }
+    );
+    this.log(`라우팅: ${taskType}/${options.label || '-'}/${language || '-'} → ${route.model} (규칙 ${route.matched.join(',') || '없음'})`, 'debug');
+    return route;
+  }
+
+  /**
+   * 발신자 SKILL의 언어 (SKILL 작성규칙 등 공통 문서는 언어 표가 없어 건너뜀)
+   */
+  skillLanguage(skills) {
+    for (const skillFile of skills || []) {
+      const language = parseSkillLanguage(this.readSkillFile(skillFile));
+      if (language) return language;
+    }
+    return null;
+  }
+
+  /**
+   * 작업 설정 + 라우팅 결과 (모델·reasoning·temperature 재정의)
+   */
+  routedTaskConfig(taskType, route) {
+    const taskConfig = this.getTaskConfig(taskType);
+    if (!route) return taskConfig;
+    return { ...taskConfig, model: route.model, reasoning: route.reasoning, temperature: route.temperature };
+  }
+
   // ============================================
   // 핵심 메서드: 에이전트 실행
   // ============================================
@@ -187,9 +332,15 @@ class AgentRunner {
    * - 각 청크 결과를 병합하여 반환
    */
   async runAgent(agentPath, options = {}) {
-    this.currentTaskType = options.taskType || 'extract';
+    // 작업 유형은 호출 단위로 전달 (동시 실행 중 다른 호출이 덮어쓰지 않도록).
+    // currentTaskType은 단독 호출용 기본값으로만 유지.
+    const taskType = options.taskType || 'extract';
+    this.currentTaskType = taskType;
+    // 라우팅 결과도 호출 단위로 들고 다님 (청크·재시도 모두 같은 모델)
+    const route = this.resolveRoute(taskType, options);
+    options = { ...options, taskType, route };
     const agentName = path.basename(agentPath, '.md');
-    this.log(`\n=== ${agentName} 에이전트 실행 (${this.currentTaskType}) ===`);
+    this.log(`\n=== ${agentName} 에이전트 실행 (${taskType}${route ? `, 모델 ${route.model}` : ''}) ===`);
 
     try {
       // 1. 에이전트/스킬 문서 읽기 (헤더 부분)
@@ -217,7 +368,7 @@ class AgentRunner {
       // 5. 전체 컨텍스트가 필요한 작업은 청크 분할하지 않음
       //    - analyze: 뉴스레터 구조 분석에 전체 본문 필요
       //    - skipChunking: 전체 데이터 간 연결이 필요한 작업
-      if (this.currentTaskType === 'analyze' || options.skipChunking) {
+      if (taskType === 'analyze' || options.skipChunking) {
         this.log(`전체 컨텍스트 필요, 단일 처리 (${inputData.length}자)`, 'info');
         return await this.runSinglePrompt(header, inputData, options);
       }
@@ -252,10 +403,10 @@ class AgentRunner {
         }
 
         // 프롬프트 구성
-        const prompt = this.buildFullPrompt(header, currentInput);
+        const prompt = this.buildFullPrompt(header, currentInput, options.taskType);
 
         // API 호출 (시간 예산 전달)
-        const response = await this.callLLMWithRetry(prompt, options.maxTimeMs || 0);
+        const response = await this.callLLMWithRetry(prompt, options.maxTimeMs || 0, options.taskType, options.route);
 
         // 응답 검증
         const validated = this.validateResponse(response, options.schema);
@@ -285,6 +436,7 @@ class AgentRunner {
   /**
    * 청크 분할 처리 (긴 입력을 여러 청크로 나눠서 처리)
    * - 각 청크 결과를 임시 파일에 저장 (안전성 확보)
+   * - 청크는 동시에 제출 (동시 호출 수는 전역 풀이 제한)
    * - 최종적으로 병합 후 임시 파일 삭제
    */
   async runChunkedPrompt(header, inputData, chunkSize, options) {
@@ -301,26 +453,27 @@ class AgentRunner {
       fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    const tempFiles = [];
     let successCount = 0;
     let failCount = 0;
+    const tempFileOf = (name) => path.join(tempDir, `_chunk_${name}_${Date.now()}_${++this.tempSeq}.json`);
 
-    // 3. 각 청크 처리 및 임시 파일 저장
-    for (let i = 0; i < chunks.length; i++) {
+    // 3. 각 청크 동시 처리 및 임시 파일 저장 (실제 동시 호출 수는 전역 풀이 제한)
+    //    청크별 파일 목록을 따로 모아 순서대로 합침 → 결과 순서는 순차 처리와 동일
+    const processChunk = async (i) => {
       this.log(`  청크 ${i + 1}/${chunks.length} 처리 중...`, 'info');
-
-      const tempFile = path.join(tempDir, `_chunk_${i + 1}_of_${chunks.length}_${Date.now()}.json`);
+      const files = [];
 
       try {
-        const result = await this.runSinglePrompt(header, chunks[i], {
+        const result = this.tagChunkIndex(await this.runSinglePrompt(header, chunks[i], {
           ...options,
           output: null // 여기서는 저장하지 않음
-        });
+        }), i);
 
         // 임시 파일에 저장
         if (result) {
+          const tempFile = tempFileOf(`${i + 1}_of_${chunks.length}`);
           fs.writeFileSync(tempFile, JSON.stringify(result, null, 2), 'utf8');
-          tempFiles.push(tempFile);
+          files.push(tempFile);
           successCount++;
           this.log(`  청크 ${i + 1} 저장: ${path.basename(tempFile)}`, 'debug');
         }
@@ -332,11 +485,12 @@ class AgentRunner {
           const subChunks = this.splitTextIntoChunks(chunks[i], Math.floor(chunks[i].length / 2));
           for (let j = 0; j < subChunks.length; j++) {
             try {
-              const subResult = await this.runSinglePrompt(header, subChunks[j], { ...options, output: null });
+              const subResult = this.tagChunkIndex(
+                await this.runSinglePrompt(header, subChunks[j], { ...options, output: null }), i);
               if (subResult) {
-                const subFile = path.join(tempDir, `_chunk_${i + 1}_sub${j + 1}_${Date.now()}.json`);
+                const subFile = tempFileOf(`${i + 1}_sub${j + 1}`);
                 fs.writeFileSync(subFile, JSON.stringify(subResult, null, 2), 'utf8');
-                tempFiles.push(subFile);
+                files.push(subFile);
                 successCount++;
               }
             } catch (subError) {
@@ -349,7 +503,10 @@ class AgentRunner {
           failCount++;
         }
       }
-    }
+      return files;
+    };
+
+    const tempFiles = (await Promise.all(chunks.map((_, i) => processChunk(i)))).flat();
 
     this.log(`청크 처리 완료: 성공 ${successCount}, 실패 ${failCount}`, 'info');
 
@@ -548,7 +705,24 @@ class AgentRunner {
   }
 
   /**
-   * 청크 결과 병합
+   * 청크 결과 아이템에 청크 번호(0부터) 부착 → 출처 추적 (provenance.js)
+   * 하위 분할 재시도 결과도 원래 청크 번호를 쓴다.
+   */
+  tagChunkIndex(result, chunkIndex) {
+    if (result && Array.isArray(result.items)) {
+      return {
+        ...result,
+        items: result.items.map(it => (it && typeof it === 'object' ? { ...it, chunk_index: chunkIndex } : it))
+      };
+    }
+    if (result && typeof result === 'object' && !Array.isArray(result)) {
+      return { ...result, chunk_index: chunkIndex };
+    }
+    return result;
+  }
+
+  /**
+   * 청크 결과 병합 (아이템 필드는 그대로 보존 → chunk_index 등 출처 정보 유지)
    */
   mergeChunkResults(allItems, options) {
     // items 배열로 통합
@@ -633,6 +807,11 @@ ${agentContent}`;
       header += `\n\n# 사용 가능한 SKILL${skillsContent}`;
     }
 
+    // 재추출 지시 (원문 근거 검증에서 불일치가 나온 경우) → 프롬프트가 달라져 캐시 키도 달라짐
+    if (options.retryNote) {
+      header += `\n\n# 재추출 주의\n${options.retryNote}`;
+    }
+
     return header;
   }
 
@@ -687,14 +866,14 @@ ${agentContent}`;
   /**
    * 전체 프롬프트 구성
    */
-  buildFullPrompt(header, inputData) {
+  buildFullPrompt(header, inputData, taskType = this.currentTaskType) {
     let prompt = header;
 
     if (inputData) {
       prompt += `\n\n# 처리할 데이터\n${inputData}`;
     }
 
-    const taskConfig = this.getTaskConfig(this.currentTaskType);
+    const taskConfig = this.getTaskConfig(taskType || this.currentTaskType);
     prompt += `\n\n${taskConfig.tailInstruction}`;
 
     return prompt;
@@ -708,12 +887,15 @@ ${agentContent}`;
    * LLM API 호출 (재시도 포함, 시간 예산 + 불완전 JSON 복구)
    * @param {string} prompt - 프롬프트
    * @param {number} maxTimeMs - 시간 예산 (ms). 0이면 무제한
+   * @param {string} [taskType] - 작업 유형 (미지정 시 currentTaskType)
+   * @param {Object} [route] - resolveRoute 결과 (없으면 기본 모델)
    */
-  async callLLMWithRetry(prompt, maxTimeMs = 0) {
+  async callLLMWithRetry(prompt, maxTimeMs = 0, taskType = this.currentTaskType, route = null) {
     let lastError;
     let bestIncompleteResponse = null;
     const startTime = Date.now();
-    const requiredFields = this.getRequiredFieldsForTask(this.currentTaskType);
+    const requiredFields = this.getRequiredFieldsForTask(taskType);
+    const cacheKey = this.llmCache.enabled ? this.cacheKeyOf(prompt, taskType, route) : null;
 
     for (let i = 0; i < this.retryDelays.length; i++) {
       // 시간 예산 체크
@@ -724,11 +906,35 @@ ${agentContent}`;
         throw new Error(`시간 예산 초과 (${Math.round(maxTimeMs/1000)}초), 복구 실패`);
       }
 
+      let fromCache = false;
+      let pendingStore = null;
       try {
-        // 매 시도마다 rate limit 체크 (재시도 시에도 준수)
-        await this.checkRateLimit();
-
-        const response = await this.callLLM(prompt);
+        // 캐시 히트면 API 호출 없이 원본 응답 재생 (replay 미스는 여기서 throw, 재시도 안 함)
+        let response = cacheKey ? this.llmCache.lookup(cacheKey) : null;
+        fromCache = response !== null;
+
+        if (!fromCache) {
+          // 예산 검사 (hard → 차단 에러, soft → 저가 모델로 전환, 비용 모를 모델 → 차단)
+          const callRoute = this.applyBudget(taskType, route);
+          this.assertPriced(callRoute);
+
+          // 전역 풀 슬롯 확보 후 매 시도마다 rate limit 체크 (재시도 시에도 준수)
+          await this.acquireSlot();
+          try {
+            await this.checkRateLimit();
+            response = await this.callLLM(prompt, taskType, callRoute);
+          } finally {
+            this.releaseSlot();
+          }
+          if (cacheKey) {
+            // 실제 호출한 모델 기준 키 (soft 전환된 응답이 원래 모델 응답으로 재생되지 않도록).
+            // 기록은 완전성·파싱 검사를 통과한 뒤에만 → 잘린·깨진 응답이 이후 실행에 재생되지 않음
+            pendingStore = {
+              key: callRoute === route ? cacheKey : this.cacheKeyOf(prompt, taskType, callRoute),
+              meta: { model: this.cacheModel(callRoute), task_type: taskType, prompt_chars: prompt.length }
+            };
+          }
+        }
 
         // 불완전 JSON 감지 시 복구 시도 후 재시도
         if (!this.isJsonComplete(response)) {
@@ -744,7 +950,8 @@ ${agentContent}`;
             return JSON.stringify(recovered);
           }
 
-          if (i < this.retryDelays.length - 1) {
+          // 캐시 응답은 다시 받아도 같음 → 재시도 없이 최종 처리
+          if (i < this.retryDelays.length - 1 && !fromCache) {
             const delay = this.retryDelays[i];
             this.log(`불완전 JSON 응답, 복구 실패, ${delay/1000}초 후 재시도 (${i + 1}/${this.retryDelays.length})`, 'warn');
             await this.sleep(delay);
@@ -760,12 +967,16 @@ ${agentContent}`;
           throw new Error('불완전한 JSON 응답 (토큰 끊김)');
         }
 
+        if (pendingStore && this.isParsableJson(response)) {
+          this.llmCache.store(pendingStore.key, response, pendingStore.meta);
+        }
         return response;
 
       } catch (error) {
         lastError = error;
 
-        const isRetryable = this.isRetryableError(error);
+        // 캐시 미스(replay) / 캐시 응답 처리 실패는 재시도해도 결과가 같음
+        const isRetryable = !error.isCacheMiss && !error.isBudgetExceeded && !fromCache && this.isRetryableError(error);
         const hasMoreRetries = i < this.retryDelays.length - 1;
 
         if (isRetryable && hasMoreRetries) {
@@ -782,6 +993,70 @@ ${agentContent}`;
     throw lastError || new Error('알 수 없는 오류');
   }
 
+  /**
+   * 예산 상태에 따라 이번 호출의 라우팅 결정
+   * @returns {Object|null} - 그대로면 route, soft 한도면 fallbackModel로 바꾼 route
+   * @throws hard 한도 (error.isBudgetExceeded)
+   */
+  applyBudget(taskType, route) {
+    const state = this.budget.state();
+    if (state === 'hard') throw this.budget.block();
+    if (state !== 'soft') return route;
+
+    const base = route || {
+      model: this.model,
+      reasoning: this.reasoningEnabled,
+      temperature: this.getTaskConfig(taskType).temperature
+    };
+    if (base.model === this.budget.fallbackModel) return route;
+    if (this.budget.degradedCalls++ === 0) {
+      this.log(`비용 예산 ${Math.round(this.budget.softRatio * 100)}% 도달 → ${this.budget.fallbackModel}로 전환`, 'warn');
+    }
+    return { ...base, model: this.budget.fallbackModel };
+  }
+
+  /**
+   * 예산이 설정됐는데 비용을 알 수 없는 모델(단가 미등록 + 프로바이더 보고 없음)이면 차단.
+   * 0으로 집계하면 한도에 영영 닿지 않으므로 fail-closed. 보고하는 프로바이더가 보고를 빠뜨리면 그다음 호출부터 차단
+   * @throws error.isBudgetExceeded (hard 한도와 같이 남은 추출 생략)
+   */
+  assertPriced(route) {
+    if (!this.budget.enabled) return;
+    const model = this.cacheModel(route);
+    const reportsCost = this.backend === 'claude' || this.llmProvider.reportsCost;
+    if (!this.unpricedModels.has(model) && (MODEL_PRICING[model] || reportsCost)) return;
+    this.warnUnpriced(model);
+    this.budget.blockedCalls++;
+    const error = new Error(`단가 미등록 모델 ${model}: 비용 예산이 설정돼 있어 호출 차단`);
+    error.isBudgetExceeded = true;
+    throw error;
+  }
+
+  /**
+   * 비용을 알 수 없는 모델 경고 (모델당 1회)
+   */
+  warnUnpriced(model) {
+    if (this.unpricedModels.has(model)) return;
+    this.unpricedModels.add(model);
+    const effect = this.budget.enabled ? '예산이 설정돼 있어 호출 차단' : '비용이 $0으로 집계됨';
+    this.log(`⚠️ 단가 미등록 모델 ${model}: ${effect} (agent_runner.js MODEL_PRICING에 단가 추가 필요)`, 'warn');
+  }
+
+  /**
+   * 캐시 키에 쓰는 모델 식별자 (claude 백엔드는 CLI 모델 별칭)
+   */
+  cacheModel(route = null) {
+    if (this.backend === 'claude') return `claude-cli:${this.claudeModel}`;
+    return route ? route.model : this.model;
+  }
+
+  /**
+   * 캐시 키: 모델 + 작업별 시스템 프롬프트 + 전체 프롬프트(헤더 + 입력 + 꼬리 지시)
+   */
+  cacheKeyOf(prompt, taskType, route = null) {
+    return LlmCache.keyOf(this.cacheModel(route), this.getTaskConfig(taskType).systemPrompt, prompt);
+  }
+
   /**
    * 불완전 JSON 복구 시도
    * repairJson → JSON.parse → 필수 필드 확인 → 성공 시 파싱 결과 반환
@@ -823,13 +1098,16 @@ ${agentContent}`;
   /**
    * LLM API 호출 (단일) - OpenRouter API
    * @param {string} prompt - 프롬프트
+   * @param {string} [taskType] - 작업 유형 (미지정 시 currentTaskType)
+   * @param {Object} [route] - resolveRoute 결과 (claude 백엔드는 CLAUDE_MODEL 고정이라 무시)
    */
-  async callLLM(prompt) {
-    const taskConfig = this.getTaskConfig(this.currentTaskType);
+  async callLLM(prompt, taskType = this.currentTaskType, route = null) {
+    const taskConfig = this.routedTaskConfig(taskType, route);
     const fetch = await getFetch();
 
     // 프롬프트 크기 로깅
-    this.log(`API 호출 시작 (프롬프트 ${prompt.length}자, 모델: ${this.model}, 작업: ${this.currentTaskType})`, 'debug');
+    this.log(`API 호출 시작 (프롬프트 ${prompt.length}자, 모델: ${taskConfig.model || this.model}, 작업: ${taskType})`, 'debug');
+    const callStartedAt = Date.now();
 
     // 타임아웃 설정 (5분 - 긴 처리 대비)
     const controller = new AbortController();
@@ -846,20 +1124,25 @@ ${agentContent}`;
           // (단순 5xx/429 등은 여기서 폴백하지 않고 rethrow → callLLMWithRetry가 기존대로 재시도)
           if (!err.isAuthFailure) throw err;
 
-          const orKey = this.apiKey || process.env.OPENROUTER_API_KEY;
-          if (orKey) {
-            // OpenRouter로 폴백. 이후 호출도 폴백 유지(반복 인증 실패 방지) + 1회 경고 표면화.
+          const { apiKeyEnv, requiresApiKey } = this.providerSpec;
+          const fallbackKey = this.apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : '');
+          const providerLabel = this.llmProvider.label;
+          if (fallbackKey || !requiresApiKey) {
+            // 설정된 HTTP 프로바이더(기본 OpenRouter)로 폴백. 이후 호출도 폴백 유지(반복 인증 실패 방지) + 1회 경고 표면화.
             if (!this._authFallbackNotified) {
               this._authFallbackNotified = true;
-              console.warn('[경고] Claude 백엔드 인증 실패 → OpenRouter로 폴백합니다. CLAUDE 토큰/로그인 점검 필요.');
+              logger.warn(`[경고] Claude 백엔드 인증 실패 → ${providerLabel}로 폴백합니다. CLAUDE 토큰/로그인 점검 필요.`);
             }
-            this.log(`claude 인증 실패 → OpenRouter 폴백: ${err.message}`, 'warn');
+            this.log(`claude 인증 실패 → ${providerLabel} 폴백: ${err.message}`, 'warn');
             this.backend = 'openrouter';
-            if (!this.apiKey) this.apiKey = orKey;
+            if (!this.apiKey && fallbackKey) {
+              this.apiKey = fallbackKey;
+              this.llmProvider.apiKey = fallbackKey;
+            }
             content = await this.callOpenRouter(prompt, taskConfig, controller, fetch);
           } else {
             // 폴백 불가 → 명확한 에러를 던져 상위(0건 발행 차단)가 작동하게 한다.
-            err.message = `Claude 인증 실패 + OpenRouter 폴백 불가(OPENROUTER_API_KEY 없음): ${err.message}`;
+            err.message = `Claude 인증 실패 + ${providerLabel} 폴백 불가(${apiKeyEnv} 없음): ${err.message}`;
             throw err;
           }
         }
@@ -875,6 +1158,10 @@ ${agentContent}`;
         throw error;
       }
 
+      this.log('API 호출 완료', 'debug', {
+        event: 'llm_call', backend: this.backend, model: taskConfig.model || this.model, task: taskType,
+        prompt_chars: prompt.length, duration_ms: Date.now() - callStartedAt
+      });
       return content;
 
     } catch (error) {
@@ -888,87 +1175,94 @@ ${agentContent}`;
   }
 
   /**
-   * OpenRouter API 호출 (OpenAI Chat Completions 호환 엔드포인트)
+   * 하위 호환 별칭 (프로바이더 도입 전 이름) → callProvider
+   * callLLM은 이 이름으로 호출한다 (callOpenRouter를 재정의하던 호출자·테스트가 그대로 동작)
    */
   async callOpenRouter(prompt, taskConfig, controller, fetch) {
-    const apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
+    return this.callProvider(prompt, taskConfig, controller, fetch);
+  }
 
-    // JSON 강제: 자유 텍스트 출력으로 인한 깨짐(따옴표/코드블록/잡설) 원천 차단.
-    // taskConfig.format 으로 작업별 재정의 가능. 기본 'json' → response_format json_object.
-    const wantJson = (taskConfig.format || 'json') === 'json';
+  /**
+   * HTTP 프로바이더 호출 (요청 형태·응답 파싱은 this.llmProvider가 담당)
+   */
+  async callProvider(prompt, taskConfig, controller, fetch) {
+    const provider = this.llmProvider;
+    // 라우팅된 작업 설정이면 그 모델·reasoning, 아니면 러너 기본값
+    const model = taskConfig.model || this.model;
 
-    const requestBody = {
-      model: this.model,
-      messages: [
-        { role: 'system', content: taskConfig.systemPrompt },
-        { role: 'user', content: prompt }
-      ],
-      stream: false,
+    // JSON 강제: 자유 텍스트 출력으로 인한 깨짐(따옴표/코드블록/잡설) 원천 차단.
+    // taskConfig.format 으로 작업별 재정의 가능. 기본 'json' → 프로바이더별 JSON 모드.
+    const { url, headers, body } = provider.buildRequest({
+      model,
+      systemPrompt: taskConfig.systemPrompt,
+      prompt,
       temperature: taskConfig.temperature,
-      max_tokens: 16384,   // 출력 토큰 충분히 확보 (잘림 방지)
-      // 추론(thinking): 기본 OFF(비용·지연 절감), this.reasoningEnabled로 재정의 가능
-      reasoning: { enabled: this.reasoningEnabled }
-    };
-    if (wantJson) {
-      requestBody.response_format = { type: 'json_object' };
-    }
+      maxTokens: 16384,   // 출력 토큰 충분히 확보 (잘림 방지)
+      json: (taskConfig.format || 'json') === 'json',
+      // 추론(thinking): 기본 OFF(비용·지연 절감), this.reasoningEnabled 또는 라우팅 규칙으로 재정의 가능
+      reasoning: taskConfig.reasoning !== undefined ? taskConfig.reasoning : this.reasoningEnabled
+    });
 
-    const response = await fetch(apiUrl, {
+    const response = await fetch(url, {
       method: 'POST',
       signal: controller.signal,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-        'HTTP-Referer': this.referer,
-        'X-Title': this.title
-      },
-      body: JSON.stringify(requestBody)
+      headers,
+      body: JSON.stringify(body)
     });
 
     this.log(`API 응답 수신 (상태 ${response.status})`, 'debug');
 
     if (!response.ok) {
-      const errorText = await response.text();
-      const error = new Error(`OpenRouter API Error (${response.status}): ${errorText}`);
-      error.status = response.status;
-      throw error;
+      throw provider.httpError(response.status, await response.text());
     }
 
-    const data = await response.json();
-    // OpenRouter는 에러를 200 본문 내 error 필드로 반환하기도 함
-    if (data.error) {
-      const error = new Error(`OpenRouter API Error: ${data.error.message || JSON.stringify(data.error)}`);
-      error.status = data.error.code || 500;
-      throw error;
-    }
-    const choice = data.choices?.[0];
-    const content = choice?.message?.content || '';
+    const { content, finishReason, usage } = provider.parseResponse(await response.json());
 
     // 토큰 부족으로 응답이 잘린 경우 감지
-    if (choice?.finish_reason === 'length') {
+    if (finishReason === 'length') {
       this.log(`⚠️ 출력 토큰 부족으로 응답 잘림 (finish_reason: length)`, 'warn');
       // 잘린 JSON을 repair 시도 (callLLMWithRetry에서 처리)
     }
 
     // 디버그: 토큰 사용량 출력 + 누적
-    if (data.usage) {
-      const pt = data.usage.prompt_tokens || 0;
-      const ct = data.usage.completion_tokens || 0;
-      // OpenRouter/DeepSeek 캐시 히트 토큰 (필드명 프로바이더별 상이 → 모두 시도)
-      const cached = data.usage.prompt_cache_hit_tokens
-        || data.usage.cached_tokens
-        || data.usage.prompt_tokens_details?.cached_tokens
-        || 0;
-      this.usage.totalPromptTokens += pt;
-      this.usage.totalCompletionTokens += ct;
-      this.usage.totalCachedPromptTokens += cached;
-      this.usage.totalCalls += 1;
-      this.log(`  토큰: 입력 ${pt}, 출력 ${ct}, 캐시히트 ${cached}`, 'debug');
+    if (usage) {
+      this.recordUsage(model, usage);
+      this.log(`  토큰: 입력 ${usage.promptTokens}, 출력 ${usage.completionTokens}, 캐시히트 ${usage.cachedTokens}`, 'debug', {
+        event: 'llm_usage', model, prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, cached_tokens: usage.cachedTokens
+      });
     }
 
     return content;
   }
 
+  /**
+   * 토큰 사용량·비용 누적 (전체 + 모델별 + 라벨별)
+   * @param {{promptTokens, completionTokens, cachedTokens, costUsd}} usage - costUsd: 프로바이더 보고 비용 (없으면 단가표)
+   */
+  recordUsage(model, usage) {
+    const emptyUsage = () => ({
+      totalPromptTokens: 0, totalCompletionTokens: 0, totalCachedPromptTokens: 0, totalCalls: 0, inputUsd: 0, outputUsd: 0
+    });
+    const byModel = this.usageByModel[model] || (this.usageByModel[model] = emptyUsage());
+    const targets = [this.usage, byModel];
+    const { label } = currentContext();
+    if (label) {
+      const models = this.usageByLabel[label] || (this.usageByLabel[label] = {});
+      targets.push(models[model] || (models[model] = emptyUsage()));
+    }
+    const { inUsd, outUsd, priced } = callCost(model, usage);
+    for (const u of targets) {
+      u.totalPromptTokens += usage.promptTokens;
+      u.totalCompletionTokens += usage.completionTokens;
+      u.totalCachedPromptTokens += usage.cachedTokens;
+      u.totalCalls += 1;
+      u.inputUsd += inUsd;
+      u.outputUsd += outUsd;
+    }
+    if (!priced) this.warnUnpriced(model);
+    this.budget.record(inUsd + outUsd);
+  }
+
   /**
    * Claude Code CLI 호출 (헤드리스 `claude -p`, 정액 구독 백엔드).
    * 시스템+유저 프롬프트를 stdin으로 전달하고 --output-format json 봉투의 result(모델 content)를 반환.
@@ -1021,15 +1315,14 @@ ${agentContent}`;
         let env;
         try { env = JSON.parse(stdout); }
         catch (e) { return reject(new Error(`claude CLI 봉투 JSON 파싱 실패: ${stdout.slice(0, 300)}`)); }
-        // 토큰/비용 누적 (_run_stats용). claude 봉투 usage 필드 사용.
+        // 토큰/비용 누적 (_run_stats용). claude 봉투 usage·total_cost_usd 사용.
         const u = env.usage || {};
-        this.usage.totalPromptTokens += u.input_tokens || 0;
-        this.usage.totalCompletionTokens += u.output_tokens || 0;
-        this.usage.totalCachedPromptTokens += (u.cache_read_input_tokens || 0);
-        this.usage.totalCalls += 1;
-        if (typeof env.total_cost_usd === 'number') {
-          this.usage.claudeCostUsd = (this.usage.claudeCostUsd || 0) + env.total_cost_usd;
-        }
+        this.recordUsage(`claude-cli:${this.claudeModel}`, {
+          promptTokens: u.input_tokens || 0,
+          completionTokens: u.output_tokens || 0,
+          cachedTokens: u.cache_read_input_tokens || 0,
+          costUsd: typeof env.total_cost_usd === 'number' ? env.total_cost_usd : null
+        });
         resolve(env.result || '');
       });
 
@@ -1045,37 +1338,17 @@ ${agentContent}`;
   // ============================================
 
   /**
-   * 토큰 초과 에러 여부 확인
+   * 토큰 초과 에러 여부 확인 (프로바이더별 메시지 차이는 프로바이더가 분류)
    */
   isTokenLimitError(error) {
-    const msg = error.message || '';
-    return msg.includes('context length') ||
-           (msg.includes('maximum') && msg.includes('tokens')) ||
-           msg.includes('too many tokens') ||
-           (msg.includes('input') && msg.includes('too long'));
+    return this.llmProvider.isTokenLimitError(error);
   }
 
   /**
-   * 재시도 가능한 에러 여부 확인
+   * 재시도 가능한 에러 여부 확인 (토큰 초과는 제외 → 상위에서 축소 후 재시도)
    */
   isRetryableError(error) {
-    // 토큰 초과는 재시도하지 않음 (상위에서 축소 후 재시도)
-    if (this.isTokenLimitError(error)) {
-      return false;
-    }
-
-    const status = error.status;
-    const msg = error.message || '';
-
-    return (
-      [429, 408, 500, 502, 503, 504, 524].includes(status) ||
-      error.name === 'AbortError' ||
-      msg.includes('timeout') ||
-      msg.includes('ECONNRESET') ||
-      msg.includes('ETIMEDOUT') ||
-      msg.includes('불완전') ||
-      msg.includes('빈 응답')
-    );
+    return this.llmProvider.isRetryableError(error);
   }
 
   // ============================================
@@ -1083,9 +1356,37 @@ ${agentContent}`;
   // ============================================
 
   /**
-   * Rate Limit 체크 및 대기
+   * 전역 풀 슬롯 확보 (동시 호출 concurrency개 초과 시 FIFO 대기)
+   */
+  async acquireSlot() {
+    if (this.activeCalls < this.concurrency) {
+      this.activeCalls++;
+    } else {
+      // releaseSlot이 슬롯을 그대로 넘겨줌 (activeCalls 유지)
+      await new Promise(resolve => this.slotWaiters.push(resolve));
+    }
+    this.peakActiveCalls = Math.max(this.peakActiveCalls, this.activeCalls);
+  }
+
+  /**
+   * 전역 풀 슬롯 반납 (대기자가 있으면 바로 넘김)
    */
-  async checkRateLimit() {
+  releaseSlot() {
+    const next = this.slotWaiters.shift();
+    if (next) next();
+    else this.activeCalls = Math.max(0, this.activeCalls - 1);
+  }
+
+  /**
+   * Rate Limit 체크 및 대기 (호출 순서대로 직렬화)
+   */
+  checkRateLimit() {
+    const gate = this.rateGate.then(() => this.waitForRateLimit());
+    this.rateGate = gate.catch(() => {});
+    return gate;
+  }
+
+  async waitForRateLimit() {
     const now = Date.now();
 
     // 1분 경과 시 카운터 리셋
@@ -1274,6 +1575,23 @@ ${agentContent}`;
     return repaired;
   }
 
+  /**
+   * 응답의 첫 JSON 객체가 (자동 수정 포함) 파싱되는지 — 캐시 기록 조건. 로그 없이 판정만
+   */
+  isParsableJson(response) {
+    const jsonStr = this.extractFirstJson(response);
+    if (!jsonStr) return false;
+    for (const candidate of [jsonStr, this.repairJson(jsonStr)]) {
+      try {
+        JSON.parse(candidate);
+        return true;
+      } catch (e) {
+        // 다음 후보
+      }
+    }
+    return false;
+  }
+
   /**
    * JSON 완전성 검사
    */
@@ -1345,17 +1663,13 @@ ${agentContent}`;
   // ============================================
 
   /**
-   * 로그 (비동기 파일 쓰기)
+   * 로그 (logger.js: 콘솔 + 런 JSON Lines. 라벨·메일 맥락은 오케스트레이터가 붙임)
+   * @param {string} message
+   * @param {string} [level] - debug | info | warn | error
+   * @param {Object} [fields] - 로그 파일에만 남는 구조화 필드
    */
-  log(message, level = 'info') {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-
-    console.log(logMessage);
-
-    // 파일에도 저장 (비동기, 에러 무시)
-    const logFile = path.join(this.logDir, `${this.getToday()}.log`);
-    fs.appendFile(logFile, logMessage + '\n', 'utf8', () => {});
+  log(message, level = 'info', fields = {}) {
+    logger[level](message, fields);
   }
 
   sleep(ms) {
@@ -1,10 +1,11 @@
 /**
  * Gmail OAuth 2.0 인증 스크립트
  *
- * 사용법: node scripts/auth.js
+ * 사용법: node scripts/auth.js [--account <이름>]
  *
  * 이 스크립트는 OAuth 인증 흐름을 실행하고 refresh_token을 획득합니다.
  * 획득한 토큰은 config/credentials/token.json에 저장됩니다.
+ * --account 지정 시 해당 계정 프로필의 토큰 경로(config/accounts.json, 기본 token_<이름>.json)에 저장합니다.
  */
 
 const http = require('http');
@@ -12,10 +13,12 @@ const url = require('url');
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
+const { getAccount, parseAccountArg } = require('./accounts');
 
 // 경로 설정
 const CREDENTIALS_PATH = path.join(__dirname, '..', 'config', 'credentials', 'client_secret.json');
-const TOKEN_PATH = path.join(__dirname, '..', 'config', 'credentials', 'token.json');
+const ACCOUNT = getAccount(parseAccountArg(process.argv.slice(2)));
+const TOKEN_PATH = ACCOUNT.tokenPath;
 
 // OAuth 설정
 const SCOPES = [
@@ -110,7 +113,7 @@ function saveToken(token) {
 
 // 메인 함수
 async function main() {
-  console.log('Gmail OAuth 2.0 인증을 시작합니다...\n');
+  console.log(`Gmail OAuth 2.0 인증을 시작합니다... (계정: ${ACCOUNT.name})\n`);
 
   const credentials = loadCredentials();
   const authUrl = getAuthUrl(credentials);
@@ -0,0 +1,36 @@
+/**
+ * 관계 기반 묶음 (Union-Find)
+ *
+ * "두 노드가 관련 있으면 같은 묶음"을 전이적으로 적용한다 (A~B, B~C → A·B·C 한 묶음).
+ * 키워드 클러스터(orchestrator clusterItemsByKeyword)와 스토리 스레드(story_threads assignThreads)가 같이 쓴다.
+ */
+
+/**
+ * @param {number} size - 노드 수 (0..size-1)
+ * @param {Function} isRelated - (i, j) => boolean, i < j 쌍마다 한 번 호출
+ * @returns {Array<Array<number>>} 묶음 목록. 묶음은 가장 작은 인덱스 순, 묶음 안은 오름차순 (결정적)
+ */
+function groupRelated(size, isRelated) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = x => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  // 루트는 항상 작은 인덱스 → 묶음 대표 = 첫 멤버
+  const unite = (a, b) => {
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  for (let i = 0; i < size; i++) {
+    for (let j = i + 1; j < size; j++) {
+      if (isRelated(i, j)) unite(i, j);
+    }
+  }
+
+  const groups = new Map();
+  for (let i = 0; i < size; i++) {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  }
+  return [...groups.values()];
+}
+
+module.exports = { groupRelated };
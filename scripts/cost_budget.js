@@ -0,0 +1,185 @@
+/**
+ * LLM 비용 예산 (실행별 / 월별 USD 한도)
+ *
+ * AgentRunner가 매 API 호출 전에 state()를 확인하고, 호출 후 record()로 지출을 누적한다.
+ *   - ok   : 그대로 호출
+ *   - soft : 한도의 softRatio(기본 80%) 도달 → 저가 모델(fallbackModel)로 전환
+ *   - hard : 한도 도달 → 호출 차단 (error.isBudgetExceeded). 오케스트레이터는 남은 메일 추출을 생략하고
+ *            읽음 표시/커서 커밋을 하지 않아 다음 실행이 이어 처리한다.
+ *
+ * 지출 이력은 실행마다 한 줄씩 output/cost_history.json에 남아(호출마다 갱신) 월 누적 계산에 쓰인다.
+ * 동시 호출 중인 요청은 이미 검사를 통과했으므로 한도를 (동시 호출 수 × 호출당 비용)만큼 넘을 수 있다.
+ * 비용을 알 수 없는 모델(단가 미등록 + 프로바이더 보고 없음)은 예산이 설정돼 있으면 AgentRunner가 차단한다.
+ *
+ * 설정 (env 또는 생성자 옵션):
+ *   LLM_BUDGET_RUN_USD        실행당 한도 (없으면 제한 없음)
+ *   LLM_BUDGET_MONTH_USD      월(KST) 한도 (없으면 제한 없음)
+ *   LLM_BUDGET_SOFT_RATIO     저가 모델 전환 비율 (기본 0.8)
+ *   LLM_BUDGET_FALLBACK_MODEL 전환할 모델 (기본 deepseek/deepseek-v4-flash)
+ *   LLM_BUDGET_HISTORY        이력 파일 경로
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '..', 'output', 'cost_history.json');
+const MAX_HISTORY_RUNS = 1000;
+
+function parseUsd(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`잘못된 예산 값: '${value}' (0 이상의 USD 숫자)`);
+  }
+  return n;
+}
+
+/**
+ * KST 기준 월 키 (YYYY-MM)
+ */
+function monthKeyOf(date) {
+  return new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 7);
+}
+
+class CostBudget {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.runLimitUsd]
+   * @param {number} [options.monthLimitUsd]
+   * @param {number} [options.softRatio]
+   * @param {string} [options.fallbackModel]
+   * @param {string} [options.historyPath]
+   * @param {string} [options.runId] - 이력에 남길 실행 ID (오케스트레이터가 설정)
+   * @param {Date} [options.now] - 테스트용 기준 시각
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.runLimitUsd = parseUsd(options.runLimitUsd !== undefined ? options.runLimitUsd : env.LLM_BUDGET_RUN_USD);
+    this.monthLimitUsd = parseUsd(options.monthLimitUsd !== undefined ? options.monthLimitUsd : env.LLM_BUDGET_MONTH_USD);
+    this.softRatio = Number(options.softRatio || env.LLM_BUDGET_SOFT_RATIO) || 0.8;
+    this.fallbackModel = options.fallbackModel || env.LLM_BUDGET_FALLBACK_MODEL || 'deepseek/deepseek-v4-flash';
+    this.historyPath = options.historyPath || env.LLM_BUDGET_HISTORY || DEFAULT_HISTORY_PATH;
+    this.runId = options.runId || null;
+
+    const now = options.now || new Date();
+    this.startedAt = now.toISOString();
+    this.month = monthKeyOf(now);
+    this.runSpentUsd = 0;
+    this.priorMonthUsd = null;  // 이력 파일의 이번 달 지출 (첫 검사 때 로드)
+    this.degradedCalls = 0;
+    this.blockedCalls = 0;
+  }
+
+  get enabled() {
+    return this.runLimitUsd !== null || this.monthLimitUsd !== null;
+  }
+
+  loadHistory() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+      return Array.isArray(data.runs) ? data : { runs: [] };
+    } catch (e) {
+      return { runs: [] };
+    }
+  }
+
+  monthSpentUsd() {
+    if (this.priorMonthUsd === null) {
+      this.priorMonthUsd = this.loadHistory().runs
+        .filter(r => r.month === this.month && r.started_at !== this.startedAt)
+        .reduce((s, r) => s + (r.spent_usd || 0), 0);
+    }
+    return this.priorMonthUsd + this.runSpentUsd;
+  }
+
+  /**
+   * 현재 예산 상태: 'ok' | 'soft' | 'hard'
+   */
+  state() {
+    if (!this.enabled) return 'ok';
+    const spent = [
+      [this.runSpentUsd, this.runLimitUsd],
+      [this.monthLimitUsd !== null ? this.monthSpentUsd() : 0, this.monthLimitUsd]
+    ].filter(([, limit]) => limit !== null);
+    if (spent.some(([used, limit]) => used >= limit)) return 'hard';
+    if (spent.some(([used, limit]) => used >= limit * this.softRatio)) return 'soft';
+    return 'ok';
+  }
+
+  /**
+   * 호출 차단 기록 → 던질 에러 (재시도 대상 아님)
+   */
+  block() {
+    this.blockedCalls++;
+    this.save();
+    return this.exceededError();
+  }
+
+  exceededError() {
+    const parts = [];
+    if (this.runLimitUsd !== null) parts.push(`이번 실행 $${this.runSpentUsd.toFixed(4)} / $${this.runLimitUsd}`);
+    if (this.monthLimitUsd !== null) parts.push(`${this.month} $${this.monthSpentUsd().toFixed(4)} / $${this.monthLimitUsd}`);
+    const error = new Error(`LLM 예산 한도 도달 (${parts.join(', ')})`);
+    error.isBudgetExceeded = true;
+    return error;
+  }
+
+  /**
+   * 호출 1회 지출 누적 + 이력 파일 갱신
+   */
+  record(usd) {
+    if (!this.enabled || !(usd > 0)) return;
+    this.runSpentUsd += usd;
+    this.save();
+  }
+
+  save() {
+    const history = this.loadHistory();
+    const entry = {
+      run_id: this.runId,
+      started_at: this.startedAt,
+      month: this.month,
+      spent_usd: +this.runSpentUsd.toFixed(6),
+      ...(this.degradedCalls > 0 ? { degraded_calls: this.degradedCalls } : {}),
+      ...(this.blockedCalls > 0 ? { blocked_calls: this.blockedCalls } : {})
+    };
+    const runs = history.runs.filter(r => r.started_at !== this.startedAt);
+    runs.push(entry);
+    fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+    const tmp = `${this.historyPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ runs: runs.slice(-MAX_HISTORY_RUNS) }, null, 2), 'utf8');
+    fs.renameSync(tmp, this.historyPath);
+  }
+
+  getStats() {
+    return {
+      run_limit_usd: this.runLimitUsd,
+      month_limit_usd: this.monthLimitUsd,
+      soft_ratio: this.softRatio,
+      fallback_model: this.fallbackModel,
+      run_spent_usd: +this.runSpentUsd.toFixed(4),
+      month_spent_usd: +this.monthSpentUsd().toFixed(4),
+      state: this.state(),
+      degraded_calls: this.degradedCalls,
+      blocked_calls: this.blockedCalls,
+      truncated: this.blockedCalls > 0
+    };
+  }
+}
+
+/**
+ * 리포트용 한 줄 안내 (_run_stats.json의 budget → 문장). 알릴 게 없으면 null.
+ */
+function describeBudget(budget) {
+  if (!budget) return null;
+  if (budget.truncated) {
+    const skipped = budget.skipped_messages ? `메일 ${budget.skipped_messages}건 추출 생략, ` : '';
+    return `비용 예산 한도 도달로 일부만 처리됨 (${skipped}다음 실행에서 이어 처리)`;
+  }
+  if (budget.degraded_calls > 0) {
+    return `비용 예산 ${Math.round(budget.soft_ratio * 100)}% 도달 — ${budget.degraded_calls}회 ${budget.fallback_model}로 처리`;
+  }
+  return null;
+}
+
+module.exports = { CostBudget, monthKeyOf, describeBudget };
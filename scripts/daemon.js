@@ -0,0 +1,269 @@
+/**
+ * 스케줄러 데몬 — systemd 타이머 없이 config/schedule.json의 cron 식대로 다이제스트를 실행
+ *
+ * 상주하면서 TICK_MS마다 실행할 창이 있는지 본다. 실행 시각이 지났으면 그 창을
+ * orchestrator.runWindow로 같은 프로세스에서 실행한다 (npm run digest와 같은 파이프라인).
+ *
+ * - 겹침 방지: 실행 중엔 output/daemon/run.lock (pid 기록, run_lock.js — 수동 npm run digest도 같은 잠금).
+ *   살아 있는 다른 프로세스가 잡고 있으면 그 실행은 미루고 다음 tick에 다시 시도, 죽은 프로세스가 남긴 잠금은 회수.
+ * - 따라잡기: job별 마지막 실행 시각을 output/daemon/state.json에 기록. 노트북 잠자기 등으로
+ *   놓친 실행은 깨어난 뒤 오래된 순으로 돌리되 최근 catch_up_limit개만 (그 이전은 missed로 기록).
+ *   처음 시작하면 가장 최근 실행 시각 1개를 따라잡기 대상으로 본다 (결과가 이미 있으면 건너뜀).
+ * - 상태: http://127.0.0.1:<status_port>/status 에 JSON (실행 중 job, 다음 실행 시각, 최근 이력).
+ *
+ * 사용법:
+ *   npm run daemon                    # 상주 실행 (Ctrl+C로 종료 — 진행 중인 실행은 끝까지 기다림)
+ *   npm run daemon -- --once          # 밀린 실행만 처리하고 종료
+ *   curl -s localhost:3031/status
+ *
+ * 발행(SKILL 커밋·gh-pages·Drive·Telegram)은 job args에 --publish를 주면 런 성공 후 같이 실행된다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { loadSchedule, nextFire, previousFire, firesBetween, fireWindow, jobRunId } = require('./schedule');
+const { RunLock } = require('./run_lock');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DAEMON_DIR = path.join(PROJECT_ROOT, 'output', 'daemon');
+const TICK_MS = 30 * 1000;
+const HISTORY_LIMIT = 50;
+
+function kst(date) {
+  return `${new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ')} KST`;
+}
+
+class Daemon {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runWindow - async (timeRange, argv, {runId}) => {runId, status, ...} (orchestrator.runWindow)
+   * @param {Object} [options.schedule] - loadSchedule() 결과
+   * @param {string} [options.dir] - 상태·잠금 폴더 (기본 output/daemon)
+   * @param {Function} [options.now] - 현재 시각 (테스트용)
+   */
+  constructor(options) {
+    this.runWindow = options.runWindow;
+    this.schedule = options.schedule || loadSchedule();
+    this.dir = options.dir || DAEMON_DIR;
+    this.now = options.now || (() => new Date());
+    this.statePath = path.join(this.dir, 'state.json');
+    this.lock = new RunLock(path.join(this.dir, 'run.lock'));
+    this.state = this.loadState();
+    this.startedAt = this.now();
+    this.current = null;
+    this.ticking = null;
+    this.stopping = false;
+    this.timer = null;
+    this.server = null;
+  }
+
+  loadState() {
+    if (fs.existsSync(this.statePath)) {
+      try {
+        const loaded = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        if (loaded && loaded.jobs) return { history: [], ...loaded };
+      } catch (e) {
+        console.warn(`  [데몬] state.json 손상, 새로 시작: ${e.message}`);
+      }
+    }
+    return { jobs: {}, history: [] };
+  }
+
+  saveState() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.state.history = this.state.history.slice(-HISTORY_LIMIT);
+    fs.writeFileSync(`${this.statePath}.tmp`, JSON.stringify(this.state, null, 2), 'utf8');
+    fs.renameSync(`${this.statePath}.tmp`, this.statePath);
+  }
+
+  /**
+   * 지금 돌려야 할 실행 목록 (놓친 실행 포함, 오래된 순)
+   *   catch_up_limit을 넘는 오래된 실행은 missed로 기록하고 건너뛴 것으로 처리
+   * @returns {Array<{job: Object, fire: Date, timeRange: {start: Date, end: Date}}>}
+   */
+  dueRuns() {
+    const now = this.now();
+    const due = [];
+    for (const job of this.schedule.jobs) {
+      const jobState = this.state.jobs[job.name] || (this.state.jobs[job.name] = {});
+      if (!jobState.last_fire) {
+        const latest = previousFire(job.parsed, now);
+        jobState.last_fire = previousFire(job.parsed, new Date(latest.getTime() - 60 * 1000)).toISOString();
+      }
+      const fires = firesBetween(job.parsed, new Date(jobState.last_fire), now);
+      const missed = fires.slice(0, Math.max(0, fires.length - this.schedule.catchUpLimit));
+      for (const fire of missed) {
+        this.state.history.push({ job: job.name, fire: fire.toISOString(), status: 'missed' });
+      }
+      if (missed.length > 0) {
+        console.warn(`  [데몬] ${job.name}: 놓친 실행 ${missed.length}개는 따라잡기 한도(${this.schedule.catchUpLimit}) 밖이라 건너뜀`);
+        jobState.last_fire = missed[missed.length - 1].toISOString();
+      }
+      for (const fire of fires.slice(missed.length)) due.push({ job, fire, timeRange: fireWindow(job.parsed, fire) });
+    }
+    return due.sort((a, b) => a.fire - b.fire);
+  }
+
+  /**
+   * 밀린 실행을 순서대로 처리. 이미 tick 중이면 그 tick을 기다린다.
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.runDue().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async runDue() {
+    for (const run of this.dueRuns()) {
+      if (this.stopping) break;
+      if (!(await this.execute(run))) break;
+    }
+    this.saveState();
+  }
+
+  /**
+   * 실행 1건 (잠금 → runWindow → 이력 기록)
+   * @returns {Promise<boolean>} 잠금을 못 잡았으면 false (last_fire 유지 → 다음 tick에 재시도)
+   */
+  async execute({ job, fire, timeRange }) {
+    const fireIso = fire.toISOString();
+    if (!this.lock.acquire({ job: job.name, fire: fireIso })) {
+      const holder = this.lock.read();
+      console.warn(`  [데몬] 다른 실행이 진행 중${holder ? ` (pid ${holder.pid})` : ''} → ${job.name} ${kst(fire)} 미룸`);
+      return false;
+    }
+
+    const startedAt = this.now();
+    this.current = { job: job.name, fire: fireIso, started_at: startedAt.toISOString() };
+    console.log(`\n[데몬] ${job.name} 실행 (${kst(timeRange.start)} ~ ${kst(timeRange.end)})`);
+    let result;
+    try {
+      // job·실행 시각별 런 ID → 같은 날 두 번째 job이 첫 job 결과물을 보고 건너뛰지 않음
+      result = await this.runWindow(timeRange, job.args, { runId: jobRunId(job, fire, job === this.schedule.jobs[0]) });
+    } catch (error) {
+      console.error(`[데몬] ${job.name} 실패: ${error.message}`);
+      result = { status: 'error', error: error.message };
+    } finally {
+      this.current = null;
+      this.lock.release();
+    }
+
+    // 실패해도 다음 실행으로 넘어간다 (임시 폴더가 보존되므로 npm run digest -- --run <runId>로 재시도)
+    this.state.jobs[job.name].last_fire = fireIso;
+    this.state.jobs[job.name].last_result = result.status;
+    this.state.history.push({
+      job: job.name,
+      fire: fireIso,
+      run_id: result.runId || null,
+      status: result.status,
+      ...(result.itemCount !== undefined ? { item_count: result.itemCount } : {}),
+      ...(result.error ? { error: result.error } : {}),
+      ...(result.publish ? { publish: Object.fromEntries(result.publish.map(p => [p.name, p.status])) } : {}),
+      started_at: startedAt.toISOString(),
+      finished_at: this.now().toISOString()
+    });
+    this.saveState();
+    return true;
+  }
+
+  status() {
+    const now = this.now();
+    return {
+      pid: process.pid,
+      started_at: this.startedAt.toISOString(),
+      now: now.toISOString(),
+      running: this.current,
+      lock: this.lock.read(),
+      jobs: this.schedule.jobs.map(job => ({
+        name: job.name,
+        cron: job.cron,
+        args: job.args,
+        last_fire: (this.state.jobs[job.name] || {}).last_fire || null,
+        last_result: (this.state.jobs[job.name] || {}).last_result || null,
+        next_fire: nextFire(job.parsed, now).toISOString()
+      })),
+      history: this.state.history.slice(-20).reverse()
+    };
+  }
+
+  /**
+   * 상태 HTTP 서버 (127.0.0.1 전용)
+   * @param {number} [port] - 0이면 임의 포트
+   * @returns {Promise<number>} 실제 포트
+   */
+  listen(port = this.schedule.statusPort) {
+    this.server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method !== 'GET' || !['/', '/status'].includes(pathname)) {
+        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ error: 'not found' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(this.status(), null, 2));
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  start(tickMs = TICK_MS) {
+    // tick 밖으로 새는 예외(state.json 쓰기 실패 등)가 unhandled rejection으로 데몬을 죽이지 않도록
+    this.timer = setInterval(() => this.tick().catch(error => console.error(`[데몬] tick 오류: ${error.message}`)), tickMs);
+    return this.tick();
+  }
+
+  /**
+   * 새 실행은 시작하지 않고, 진행 중인 실행이 끝나면 정리
+   */
+  async stop() {
+    this.stopping = true;
+    if (this.timer) clearInterval(this.timer);
+    if (this.ticking) await this.ticking;
+    if (this.server) await new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+async function main() {
+  const once = process.argv.includes('--once');
+  const { runWindow } = require('./orchestrator');
+  let schedule;
+  try {
+    schedule = loadSchedule();
+  } catch (e) {
+    console.error(`[데몬] 스케줄 설정 오류: ${e.message}`);
+    process.exit(1);
+  }
+  const daemon = new Daemon({ runWindow, schedule });
+
+  if (once) {
+    await daemon.tick();
+    return;
+  }
+
+  const port = await daemon.listen();
+  console.log(`[데몬] 시작 (pid ${process.pid}) — 상태: http://127.0.0.1:${port}/status`);
+  for (const job of daemon.status().jobs) console.log(`  ${job.name}: "${job.cron}", 다음 실행 ${kst(new Date(job.next_fire))}`);
+
+  const shutdown = signal => {
+    console.log(`\n[데몬] ${signal} 수신${daemon.current ? ' — 진행 중인 실행이 끝나면 종료' : ''}`);
+    daemon.stop().then(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  await daemon.start();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[데몬] 오류:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { Daemon, RunLock, DAEMON_DIR };
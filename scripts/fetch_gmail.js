@@ -6,22 +6,87 @@
 const fs = require('fs');
 const path = require('path');
 const { google } = require('googleapis');
+const { createLogger } = require('./logger');
+
+const log = createLogger('fetch_gmail');
+
+// Gmail API 쿼터 단가 (quota units / 호출). 사용자당 초당 250 units 한도.
+// https://developers.google.com/gmail/api/reference/quota
+const QUOTA_UNITS = {
+  'messages.list': 5,
+  'messages.get': 5,
+  'messages.modify': 5,
+  'history.list': 2,
+  'labels.list': 1,
+  'getProfile': 1
+};
+
+/**
+ * 동시성 제한 map - 최대 concurrency개 작업만 동시에 실행, 결과는 입력 순서대로 반환
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {(item, index) => Promise<any>} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
 
 class GmailFetcher {
-  constructor(credentialsDir) {
+  constructor(credentialsDir, options = {}) {
     this.credentialsDir = credentialsDir || path.join(__dirname, '..', 'config', 'credentials');
+    // 계정별 토큰 경로 (다중 계정: accounts.js). 기본은 credentialsDir/token.json
+    this.tokenPath = options.tokenPath || path.join(this.credentialsDir, 'token.json');
     this.gmail = null;
+    // 증분 동기화(history API) 커서 저장 위치: 라벨별 마지막 historyId (런타임 생성, gitignored)
+    this.syncStatePath = options.syncStatePath || path.join(__dirname, '..', 'config', 'gmail_sync_state.json');
+    this._syncState = null;
     // 재시도 설정 (Gmail API 429/500 대비 넉넉하게)
     this.retryDelays = [2000, 5000, 10000, 20000, 30000];
+
+    // 메시지 본문 동시 다운로드 수 (GMAIL_FETCH_CONCURRENCY로 재정의)
+    this.fetchConcurrency = options.fetchConcurrency
+      || parseInt(process.env.GMAIL_FETCH_CONCURRENCY, 10) || 5;
+    // 쿼터 페이싱: 초당 사용 가능한 quota units (Gmail 한도 250의 80% → 여유 확보)
+    this.quotaUnitsPerSecond = options.quotaUnitsPerSecond || 200;
+    this._nextQuotaSlot = 0;
   }
 
   /**
-   * 재시도 래퍼
+   * 쿼터 페이싱 - 호출 단가만큼 다음 슬롯을 예약하고, 슬롯이 올 때까지 대기 (leaky bucket)
+   * 병렬 워커가 공유하므로 동시성을 올려도 초당 쿼터를 넘지 않는다.
+   */
+  async acquireQuota(units) {
+    if (!units || !this.quotaUnitsPerSecond) return;
+    const now = Date.now();
+    const slot = Math.max(now, this._nextQuotaSlot);
+    this._nextQuotaSlot = slot + (units / this.quotaUnitsPerSecond) * 1000;
+    if (slot > now) {
+      await this.sleep(slot - now);
+    }
+  }
+
+  /**
+   * 재시도 래퍼 (쿼터 페이싱 포함)
+   *   operationName의 API명(예: 'messages.get(ab12cd34)' → messages.get)으로 쿼터 단가를 찾는다.
+   *   429(쿼터 초과) 시 공유 슬롯도 뒤로 밀어 다른 병렬 워커까지 함께 물러나게 한다.
    */
   async withRetry(operation, operationName) {
+    const units = QUOTA_UNITS[String(operationName).split('(')[0]] || 0;
     let lastError;
     for (let i = 0; i <= this.retryDelays.length; i++) {
       try {
+        await this.acquireQuota(units);
         return await operation();
       } catch (error) {
         lastError = error;
@@ -29,7 +94,10 @@ class GmailFetcher {
 
         if (isRetryable && i < this.retryDelays.length) {
           const delay = this.retryDelays[i];
-          console.log(`  ${operationName} 실패, ${delay/1000}초 후 재시도 (${i + 1}/${this.retryDelays.length}): ${error.message}`);
+          if (error.response?.status === 429) {
+            this._nextQuotaSlot = Math.max(this._nextQuotaSlot, Date.now() + delay);
+          }
+          log.warn(`  ${operationName} 실패, ${delay/1000}초 후 재시도 (${i + 1}/${this.retryDelays.length}): ${error.message}`);
           await this.sleep(delay);
           continue;
         }
@@ -69,11 +137,11 @@ class GmailFetcher {
    * Gmail API 인증
    */
   async authenticate() {
-    const tokenPath = path.join(this.credentialsDir, 'token.json');
+    const tokenPath = this.tokenPath;
     const clientSecretPath = path.join(this.credentialsDir, 'client_secret.json');
 
     if (!fs.existsSync(tokenPath)) {
-      throw new Error('token.json not found. Run npm run auth first.');
+      throw new Error(`${path.basename(tokenPath)} not found. Run npm run auth first.`);
     }
 
     let token;
@@ -163,7 +231,7 @@ class GmailFetcher {
     const labelQuery = `(${labelParts.join(' OR ')})`;
     const query = `${labelQuery} after:${dateStart} before:${dateEnd}`;
 
-    console.log(`Query: ${query}`);
+    log.info(`Query: ${query}`);
 
     const allMessages = [];
     let pageToken = null;
@@ -185,10 +253,128 @@ class GmailFetcher {
       pageToken = response.data.nextPageToken;
     } while (pageToken);
 
-    console.log(`Fetched from API: ${allMessages.length} messages`);
+    log.info(`Fetched from API: ${allMessages.length} messages`);
+    return allMessages;
+  }
+
+  /**
+   * 현재 메일함 historyId 조회 (증분 동기화 커서)
+   */
+  async getCurrentHistoryId() {
+    const res = await this.withRetry(
+      () => this.gmail.users.getProfile({ userId: 'me' }),
+      'getProfile'
+    );
+    return res.data && res.data.historyId ? String(res.data.historyId) : null;
+  }
+
+  /**
+   * startHistoryId가 만료/무효인지 판별 (Gmail은 404로 응답 → 전체 목록 조회로 폴백)
+   */
+  isHistoryExpiredError(error) {
+    const status = error && (error.response?.status || error.code);
+    return status === 404 || status === '404';
+  }
+
+  /**
+   * history API로 startHistoryId 이후 라벨에 새로 들어온 메시지 목록 (재시도 포함)
+   *   messageAdded(새 수신) + labelAdded(나중에 라벨이 붙은 메일) 모두 수집.
+   *   history.list는 라벨 ID 하나만 받으므로 상위/하위 라벨별로 조회 후 id 기준 합친다.
+   * @returns {Array<{id:string}>} listMessages와 동일한 형태
+   */
+  async listHistoryMessages(options) {
+    const { label, subLabels, startHistoryId } = options;
+    const labelIdMap = await this.getLabelIdNameMap();
+    const nameToId = new Map();
+    for (const [id, name] of labelIdMap) nameToId.set(name.toLowerCase(), id);
+
+    const labelNames = [label, ...(subLabels || [])].map(n => n.trim()).filter(Boolean);
+    const labelIds = labelNames.map(n => nameToId.get(n.toLowerCase())).filter(Boolean);
+    if (labelIds.length === 0) {
+      const error = new Error(`라벨 ID 조회 실패: ${labelNames.join(', ')}`);
+      error.isLabelUnresolved = true;
+      throw error;
+    }
+
+    log.info(`History: ${labelNames.join(' OR ')} since historyId ${startHistoryId}`);
+
+    const seen = new Set();
+    const allMessages = [];
+    for (const labelId of labelIds) {
+      let pageToken = null;
+      do {
+        const response = await this.withRetry(
+          () => this.gmail.users.history.list({
+            userId: 'me',
+            startHistoryId,
+            labelId,
+            historyTypes: ['messageAdded', 'labelAdded'],
+            pageToken
+          }),
+          'history.list'
+        );
+
+        for (const h of (response.data.history || [])) {
+          const added = [
+            ...(h.messagesAdded || []),
+            // labelAdded는 해당 라벨이 실제로 붙은 이벤트만 (다른 라벨 추가는 무시)
+            ...(h.labelsAdded || []).filter(l => (l.labelIds || []).includes(labelId))
+          ];
+          for (const entry of added) {
+            const id = entry.message && entry.message.id;
+            if (!id || seen.has(id)) continue;
+            seen.add(id);
+            allMessages.push({ id, threadId: entry.message.threadId });
+          }
+        }
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    }
+
+    log.info(`Fetched from history: ${allMessages.length} messages`);
     return allMessages;
   }
 
+  /**
+   * 동기화 상태 로드 (캐시). 파일 없음/손상 시 빈 상태.
+   */
+  loadSyncState() {
+    if (this._syncState) return this._syncState;
+    this._syncState = { labels: {} };
+    if (fs.existsSync(this.syncStatePath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.syncStatePath, 'utf8'));
+        if (data && data.labels) this._syncState = data;
+      } catch (e) {
+        log.warn(`  gmail_sync_state.json 파싱 실패, 초기화: ${e.message}`);
+      }
+    }
+    return this._syncState;
+  }
+
+  /**
+   * 라벨의 마지막 동기화 historyId (없으면 null)
+   */
+  getSyncCursor(key) {
+    const entry = this.loadSyncState().labels[key];
+    return entry && entry.history_id ? String(entry.history_id) : null;
+  }
+
+  /**
+   * 라벨 동기화 커서 저장 (즉시 기록)
+   *   라벨 처리가 끝난 뒤에만 호출해야 한다 → 중간 실패 시 다음 런이 같은 구간을 다시 가져감.
+   */
+  saveSyncCursor(key, historyId) {
+    if (!key || !historyId) return;
+    const state = this.loadSyncState();
+    state.labels[key] = { history_id: String(historyId), updated_at: new Date().toISOString() };
+    const dir = path.dirname(this.syncStatePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.syncStatePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+
   /**
    * Gmail 라벨 ID→이름 맵 (1회 조회 후 캐시).
    * 메일이 실제로 어떤 라벨들을 갖는지 파악해 라벨 중복 가드에 사용.
@@ -203,7 +389,7 @@ class GmailFetcher {
       );
       for (const l of (res.data.labels || [])) this._labelIdNameMap.set(l.id, l.name);
     } catch (e) {
-      console.warn(`  라벨 목록 조회 실패(가드 비활성): ${e.message}`);
+      log.warn(`  라벨 목록 조회 실패(가드 비활성): ${e.message}`);
     }
     return this._labelIdNameMap;
   }
@@ -380,54 +566,121 @@ class GmailFetcher {
     return msgDate >= targetStart && msgDate <= targetEnd;
   }
 
+  /**
+   * history 동기화용 메시지 목록 결정
+   *   저장된 커서가 있으면 history API로 그 이후 추가분만, 없거나 만료(404)면 null(→ 날짜 범위 조회).
+   *   새 커서(history_id)는 목록 조회 "전에" 캡처 → 조회 중 도착한 메일은 다음 런이 가져간다(누락 0).
+   * @returns {{messageList: Array|null, sync: object}}
+   */
+  async resolveHistorySync({ label, subLabels, syncKey }) {
+    const sync = { mode: 'window', start_history_id: null, history_id: null };
+    try {
+      sync.history_id = await this.getCurrentHistoryId();
+    } catch (error) {
+      log.warn(`  historyId 조회 실패 → 날짜 범위 조회로 폴백: ${error.message}`);
+      return { messageList: null, sync };
+    }
+
+    const startHistoryId = this.getSyncCursor(syncKey);
+    if (!startHistoryId) {
+      log.info('  저장된 historyId 없음 → 날짜 범위 조회 (첫 동기화)');
+      return { messageList: null, sync };
+    }
+
+    try {
+      const messageList = await this.listHistoryMessages({ label, subLabels, startHistoryId });
+      sync.mode = 'history';
+      sync.start_history_id = startHistoryId;
+      return { messageList, sync };
+    } catch (error) {
+      if (!this.isHistoryExpiredError(error) && !error.isLabelUnresolved) throw error;
+      log.info(`  history 동기화 불가(${error.message}) → 날짜 범위 조회로 폴백`);
+      return { messageList: null, sync };
+    }
+  }
+
   /**
    * 메시지 수집 및 저장
+   * @param {Object} options
+   * @param {'window'|'history'} [options.syncMode='window'] - history면 저장된 커서 이후 추가분만 수집
+   * @param {string} [options.syncKey] - 동기화 커서 키 (기본: label)
    */
   async fetchMessages(options) {
     const { label, subLabels, dateStart, dateEnd, targetDate, rangeStart, rangeEnd, outputDir } = options;
+    const syncMode = options.syncMode || 'window';
+    const subLabelList = subLabels ? subLabels.split(',') : [];
 
     // 출력 디렉토리 생성
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    // 메시지 목록 가져오기
-    const messageList = await this.listMessages({
-      label,
-      subLabels: subLabels ? subLabels.split(',') : [],
-      dateStart,
-      dateEnd
-    });
+    // 메시지 목록 가져오기 (history 커서 우선, 없으면 날짜 범위)
+    let messageList = null;
+    let sync = null;
+    if (syncMode === 'history') {
+      ({ messageList, sync } = await this.resolveHistorySync({
+        label,
+        subLabels: subLabelList,
+        syncKey: options.syncKey || label
+      }));
+    }
+    if (!messageList) {
+      messageList = await this.listMessages({
+        label,
+        subLabels: subLabelList,
+        dateStart,
+        dateEnd
+      });
+    }
 
-    if (rangeStart && rangeEnd) {
-      console.log(`Time Range: ${rangeStart} ~ ${rangeEnd}`);
+    // history 모드에선 커서가 곧 수집 범위 → 날짜 재필터링 안 함(경계 누락 방지)
+    const applyDateFilter = !(sync && sync.mode === 'history') && ((rangeStart && rangeEnd) || targetDate);
+
+    if (sync && sync.mode === 'history') {
+      log.info(`Sync: history ${sync.start_history_id} → ${sync.history_id}`);
+    } else if (rangeStart && rangeEnd) {
+      log.info(`Time Range: ${rangeStart} ~ ${rangeEnd}`);
     } else if (targetDate) {
-      console.log(`Target Date (KST): ${targetDate}`);
+      log.info(`Target Date (KST): ${targetDate}`);
     }
 
     const seenHashes = new Map();
     const filteredMessages = [];
     const duplicateIds = [];
     const skippedByDate = [];
+    const failedIds = [];      // 다운로드·저장 실패 (history 커서를 이 메일들 뒤로 넘기지 않도록 결과에 남김)
     const senders = new Map(); // 발신자 집계용
 
-    for (const msg of messageList) {
-      const msgId = msg.id;
-      console.log(`Fetching: ${msgId}`);
+    // 메일의 실제 Gmail 라벨 이름 맵 (중복 가드용, 1회 조회)
+    const labelIdMap = await this.getLabelIdNameMap();
+
+    // 1) 본문 병렬 다운로드 (동시성 제한 + 쿼터 페이싱). 결과는 목록 순서대로 보관.
+    const downloads = await mapWithConcurrency(messageList, this.fetchConcurrency, async (msg) => {
+      log.debug(`Fetching: ${msg.id}`, { messageId: msg.id });
+      try {
+        return { msgData: await this.getMessage(msg.id) };
+      } catch (error) {
+        return { error };
+      }
+    });
+
+    // 2) 필터링·중복 감지·저장은 목록 순서대로 → 동시성과 무관하게 결과 동일(먼저 나온 메일이 원본)
+    for (let i = 0; i < messageList.length; i++) {
+      const msgId = messageList[i].id;
+      const { msgData, error: downloadError } = downloads[i];
 
       try {
-        const msgData = await this.getMessage(msgId);
+        if (downloadError) throw downloadError;
         const headers = this.extractHeaders(msgData);
         const { subject, from, date } = headers;
 
-        // 메일의 실제 Gmail 라벨 이름 (중복 가드용)
-        const labelIdMap = await this.getLabelIdNameMap();
         const gmailLabels = (msgData.labelIds || []).map(id => labelIdMap.get(id)).filter(Boolean);
 
         // 시간 범위 필터링
-        if ((rangeStart && rangeEnd) || targetDate) {
+        if (applyDateFilter) {
           if (!this.isInDateRange(date, rangeStart, rangeEnd, targetDate)) {
-            console.log(`  Skipped (out of range)`);
+            log.info(`  ${msgId}: Skipped (out of range)`, { messageId: msgId });
             skippedByDate.push(msgId);
             continue;
           }
@@ -439,7 +692,7 @@ class GmailFetcher {
         // 중복 감지
         const contentHash = `${subject}|${from}|${htmlBody.length}`;
         if (seenHashes.has(contentHash)) {
-          console.log(`  Skipped (duplicate of ${seenHashes.get(contentHash)})`);
+          log.info(`  ${msgId}: Skipped (duplicate of ${seenHashes.get(contentHash)})`, { messageId: msgId });
           duplicateIds.push(msgId);
           continue;
         }
@@ -476,10 +729,11 @@ class GmailFetcher {
         fs.writeFileSync(msgPath, JSON.stringify(msgResult, null, 2), 'utf8');
 
         filteredMessages.push({ id: msgId });
-        console.log(`  OK: ${subject} (HTML: ${htmlBody.length}) [KST: ${dateKstStr}]`);
+        log.info(`  ${msgId}: OK: ${subject} (HTML: ${htmlBody.length}) [KST: ${dateKstStr}]`, { messageId: msgId });
 
       } catch (error) {
-        console.log(`  Error: ${error.message}`);
+        log.warn(`  ${msgId}: Error: ${error.message}`, { messageId: msgId, error: error.message });
+        failedIds.push(msgId);
         continue;
       }
     }
@@ -495,21 +749,33 @@ class GmailFetcher {
       skipped_by_date: skippedByDate.length,
       duplicates_count: duplicateIds.length,
       duplicates: duplicateIds,
+      failed: failedIds,
       messages: filteredMessages,
-      senders: Array.from(senders.values()) // 발신자 목록 추가
+      senders: Array.from(senders.values()), // 발신자 목록 추가
+      sync // history 모드일 때만 (라벨 처리 완료 후 orchestrator가 커서 커밋)
     };
 
     const resultPath = path.join(outputDir, 'messages_list.json');
     fs.writeFileSync(resultPath, JSON.stringify(result, null, 2), 'utf8');
 
-    console.log('');
-    console.log('=== Summary ===');
-    console.log(`Fetched: ${messageList.length}`);
-    console.log(`Skipped by KST date: ${skippedByDate.length}`);
-    console.log(`Duplicates: ${duplicateIds.length}`);
-    console.log(`Final: ${filteredMessages.length}`);
-    console.log(`Unique senders: ${senders.size}`);
-    console.log('Done!');
+    log.info('');
+    log.info('=== Summary ===');
+    log.info(`Fetched: ${messageList.length}`);
+    log.info(`Skipped by KST date: ${skippedByDate.length}`);
+    log.info(`Duplicates: ${duplicateIds.length}`);
+    log.info(`Failed: ${failedIds.length}`);
+    log.info(`Final: ${filteredMessages.length}`);
+    log.info(`Unique senders: ${senders.size}`);
+    log.info('Done!');
+    log.debug('수집 요약', {
+      event: 'fetch_summary',
+      fetched: messageList.length,
+      skipped_by_date: skippedByDate.length,
+      duplicates: duplicateIds.length,
+      failed: failedIds.length,
+      final: filteredMessages.length,
+      senders: senders.size
+    });
 
     return result;
   }
@@ -535,7 +801,7 @@ class GmailFetcher {
           removeLabelIds: ['UNREAD']
         }
       }),
-      `markAsRead(${messageId.substring(0, 8)})`
+      `messages.modify(${messageId.substring(0, 8)})`
     );
   }
 
@@ -553,12 +819,12 @@ class GmailFetcher {
         await this.markAsRead(messageId);
         success++;
       } catch (error) {
-        console.log(`  읽음 표시 실패 (${messageId}): ${error.message}`);
+        log.warn(`  읽음 표시 실패 (${messageId}): ${error.message}`, { messageId, error: error.message });
         failed++;
       }
     }
 
-    console.log(`읽음 표시 완료: 성공 ${success}개, 실패 ${failed}개`);
+    log.info(`읽음 표시 완료: 성공 ${success}개, 실패 ${failed}개`);
     return { success, failed };
   }
 }
@@ -604,4 +870,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { GmailFetcher };
+module.exports = { GmailFetcher, mapWithConcurrency };
@@ -17,6 +17,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { describeBudget } = require('./cost_budget');
 
 // ============================================
 // 라벨별 색상 시스템
@@ -310,6 +311,7 @@ function renderStatsBento(runStats, allLabelsData) {
   let tokensStr = '-';
   let costStr = '-';
   let callsStr = '-';
+  const budgetNote = describeBudget(runStats && runStats.budget);
 
   if (runStats) {
     const durMs = runStats.duration_ms || 0;
@@ -356,7 +358,8 @@ function renderStatsBento(runStats, allLabelsData) {
         <span class="stats-system-item"><span class="stats-system-label">토큰</span> ${tokensStr}</span>
         <span class="stats-system-divider">·</span>
         <span class="stats-system-item"><span class="stats-system-label">비용</span> ${costStr}</span>
-      </div>`;
+      </div>${budgetNote ? `
+      <div class="stats-budget-note${runStats.budget.truncated ? ' stats-budget-truncated' : ''}">${escapeHtml(budgetNote)}</div>` : ''}`;
 }
 
 // ============================================
@@ -828,6 +831,20 @@ function generateStyles(labelColorCss) {
       color: var(--text-subtle);
       opacity: 0.5;
     }
+    .stats-budget-note {
+      margin-top: 0.6rem;
+      padding: 0.45rem 0.7rem;
+      border-radius: 8px;
+      background: var(--bg);
+      font-size: 0.72rem;
+      font-weight: 600;
+      color: var(--text-muted);
+      text-align: center;
+    }
+    .stats-budget-truncated {
+      background: #fff4e5;
+      color: #b45309;
+    }
     @media (max-width: 480px) {
       .stats-bento { grid-template-columns: repeat(3, 1fr); gap: 0.4rem; }
       .stats-bento-value { font-size: 1.2rem; }
@@ -2053,12 +2070,16 @@ function generateCombinedFromMergedFiles(mergedDir, outputPath, date) {
     }
   }
 
-  // 제외 메일 (라벨 데이터에 포함되어 있을 수 있음)
+  // 제외 메일·정크 아이템 (라벨 데이터에 포함되어 있을 수 있음)
   const allExcluded = [];
   for (const data of allLabelsData) {
     if (data.excluded?.length > 0) {
       allExcluded.push(...data.excluded.map(e => ({ ...e, label: data.label })));
     }
+    // 정크 필터로 빠진 아이템 (junk_filter.js) - 메일 단위 제외와 같은 탭에 사유별로
+    if (data.dropped?.length > 0) {
+      allExcluded.push(...data.dropped.map(d => ({ subject: d.title, from: d.source, reason: d.reason, label: data.label })));
+    }
   }
 
   const filteredLabelsData = allLabelsData.filter(d => d.items?.length > 0);
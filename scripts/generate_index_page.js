@@ -7,6 +7,9 @@
  *     (예: gh-pages 브랜치 worktree 경로)
  *
  * 출력: <base-dir>/index.html, <base-dir>/reports/index.html
+ *
+ * reports/<날짜>.manifest.json(gh_pages 발행기가 함께 올리는 런 매니페스트 요약)이 있으면
+ * 날짜 옆에 아이템 수와 라벨을 표시한다. 없으면(매니페스트 도입 전 리포트) 날짜만.
  */
 
 const fs = require('fs');
@@ -43,9 +46,23 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
-function listReports() {
-  if (!fs.existsSync(REPORTS_DIR)) return [];
-  const files = fs.readdirSync(REPORTS_DIR)
+/**
+ * 리포트 옆 매니페스트 요약 → { items, labels } (없거나 손상이면 null)
+ */
+function readReportSummary(reportsDir, dateStr) {
+  const summaryPath = path.join(reportsDir, `${dateStr}.manifest.json`);
+  if (!fs.existsSync(summaryPath)) return null;
+  try {
+    const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+    return { items: summary.totals.items, labels: summary.labels.map(l => l.name) };
+  } catch (e) {
+    return null;
+  }
+}
+
+function listReports(reportsDir = REPORTS_DIR) {
+  if (!fs.existsSync(reportsDir)) return [];
+  const files = fs.readdirSync(reportsDir)
     .filter(f => f.endsWith('.html') && f !== 'index.html')
     .sort()
     .reverse(); // 최신 우선
@@ -64,7 +81,7 @@ function listReports() {
       displayDate = `20${yymmddMatch[1]}년 ${yymmddMatch[2]}월 ${yymmddMatch[3]}일`;
     }
 
-    return { filename, displayDate, dateStr };
+    return { filename, displayDate, dateStr, summary: readReportSummary(reportsDir, dateStr) };
   });
 }
 
@@ -83,6 +100,7 @@ function generateIndexHtml(reports) {
       <li>
         <a href="reports/${escapeHtml(r.filename)}">
           <span class="date">${escapeHtml(r.displayDate)}</span>
+          ${r.summary ? `<span class="meta">${r.summary.items}개 · ${escapeHtml(r.summary.labels.join(', '))}</span>` : ''}
           <span class="arrow">→</span>
         </a>
       </li>
@@ -182,6 +200,16 @@ function generateIndexHtml(reports) {
       font-size: 0.95rem;
       font-weight: 500;
     }
+    .meta {
+      flex: 1;
+      margin: 0 1rem;
+      color: var(--text-muted);
+      font-size: 0.85rem;
+      text-align: right;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
     .arrow {
       color: var(--text-muted);
       font-size: 1.1rem;
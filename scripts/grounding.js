@@ -0,0 +1,193 @@
+/**
+ * 원문 근거 검증 (grounding) — 요약의 수치·금액·비율·고유명사가 원문(clean_text)에 있는지 확인
+ *
+ * 2026-06-24 감사에서 김범석→김봉진, $57B→57억 같은 환각이 병합까지 그대로 살아남았다.
+ * LLM 없이 결정적으로:
+ *   - 수치: 한국어 단위(천/만/억/조)와 영어 단위(K/M/B/T, million/billion)를 값으로 환산해 비교
+ *           → "$57B" 원문에 "570억 달러"는 통과, "57억 달러"는 불일치
+ *   - 비율: 같은 방식으로 값 비교 (%, %p, 퍼센트, percent)
+ *   - 고유명사: 라틴 문자 고유명사(OpenAI, HBM4 등) + 직함 앞 한글 이름("김범석 의장")
+ *               한글 이름은 원문이 한국어일 때만 검사 (영문 원문 음역은 확인 불가)
+ *
+ * 점수 = 원문에서 확인된 주장 수 / 검사한 주장 수 (검사할 주장이 없으면 1).
+ * 통화 환산($ → 원)처럼 원문에 없는 계산값은 불일치로 잡힌다 — 경고 배지일 뿐 아이템을 지우지 않는다.
+ */
+
+const DEFAULT_THRESHOLD = 0.7;
+
+// 반올림 허용 오차 ("$57.3B" ↔ "약 570억 달러")
+const RELATIVE_TOLERANCE = 0.02;
+
+const KO_SMALL = { '십': 10, '백': 100, '천': 1000 };
+const KO_BIG = { '만': 1e4, '억': 1e8, '조': 1e12 };
+const EN_SCALE = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12
+};
+
+const NUM = String.raw`\d[\d,]*(?:\.\d+)?`;
+// 앞이 영문/숫자인 경우(HBM4, GPT-5의 5 등)는 수치가 아니라 이름의 일부
+const NOT_IN_WORD = String.raw`(?<![A-Za-z\d.\-])`;
+const PERCENT_RE = new RegExp(`${NOT_IN_WORD}(${NUM})\\s?(%p|%|퍼센트포인트|퍼센트|percentage points?|percent|pct)`, 'gi');
+const KO_PART = `${NUM}\\s?(?:[십백천][만억조]?|[만억조])`;
+const KO_AMOUNT_RE = new RegExp(`${NOT_IN_WORD}${KO_PART}(?:\\s?${KO_PART})*`, 'g');
+const KO_PART_RE = new RegExp(`(${NUM})\\s?([십백천]?)([만억조]?)`, 'g');
+const EN_NUMBER_RE = new RegExp(
+  `(?:(US\\$|[$€£¥₩])\\s?)?${NOT_IN_WORD}(${NUM})(?:\\s?(trillion|billion|million|thousand|tn|bn|mn|[KMBT])(?![A-Za-z]))?`, 'gi');
+
+// 원문 표기와 무관하게 요약에 자주 나오는 약어 (검사 제외)
+const COMMON_ACRONYMS = new Set([
+  'AI', 'CEO', 'CFO', 'CTO', 'COO', 'IPO', 'GDP', 'CPI', 'PPI', 'US', 'USA', 'EU', 'UK', 'UN', 'IT',
+  'ETF', 'M&A', 'R&D', 'YOY', 'QOQ', 'Q1', 'Q2', 'Q3', 'Q4', 'H1', 'H2', 'KST', 'PM', 'AM', 'VS', 'OK'
+]);
+
+// 한글 이름 뒤에 오는 직함 — "김범석 의장" → 김범석
+const KO_NAME_RE = /([가-힣]{2,4})\s?(?:대표이사|대표|부회장|회장|의장|사장|장관|차관|대통령|총리|위원장|교수|의원|창업자|최고경영자|이사장|총재|원장|청장|지사|시장)(?![가-힣])/g;
+
+function toNumber(str) {
+  return parseFloat(String(str).replace(/,/g, ''));
+}
+
+/**
+ * 텍스트의 수치 표현 → [{text, value, type: 'percent'|'amount'|'number'}]
+ * 비율 → 한국어 단위 → 나머지 숫자 순으로 잡고, 이미 잡힌 구간은 다시 세지 않는다.
+ */
+function extractNumbers(text) {
+  const found = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+  const take = (m, value, type) => {
+    const start = m.index;
+    const end = start + m[0].length;
+    if (overlaps(start, end) || !Number.isFinite(value)) return;
+    taken.push([start, end]);
+    found.push({ text: m[0].trim(), value, type });
+  };
+
+  for (const m of text.matchAll(PERCENT_RE)) take(m, toNumber(m[1]), 'percent');
+
+  for (const m of text.matchAll(KO_AMOUNT_RE)) {
+    // "2천500억" = (2천 + 500) × 억, "1조 2천억" = 1조 + 2천 × 억
+    let total = 0;
+    let pending = 0;
+    for (const p of m[0].matchAll(KO_PART_RE)) {
+      pending += toNumber(p[1]) * (KO_SMALL[p[2]] || 1);
+      if (p[3]) {
+        total += pending * KO_BIG[p[3]];
+        pending = 0;
+      }
+    }
+    take(m, total + pending, 'amount');
+  }
+
+  for (const m of text.matchAll(EN_NUMBER_RE)) {
+    const currency = m[1];
+    let scaleWord = (m[3] || '').toLowerCase();
+    // 한 글자 단위(57B, 3M)는 통화 기호가 있을 때만 (5m=5미터 등 오인 방지)
+    if (scaleWord.length === 1 && !currency) scaleWord = '';
+    const scale = EN_SCALE[scaleWord] || 1;
+    take(m, toNumber(m[2]) * scale, currency || scale > 1 ? 'amount' : 'number');
+  }
+
+  return found;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  return Math.abs(a - b) <= RELATIVE_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+}
+
+function hangulRatio(text) {
+  const letters = text.match(/[A-Za-z가-힣]/g) || [];
+  if (letters.length === 0) return 0;
+  return letters.filter(c => c >= '가').length / letters.length;
+}
+
+/**
+ * 요약 텍스트의 고유명사 후보 → [{text, type: 'name'}]
+ */
+function extractNames(text, { korean }) {
+  const names = [];
+  for (const m of text.matchAll(/(?<![A-Za-z\d])[A-Z][A-Za-z\d]*(?:[-&.][A-Za-z\d]+)*/g)) {
+    const token = m[0].replace(/\.$/, '');
+    if (token.length < 2 || COMMON_ACRONYMS.has(token.toUpperCase())) continue;
+    names.push({ text: token, type: 'name' });
+  }
+  if (korean) {
+    for (const m of text.matchAll(KO_NAME_RE)) names.push({ text: m[1], type: 'name' });
+  }
+  return names;
+}
+
+/**
+ * 요약(또는 제목+요약)의 주장을 원문과 대조
+ * @param {string} text - 검사할 텍스트
+ * @param {string} sourceText - 원문 (clean_text)
+ * @returns {{score: number, checked: number, unsupported: Array<{text: string, type: string}>}}
+ */
+function checkGrounding(text, sourceText) {
+  const source = String(sourceText || '');
+  const sourceValues = extractNumbers(source).map(n => n.value);
+  const sourceLower = source.toLowerCase();
+  const sourceCompact = source.replace(/\s+/g, '');
+
+  const claims = [
+    // 10 미만 맨 숫자("3개 기업", "2분기")는 원문이 단어(three)로 쓰는 경우가 많아 제외
+    ...extractNumbers(String(text || '')).filter(n => n.type !== 'number' || n.value >= 10),
+    ...extractNames(String(text || ''), { korean: hangulRatio(source) >= 0.2 })
+  ];
+
+  const seen = new Set();
+  const unsupported = [];
+  let checked = 0;
+  for (const claim of claims) {
+    const key = `${claim.type}:${claim.text}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    checked++;
+    const supported = claim.type === 'name'
+      ? sourceLower.includes(claim.text.toLowerCase()) || sourceCompact.includes(claim.text)
+      : sourceValues.some(v => sameValue(v, claim.value));
+    if (!supported) unsupported.push({ text: claim.text, type: claim.type });
+  }
+
+  const score = checked === 0 ? 1 : +((checked - unsupported.length) / checked).toFixed(2);
+  return { score, checked, unsupported };
+}
+
+/**
+ * 아이템에 grounding 필드 부착
+ *   grounding: 0~1 점수, grounding_unsupported: 원문에 없는 표현 목록,
+ *   grounding_warning: 임계값 미만일 때만 true (리포트 경고 배지)
+ * 원문이 없으면(clean 파일 유실 등) 검사하지 않고 그대로 반환.
+ */
+function groundItem(item, sourceText, threshold = DEFAULT_THRESHOLD) {
+  if (!item || !sourceText) return item;
+  const { grounding, grounding_unsupported, grounding_warning, ...rest } = item;
+  const result = checkGrounding(`${item.title || ''}\n${item.summary || ''}`, sourceText);
+  return {
+    ...rest,
+    grounding: result.score,
+    ...(result.unsupported.length > 0 ? { grounding_unsupported: result.unsupported.map(u => u.text) } : {}),
+    ...(result.score < threshold ? { grounding_warning: true } : {})
+  };
+}
+
+/**
+ * 아이템 목록 평균 점수 (재추출 결과 비교용). 점수 없는 아이템은 1로 본다.
+ */
+function meanGrounding(items) {
+  if (!items || items.length === 0) return 1;
+  return items.reduce((s, it) => s + (typeof it.grounding === 'number' ? it.grounding : 1), 0) / items.length;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  extractNumbers,
+  extractNames,
+  checkGrounding,
+  groundItem,
+  meanGrounding
+};
@@ -0,0 +1,386 @@
+/**
+ * 아이템 아카이브 — 날짜를 넘어 누적되는 병합 아이템 저장소 + 전문 검색
+ *
+ * 일별 MD/HTML만 남으면 "지난달 HBM 관련 기사"를 찾으려면 Markdown을 grep해야 한다.
+ * 실행마다 병합 아이템을 로컬 아카이브에 쌓고, 순수 JS 역색인으로 검색한다.
+ *
+ * 저장 구조 (기본 output/archive, ARCHIVE_DIR로 변경):
+ *   items/YYYY-MM.jsonl  월 단위 세그먼트 (한 줄 = 아이템 1개)
+ *   index/YYYY-MM.json   세그먼트별 역색인 { terms: { 어휘: [줄 번호...] } }
+ * 세그먼트와 색인은 항상 같이 다시 쓴다 (부분 갱신 없음 → 둘이 어긋나지 않음).
+ *
+ * 같은 날짜·라벨을 다시 넣으면 그 날짜·라벨의 기존 아이템을 교체한다 (재실행·백필 재추출 시 최신 결과만 유지).
+ *
+ * 사용법:
+ *   npm run search -- "HBM" --since 2026-09-01 --label IT     # 검색 (기본 20건)
+ *   npm run search -- "삼성 파운드리" --format csv --out hbm.csv  # 내보내기 (csv | json, 기본 전체)
+ *   npm run search -- --import-backfill 20260501              # output/backfill/<날짜> 가져오기 (all = 전부)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_ARCHIVE_DIR = path.join(PROJECT_ROOT, 'output', 'archive');
+const BACKFILL_DIR = path.join(PROJECT_ROOT, 'output', 'backfill');
+const INDEX_VERSION = 2;   // 2: 한글·라틴 혼합 어절 분리 (이전 색인은 읽을 때 다시 만듦)
+
+// 아카이브에 남기는 아이템 필드 (source_excerpt 등 대용량·디버깅 필드는 제외)
+const ARCHIVE_FIELDS = ['title', 'summary', 'keywords', 'link', 'source', 'message_id', 'account', 'also_in'];
+const CSV_COLUMNS = ['date', 'label', 'title', 'summary', 'source', 'link', 'keywords'];
+
+/**
+ * 색인 어휘: 한글은 음절 bigram(조사가 붙어도 겹치도록, 한 글자 어절은 그대로), 그 외는 2자 이상 단어.
+ * "HBM3E가"처럼 라틴 단어에 조사가 붙은 어절은 한글·비한글 부분으로 나눠 각각 색인한다.
+ */
+function tokenize(text) {
+  const out = new Set();
+  const words = (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .flatMap(word => word.match(/[가-힣]+|[^가-힣]+/g));
+  for (const word of words) {
+    if (/[가-힣]/.test(word)) {
+      if (word.length === 1) out.add(word);
+      for (let i = 0; i < word.length - 1; i++) out.add(word.slice(i, i + 2));
+    } else if (word.length >= 2) {
+      out.add(word);
+    }
+  }
+  return out;
+}
+
+function searchText(record) {
+  const keywords = Array.isArray(record.keywords) ? record.keywords.join(' ') : '';
+  return [record.title, record.summary, keywords, record.source].join(' ').toLowerCase();
+}
+
+function recordId(record) {
+  const key = [record.date, record.label, record.link || '', record.title || ''].join('|');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * merged_<label>.json 데이터 → 아카이브 레코드
+ * @param {Object} mergedData - { label, items }
+ * @param {{date: string, runId?: string, origin?: string}} meta - date는 YYYY-MM-DD (리포트 날짜)
+ */
+function recordsFromMerged(mergedData, meta) {
+  if (!mergedData || !Array.isArray(mergedData.items)) return [];
+  return mergedData.items.filter(it => it && it.title).map(it => {
+    const record = { date: meta.date, label: mergedData.label || meta.label || '', run_id: meta.runId || '', origin: meta.origin || 'digest' };
+    for (const field of ARCHIVE_FIELDS) {
+      if (it[field] !== undefined && it[field] !== '') record[field] = it[field];
+    }
+    return { id: recordId(record), ...record };
+  });
+}
+
+/**
+ * YYYYMMDD(Run ID) → YYYY-MM-DD
+ */
+function dateFromRunId(runId) {
+  const m = String(runId).match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+class ItemArchive {
+  /**
+   * @param {string} [dir] - 아카이브 루트
+   */
+  constructor(dir = process.env.ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR) {
+    this.dir = dir;
+    this.itemsDir = path.join(dir, 'items');
+    this.indexDir = path.join(dir, 'index');
+  }
+
+  segments() {
+    if (!fs.existsSync(this.itemsDir)) return [];
+    return fs.readdirSync(this.itemsDir)
+      .filter(f => /^\d{4}-\d{2}\.jsonl$/.test(f))
+      .map(f => f.replace(/\.jsonl$/, ''))
+      .sort();
+  }
+
+  readSegment(segment) {
+    const file = path.join(this.itemsDir, `${segment}.jsonl`);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;   // 손상 줄도 자리는 유지 (색인의 줄 번호가 밀리지 않도록)
+      }
+    });
+  }
+
+  readIndex(segment) {
+    const file = path.join(this.indexDir, `${segment}.json`);
+    try {
+      const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (index.version === INDEX_VERSION) return index;
+    } catch (e) { /* 없거나 손상 → 다시 만듦 */ }
+    return this.writeSegment(segment, this.readSegment(segment));
+  }
+
+  /**
+   * 세그먼트 + 색인 함께 기록 (임시 파일 후 rename)
+   */
+  writeSegment(segment, records) {
+    const terms = {};
+    records.forEach((record, line) => {
+      if (!record) return;
+      for (const term of tokenize(searchText(record))) {
+        (terms[term] = terms[term] || []).push(line);
+      }
+    });
+    const index = { version: INDEX_VERSION, segment, count: records.length, terms };
+    fs.mkdirSync(this.itemsDir, { recursive: true });
+    fs.mkdirSync(this.indexDir, { recursive: true });
+    const itemsFile = path.join(this.itemsDir, `${segment}.jsonl`);
+    const indexFile = path.join(this.indexDir, `${segment}.json`);
+    fs.writeFileSync(`${itemsFile}.tmp`, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''), 'utf8');
+    fs.writeFileSync(`${indexFile}.tmp`, JSON.stringify(index), 'utf8');
+    fs.renameSync(`${itemsFile}.tmp`, itemsFile);
+    fs.renameSync(`${indexFile}.tmp`, indexFile);
+    return index;
+  }
+
+  /**
+   * 레코드 추가. 들어온 (날짜, 라벨)의 기존 레코드는 교체.
+   * @param {Array<Object>} records - recordsFromMerged 결과
+   * @returns {{added: number, replaced: number}}
+   */
+  add(records) {
+    const bySegment = new Map();
+    for (const record of records || []) {
+      if (!record || !/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) continue;
+      const segment = record.date.slice(0, 7);
+      if (!bySegment.has(segment)) bySegment.set(segment, []);
+      bySegment.get(segment).push(record);
+    }
+    let added = 0;
+    let replaced = 0;
+    for (const [segment, incoming] of bySegment) {
+      const keys = new Set(incoming.map(r => `${r.date}|${r.label}`));
+      const existing = this.readSegment(segment).filter(Boolean);
+      const kept = existing.filter(r => !keys.has(`${r.date}|${r.label}`));
+      replaced += existing.length - kept.length;
+      const fresh = [...new Map(incoming.map(r => [r.id, r])).values()];   // 같은 배치 내 중복 id는 하나만
+      added += fresh.length;
+      this.writeSegment(segment, [...kept, ...fresh].sort((a, b) => a.date.localeCompare(b.date)));
+    }
+    return { added, replaced };
+  }
+
+  /**
+   * merged 폴더(merged_*.json) 가져오기
+   * @returns {{added: number, replaced: number}}
+   */
+  importMergedDir(mergedDir, meta) {
+    const records = [];
+    for (const file of fs.readdirSync(mergedDir).filter(f => f.startsWith('merged_') && f.endsWith('.json'))) {
+      try {
+        records.push(...recordsFromMerged(JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8')), meta));
+      } catch (e) {
+        console.warn(`  [아카이브] ${file} 파싱 실패, 건너뜀: ${e.message}`);
+      }
+    }
+    return this.add(records);
+  }
+
+  /**
+   * backfill_prep.js 실행 폴더(output/backfill/<YYYYMMDD>) 가져오기
+   *   라벨별 merged/merged_*.json이 있으면 그것을, 없으면 items/items_*.json(병합 전)을 쓴다.
+   */
+  importBackfillRun(runDir) {
+    const runId = path.basename(runDir);
+    const date = dateFromRunId(runId);
+    if (!date) throw new Error(`백필 폴더 이름이 YYYYMMDD가 아닙니다: ${runDir}`);
+    const labelsDir = path.join(runDir, 'labels');
+    const records = [];
+    const meta = { date, runId, origin: 'backfill' };
+    for (const label of fs.existsSync(labelsDir) ? fs.readdirSync(labelsDir) : []) {
+      const readJson = file => {
+        try {
+          return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+          console.warn(`  [아카이브] ${path.relative(runDir, file)} 파싱 실패, 건너뜀: ${e.message}`);
+          return null;
+        }
+      };
+      const mergedDir = path.join(labelsDir, label, 'merged');
+      const itemsDir = path.join(labelsDir, label, 'items');
+      const mergedFiles = fs.existsSync(mergedDir) ? fs.readdirSync(mergedDir).filter(f => f.endsWith('.json')) : [];
+      if (mergedFiles.length > 0) {
+        for (const f of mergedFiles) records.push(...recordsFromMerged({ label, ...readJson(path.join(mergedDir, f)) }, meta));
+      } else if (fs.existsSync(itemsDir)) {
+        const items = fs.readdirSync(itemsDir).filter(f => f.startsWith('items_') && f.endsWith('.json'))
+          .flatMap(f => (readJson(path.join(itemsDir, f)) || {}).items || []);
+        records.push(...recordsFromMerged({ label, items }, meta));
+      }
+    }
+    return this.add(records);
+  }
+
+  /**
+   * 검색
+   * @param {string} query - 공백으로 나눈 단어가 모두 들어간 아이템 (빈 문자열 = 필터만)
+   * @param {{since?: string, until?: string, labels?: string[], limit?: number}} [options]
+   * @returns {Array<Object>} 최신 날짜 우선
+   */
+  search(query, options = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const { since, until } = options;
+    const labels = options.labels && options.labels.length ? new Set(options.labels) : null;
+    const results = [];
+
+    for (const segment of this.segments().reverse()) {
+      if (since && segment < since.slice(0, 7)) continue;
+      if (until && segment > until.slice(0, 7)) continue;
+      const records = this.readSegment(segment);
+      let lines = records.map((_, i) => i);
+      if (words.length > 0) {
+        lines = candidateLines(this.readIndex(segment), words);
+      }
+      for (const i of lines) {
+        const r = records[i];
+        if (!r) continue;
+        if (since && r.date < since) continue;
+        if (until && r.date > until) continue;
+        if (labels && !labels.has(r.label)) continue;
+        // 색인(bigram·접두)은 후보 선별용, 최종 판정은 원문 부분 문자열
+        const text = searchText(r);
+        if (!words.every(w => text.includes(w))) continue;
+        results.push(r);
+      }
+    }
+    results.sort((a, b) => b.date.localeCompare(a.date) || a.label.localeCompare(b.label, 'ko'));
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+}
+
+/**
+ * 색인으로 후보 줄 번호 선별: 단어마다 (그 단어의 어휘 중 하나라도 포함 → 접두 일치 허용) 후보의 교집합
+ */
+function candidateLines(index, words) {
+  const termKeys = Object.keys(index.terms);
+  let result = null;
+  for (const word of words) {
+    const wordTerms = [...tokenize(word)];
+    if (wordTerms.length === 0) continue;
+    // 단어의 모든 어휘가 있어야 후보 (라틴 단어는 접두 일치: "hbm" → "hbm4")
+    let lines = null;
+    for (const term of wordTerms) {
+      const postings = new Set();
+      // 한 글자 한글은 bigram 어디에든, 그 외는 접두 (한글 bigram은 2자라 접두 = 정확 일치)
+      const keys = termKeys.filter(k => (term.length === 1 ? k.includes(term) : k.startsWith(term)));
+      for (const k of keys) for (const line of index.terms[k]) postings.add(line);
+      lines = lines === null ? postings : new Set([...lines].filter(l => postings.has(l)));
+    }
+    result = result === null ? lines : new Set([...result].filter(l => lines.has(l)));
+  }
+  return result === null ? [...Array(index.count).keys()] : [...result].sort((a, b) => a - b);
+}
+
+function csvCell(value) {
+  const s = Array.isArray(value) ? value.join(', ') : String(value == null ? '' : value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV 변환 (엑셀 한글 깨짐 방지 BOM 포함)
+ */
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of records) lines.push(CSV_COLUMNS.map(c => csvCell(r[c])).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function formatText(records) {
+  return records.map(r => {
+    const head = `${r.date} [${r.label}] ${r.title}${r.source ? ` — ${r.source}` : ''}`;
+    const summary = String(r.summary || '').replace(/\s+/g, ' ');
+    return `${head}\n  ${summary.length > 140 ? summary.slice(0, 140) + '…' : summary}${r.link ? `\n  ${r.link}` : ''}`;
+  }).join('\n\n');
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const out = { query: [], labels: [], format: 'text', limit: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === '--since') out.since = next();
+    else if (a === '--until') out.until = next();
+    else if (a === '--label') out.labels.push(...String(next() || '').split(',').map(s => s.trim()).filter(Boolean));
+    else if (a === '--limit') out.limit = parseInt(next(), 10);
+    else if (a === '--format') out.format = next();
+    else if (a === '--out') out.out = next();
+    else if (a === '--import-backfill') out.importBackfill = next();
+    else if (a === '--dir') out.dir = next();
+    else out.query.push(a);
+  }
+  return out;
+}
+
+function main() {
+  require('dotenv').config({ path: path.join(PROJECT_ROOT, '.env') });
+  const args = parseArgs(process.argv.slice(2));
+  const archive = new ItemArchive(args.dir ? path.resolve(args.dir) : undefined);
+
+  if (args.importBackfill) {
+    const target = args.importBackfill;
+    const runDirs = target === 'all'
+      ? (fs.existsSync(BACKFILL_DIR) ? fs.readdirSync(BACKFILL_DIR).filter(d => /^\d{8}$/.test(d)).sort().map(d => path.join(BACKFILL_DIR, d)) : [])
+      : [/^\d{8}$/.test(target) ? path.join(BACKFILL_DIR, target) : path.resolve(target)];
+    if (runDirs.length === 0) {
+      console.error(`가져올 백필 폴더가 없습니다: ${BACKFILL_DIR}`);
+      process.exit(1);
+    }
+    for (const runDir of runDirs) {
+      if (!fs.existsSync(runDir)) {
+        console.error(`백필 폴더 없음: ${runDir}`);
+        process.exit(1);
+      }
+      const r = archive.importBackfillRun(runDir);
+      console.log(`${path.basename(runDir)}: ${r.added}개 추가${r.replaced ? ` (기존 ${r.replaced}개 교체)` : ''}`);
+    }
+    return;
+  }
+
+  for (const [name, value] of [['--since', args.since], ['--until', args.until]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      console.error(`${name}는 YYYY-MM-DD 형식이어야 합니다: ${value}`);
+      process.exit(1);
+    }
+  }
+  if (!['text', 'json', 'csv'].includes(args.format)) {
+    console.error(`--format은 text | json | csv 중 하나입니다: ${args.format}`);
+    process.exit(1);
+  }
+
+  const limit = args.limit || (args.format === 'text' ? 20 : null);
+  const all = archive.search(args.query.join(' '), { since: args.since, until: args.until, labels: args.labels });
+  const results = limit ? all.slice(0, limit) : all;
+
+  let output;
+  if (args.format === 'json') output = JSON.stringify(results, null, 2) + '\n';
+  else if (args.format === 'csv') output = toCsv(results);
+  else output = results.length ? `${formatText(results)}\n\n${all.length}건 중 ${results.length}건 표시\n` : '검색 결과 없음\n';
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output, 'utf8');
+    console.log(`${results.length}건 → ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ItemArchive, recordsFromMerged, dateFromRunId, toCsv, tokenize, DEFAULT_ARCHIVE_DIR };
@@ -0,0 +1,177 @@
+/**
+ * 정크 아이템 필터 — 추출 후·병합 전 아이템 단위 룰 엔진 (RC-D)
+ *
+ * isNonNewsEmail이 메일 전체를 거르는 것과 짝을 이루는 아이템 단위 판정.
+ * 바이라인만 있는 아이템("By 저자"), 헤더 조각, 광고 카드, "지난호" 티저처럼
+ * LLM 추출을 통과해 리포트까지 오는 정크를 선언형 규칙으로 결정적으로 걸러낸다.
+ *
+ * 규칙 출처:
+ *   - 전역: config/junk_rules.json 의 "rules" 배열
+ *   - SKILL별: SKILL 문서의 "## 정크 규칙" 섹션 안 ```json 배열 (그 발신자 아이템에만 적용)
+ *
+ * 규칙 형식 (match 안의 조건은 모두 만족해야 매치, senders는 적용 범위):
+ *   {
+ *     "id": "byline-only",
+ *     "reason": "바이라인만 있는 아이템",
+ *     "match": {
+ *       "title": "^by\\s",             // 제목 정규식 (대소문자 무시)
+ *       "summary": "지난\\s?호",        // 요약 정규식 (대소문자 무시)
+ *       "min_content_chars": 25,       // 제목+요약 길이가 이보다 짧으면 매치
+ *       "link_domains": ["doubleclick.net"],  // link 호스트가 이 도메인(또는 하위 도메인)이면 매치
+ *       "senders": ["nytdirect@nytimes.com"]  // 이 발신자의 아이템에만 적용
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JUNK_RULES_PATH = path.join(__dirname, '..', 'config', 'junk_rules.json');
+const MATCH_KEYS = ['title', 'summary', 'min_content_chars', 'link_domains', 'senders'];
+
+/**
+ * 규칙 검증 + 정규식 컴파일
+ * @param {Array<Object>} rules
+ * @param {string} origin - 에러 메시지용 출처 (파일/SKILL 이름)
+ */
+function compileRules(rules, origin) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`${origin}: 정크 규칙은 배열이어야 합니다`);
+  }
+  return rules.map((rule, i) => {
+    const where = `${origin} rules[${i}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || !rule.id || !rule.reason) {
+      throw new Error(`${where}: id와 reason은 필수입니다`);
+    }
+    const match = rule.match || {};
+    const unknown = Object.keys(match).filter(k => !MATCH_KEYS.includes(k));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: 알 수 없는 match 키 ${unknown.join(', ')} (${MATCH_KEYS.join(' | ')})`);
+    }
+    if (!['title', 'summary', 'min_content_chars', 'link_domains'].some(k => match[k] !== undefined)) {
+      throw new Error(`${where}: title / summary / min_content_chars / link_domains 중 하나는 지정해야 합니다`);
+    }
+    const regex = key => {
+      if (match[key] === undefined) return null;
+      try {
+        return new RegExp(match[key], 'iu');
+      } catch (e) {
+        throw new Error(`${where}: 잘못된 ${key} 정규식 — ${e.message}`);
+      }
+    };
+    return {
+      id: rule.id,
+      reason: rule.reason,
+      title: regex('title'),
+      summary: regex('summary'),
+      minContentChars: match.min_content_chars !== undefined ? Number(match.min_content_chars) : null,
+      linkDomains: (match.link_domains || []).map(d => String(d).toLowerCase().replace(/^\.+/, '')),
+      senders: (match.senders || []).map(s => String(s).toLowerCase())
+    };
+  });
+}
+
+function linkHost(link) {
+  try {
+    return new URL(link).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+function ruleMatches(rule, item, senderEmail) {
+  if (rule.senders.length > 0 && !rule.senders.includes(senderEmail)) return false;
+  const title = String(item.title || '');
+  const summary = String(item.summary || '');
+  if (rule.title && !rule.title.test(title)) return false;
+  if (rule.summary && !rule.summary.test(summary)) return false;
+  if (rule.minContentChars !== null && (title + summary).trim().length >= rule.minContentChars) return false;
+  if (rule.linkDomains.length > 0) {
+    const host = linkHost(item.link);
+    if (!host || !rule.linkDomains.some(d => host === d || host.endsWith(`.${d}`))) return false;
+  }
+  return true;
+}
+
+/**
+ * SKILL 문서의 "## 정크 규칙" 섹션에서 ```json 규칙 배열 추출 (없으면 빈 배열)
+ */
+function parseSkillJunkRules(content) {
+  if (!content) return [];
+  const section = content.match(/^##\s*정크 규칙\s*$([\s\S]*?)(?=^##\s|(?![\s\S]))/m);
+  if (!section) return [];
+  const block = section[1].match(/```json\s*\n([\s\S]*?)```/);
+  if (!block) return [];
+  return JSON.parse(block[1]);
+}
+
+class JunkFilter {
+  /**
+   * @param {Array<Object>} [rules] - 전역 규칙
+   */
+  constructor(rules = []) {
+    this.rules = compileRules(rules, 'junk_rules');
+    this.skillRules = new Map();  // SKILL 경로 → 컴파일된 규칙 (메일마다 다시 읽지 않도록)
+  }
+
+  /**
+   * config/junk_rules.json으로 생성 (파일 없으면 규칙 없음)
+   */
+  static fromConfig(configPath = JUNK_RULES_PATH) {
+    if (!fs.existsSync(configPath)) return new JunkFilter([]);
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return new JunkFilter(config.rules || []);
+  }
+
+  /**
+   * SKILL 문서의 발신자 전용 규칙 (파일 없음·규칙 없음·형식 오류 → 빈 배열)
+   */
+  rulesForSkill(skillPath) {
+    if (!skillPath) return [];
+    if (!this.skillRules.has(skillPath)) {
+      let rules = [];
+      try {
+        const content = fs.existsSync(skillPath) ? fs.readFileSync(skillPath, 'utf8') : '';
+        rules = compileRules(parseSkillJunkRules(content), path.basename(skillPath));
+      } catch (e) {
+        // SKILL 하나의 규칙 오류로 라벨 전체를 멈추지 않음 (전역 규칙은 계속 적용)
+        console.warn(`  [정크 규칙] ${path.basename(skillPath)} 무시: ${e.message}`);
+      }
+      this.skillRules.set(skillPath, rules);
+    }
+    return this.skillRules.get(skillPath);
+  }
+
+  /**
+   * 아이템 하나 판정 → 매치된 규칙 또는 null (SKILL 규칙 먼저)
+   * @param {Object} item
+   * @param {{skillPath?: string}} [context]
+   */
+  evaluate(item, context = {}) {
+    const senderEmail = String(item.source_email || '').toLowerCase();
+    const rules = [...this.rulesForSkill(context.skillPath), ...this.rules];
+    return rules.find(rule => ruleMatches(rule, item, senderEmail)) || null;
+  }
+
+  /**
+   * 아이템 목록 분리
+   * @param {Array<Object>} items
+   * @param {Function} [skillPathOf] - (senderEmail) => SKILL 경로
+   * @returns {{kept: Array<Object>, dropped: Array<Object>}} dropped: 원본 필드 + rule_id, reason
+   */
+  filter(items, skillPathOf = () => null) {
+    const kept = [];
+    const dropped = [];
+    for (const item of items || []) {
+      const rule = this.evaluate(item, { skillPath: item.source_email ? skillPathOf(item.source_email) : null });
+      if (rule) {
+        dropped.push({ ...item, rule_id: rule.id, reason: rule.reason });
+      } else {
+        kept.push(item);
+      }
+    }
+    return { kept, dropped };
+  }
+}
+
+module.exports = { JunkFilter, parseSkillJunkRules, JUNK_RULES_PATH };
@@ -0,0 +1,106 @@
+/**
+ * LLM 요청/응답 캐시 (record / replay / read-through)
+ *
+ * 키: sha256(모델 + 시스템 프롬프트 + 전체 프롬프트(에이전트 헤더 + 입력 + 꼬리 지시)).
+ * 값: 모델의 원본 응답 문자열 → 재생 시에도 callLLMWithRetry의 JSON 검증/repairJson 경로를 그대로 탄다.
+ * 기록은 완전하고 파싱되는 응답만 (잘린·깨진 응답을 기록하면 이후 실행이 모델을 다시 부르지 않고 같은 실패를 재생).
+ *
+ * 모드:
+ *   - off          : 캐시 안 씀 (기본)
+ *   - record       : 항상 API 호출, 응답을 기록(덮어쓰기)
+ *   - replay       : 캐시만 사용, 미스면 에러 (API 호출 없음 → 결정적·오프라인 재실행)
+ *   - read-through : 히트면 캐시, 미스면 API 호출 후 기록
+ *
+ * 저장: <dir>/<키 앞 2자>/<키>.json (기본 output/llm_cache, env LLM_CACHE_DIR)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LLM_CACHE_MODES = ['off', 'record', 'replay', 'read-through'];
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'output', 'llm_cache');
+
+class LlmCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode] - LLM_CACHE_MODES 중 하나 (기본 env LLM_CACHE 또는 off)
+   * @param {string} [options.dir] - 저장 폴더 (기본 env LLM_CACHE_DIR 또는 output/llm_cache)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.LLM_CACHE || 'off';
+    if (!LLM_CACHE_MODES.includes(this.mode)) {
+      throw new Error(`잘못된 LLM 캐시 모드: '${this.mode}' (${LLM_CACHE_MODES.join(' | ')})`);
+    }
+    this.dir = options.dir || process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * 캐시 키
+   */
+  static keyOf(model, systemPrompt, prompt) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([model || '', systemPrompt || '', prompt || '']))
+      .digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * 캐시 조회 (replay / read-through에서만)
+   * @returns {string|null} - 응답 문자열 또는 null(조회 안 하는 모드 / read-through 미스)
+   * @throws replay 모드 미스 (error.isCacheMiss)
+   */
+  lookup(key) {
+    if (this.mode !== 'replay' && this.mode !== 'read-through') return null;
+    const file = this.entryPath(key);
+    let entry = null;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      // 없음/손상 → 미스
+    }
+    if (entry && typeof entry.response === 'string') {
+      this.stats.hits++;
+      return entry.response;
+    }
+    this.stats.misses++;
+    if (this.mode === 'replay') {
+      const error = new Error(`LLM 캐시 미스 (replay 모드): ${key.slice(0, 12)}`);
+      error.isCacheMiss = true;
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * 응답 기록 (record / read-through에서만). 임시 파일 → rename으로 원자적 쓰기.
+   */
+  store(key, response, meta = {}) {
+    if (this.mode !== 'record' && this.mode !== 'read-through') return;
+    const file = this.entryPath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      key,
+      ...meta,
+      recorded_at: new Date().toISOString(),
+      response
+    }, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    this.stats.writes++;
+  }
+
+  getStats() {
+    return { mode: this.mode, dir: this.dir, ...this.stats };
+  }
+}
+
+module.exports = { LlmCache, LLM_CACHE_MODES };
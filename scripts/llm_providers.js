@@ -0,0 +1,383 @@
+/**
+ * LLM 프로바이더 - 요청 구성 / 응답·사용량 파싱 / 에러 분류
+ *
+ * AgentRunner는 프로바이더가 만든 {url, headers, body}로 fetch만 하고,
+ * 응답 JSON은 parseResponse → {content, finishReason, usage}로 받는다.
+ * 재시도/축소 판단(isRetryableError / isTokenLimitError)도 프로바이더에 위임.
+ *
+ * 종류(type):
+ *   - openrouter : OpenRouter (기본). OpenAI 호환 + reasoning 토글 + 앱 식별 헤더
+ *   - openai     : 임의의 OpenAI 호환 서버 (vLLM, llama.cpp server, LM Studio 등). base_url 필수
+ *   - ollama     : Ollama 네이티브 /api/chat
+ *   - anthropic  : Anthropic Messages API
+ *
+ * 선택 (config/llm.json, gitignored. 예시: config/llm.example.json):
+ *   {
+ *     "provider": "local",
+ *     "providers": {
+ *       "local":  { "type": "openai", "base_url": "http://localhost:8000/v1", "model": "qwen2.5-14b-instruct" },
+ *       "ollama": { "type": "ollama", "model": "qwen2.5:14b" },
+ *       "claude": { "type": "anthropic", "model": "claude-haiku-4-5", "api_key_env": "ANTHROPIC_API_KEY" }
+ *     }
+ *   }
+ *   env LLM_PROVIDER(프로필 이름 또는 type)가 "provider"를 재정의. LLM_BASE_URL / LLM_API_KEY / LLM_MODEL로
+ *   선택된 프로필 값을 덮어쓸 수 있다. 파일·env 모두 없으면 OpenRouter (기존 동작과 동일).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LLM_CONFIG_PATH = path.join(__dirname, '..', 'config', 'llm.json');
+
+// type별 기본값
+const PROVIDER_DEFAULTS = {
+  openrouter: { baseUrl: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPENROUTER_API_KEY', requiresApiKey: true },
+  openai: { baseUrl: null, apiKeyEnv: 'OPENAI_API_KEY', requiresApiKey: false },
+  ollama: { baseUrl: 'http://localhost:11434', apiKeyEnv: null, requiresApiKey: false },
+  anthropic: { baseUrl: 'https://api.anthropic.com', apiKeyEnv: 'ANTHROPIC_API_KEY', requiresApiKey: true }
+};
+
+// JSON 강제 옵션이 없는 API용 시스템 프롬프트 가드 (callClaudeCLI와 같은 문구)
+const JSON_GUARD = '\n\n[출력 형식] 유효한 JSON 객체 하나만 출력. 코드펜스(```)·설명·잡설 금지.';
+
+/**
+ * 공통 베이스: OpenAI Chat Completions 호환
+ */
+class OpenAICompatibleProvider {
+  constructor(spec = {}) {
+    this.name = spec.name || spec.type || 'openai';
+    this.type = spec.type || 'openai';
+    this.label = spec.label || 'OpenAI 호환';
+    this.baseUrl = String(spec.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = spec.apiKey || '';
+    this.model = spec.model || null;
+    this.extraHeaders = spec.headers || {};
+    // 응답 usage에 호출 비용(costUsd)을 싣는지. false면 AgentRunner가 MODEL_PRICING 단가로 계산
+    this.reportsCost = false;
+  }
+
+  endpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  headers() {
+    const h = { 'Content-Type': 'application/json', ...this.extraHeaders };
+    if (this.apiKey) h['Authorization'] = `Bearer ${this.apiKey}`;
+    return h;
+  }
+
+  /**
+   * @param {{model, systemPrompt, prompt, temperature, maxTokens, json, reasoning}} req
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest(req) {
+    const body = {
+      model: req.model,
+      messages: [
+        { role: 'system', content: req.systemPrompt },
+        { role: 'user', content: req.prompt }
+      ],
+      stream: false,
+      temperature: req.temperature,
+      max_tokens: req.maxTokens,
+      ...this.extraBody(req)
+    };
+    if (req.json) body.response_format = { type: 'json_object' };
+    return { url: this.endpoint(), headers: this.headers(), body };
+  }
+
+  /**
+   * 프로바이더 전용 요청 필드 (기본 없음)
+   */
+  extraBody() {
+    return {};
+  }
+
+  /**
+   * @returns {{content: string, finishReason: 'stop'|'length', usage: {promptTokens, completionTokens, cachedTokens, costUsd}|null}}
+   *   costUsd: 프로바이더가 보고한 호출 비용(USD), 없으면 null
+   */
+  parseResponse(data) {
+    // OpenRouter 등은 에러를 200 본문 내 error 필드로 반환하기도 함
+    if (data && data.error) {
+      const error = new Error(`${this.label} API Error: ${data.error.message || JSON.stringify(data.error)}`);
+      error.status = data.error.code || 500;
+      throw error;
+    }
+    const choice = data?.choices?.[0];
+    const u = data?.usage;
+    return {
+      content: choice?.message?.content || '',
+      finishReason: choice?.finish_reason === 'length' ? 'length' : 'stop',
+      usage: u ? {
+        promptTokens: u.prompt_tokens || 0,
+        completionTokens: u.completion_tokens || 0,
+        // 캐시 히트 토큰 (필드명 프로바이더별 상이 → 모두 시도)
+        cachedTokens: u.prompt_cache_hit_tokens || u.cached_tokens || u.prompt_tokens_details?.cached_tokens || 0,
+        // OpenRouter는 usage.cost로 실제 청구액을 보고
+        costUsd: typeof u.cost === 'number' ? u.cost : null
+      } : null
+    };
+  }
+
+  /**
+   * HTTP 비정상 응답 → status 포함 에러
+   */
+  httpError(status, text) {
+    const error = new Error(`${this.label} API Error (${status}): ${text}`);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * 토큰 초과 에러 여부 (상위에서 입력 축소 후 재시도)
+   */
+  isTokenLimitError(error) {
+    const msg = error.message || '';
+    return msg.includes('context length') ||
+           (msg.includes('maximum') && msg.includes('tokens')) ||
+           msg.includes('too many tokens') ||
+           (msg.includes('input') && msg.includes('too long'));
+  }
+
+  /**
+   * 재시도 가능한 에러 여부
+   */
+  isRetryableError(error) {
+    // 토큰 초과는 재시도하지 않음 (상위에서 축소 후 재시도)
+    if (this.isTokenLimitError(error)) return false;
+
+    const status = error.status;
+    const msg = error.message || '';
+    return (
+      [429, 408, 500, 502, 503, 504, 524].includes(status) ||
+      error.name === 'AbortError' ||
+      msg.includes('timeout') ||
+      msg.includes('ECONNRESET') ||
+      msg.includes('ETIMEDOUT') ||
+      msg.includes('불완전') ||
+      msg.includes('빈 응답')
+    );
+  }
+}
+
+/**
+ * OpenRouter: OpenAI 호환 + 앱 식별 헤더 + reasoning 토글
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(spec = {}) {
+    super({ label: 'OpenRouter', ...spec });
+    this.reportsCost = true;
+    this.referer = spec.referer || 'https://github.com/yoonkumsung/yks-gmail-manager';
+    this.title = spec.title || 'yks-gmail-manager';
+  }
+
+  headers() {
+    return {
+      ...super.headers(),
+      'Authorization': `Bearer ${this.apiKey}`,
+      'HTTP-Referer': this.referer,
+      'X-Title': this.title
+    };
+  }
+
+  extraBody(req) {
+    // 추론(thinking): 기본 OFF(비용·지연 절감)
+    return { reasoning: { enabled: !!req.reasoning } };
+  }
+}
+
+/**
+ * Ollama 네이티브 API (/api/chat)
+ */
+class OllamaProvider extends OpenAICompatibleProvider {
+  constructor(spec = {}) {
+    super({ label: 'Ollama', ...spec });
+    this.reportsCost = true;  // 로컬 런타임 → 비용 0
+  }
+
+  endpoint() {
+    return `${this.baseUrl}/api/chat`;
+  }
+
+  buildRequest(req) {
+    const body = {
+      model: req.model,
+      messages: [
+        { role: 'system', content: req.systemPrompt },
+        { role: 'user', content: req.prompt }
+      ],
+      stream: false,
+      options: { temperature: req.temperature, num_predict: req.maxTokens }
+    };
+    if (req.json) body.format = 'json';
+    return { url: this.endpoint(), headers: this.headers(), body };
+  }
+
+  parseResponse(data) {
+    if (data && data.error) {
+      const error = new Error(`${this.label} API Error: ${data.error}`);
+      error.status = 500;
+      throw error;
+    }
+    const hasUsage = data && (data.prompt_eval_count != null || data.eval_count != null);
+    return {
+      content: data?.message?.content || '',
+      finishReason: data?.done_reason === 'length' ? 'length' : 'stop',
+      usage: hasUsage ? {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0,
+        cachedTokens: 0,
+        costUsd: 0
+      } : null
+    };
+  }
+
+  isRetryableError(error) {
+    // 모델 로딩 중(콜드 스타트)은 잠시 후 재시도
+    return super.isRetryableError(error) || /model.*loading/i.test(error.message || '');
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends OpenAICompatibleProvider {
+  constructor(spec = {}) {
+    super({ label: 'Anthropic', ...spec });
+    this.version = spec.version || '2023-06-01';
+  }
+
+  endpoint() {
+    return `${this.baseUrl}/v1/messages`;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.extraHeaders,
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.version
+    };
+  }
+
+  buildRequest(req) {
+    // JSON 모드가 없으므로 시스템 프롬프트 가드로 강제
+    const body = {
+      model: req.model,
+      system: `${req.systemPrompt}${req.json ? JSON_GUARD : ''}`,
+      messages: [{ role: 'user', content: req.prompt }],
+      max_tokens: req.maxTokens,
+      temperature: req.temperature
+    };
+    return { url: this.endpoint(), headers: this.headers(), body };
+  }
+
+  parseResponse(data) {
+    if (data && data.type === 'error') {
+      const error = new Error(`${this.label} API Error: ${data.error?.message || JSON.stringify(data.error)}`);
+      error.status = data.error?.type === 'overloaded_error' ? 529 : 500;
+      throw error;
+    }
+    const u = data?.usage;
+    const cacheRead = u?.cache_read_input_tokens || 0;
+    return {
+      content: (data?.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      finishReason: data?.stop_reason === 'max_tokens' ? 'length' : 'stop',
+      usage: u ? {
+        // input_tokens는 캐시 제외분 → 전체 입력 = input + cache_read + cache_creation
+        promptTokens: (u.input_tokens || 0) + cacheRead + (u.cache_creation_input_tokens || 0),
+        completionTokens: u.output_tokens || 0,
+        cachedTokens: cacheRead,
+        costUsd: null
+      } : null
+    };
+  }
+
+  isTokenLimitError(error) {
+    return super.isTokenLimitError(error) || /prompt is too long/i.test(error.message || '');
+  }
+
+  isRetryableError(error) {
+    // 529 overloaded
+    return super.isRetryableError(error) || (!this.isTokenLimitError(error) && error.status === 529);
+  }
+}
+
+const PROVIDER_CLASSES = {
+  openrouter: OpenRouterProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  anthropic: AnthropicProvider
+};
+
+/**
+ * config/llm.json 로드 (없으면 null)
+ */
+function loadLlmConfig(configPath = LLM_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`llm.json 파싱 실패: ${e.message}`);
+  }
+}
+
+/**
+ * 사용할 프로바이더 설정 결정 (config + env)
+ * @param {Object} [options]
+ * @param {string} [options.configPath]
+ * @param {Object} [options.env] - 기본 process.env
+ * @returns {{name, type, baseUrl, apiKey, apiKeyEnv, requiresApiKey, model, headers}}
+ */
+function resolveProviderSpec(options = {}) {
+  const env = options.env || process.env;
+  const config = loadLlmConfig(options.configPath || LLM_CONFIG_PATH) || {};
+  const profiles = config.providers || {};
+
+  const name = env.LLM_PROVIDER || config.provider || 'openrouter';
+  const profile = profiles[name] || {};
+  const type = profile.type || name;
+  const defaults = PROVIDER_DEFAULTS[type];
+  if (!defaults) {
+    throw new Error(`알 수 없는 LLM 프로바이더: ${name} (type: ${Object.keys(PROVIDER_DEFAULTS).join(' | ')})`);
+  }
+
+  const apiKeyEnv = profile.api_key_env || defaults.apiKeyEnv;
+  const baseUrl = env.LLM_BASE_URL || profile.base_url || defaults.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`LLM 프로바이더 ${name}: base_url이 필요합니다 (llm.json 또는 LLM_BASE_URL)`);
+  }
+
+  return {
+    name,
+    type,
+    baseUrl,
+    apiKey: env.LLM_API_KEY || profile.api_key || (apiKeyEnv ? env[apiKeyEnv] : '') || '',
+    apiKeyEnv,
+    requiresApiKey: profile.requires_api_key != null ? !!profile.requires_api_key : defaults.requiresApiKey,
+    model: env.LLM_MODEL || profile.model || null,
+    headers: profile.headers || {}
+  };
+}
+
+/**
+ * 설정 → 프로바이더 인스턴스
+ */
+function createProvider(spec) {
+  const Cls = PROVIDER_CLASSES[spec.type];
+  if (!Cls) throw new Error(`알 수 없는 LLM 프로바이더 type: ${spec.type}`);
+  const defaults = PROVIDER_DEFAULTS[spec.type];
+  return new Cls({ ...spec, baseUrl: spec.baseUrl || defaults.baseUrl });
+}
+
+module.exports = {
+  LLM_CONFIG_PATH,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  OllamaProvider,
+  AnthropicProvider,
+  loadLlmConfig,
+  resolveProviderSpec,
+  createProvider
+};
@@ -0,0 +1,220 @@
+/**
+ * 런 로그 조회·요약 (logger.js가 남긴 output/logs/<runId>.jsonl)
+ *
+ * 사용법:
+ *   npm run logs                                         # 가장 최근 런 요약
+ *   npm run logs -- 20261019                             # 수준별 건수, 단계별 소요, 라벨별 경고·오류, 느린 메일, LLM 호출
+ *   npm run logs -- 20261019 --level warn                # 경고 이상만 한 줄씩
+ *   npm run logs -- 20261019 --label IT --stage llm_extract
+ *   npm run logs -- 20261019 --message 18c2f             # 메일 ID 접두어
+ *   npm run logs -- 20261019 --grep 타임아웃 --json       # 원본 JSON 줄 그대로 (jq 등으로)
+ *   npm run logs -- 20261019 --label IT --summary        # 걸러낸 이벤트만으로 요약
+ *   --dir <폴더>: 로그 폴더 (기본 LOG_DIR 또는 output/logs), 런 ID 대신 .jsonl 경로도 가능
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, DEFAULT_LOG_DIR } = require('./logger');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * JSON Lines 읽기 (깨진 줄은 건너뛰고 개수만 셈)
+ * @returns {{entries: Array<Object>, invalid: number}}
+ */
+function readLogFile(filePath) {
+  const entries = [];
+  let invalid = 0;
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      invalid++;
+    }
+  }
+  return { entries, invalid };
+}
+
+/**
+ * 조건에 맞는 이벤트만 (조건은 모두 AND)
+ * @param {Object} filters - level(이상), label, stage, component, messageId(접두어), grep(msg 부분 문자열)
+ */
+function filterEntries(entries, filters = {}) {
+  const minLevel = filters.level ? LEVELS[filters.level] : 0;
+  return entries.filter(e =>
+    (LEVELS[e.level] || 0) >= minLevel &&
+    (!filters.label || e.label === filters.label) &&
+    (!filters.stage || e.stage === filters.stage) &&
+    (!filters.component || e.component === filters.component) &&
+    (!filters.messageId || String(e.messageId || '').startsWith(filters.messageId)) &&
+    (!filters.grep || String(e.msg || '').includes(filters.grep)));
+}
+
+/**
+ * 런 요약
+ *   stages: stage_end/stage_error 이벤트를 단계별로 합산 (라벨 병렬이라 합계는 벽시계 시간보다 길 수 있음)
+ */
+function summarizeLog(entries) {
+  const byLevel = Object.fromEntries(Object.keys(LEVELS).map(l => [l, 0]));
+  const stages = {};
+  const labels = {};
+  const messages = [];
+  const llm = { calls: 0, total_ms: 0, prompt_tokens: 0, completion_tokens: 0 };
+  let run = null;
+
+  for (const e of entries) {
+    if (byLevel[e.level] !== undefined) byLevel[e.level]++;
+    if (e.label) {
+      const l = labels[e.label] || (labels[e.label] = { warn: 0, error: 0, stage_ms: {} });
+      if (e.level === 'warn' || e.level === 'error') l[e.level]++;
+      if (e.event === 'stage_end' || e.event === 'stage_error') l.stage_ms[e.stage] = (l.stage_ms[e.stage] || 0) + e.duration_ms;
+    }
+    if (e.event === 'stage_end' || e.event === 'stage_error') {
+      const s = stages[e.stage] || (stages[e.stage] = { count: 0, failed: 0, total_ms: 0, max_ms: 0 });
+      s.count++;
+      if (e.event === 'stage_error') s.failed++;
+      s.total_ms += e.duration_ms;
+      s.max_ms = Math.max(s.max_ms, e.duration_ms);
+    }
+    if (e.event === 'message_end') messages.push({ label: e.label, messageId: e.messageId, items: e.items, duration_ms: e.duration_ms });
+    if (e.event === 'llm_call') {
+      llm.calls++;
+      llm.total_ms += e.duration_ms;
+    }
+    if (e.event === 'llm_usage') {
+      llm.prompt_tokens += e.prompt_tokens || 0;
+      llm.completion_tokens += e.completion_tokens || 0;
+    }
+    if (e.event === 'run_end') run = { success: e.success, duration_ms: e.duration_ms };
+  }
+
+  return {
+    runId: (entries.find(e => e.runId) || {}).runId || null,
+    from: entries.length > 0 ? entries[0].ts : null,
+    to: entries.length > 0 ? entries[entries.length - 1].ts : null,
+    entries: entries.length,
+    byLevel,
+    stages,
+    labels,
+    slowestMessages: messages.sort((a, b) => b.duration_ms - a.duration_ms).slice(0, 5),
+    llm,
+    run
+  };
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}초`;
+}
+
+function formatSummary(summary) {
+  const lines = [
+    `런 ${summary.runId || '-'}  ${summary.from || '-'} ~ ${summary.to || '-'}  (이벤트 ${summary.entries}건)`,
+    `결과: ${summary.run ? `${summary.run.success ? '성공' : '실패'}, ${seconds(summary.run.duration_ms)}` : '종료 기록 없음 (진행 중이거나 중단)'}`,
+    `수준: ${Object.entries(summary.byLevel).map(([l, n]) => `${l} ${n}`).join(', ')}`
+  ];
+  const stageNames = Object.keys(summary.stages);
+  if (stageNames.length > 0) {
+    lines.push('', '단계별 (라벨 합산):');
+    for (const name of stageNames) {
+      const s = summary.stages[name];
+      lines.push(`  ${name}: ${s.count}회${s.failed ? ` (실패 ${s.failed})` : ''}, 합계 ${seconds(s.total_ms)}, 최대 ${seconds(s.max_ms)}`);
+    }
+  }
+  const labelNames = Object.keys(summary.labels);
+  if (labelNames.length > 0) {
+    lines.push('', '라벨별:');
+    for (const name of labelNames) {
+      const l = summary.labels[name];
+      const stageText = Object.entries(l.stage_ms).map(([s, ms]) => `${s} ${seconds(ms)}`).join(', ');
+      lines.push(`  ${name}: 경고 ${l.warn}, 오류 ${l.error}${stageText ? ` / ${stageText}` : ''}`);
+    }
+  }
+  if (summary.slowestMessages.length > 0) {
+    lines.push('', '느린 메일 (추출):');
+    for (const m of summary.slowestMessages) {
+      lines.push(`  ${m.messageId} [${m.label}] ${seconds(m.duration_ms)}, 아이템 ${m.items}개`);
+    }
+  }
+  if (summary.llm.calls > 0) {
+    lines.push('', `LLM: 호출 ${summary.llm.calls}회, 합계 ${seconds(summary.llm.total_ms)}, 토큰 입력 ${summary.llm.prompt_tokens} / 출력 ${summary.llm.completion_tokens}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 이벤트 한 줄 (시각은 KST)
+ */
+function formatEntry(e) {
+  const kst = new Date(new Date(e.ts).getTime() + 9 * 60 * 60 * 1000).toISOString().slice(11, 23);
+  const where = [e.label, e.stage, e.messageId && String(e.messageId).slice(0, 12)].filter(Boolean).join('/');
+  const timing = Number.isFinite(e.duration_ms) ? ` (${seconds(e.duration_ms)})` : '';
+  return `${kst} ${e.level.toUpperCase().padEnd(5)} ${e.component || '-'}${where ? ` ${where}` : ''}: ${e.msg}${timing}`;
+}
+
+/**
+ * 런 ID·경로 → 로그 파일 (없으면 가장 최근 파일)
+ */
+function resolveLogFile(target, logDir) {
+  if (target && (target.endsWith('.jsonl') || target.includes(path.sep))) return path.resolve(target);
+  if (target) return path.join(logDir, `${target}.jsonl`);
+  if (!fs.existsSync(logDir)) return null;
+  const files = fs.readdirSync(logDir).filter(f => f.endsWith('.jsonl'))
+    .map(f => ({ f, mtime: fs.statSync(path.join(logDir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  return files.length > 0 ? path.join(logDir, files[0].f) : null;
+}
+
+function parseArgs(argv) {
+  const out = { filters: {}, json: false, summary: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === '--level') out.filters.level = next();
+    else if (a === '--label') out.filters.label = next();
+    else if (a === '--stage') out.filters.stage = next();
+    else if (a === '--component') out.filters.component = next();
+    else if (a === '--message') out.filters.messageId = next();
+    else if (a === '--grep') out.filters.grep = next();
+    else if (a === '--json') out.json = true;
+    else if (a === '--summary') out.summary = true;
+    else if (a === '--dir') out.dir = next();
+    else out.target = a;
+  }
+  return out;
+}
+
+function main() {
+  require('dotenv').config({ path: path.join(PROJECT_ROOT, '.env') });
+  const args = parseArgs(process.argv.slice(2));
+  if (args.filters.level && !LEVELS[args.filters.level]) {
+    console.error(`--level은 ${Object.keys(LEVELS).join(' | ')} 중 하나입니다: ${args.filters.level}`);
+    process.exit(1);
+  }
+  const logDir = args.dir ? path.resolve(args.dir) : (process.env.LOG_DIR || DEFAULT_LOG_DIR);
+  const filePath = resolveLogFile(args.target, logDir);
+  if (!filePath || !fs.existsSync(filePath)) {
+    console.error(`로그 파일 없음: ${filePath || logDir}`);
+    process.exit(1);
+  }
+
+  const { entries, invalid } = readLogFile(filePath);
+  const filtered = filterEntries(entries, args.filters);
+  const hasFilter = Object.keys(args.filters).length > 0;
+
+  if (args.json) {
+    for (const e of filtered) console.log(JSON.stringify(e));
+  } else if (hasFilter && !args.summary) {
+    console.log(filtered.map(formatEntry).join('\n'));
+    console.log(`\n${filtered.length}/${entries.length}건 (${path.relative(PROJECT_ROOT, filePath)})`);
+  } else {
+    console.log(formatSummary(summarizeLog(filtered)));
+    if (invalid > 0) console.log(`\n깨진 줄 ${invalid}개 건너뜀`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readLogFile, filterEntries, summarizeLog, formatSummary, formatEntry, resolveLogFile };
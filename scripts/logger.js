@@ -0,0 +1,127 @@
+/**
+ * 구조화 로그 — 사람이 읽는 콘솔 출력 + JSON Lines 파일 (output/logs/<runId>.jsonl)
+ *
+ * 한 줄 = 한 이벤트:
+ *   {"ts":"2026-10-19T00:41:02.120Z","level":"info","runId":"20261019","component":"orchestrator",
+ *    "label":"IT","stage":"llm_extract","messageId":"18c2...","msg":"아이템 3개 추출","duration_ms":8123}
+ *
+ * runId·label·messageId·stage는 호출하는 쪽이 매번 넘기지 않아도 된다:
+ *   - openRunLog(runId, filePath)     런 전체의 기본 필드 + 파일 기록 시작 (closeRunLog로 종료)
+ *   - withLogContext(fields, fn)      fn 안(하위 await 포함)의 로그에 필드를 붙인다. 라벨 병렬 처리에서도
+ *                                     AsyncLocalStorage로 라벨마다 따로 유지된다.
+ *   - logStage(stage, fn)             fn을 stage 맥락에서 실행하고 끝나면 소요 시간(stage_end 이벤트)을 남긴다.
+ *
+ * 콘솔은 LOG_LEVEL(기본 info) 이상만, 파일은 debug까지 전부 기록한다. 파일이 열려 있지 않으면 콘솔만.
+ * console.log/warn/error는 호출 시점에 찾으므로 테스트의 콘솔 가로채기와 함께 동작한다.
+ * 조회·요약은 scripts/log_query.js (npm run logs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LOG_DIR = path.join(__dirname, '..', 'output', 'logs');
+
+const contextStore = new AsyncLocalStorage();
+const sink = { filePath: null, base: {} };
+
+function consoleLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+/**
+ * 런 로그 시작: 이후 모든 로그에 runId를 붙이고 JSON Lines 파일에 추가 기록
+ * @param {string} runId
+ * @param {string} [filePath] - 기본 output/logs/<runId>.jsonl
+ * @returns {string} 로그 파일 경로
+ */
+function openRunLog(runId, filePath) {
+  const target = filePath || path.join(DEFAULT_LOG_DIR, `${runId}.jsonl`);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  sink.filePath = target;
+  sink.base = { runId };
+  return target;
+}
+
+function closeRunLog() {
+  sink.filePath = null;
+  sink.base = {};
+}
+
+function currentContext() {
+  return { ...sink.base, ...(contextStore.getStore() || {}) };
+}
+
+/**
+ * fn 실행 동안(비동기 포함) 로그 맥락 필드 추가
+ */
+function withLogContext(fields, fn) {
+  return contextStore.run({ ...(contextStore.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * 로그 한 건 기록
+ * @param {string} level - debug | info | warn | error
+ * @param {string} message - 콘솔에는 그대로, 파일에는 앞뒤 공백·줄바꿈을 뗀 msg로
+ * @param {Object} [fields] - 파일에만 남는 추가 필드 (component, duration_ms, event 등)
+ */
+function write(level, message, fields = {}) {
+  const text = String(message);
+  if (LEVELS[level] >= LEVELS[consoleLevel()]) {
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    console[method](text);
+  }
+  const msg = text.trim();
+  if (!sink.filePath || (!msg && !fields.event)) return;
+  const entry = { ts: new Date().toISOString(), level, ...currentContext(), ...fields, msg };
+  try {
+    fs.appendFileSync(sink.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (e) {
+    // 로그 기록 실패로 파이프라인을 멈추지 않음
+  }
+}
+
+/**
+ * 모듈별 로거
+ * @param {string} component - 로그의 component 필드 (orchestrator, fetch_gmail, agent_runner, ...)
+ */
+function createLogger(component) {
+  const logger = {};
+  for (const level of Object.keys(LEVELS)) {
+    logger[level] = (message, fields = {}) => write(level, message, { component, ...fields });
+  }
+  return logger;
+}
+
+/**
+ * 단계 실행 + 소요 시간 기록 (콘솔에는 나오지 않는 debug 이벤트)
+ *   성공: {event: 'stage_end', stage, duration_ms}, 예외: {event: 'stage_error', stage, duration_ms, error} 후 다시 던짐
+ */
+async function logStage(stage, fn) {
+  const startedAt = Date.now();
+  return withLogContext({ stage }, async () => {
+    try {
+      const result = await fn();
+      write('debug', `${stage} 완료`, { component: 'stage', event: 'stage_end', duration_ms: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      write('debug', `${stage} 실패: ${error.message}`, {
+        component: 'stage', event: 'stage_error', duration_ms: Date.now() - startedAt, error: error.message
+      });
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  createLogger,
+  openRunLog,
+  closeRunLog,
+  withLogContext,
+  logStage,
+  currentContext,
+  LEVELS,
+  DEFAULT_LOG_DIR
+};
@@ -0,0 +1,537 @@
+/**
+ * 메일 소스 (MailSource)
+ *
+ * orchestrator가 메일 수집에 쓰는 인터페이스:
+ *   authenticate() / verifyAuth() / fetchMessages(options) / markMessagesAsRead(ids) / isAuthError(err)
+ *   (선택) saveSyncCursor(key, historyId) - history 증분 동기화 지원 소스만
+ *
+ * - GmailFetcher (fetch_gmail.js): Gmail API (OAuth)
+ * - LocalMailSource: 로컬 .eml 폴더 / mbox 파일 / Maildir → OAuth 없이 오프라인 다이제스트
+ *   (과거 아카이브 재처리, Google Takeout mbox 온보딩)
+ *
+ * LocalMailSource는 GmailFetcher를 상속해 fetchMessages 파이프라인(날짜 필터, 중복 감지,
+ * msg_*.json / messages_list.json 저장)을 그대로 재사용하고, 목록 조회·본문 조회만 로컬로 바꾼다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GmailFetcher } = require('./fetch_gmail');
+
+// 라벨 매핑에서 무시하는 Gmail 시스템 라벨 (Takeout X-Gmail-Labels, Maildir INBOX 등)
+const SYSTEM_LABELS = new Set([
+  'inbox', 'unread', 'opened', 'important', 'starred', 'sent', 'drafts',
+  'spam', 'trash', 'archived', 'chat',
+  'category personal', 'category promotions', 'category social', 'category updates', 'category forums'
+]);
+
+// mbox 헤더 인덱싱 시 읽는 최대 바이트 (헤더만 필요)
+const HEADER_READ_LIMIT = 64 * 1024;
+// mbox 스캔 청크 크기 (대용량 Takeout 파일도 통째로 메모리에 올리지 않음)
+const MBOX_SCAN_CHUNK = 1024 * 1024;
+
+// ---------------------------------------------------------------------------
+// MIME 파싱 (RFC 5322 / 2045 / 2047 최소 구현)
+//   원문은 latin1 문자열로 다뤄 바이트를 보존하고, 디코딩 시점에 charset을 적용한다.
+// ---------------------------------------------------------------------------
+
+/**
+ * 바이트를 charset으로 디코딩 (모르는 charset은 UTF-8)
+ */
+function decodeBytes(buf, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buf);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buf);
+  }
+}
+
+/**
+ * quoted-printable → 바이트
+ */
+function decodeQuotedPrintable(str) {
+  const bin = str
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16)));
+  return Buffer.from(bin, 'latin1');
+}
+
+/**
+ * latin1로 읽은 원문 바이트 → UTF-8 문자열 (이미 유니코드 문자열이면 그대로)
+ */
+function latin1ToUtf8(s) {
+  if (/[^\x00-\xff]/.test(s)) return s;
+  return decodeBytes(Buffer.from(s, 'latin1'), 'utf-8');
+}
+
+/**
+ * 헤더 값 디코딩 (RFC 2047 encoded-word + 8bit 원문 UTF-8)
+ *   예: '=?UTF-8?B?7ZWc6rWt?=' → '한국'
+ */
+function decodeHeaderValue(value) {
+  if (!value) return '';
+  // 인접한 encoded-word 사이 공백은 제거 (RFC 2047 §6.2)
+  const joined = value.replace(/(\?=)\s+(?==\?)/g, '$1');
+  const encodedWord = /=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g;
+  let out = '';
+  let last = 0;
+  let m;
+  while ((m = encodedWord.exec(joined)) !== null) {
+    out += latin1ToUtf8(joined.slice(last, m.index));
+    const [, charset, enc, text] = m;
+    const bytes = enc.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    out += decodeBytes(bytes, charset.replace(/\*.*$/, ''));
+    last = m.index + m[0].length;
+  }
+  out += latin1ToUtf8(joined.slice(last));
+  return out.trim();
+}
+
+/**
+ * 헤더 블록 파싱 → [{name, value}] (Gmail API payload.headers와 같은 모양)
+ */
+function parseHeaders(headerBlock) {
+  const headers = [];
+  const unfolded = headerBlock.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    headers.push({
+      name: line.slice(0, idx).trim(),
+      value: decodeHeaderValue(line.slice(idx + 1).trim())
+    });
+  }
+  return headers;
+}
+
+function getHeader(headers, name) {
+  const h = headers.find(x => x.name.toLowerCase() === name.toLowerCase());
+  return h ? h.value : '';
+}
+
+/**
+ * Content-Type 류 헤더 → {type, params}
+ */
+function parseContentType(value) {
+  const type = String(value || '').split(';')[0].trim().toLowerCase();
+  const params = {};
+  const re = /;\s*([^=;\s]+)\s*=\s*(?:"([^"]*)"|([^;\s]*))/g;
+  let m;
+  while ((m = re.exec(value || '')) !== null) {
+    params[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3];
+  }
+  return { type, params };
+}
+
+/**
+ * 원문을 헤더 블록/본문으로 분리
+ */
+function splitHeaderBody(raw) {
+  const m = raw.match(/\r?\n\r?\n/);
+  if (!m) return { headerBlock: raw, body: '' };
+  return { headerBlock: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+/**
+ * multipart 본문을 boundary로 분리
+ */
+function splitMultipart(body, boundary) {
+  const delim = `--${boundary}`;
+  const parts = [];
+  let current = null;
+  for (const line of body.split('\n')) {
+    const trimmed = line.replace(/\r$/, '').trimEnd();
+    if (trimmed === `${delim}--`) {
+      if (current) parts.push(current.join('\n'));
+      current = null;
+      break;
+    }
+    if (trimmed === delim) {
+      if (current) parts.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+/**
+ * MIME 파트 트리를 순회하며 첫 text/html, text/plain 본문 수집 (첨부 제외)
+ */
+function collectBodies(raw, out) {
+  const { headerBlock, body } = splitHeaderBody(raw);
+  const headers = parseHeaders(headerBlock);
+  const ct = parseContentType(getHeader(headers, 'Content-Type') || 'text/plain');
+
+  if (ct.type.startsWith('multipart/') && ct.params.boundary) {
+    for (const part of splitMultipart(body, ct.params.boundary)) {
+      collectBodies(part, out);
+    }
+    return;
+  }
+
+  const disposition = parseContentType(getHeader(headers, 'Content-Disposition'));
+  if (disposition.type === 'attachment') return;
+  if (ct.type !== 'text/html' && ct.type !== 'text/plain') return;
+  if (ct.type === 'text/html' ? out.html !== null : out.text !== null) return;
+
+  const encoding = getHeader(headers, 'Content-Transfer-Encoding').toLowerCase();
+  let bytes;
+  if (encoding === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body);
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+  const decoded = decodeBytes(bytes, ct.params.charset);
+  if (ct.type === 'text/html') out.html = decoded;
+  else out.text = decoded;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * RFC 822 원문 메시지 파싱
+ * @param {Buffer|string} raw
+ * @returns {{headers: Array<{name, value}>, html: string}} - HTML 파트가 없으면 text/plain을 <pre>로 감싼다
+ */
+function parseRawMessage(raw) {
+  const str = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const { headerBlock } = splitHeaderBody(str);
+  const out = { html: null, text: null };
+  collectBodies(str, out);
+  let html = out.html;
+  if (html === null) html = out.text !== null ? `<pre>${escapeHtml(out.text)}</pre>` : '';
+  return { headers: parseHeaders(headerBlock), html };
+}
+
+// ---------------------------------------------------------------------------
+// 로컬 저장소 스캔
+// ---------------------------------------------------------------------------
+
+function isMboxFile(name) {
+  return /\.(mbox|mbx)$/i.test(name) || name === 'mbox';
+}
+
+/**
+ * 폴더 경로 → 라벨 이름
+ *   'IT/AI' → 'IT/AI', Maildir++ '.IT.AI' → 'IT/AI', 루트('') → null
+ */
+function folderToLabel(relDir) {
+  const segments = relDir.split(/[\\/]/).filter(Boolean);
+  const parts = [];
+  for (const seg of segments) {
+    if (seg.startsWith('.')) parts.push(...seg.slice(1).split('.').filter(Boolean));
+    else parts.push(seg);
+  }
+  return parts.length > 0 ? parts.join('/') : null;
+}
+
+/**
+ * mbox 파일에서 메시지 경계(byte offset) 탐색
+ *   "From " 구분 줄은 파일 시작 또는 빈 줄 다음에만 인정 (mboxrd/mboxo 공통)
+ * @returns {Array<{start: number, end: number}>} - start는 구분 줄 다음(헤더 시작)
+ */
+function scanMboxOffsets(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const separators = [];
+    const needle = Buffer.from('\nFrom ', 'latin1');
+    const head = Buffer.alloc(Math.min(5, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+    if (head.toString('latin1') === 'From ') separators.push(0);
+
+    // 청크 앞쪽 2바이트 겹쳐 읽기 → 빈 줄(\n\n, \r\n\r\n) 판정이 청크 경계에 걸려도 안전
+    for (let pos = 0; pos < size; pos += MBOX_SCAN_CHUNK) {
+      const readStart = Math.max(0, pos - 2);
+      const len = Math.min(MBOX_SCAN_CHUNK + needle.length + 2, size - readStart);
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, readStart);
+      let idx = buf.indexOf(needle);
+      while (idx !== -1) {
+        const abs = readStart + idx;
+        if (abs >= pos && abs < pos + MBOX_SCAN_CHUNK) {
+          const prev = idx > 0 ? buf[idx - 1] : null;
+          const prev2 = idx > 1 ? buf[idx - 2] : null;
+          const blankBefore = prev === 0x0a || (prev === 0x0d && prev2 === 0x0a);
+          if (blankBefore) separators.push(abs + 1);
+        }
+        idx = buf.indexOf(needle, idx + 1);
+      }
+    }
+
+    const offsets = [];
+    for (let i = 0; i < separators.length; i++) {
+      const sepStart = separators[i];
+      const end = i + 1 < separators.length ? separators[i + 1] : size;
+      // 구분 줄("From sender date") 건너뛰기
+      const lineBuf = Buffer.alloc(Math.min(1024, end - sepStart));
+      fs.readSync(fd, lineBuf, 0, lineBuf.length, sepStart);
+      const nl = lineBuf.indexOf(0x0a);
+      const start = nl === -1 ? end : sepStart + nl + 1;
+      if (start < end) offsets.push({ start, end });
+    }
+    return offsets;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readRange(filePath, start, end) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(Math.max(0, end - start));
+    fs.readSync(fd, buf, 0, buf.length, start);
+    return buf;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * mboxrd 이스케이프 해제 (">From " → "From ")
+ */
+function unescapeMbox(buf) {
+  return Buffer.from(buf.toString('latin1').replace(/^>(>*From )/gm, '$1'), 'latin1');
+}
+
+/**
+ * Gmail 쿼리 날짜('YYYY/MM/DD') → Date (UTC 자정). 파싱 실패 시 null
+ */
+function parseQueryDate(s) {
+  const m = String(s || '').match(/^(\d{4})\/(\d{2})\/(\d{2})$/);
+  return m ? new Date(`${m[1]}-${m[2]}-${m[3]}T00:00:00Z`) : null;
+}
+
+// ---------------------------------------------------------------------------
+// LocalMailSource
+// ---------------------------------------------------------------------------
+
+class LocalMailSource extends GmailFetcher {
+  /**
+   * @param {string} rootPath - .eml 폴더 / mbox 파일 / Maildir (하위 폴더 혼용 가능)
+   * @param {Object} [options]
+   * @param {Map<string, string[]>} [options.senderLabels] - 발신자 이메일 → 라벨 이름(Gmail 라벨명) 목록.
+   *   폴더/X-Gmail-Labels로 라벨을 알 수 없는 메일에만 적용
+   */
+  constructor(rootPath, options = {}) {
+    super(null, options);
+    this.rootPath = path.resolve(rootPath);
+    this.senderLabels = options.senderLabels || new Map();
+    this.quotaUnitsPerSecond = 0; // 로컬은 쿼터 페이싱 불필요
+    this._index = null;
+  }
+
+  /**
+   * 인증 대신 소스 경로 확인 + 메시지 인덱스 구축
+   */
+  async authenticate() {
+    if (!fs.existsSync(this.rootPath)) {
+      throw new Error(`로컬 메일 소스를 찾을 수 없습니다: ${this.rootPath}`);
+    }
+    this.buildIndex();
+    this.gmail = null;
+    return true;
+  }
+
+  async verifyAuth() {
+    const index = this.buildIndex();
+    return { emailAddress: `local:${this.rootPath}`, messagesTotal: index.size };
+  }
+
+  isAuthError() {
+    return false;
+  }
+
+  /**
+   * 로컬 메시지 인덱스 (id → {id, file, start, end, labels, from, date})
+   *   같은 Message-ID가 여러 폴더에 있으면 한 메시지로 합치고 라벨을 누적 (Gmail 다중 라벨과 동일)
+   */
+  buildIndex() {
+    if (this._index) return this._index;
+    const index = new Map();
+
+    const addMessage = ({ file, start, end, folderLabel, rel, mbox = false }) => {
+      const headBuf = readRange(file, start, Math.min(end, start + HEADER_READ_LIMIT));
+      const { headerBlock } = splitHeaderBody(headBuf.toString('latin1'));
+      const headers = parseHeaders(headerBlock);
+      const messageId = getHeader(headers, 'Message-ID').replace(/[<>\s]/g, '');
+      const id = crypto.createHash('sha1')
+        .update(messageId || `${rel}:${start}`)
+        .digest('hex')
+        .substring(0, 16);
+
+      // Takeout mbox는 X-Gmail-Labels가 실제 Gmail 라벨 → 있으면 파일/폴더 이름보다 우선
+      const gmailLabelsHeader = getHeader(headers, 'X-Gmail-Labels');
+      const labels = gmailLabelsHeader
+        ? gmailLabelsHeader.split(',').map(l => l.trim().replace(/^"|"$/g, '')).filter(Boolean)
+        : (folderLabel ? [folderLabel] : []);
+      const userLabels = labels.filter(l => !SYSTEM_LABELS.has(l.toLowerCase()));
+
+      const existing = index.get(id);
+      if (existing) {
+        for (const l of userLabels) if (!existing.labels.includes(l)) existing.labels.push(l);
+        return;
+      }
+      index.set(id, {
+        id,
+        file,
+        start,
+        end,
+        mbox,
+        labels: userLabels,
+        from: getHeader(headers, 'From'),
+        date: getHeader(headers, 'Date')
+      });
+    };
+
+    const addMbox = (file, rel, folderLabel) => {
+      for (const { start, end } of scanMboxOffsets(file)) {
+        addMessage({ file, start, end, folderLabel, rel: `${rel}#${start}`, mbox: true });
+      }
+    };
+
+    const walk = (dir, relDir) => {
+      const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+      const isMaildir = entries.some(e => e.isDirectory() && (e.name === 'cur' || e.name === 'new'));
+      for (const e of entries) {
+        const full = path.join(dir, e.name);
+        const rel = relDir ? `${relDir}/${e.name}` : e.name;
+        if (e.isDirectory()) {
+          if (isMaildir && e.name === 'tmp') continue;
+          if (isMaildir && (e.name === 'cur' || e.name === 'new')) {
+            for (const f of fs.readdirSync(full).sort()) {
+              const file = path.join(full, f);
+              if (!fs.statSync(file).isFile()) continue;
+              addMessage({ file, start: 0, end: fs.statSync(file).size, folderLabel: folderToLabel(relDir), rel: `${rel}/${f}` });
+            }
+            continue;
+          }
+          walk(full, rel);
+        } else if (e.isFile()) {
+          if (/\.eml$/i.test(e.name)) {
+            addMessage({ file: full, start: 0, end: fs.statSync(full).size, folderLabel: folderToLabel(relDir), rel });
+          } else if (isMboxFile(e.name)) {
+            const base = e.name === 'mbox' ? '' : e.name.replace(/\.(mbox|mbx)$/i, '');
+            addMbox(full, rel, folderToLabel(relDir ? `${relDir}/${base}` : base));
+          }
+        }
+      }
+    };
+
+    if (fs.statSync(this.rootPath).isFile()) {
+      addMbox(this.rootPath, path.basename(this.rootPath), null);
+    } else {
+      walk(this.rootPath, '');
+    }
+
+    this._index = index;
+    console.log(`로컬 메일 소스: ${index.size}개 메시지 (${this.rootPath})`);
+    return index;
+  }
+
+  /**
+   * 라벨(+하위 라벨)에 속한 메시지 목록
+   *   1) 폴더 이름 / X-Gmail-Labels 라벨 일치
+   *   2) 라벨 정보가 전혀 없는 메일은 발신자 → 라벨 맵(senderLabels)으로 배정
+   *   dateStart/dateEnd(Gmail 쿼리 형식, 앞뒤 여유 포함)로 1차 필터 → 정밀 필터는 fetchMessages
+   */
+  async listMessages(options) {
+    const { label, subLabels, dateStart, dateEnd } = options;
+    const targets = new Set([label, ...(subLabels || [])]);
+    const after = parseQueryDate(dateStart);
+    const before = parseQueryDate(dateEnd);
+
+    const messages = [];
+    for (const entry of this.buildIndex().values()) {
+      let matched;
+      if (entry.labels.length > 0) {
+        matched = entry.labels.some(l => targets.has(l));
+      } else {
+        const email = String(this.extractSenderEmail(entry.from) || '').toLowerCase();
+        matched = (this.senderLabels.get(email) || []).some(l => targets.has(l));
+      }
+      if (!matched) continue;
+
+      const d = new Date(String(entry.date).replace(/\s*\([^)]+\)\s*$/, ''));
+      if (!isNaN(d.getTime())) {
+        if (after && d < after) continue;
+        if (before && d >= before) continue;
+      }
+      messages.push({ id: entry.id });
+    }
+
+    console.log(`Query: local ${[...targets].join(', ')}`);
+    console.log(`Found ${messages.length} messages`);
+    return messages;
+  }
+
+  /**
+   * 라벨 ID = 라벨 이름 (로컬 소스는 ID 체계가 없음)
+   */
+  async getLabelIdNameMap() {
+    const map = new Map();
+    for (const entry of this.buildIndex().values()) {
+      for (const l of entry.labels) map.set(l, l);
+    }
+    return map;
+  }
+
+  /**
+   * 메시지 본문 로드 → Gmail 메시지와 같은 모양({id, labelIds, payload.headers}) + 디코딩된 html
+   */
+  async getMessage(messageId) {
+    const entry = this.buildIndex().get(messageId);
+    if (!entry) throw new Error(`로컬 메시지 없음: ${messageId}`);
+    let raw = readRange(entry.file, entry.start, entry.end);
+    if (entry.mbox) raw = unescapeMbox(raw);
+    const { headers, html } = parseRawMessage(raw);
+    return { id: messageId, labelIds: entry.labels.slice(), payload: { headers }, html };
+  }
+
+  extractHtmlBody(message) {
+    return message.html || '';
+  }
+
+  /**
+   * 로컬 소스는 history 커서가 없으므로 항상 날짜 범위 수집
+   */
+  async fetchMessages(options) {
+    return super.fetchMessages({ ...options, syncMode: 'window' });
+  }
+
+  /**
+   * 로컬 파일은 읽음 상태가 없음 → no-op
+   */
+  async markMessagesAsRead(messageIds) {
+    return { success: 0, failed: 0, skipped: (messageIds || []).length };
+  }
+}
+
+/**
+ * 메일 소스 생성
+ * @param {string|null} spec - null/'gmail' → GmailFetcher, 그 외 → 로컬 경로
+ * @param {Object} [options] - LocalMailSource 옵션 (senderLabels)
+ */
+function createMailSource(spec, options = {}) {
+  if (!spec || spec === 'gmail') return new GmailFetcher();
+  return new LocalMailSource(spec, options);
+}
+
+module.exports = {
+  LocalMailSource,
+  createMailSource,
+  parseRawMessage,
+  decodeHeaderValue,
+  scanMboxOffsets,
+  folderToLabel
+};
@@ -0,0 +1,90 @@
+/**
+ * 모델 라우팅 — 작업 유형 / 라벨 / SKILL 언어별 모델·reasoning·temperature 선택
+ *
+ * 설정: config/llm.json의 "routing" 배열 (config/llm.example.json 참고)
+ *   [
+ *     { "match": { "task": "extract", "language": "ko" }, "model": "deepseek/deepseek-v4-flash" },
+ *     { "match": { "task": "merge" }, "model": "deepseek/deepseek-v4-pro", "reasoning": false }
+ *   ]
+ *
+ * 규칙:
+ *   - match 키: task(extract|analyze|merge) / label / language. 값은 문자열 또는 배열, 생략한 키는 전부 매치.
+ *   - 위에서부터 조건이 모두 맞는 규칙을 차례로 적용 → 뒤 규칙이 앞 규칙의 필드를 덮어씀.
+ *   - 어떤 규칙도 안 맞은 필드는 러너 기본값(CONFIG.model / REASONING_ENABLED / 작업별 temperature).
+ *   - 모델 id는 선택된 프로바이더 기준 (OpenRouter면 'deepseek/...', Ollama면 'qwen2.5:14b' 등).
+ */
+
+const { loadLlmConfig, LLM_CONFIG_PATH } = require('./llm_providers');
+
+const MATCH_KEYS = ['task', 'label', 'language'];
+const ROUTE_FIELDS = ['model', 'reasoning', 'temperature'];
+
+class ModelRouter {
+  /**
+   * @param {Array<Object>} [routes] - 라우팅 규칙 배열
+   */
+  constructor(routes = []) {
+    if (!Array.isArray(routes)) {
+      throw new Error('llm.json routing은 배열이어야 합니다');
+    }
+    routes.forEach((route, i) => {
+      const unknown = Object.keys(route.match || {}).filter(k => !MATCH_KEYS.includes(k));
+      if (unknown.length > 0) {
+        throw new Error(`routing[${i}]: 알 수 없는 match 키 ${unknown.join(', ')} (${MATCH_KEYS.join(' | ')})`);
+      }
+      if (!ROUTE_FIELDS.some(f => route[f] !== undefined)) {
+        throw new Error(`routing[${i}]: ${ROUTE_FIELDS.join(' / ')} 중 하나는 지정해야 합니다`);
+      }
+    });
+    this.routes = routes;
+  }
+
+  /**
+   * config/llm.json의 routing으로 생성 (없으면 빈 라우터 = 기존 단일 모델 동작)
+   */
+  static fromConfig(configPath = LLM_CONFIG_PATH) {
+    const config = loadLlmConfig(configPath) || {};
+    return new ModelRouter(config.routing || []);
+  }
+
+  get enabled() {
+    return this.routes.length > 0;
+  }
+
+  /**
+   * 호출 맥락에 맞는 설정 결정
+   * @param {{task?: string, label?: string, language?: string}} context
+   * @param {{model: string, reasoning: boolean, temperature: number}} defaults
+   * @returns {{model, reasoning, temperature, matched: number[]}} - matched: 적용된 규칙 인덱스
+   */
+  resolve(context, defaults) {
+    const result = { ...defaults, matched: [] };
+    this.routes.forEach((route, i) => {
+      if (!matches(route.match || {}, context)) return;
+      for (const field of ROUTE_FIELDS) {
+        if (route[field] !== undefined) result[field] = route[field];
+      }
+      result.matched.push(i);
+    });
+    return result;
+  }
+}
+
+function matches(match, context) {
+  return MATCH_KEYS.every(key => {
+    if (match[key] === undefined) return true;
+    const allowed = Array.isArray(match[key]) ? match[key] : [match[key]];
+    return context[key] != null && allowed.includes(context[key]);
+  });
+}
+
+/**
+ * SKILL 문서의 기본 정보 표에서 언어 코드 추출 (`| 언어 | en |`). 없으면 null.
+ */
+function parseSkillLanguage(content) {
+  if (!content) return null;
+  const m = content.match(/^\|\s*언어\s*\|\s*([A-Za-z-]+)\s*\|/m);
+  return m ? m[1].toLowerCase() : null;
+}
+
+module.exports = { ModelRouter, parseSkillLanguage };
@@ -8,6 +8,27 @@ const fs = require('fs');
 const os = require('os');
 const { AgentRunner } = require('./agent_runner');
 const { AdaptiveLearning } = require('./adaptive_learning');
+const { ACCOUNTS_PATH, loadAccounts, resolveAccountLabel } = require('./accounts');
+const { resolveProviderSpec } = require('./llm_providers');
+const { LLM_CACHE_MODES } = require('./llm_cache');
+const { DEFAULT_THRESHOLD: GROUNDING_DEFAULT_THRESHOLD, groundItem, meanGrounding, checkGrounding } = require('./grounding');
+const { locateSource, restoreItemProvenance } = require('./provenance');
+const { catalogSenders, sourceDisplayName, mergedSource } = require('./source_attribution');
+const { JunkFilter } = require('./junk_filter');
+const { ItemArchive } = require('./item_archive');
+const { StoryRegistry, assignThreads } = require('./story_threads');
+const { groupRelated } = require('./clustering');
+const { SCHEDULE_PATH, loadSchedule, defaultWindowForDate, defaultLatestWindow } = require('./schedule');
+const { runPublishers, unknownPublishers, writePublishResults, formatPublishResults, PUBLISHER_NAMES } = require('./publishers');
+const { buildManifest, writeManifest, isCompleteRun } = require('./run_manifest');
+const { recordRunMetrics } = require('./run_metrics');
+const { RunLock, RUN_LOCK_PATH } = require('./run_lock');
+const { createLogger, openRunLog, closeRunLog, withLogContext, logStage } = require('./logger');
+
+const log = createLogger('orchestrator');
+
+// 라벨별 파이프라인 단계 (순서 = 하류 방향). 단계마다 지우는 산출물: raw/ → clean/ → items/ → merged_<라벨>.json
+const PIPELINE_STAGES = ['gmail_fetch', 'html_to_text', 'llm_extract', 'merge'];
 
 /**
  * ProgressManager - 증분 처리를 위한 진행 상태 관리 (캐싱 적용)
@@ -24,7 +45,7 @@ class ProgressManager {
       try {
         return JSON.parse(fs.readFileSync(this.progressPath, 'utf8'));
       } catch (e) {
-        console.warn(`  progress.json 파싱 실패, 초기화: ${e.message}`);
+        log.warn(`  progress.json 파싱 실패, 초기화: ${e.message}`);
       }
     }
     return { labels: {}, started_at: new Date().toISOString() };
@@ -89,6 +110,25 @@ class ProgressManager {
     this.progress.completed_at = new Date().toISOString();
     this.save();
   }
+
+  // 실행 시간 범위 기록 (--run <runId> 재실행이 같은 창으로 다시 수집하도록)
+  setTimeRange(timeRange) {
+    this.progress.time_range = { start: timeRange.start.toISOString(), end: timeRange.end.toISOString() };
+    this._markDirty();
+  }
+
+  /**
+   * 라벨의 지정 단계부터 하류 단계까지 pending으로 되돌림 (--from-stage / --only-stage)
+   * @returns {Array<string>} 되돌린 단계
+   */
+  resetFromStage(labelName, stage) {
+    this.initLabel(labelName);
+    const reset = PIPELINE_STAGES.slice(PIPELINE_STAGES.indexOf(stage));
+    for (const step of reset) this.progress.labels[labelName][step] = 'pending';
+    delete this.progress.completed_at;
+    this.save();
+    return reset;
+  }
 }
 
 /**
@@ -105,7 +145,7 @@ class FailedBatchManager {
       try {
         return JSON.parse(fs.readFileSync(this.failedBatchesPath, 'utf8'));
       } catch (e) {
-        console.warn(`  failed_batches.json 파싱 실패, 초기화: ${e.message}`);
+        log.warn(`  failed_batches.json 파싱 실패, 초기화: ${e.message}`);
       }
     }
     return { batches: [] };
@@ -160,7 +200,128 @@ class FailedBatchManager {
  * 임시 폴더 경로 생성
  */
 function getTempDir(runId) {
-  return path.join(os.tmpdir(), 'yks-gmail-manager', runId);
+  return path.join(getTempBaseDir(), runId);
+}
+
+function getTempBaseDir() {
+  return path.join(os.tmpdir(), 'yks-gmail-manager');
+}
+
+// 드라이런은 실제 런의 progress·추출 캐시와 섞이지 않도록 별도 임시 폴더 (<runId>-dry)
+function getRunTempDir(runId) {
+  return getTempDir(CONFIG.dryRun ? `${runId}-dry` : runId);
+}
+
+// 결과물 폴더: output/final/<runId> (드라이런은 output/dry-run/<runId>)
+function getFinalOutputDir(runId, projectRoot = path.join(__dirname, '..')) {
+  return path.join(projectRoot, 'output', CONFIG.dryRun ? 'dry-run' : 'final', runId);
+}
+
+/**
+ * 단계 재실행 준비: 선택 라벨의 지정 단계부터 하류까지 progress를 되돌리고 산출물을 지움
+ *   (산출물이 남아 있으면 단계 안의 증분 캐시가 "이미 처리됨"으로 건너뛰므로 함께 삭제)
+ * @param {string} runDir - 보존된 임시 폴더
+ * @param {ProgressManager} progressManager
+ * @param {Array<string>} labelNames
+ * @param {string} stage - PIPELINE_STAGES 중 하나
+ * @returns {Array<{label: string, stages: Array<string>, removed: number}>}
+ */
+function invalidateStages(runDir, progressManager, labelNames, stage) {
+  const stageDirs = { gmail_fetch: 'raw', html_to_text: 'clean', llm_extract: 'items' };
+  return labelNames.map(labelName => {
+    const stages = progressManager.resetFromStage(labelName, stage);
+    let removed = 0;
+    for (const step of stages) {
+      let targets;
+      if (step === 'merge') {
+        targets = [path.join(runDir, 'merged', `merged_${labelName}.json`)];
+      } else {
+        const dir = path.join(runDir, 'labels', labelName, stageDirs[step]);
+        targets = fs.existsSync(dir) ? fs.readdirSync(dir).map(f => path.join(dir, f)) : [];
+      }
+      for (const target of targets.filter(t => fs.existsSync(t))) {
+        fs.rmSync(target, { recursive: true, force: true });
+        removed++;
+      }
+    }
+    return { label: labelName, stages, removed };
+  });
+}
+
+/**
+ * 보존된 임시 폴더(재실행 가능한 런) 목록 (--list-runs)
+ * @param {string} [baseDir] - 기본 os.tmpdir()/yks-gmail-manager
+ * @returns {Array<{runId: string, dir: string, startedAt: string|null, updatedAt: string|null, completed: boolean, timeRange: Object|null, labels: Object, failedBatches: number}>}
+ */
+function listRuns(baseDir = getTempBaseDir()) {
+  if (!fs.existsSync(baseDir)) return [];
+  return fs.readdirSync(baseDir, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => {
+      const dir = path.join(baseDir, d.name);
+      const progress = new ProgressManager(path.join(dir, 'progress.json')).progress;
+      const failed = new FailedBatchManager(path.join(dir, 'failed_batches.json')).failedBatches;
+      return {
+        runId: d.name,
+        dir,
+        startedAt: progress.started_at || null,
+        updatedAt: progress.updated_at || null,
+        completed: Boolean(progress.completed_at),
+        timeRange: progress.time_range || null,
+        labels: progress.labels || {},
+        failedBatches: (failed.batches || []).length
+      };
+    })
+    .sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+/**
+ * --list-runs 출력 텍스트: 런마다 한 줄 + 라벨별로 마지막 완료 단계
+ */
+function formatRunList(runs) {
+  if (runs.length === 0) return `재실행 가능한 런 없음 (${getTempBaseDir()})`;
+  const lines = [];
+  for (const run of runs) {
+    const state = run.completed ? '완료(KEEP_TEMP 보존)' : '미완료';
+    lines.push(`${run.runId}  ${state}  갱신 ${run.updatedAt || run.startedAt || '-'}${run.failedBatches ? `  실패 배치 ${run.failedBatches}개` : ''}`);
+    for (const [label, steps] of Object.entries(run.labels)) {
+      const done = PIPELINE_STAGES.filter(s => steps[s] === 'completed');
+      const pending = PIPELINE_STAGES.find(s => steps[s] !== 'completed');
+      lines.push(`    ${label}: ${done.length}/${PIPELINE_STAGES.length}${pending ? ` (다음: ${pending}${steps[pending] === 'in_progress' ? ', 중단됨' : ''})` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * --from-stage / --only-stage / --run 조합 검증
+ */
+function validateStageArgs(args) {
+  for (const flag of ['fromStage', 'onlyStage']) {
+    if (args[flag] && !PIPELINE_STAGES.includes(args[flag])) {
+      throw new Error(`알 수 없는 단계 '${args[flag]}' (${PIPELINE_STAGES.join(' | ')})`);
+    }
+  }
+  if (args.fromStage && args.onlyStage) throw new Error('--from-stage와 --only-stage는 함께 쓸 수 없습니다');
+  if (args.mode === 'range' && (args.fromStage || args.onlyStage || args.run)) {
+    throw new Error('--mode range에서는 단계 재실행(--from-stage/--only-stage/--run)을 쓸 수 없습니다');
+  }
+}
+
+/**
+ * 기존 런의 시간 범위 (--run <runId>). progress.json에 기록이 없으면(이전 버전 런) 그 날짜의 schedule 창
+ */
+function loadRunTimeRange(runId) {
+  const progressPath = path.join(getRunTempDir(runId), 'progress.json');
+  if (!fs.existsSync(progressPath)) {
+    throw new Error(`런 '${runId}'의 임시 폴더가 없습니다 (npm run digest -- --list-runs로 확인, 성공한 런은 KEEP_TEMP=1일 때만 보존)`);
+  }
+  const { time_range: range } = new ProgressManager(progressPath).progress;
+  if (range) return { start: new Date(range.start), end: new Date(range.end) };
+  if (!/^\d{8}$/.test(runId)) throw new Error(`런 '${runId}'의 시간 범위를 알 수 없습니다`);
+  const date = `${runId.slice(0, 4)}-${runId.slice(4, 6)}-${runId.slice(6)}`;
+  log.warn(`  progress.json에 시간 범위 기록 없음 → ${date} schedule 창으로 간주`);
+  return defaultWindowForDate(date) || defaultLatestWindow(new Date(`${date}T23:59:00+09:00`));
 }
 
 /**
@@ -188,8 +349,9 @@ function isValidItemsCache(itemsPath) {
  *   대량 실패(추출 전량 실패·고실패율·라벨 예외)와 "정상 0건"(그날 새 메일 없음)을 구분한다.
  *   판정은 라벨 단위가 아니라 전체 파이프라인 집계로 한다 → 항상 비어있는 게 정상인 라벨
  *   (NYT_경제·NYT_라이프·글로벌_경제 등)을 실패로 오인하지 않는다.
+ *   비용 예산 한도로 추출을 생략한 메일이 있으면 budgetTruncated로 표시한다(생략은 실패율에 넣지 않음).
  * @param {Array} results - processLabel 결과 배열
- * @returns {{healthy:boolean, empty:boolean, reason:string}}
+ * @returns {{healthy:boolean, empty:boolean, reason:string, budgetTruncated?:boolean}}
  */
 function assessRunHealth(results) {
   const list = Array.isArray(results) ? results : [];
@@ -198,6 +360,8 @@ function assessRunHealth(results) {
   const totalItems = list.reduce((s, r) => s + ((r && r.itemCount) || 0), 0);
   const extractFail = list.reduce((s, r) => s + ((r && r.extractFail) || 0), 0);
   const extractAttempted = list.reduce((s, r) => s + ((r && r.extractAttempted) || 0), 0);
+  const budgetSkipped = list.reduce((s, r) => s + ((r && r.budgetSkipped) || 0), 0);
+  const budgetNote = `비용 예산 한도 도달로 ${budgetSkipped}건 추출 생략`;
 
   // 라벨 처리 자체가 예외로 떨어진 경우(인증 등) = 비정상 → 발행 차단.
   // (정상적으로 메일이 없는 라벨은 success:true, messageCount:0으로 돌아오므로 여기 안 걸림.)
@@ -213,6 +377,9 @@ function assessRunHealth(results) {
   }
   // 메일은 가져왔는데 최종 아이템이 0건 = 추출/병합 전량 실패 의심.
   if (totalItems === 0) {
+    if (budgetSkipped > 0) {
+      return { healthy: false, empty: false, budgetTruncated: true, reason: `${budgetNote}, 최종 아이템 0건` };
+    }
     return {
       healthy: false, empty: false,
       reason: `메일 ${totalMessages}건 수집됐으나 최종 아이템 0건(추출 전량 실패 의심)`
@@ -225,16 +392,46 @@ function assessRunHealth(results) {
       reason: `LLM 추출 실패율 ${Math.round((extractFail / extractAttempted) * 100)}% (${extractFail}/${extractAttempted})`
     };
   }
+  if (budgetSkipped > 0) {
+    return {
+      healthy: true, empty: false, budgetTruncated: true,
+      reason: `예산 절단(${budgetNote}, 메일 ${totalMessages}건, 아이템 ${totalItems}건)`
+    };
+  }
   return { healthy: true, empty: false, reason: `정상(메일 ${totalMessages}건, 아이템 ${totalItems}건)` };
 }
 
+/**
+ * 예산 절단 후 생략된 메일을 이어 처리하는 방법
+ *   history 수집은 커서를 두었으므로 다음 실행이 같은 구간을 다시 가져간다.
+ *   window 수집은 다음 실행이 다음 시간 구간만 가져가므로 생략분이 저절로 이어지지 않는다
+ *   → 임시 폴더를 보존해 같은 런을 --run으로 재실행하면 생략된 메일만 추출한다(완료분은 items 캐시).
+ * @param {string} syncMode - 'window' | 'history'
+ * @param {string} runId
+ * @param {boolean} [dryRun]
+ * @returns {{keepTemp: boolean, note: string}}
+ */
+function budgetResumePlan(syncMode, runId, dryRun = false) {
+  if (syncMode === 'history') {
+    return {
+      keepTemp: false,
+      note: '생략된 메일은 읽음 표시·동기화 커서 커밋을 하지 않았습니다. 다음 실행이 같은 구간을 다시 가져가 이어 처리합니다.'
+    };
+  }
+  return {
+    keepTemp: true,
+    note: '생략된 메일은 읽음 표시하지 않았지만, window 수집이라 다음 실행(다음 시간 구간)은 이 메일을 가져오지 않습니다. '
+      + `임시 폴더를 보존했으니 \`npm run digest -- --run ${runId}${dryRun ? ' --dry-run' : ''}\`로 이어 처리하세요.`
+  };
+}
+
 /**
  * 임시 폴더 정리 (성공 시)
  */
 function cleanupTempDir(tempDir) {
   if (fs.existsSync(tempDir)) {
     fs.rmSync(tempDir, { recursive: true, force: true });
-    console.log(`  임시 폴더 삭제됨: ${tempDir}`);
+    log.info(`  임시 폴더 삭제됨: ${tempDir}`);
   }
 }
 
@@ -242,7 +439,7 @@ function cleanupTempDir(tempDir) {
  * 최종 결과물을 영구 저장소로 복사
  */
 function copyToFinalOutput(tempDir, runId, projectRoot) {
-  const finalOutputDir = path.join(projectRoot, 'output', 'final', runId);
+  const finalOutputDir = getFinalOutputDir(runId, projectRoot);
   const tempFinalDir = path.join(tempDir, 'final');
 
   if (!fs.existsSync(tempFinalDir)) {
@@ -253,10 +450,10 @@ function copyToFinalOutput(tempDir, runId, projectRoot) {
     fs.mkdirSync(finalOutputDir, { recursive: true });
   }
 
-  // HTML 및 MD 파일 복사
+  // HTML 및 MD 파일 + 정크 제외 내역 복사
   const files = fs.readdirSync(tempFinalDir);
   for (const file of files) {
-    if (file.endsWith('.html') || file.endsWith('.md')) {
+    if (file.endsWith('.html') || file.endsWith('.md') || file === 'dropped_items.json') {
       fs.copyFileSync(
         path.join(tempFinalDir, file),
         path.join(finalOutputDir, file)
@@ -264,7 +461,13 @@ function copyToFinalOutput(tempDir, runId, projectRoot) {
     }
   }
 
-  console.log(`  결과물 복사됨: ${finalOutputDir}`);
+  // 스토리 타임라인 페이지 (리포트의 threads/<id>.html 상대 링크)
+  const threadsDir = path.join(tempFinalDir, 'threads');
+  if (fs.existsSync(threadsDir)) {
+    fs.cpSync(threadsDir, path.join(finalOutputDir, 'threads'), { recursive: true });
+  }
+
+  log.info(`  결과물 복사됨: ${finalOutputDir}`);
 }
 
 // 간단한 concurrency limiter 구현 (p-limit 대체)
@@ -323,10 +526,77 @@ const CONFIG = {
   concurrencyLimit: 3,    // 병렬 3개 처리
 
   // 모델 설정 (OpenRouter). OPENROUTER_MODEL 환경변수로 재정의 가능 → 모델 A/B 테스트 용이.
+  // 작업/라벨/SKILL 언어별 분할은 config/llm.json의 routing (model_routing.js). 규칙이 없는 호출은 이 모델.
   // 후보: 'deepseek/deepseek-v4-flash'(저비용), 'google/gemini-2.5-flash'(CJK 강)
   model: process.env.OPENROUTER_MODEL || 'deepseek/deepseek-v4-pro',
 
-  mergeBatchSize: 15      // 병합 배치 크기
+  mergeBatchSize: 15,     // 병합 배치 크기
+
+  // Gmail 수집 방식: 'window'(날짜 범위 목록, 기본) | 'history'(라벨별 historyId 이후 추가분만).
+  // GMAIL_SYNC 환경변수 또는 --sync 플래그로 전환. custom 모드는 특정 날짜 재현이라 항상 window.
+  gmailSync: process.env.GMAIL_SYNC || 'window',
+
+  // 메일 소스: null이면 Gmail API, 경로면 로컬 .eml 폴더 / mbox / Maildir (OAuth 불필요).
+  // MAIL_SOURCE 환경변수 또는 --source 플래그로 지정.
+  mailSource: process.env.MAIL_SOURCE || null,
+
+  // 드라이런: 읽음 표시·history 커서 저장·아카이브 누적 생략, 카탈로그·SKILL 쓰기는 임시 폴더 오버레이로,
+  // 결과물은 output/dry-run/<runId>. --dry-run 플래그 또는 DRY_RUN=1
+  dryRun: process.env.DRY_RUN === '1',
+
+  // 발행 (scripts/publishers/: SKILL 커밋 → gh-pages → Drive → Telegram). 런이 성공하면 실행, 결과는 run_manifest.json의 publish.
+  // --publish 플래그 또는 PUBLISH=1 (로컬 수동 실행은 기본 꺼짐). PUBLISHERS=telegram,drive 처럼 일부만.
+  publish: process.env.PUBLISH === '1',
+  publishers: process.env.PUBLISHERS ? process.env.PUBLISHERS.split(',').map(s => s.trim()).filter(Boolean) : null,
+
+  // 다중 계정 프로필 경로 (없으면 단일 계정 token.json 모드). 형식은 accounts.js 참고.
+  accountsPath: ACCOUNTS_PATH,
+
+  // 라벨 간 중복 제거 (같은 기사가 여러 라벨에 들어온 경우 한 라벨에만 남기고 also_in 표시).
+  // CROSS_LABEL_DEDUP=0 으로 끔.
+  crossLabelDedup: process.env.CROSS_LABEL_DEDUP !== '0',
+
+  // 날짜 간 중복 (지난 N일 다이제스트에 나온 기사). 아이템 아카이브가 있어야 동작.
+  // HISTORY_DEDUP_DAYS=0 으로 끔, 라벨별 창은 labels.json의 history_days.
+  // HISTORY_DEDUP_MODE: 'collapse'(기본, "이전 보도"로 접기) | 'hide'(숨김, _history_dedup.json에만 기록)
+  historyDedupDays: parseInt(process.env.HISTORY_DEDUP_DAYS ?? '7', 10),
+  historyDedupMode: process.env.HISTORY_DEDUP_MODE === 'hide' ? 'hide' : 'collapse',
+
+  // LLM 요청/응답 캐시: 'off'(기본) | 'record' | 'replay' | 'read-through'. 형식은 llm_cache.js 참고.
+  // LLM_CACHE 환경변수 또는 --llm-cache 플래그로 지정 (replay = 기록된 응답만으로 오프라인 재실행).
+  llmCache: process.env.LLM_CACHE || 'off',
+
+  // 원문 근거 검증 (grounding.js): 요약의 수치·금액·비율·고유명사를 clean_text와 대조해 점수 부착.
+  // GROUNDING_CHECK=0 으로 끔. 임계값(GROUNDING_THRESHOLD) 미만 아이템이 있으면 메일당 1회 재추출
+  // (GROUNDING_REEXTRACT=0 으로 끔), 그래도 낮으면 리포트에 경고 배지.
+  groundingCheck: process.env.GROUNDING_CHECK !== '0',
+  groundingThreshold: Number(process.env.GROUNDING_THRESHOLD) || GROUNDING_DEFAULT_THRESHOLD,
+  groundingReextract: process.env.GROUNDING_REEXTRACT !== '0',
+
+  // 정크 아이템 필터 (junk_filter.js): 추출 후·병합 전 config/junk_rules.json + SKILL "## 정크 규칙"으로 제외.
+  // 제외 내역은 dropped_items.json + 리포트 "제외" 탭. JUNK_FILTER=0 으로 끔.
+  junkFilter: process.env.JUNK_FILTER !== '0',
+
+  // 아이템 아카이브 (item_archive.js): 성공한 실행의 병합 아이템을 날짜 넘어 누적 → npm run search.
+  // ARCHIVE=0 으로 끔, ARCHIVE_DIR로 위치 변경 (기본 output/archive)
+  archive: process.env.ARCHIVE !== '0',
+  archiveDir: process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'output', 'archive'),
+
+  // 구조화 로그 (logger.js): 런마다 JSON Lines <LOG_DIR>/<runId>.jsonl (기본 output/logs) → npm run logs.
+  // 콘솔 출력 수준은 LOG_LEVEL (debug | info | warn | error, 기본 info)
+  logDir: process.env.LOG_DIR || path.join(__dirname, '..', 'output', 'logs'),
+
+  // 런 지표 (run_metrics.js): 런이 끝나면 node_exporter textfile collector용 newsletter_digest.prom + 로컬 이력 history.json.
+  // METRICS=0 으로 끔, METRICS_DIR = 이력 위치(기본 output/metrics), METRICS_TEXTFILE_DIR = .prom 위치(기본 METRICS_DIR).
+  // 드라이런은 기록하지 않음
+  metrics: process.env.METRICS !== '0',
+  metricsDir: process.env.METRICS_DIR || path.join(__dirname, '..', 'output', 'metrics'),
+  metricsTextfileDir: process.env.METRICS_TEXTFILE_DIR || null,
+
+  // 스토리 스레드 (story_threads.js): 날짜를 넘어 이어지는 이야기에 thread_id + "이전 소식" + 타임라인 페이지.
+  // 레지스트리는 아카이브 폴더의 threads.json. STORY_THREADS=0 으로 끔, STORY_THREAD_DAYS = 이어 붙일 창(기본 30일)
+  storyThreads: process.env.STORY_THREADS !== '0',
+  storyThreadDays: parseInt(process.env.STORY_THREAD_DAYS ?? '30', 10)
 };
 
 // 추적/캠페인 파라미터: dedup 키에서 제거(같은 기사인데 utm만 다른 변형 통합).
@@ -499,7 +769,7 @@ function findMergeCandidates(items) {
 
 /**
  * 클러스터링 함수 - 키워드 유사도 기반 아이템 그룹화 (API 호출 없음)
- * findMergeCandidates()의 Jaccard 유사도 로직 재사용 + Union-Find 알고리즘
+ * findMergeCandidates()의 Jaccard 유사도 로직 재사용 + Union-Find 묶음 (clustering.js)
  * @param {Array} items - 아이템 배열 (title, keywords 필수)
  * @param {number} threshold - Jaccard 유사도 임계값 (기본 0.2)
  * @returns {Array} 클러스터 배열 [{representative_title, keywords, items_count, item_titles}]
@@ -507,53 +777,20 @@ function findMergeCandidates(items) {
 function clusterItemsByKeyword(items, threshold = 0.2) {
   if (!items || items.length === 0) return [];
 
-  // Union-Find
-  const parent = items.map((_, i) => i);
-  const rank = items.map(() => 0);
-
-  function find(x) {
-    if (parent[x] !== x) parent[x] = find(parent[x]);
-    return parent[x];
-  }
-
-  function unite(a, b) {
-    const ra = find(a), rb = find(b);
-    if (ra === rb) return;
-    if (rank[ra] < rank[rb]) parent[ra] = rb;
-    else if (rank[ra] > rank[rb]) parent[rb] = ra;
-    else { parent[rb] = ra; rank[ra]++; }
-  }
-
-  // Jaccard 유사도 기반 Union
-  for (let i = 0; i < items.length; i++) {
-    const kwA = new Set((items[i].keywords || []).map(k => k.toLowerCase()));
-    if (kwA.size === 0) continue;
-
-    for (let j = i + 1; j < items.length; j++) {
-      const kwB = new Set((items[j].keywords || []).map(k => k.toLowerCase()));
-      if (kwB.size === 0) continue;
-
-      const intersection = [...kwA].filter(x => kwB.has(x)).length;
-      const union = new Set([...kwA, ...kwB]).size;
-      const jaccard = union > 0 ? intersection / union : 0;
-
-      if (jaccard >= threshold) {
-        unite(i, j);
-      }
-    }
-  }
-
-  // 클러스터 수집
-  const clusterMap = new Map();
-  for (let i = 0; i < items.length; i++) {
-    const root = find(i);
-    if (!clusterMap.has(root)) clusterMap.set(root, []);
-    clusterMap.get(root).push(i);
-  }
+  // Jaccard 유사도 기반 묶음 (키워드 없는 아이템은 단독)
+  const keywordSets = items.map(it => new Set((it.keywords || []).map(k => k.toLowerCase())));
+  const groups = groupRelated(items.length, (i, j) => {
+    const kwA = keywordSets[i];
+    const kwB = keywordSets[j];
+    if (kwA.size === 0 || kwB.size === 0) return false;
+    const intersection = [...kwA].filter(x => kwB.has(x)).length;
+    const union = new Set([...kwA, ...kwB]).size;
+    return union > 0 && intersection / union >= threshold;
+  });
 
-  // 클러스터 출력 구성
+  // 클러스터 출력 구성 (대표 = 묶음 첫 아이템)
   const clusters = [];
-  for (const [root, memberIdxs] of clusterMap) {
+  for (const memberIdxs of groups) {
     const allKeywords = new Set();
     const itemTitles = [];
 
@@ -564,7 +801,7 @@ function clusterItemsByKeyword(items, threshold = 0.2) {
     }
 
     clusters.push({
-      representative_title: items[root].title || '(제목 없음)',
+      representative_title: items[memberIdxs[0]].title || '(제목 없음)',
       keywords: [...allKeywords],
       items_count: memberIdxs.length,
       item_titles: itemTitles
@@ -574,23 +811,469 @@ function clusterItemsByKeyword(items, threshold = 0.2) {
   return clusters;
 }
 
+/**
+ * 추출 결과 원문 근거 검증. 임계값 미만 아이템이 있으면 불일치 표현을 알려주고 1회 재추출,
+ * 평균 점수가 나아진 쪽을 채택한다 (재추출 실패·예산 차단 시 원래 결과 유지).
+ * @param {{items: Array}} result - 추출 결과
+ * @param {string} sourceText - 원문 clean_text
+ * @param {Function} [reextract] - (retryNote) => Promise<{items}>
+ * @returns {Promise<{items: Array}>} grounding 필드가 붙은 결과
+ */
+async function groundExtraction(result, sourceText, reextract) {
+  const ground = r => ({ ...r, items: r.items.map(it => groundItem(it, sourceText, CONFIG.groundingThreshold)) });
+  let grounded = ground(result);
+  const low = grounded.items.filter(it => it.grounding_warning);
+  if (low.length === 0 || !CONFIG.groundingReextract || !reextract) return grounded;
+
+  const spans = [...new Set(low.flatMap(it => it.grounding_unsupported || []))];
+  log.warn(`      → 원문 근거 부족 ${low.length}개 (${spans.slice(0, 5).join(', ')}), 재추출`);
+  try {
+    const retry = await reextract(
+      `이전 추출의 다음 표현은 원문에서 확인되지 않았습니다: ${spans.join(', ')}\n` +
+      '수치·금액·단위·인명은 원문 표기를 그대로 옮기고, 원문에 없는 값은 쓰지 마세요.');
+    if (retry && Array.isArray(retry.items) && retry.items.length > 0) {
+      const regrounded = ground(retry);
+      if (meanGrounding(regrounded.items) > meanGrounding(grounded.items)) {
+        grounded = regrounded;
+      }
+    }
+  } catch (e) {
+    log.warn(`      → 재추출 실패, 기존 결과 유지: ${e.message}`);
+  }
+  const remaining = grounded.items.filter(it => it.grounding_warning).length;
+  if (remaining > 0) log.warn(`      → 원문 근거 경고 ${remaining}개 (리포트 배지 표시)`);
+  return grounded;
+}
+
+/**
+ * clean 폴더의 message_id → clean_text (병합 결과 재검증용)
+ */
+function loadCleanTexts(cleanDir) {
+  const texts = new Map();
+  if (!fs.existsSync(cleanDir)) return texts;
+  for (const file of fs.readdirSync(cleanDir).filter(f => f.startsWith('clean_'))) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(cleanDir, file), 'utf8'));
+      if (data.message_id && data.clean_text) texts.set(data.message_id, data.clean_text);
+    } catch (e) { /* 손상 파일은 검증 생략 */ }
+  }
+  return texts;
+}
+
+/**
+ * 병합 결과에 수집 계정(account) 복원
+ *   LLM 병합이 메타데이터를 빠뜨릴 수 있으므로 message_id로 원본 아이템의 account를 되찾는다.
+ *   (병합 아이템은 message_id처럼 첫 번째 아이템 기준)
+ */
+function restoreItemAccounts(items, sourceItems) {
+  const accountById = new Map();
+  for (const it of sourceItems || []) {
+    if (it && it.account && it.message_id && !accountById.has(it.message_id)) {
+      accountById.set(it.message_id, it.account);
+    }
+  }
+  if (accountById.size === 0) return items;
+  return items.map(it => (it.account || !accountById.has(it.message_id))
+    ? it
+    : { ...it, account: accountById.get(it.message_id) });
+}
+
+// ---------------------------------------------------------------------------
+// 라벨 간 중복 제거 (라벨별 병합 이후 전체 merged_*.json 대상)
+//   findMergeCandidates/병합 LLM은 라벨 하나의 allItems 안에서만 돌기 때문에, 같은 기사가
+//   시사·경제·글로벌_경제로 들어오면 통합 HTML/MD에 세 번 나온다.
+//   여기서는 LLM 없이 "확실한" 중복만 접는다:
+//     ① 정규화 link 동일(normalizeUrl)  ② link 결손 쌍의 title+keywords fallback(같은 임계)
+//   Jaccard(>0.25) 후보 규칙은 LLM 판단 전제의 느슨한 기준이라 자동 제거에는 쓰지 않는다.
+//   같은 라벨 안의 쌍은 라벨별 병합이 이미 판단했으므로 건드리지 않는다.
+
+/**
+ * 중복 묶음에서 아이템을 남길 라벨(owner) 선정
+ *   주요(major) > 요약 길이 > 그 라벨 안의 묶음 멤버 수 > 라벨 이름순 (결정적)
+ * @param {Array<{label, item}>} members
+ * @returns {{label, item}}
+ */
+function pickCrossLabelOwner(members) {
+  const countByLabel = new Map();
+  for (const m of members) countByLabel.set(m.label, (countByLabel.get(m.label) || 0) + 1);
+  const summaryLen = (it) => (typeof it.summary === 'string' ? it.summary.trim().length : 0);
+  return [...members].sort((a, b) => {
+    const tierA = classifyTier(a.item) === 'major' ? 1 : 0;
+    const tierB = classifyTier(b.item) === 'major' ? 1 : 0;
+    if (tierA !== tierB) return tierB - tierA;
+    if (summaryLen(a.item) !== summaryLen(b.item)) return summaryLen(b.item) - summaryLen(a.item);
+    if (countByLabel.get(a.label) !== countByLabel.get(b.label)) return countByLabel.get(b.label) - countByLabel.get(a.label);
+    return a.label.localeCompare(b.label);
+  })[0];
+}
+
+/**
+ * 라벨 간 중복 묶기 (순수 함수)
+ * @param {Array<{label: string, items: Array}>} labelsData
+ * @returns {{labelsData: Array, collapsed: Array, removed: number}}
+ *   - labelsData: owner 아이템에 also_in(다른 라벨 목록)을 붙이고 나머지 라벨에서 중복을 뺀 사본
+ *   - collapsed: [{owner_label, title, link, also_in, removed: [{label, title, source}]}]
+ */
+function dedupAcrossLabels(labelsData) {
+  const refs = []; // {label, li, ii, item}
+  labelsData.forEach((data, li) => {
+    (data.items || []).forEach((item, ii) => refs.push({ label: data.label, li, ii, item }));
+  });
+
+  const parent = refs.map((_, i) => i);
+  const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  const unite = (a, b) => { const ra = find(a), rb = find(b); if (ra !== rb) parent[rb] = ra; };
+
+  // ① 같은 원문 URL
+  const normCache = refs.map(r => normalizeUrl(r.item && r.item.link));
+  const firstByLink = new Map();
+  refs.forEach((r, i) => {
+    const norm = normCache[i];
+    if (!norm) return;
+    if (firstByLink.has(norm)) unite(firstByLink.get(norm), i);
+    else firstByLink.set(norm, i);
+  });
+
+  // ② link 결손 쌍 fallback (다른 라벨끼리만)
+  const tokenCache = refs.map(r => titleKeywordTokens(r.item));
+  for (let i = 0; i < refs.length; i++) {
+    const tokA = tokenCache[i];
+    if (tokA.size === 0) continue;
+    for (let j = i + 1; j < refs.length; j++) {
+      if (refs[i].li === refs[j].li) continue;
+      if (normCache[i] && normCache[j]) continue;
+      const tokB = tokenCache[j];
+      if (tokB.size === 0) continue;
+      const shared = [...tokA].filter(x => tokB.has(x)).length;
+      if (shared < FALLBACK_MIN_SHARED) continue;
+      if (shared / Math.min(tokA.size, tokB.size) < FALLBACK_MIN_CONTAINMENT) continue;
+      unite(i, j);
+    }
+  }
+
+  const clusters = new Map();
+  refs.forEach((r, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(r);
+  });
+
+  const drop = new Set();      // `${li}:${ii}`
+  const alsoIn = new Map();    // `${li}:${ii}` -> [labels]
+  const collapsed = [];
+  for (const members of clusters.values()) {
+    if (new Set(members.map(m => m.li)).size < 2) continue;
+    const owner = pickCrossLabelOwner(members);
+    const removed = members.filter(m => m.li !== owner.li);
+    removed.forEach(m => drop.add(`${m.li}:${m.ii}`));
+    const labels = [...new Set(removed.map(m => m.label))];
+    alsoIn.set(`${owner.li}:${owner.ii}`, labels);
+    collapsed.push({
+      owner_label: owner.label,
+      title: owner.item.title,
+      link: owner.item.link || '',
+      also_in: labels,
+      removed: removed.map(m => ({ label: m.label, title: m.item.title, source: m.item.source || '' }))
+    });
+  }
+
+  const out = labelsData.map((data, li) => {
+    const items = [];
+    let removedHere = 0;
+    let touched = false;
+    (data.items || []).forEach((item, ii) => {
+      const key = `${li}:${ii}`;
+      if (drop.has(key)) { removedHere++; return; }
+      if (alsoIn.has(key)) {
+        touched = true;
+        items.push({ ...item, also_in: [...new Set([...(item.also_in || []), ...alsoIn.get(key)])] });
+      } else {
+        items.push(item);
+      }
+    });
+    // 변경 없는 라벨은 원본 객체 그대로 (파일 재기록 불필요)
+    return removedHere === 0 && !touched
+      ? data
+      : {
+        ...data,
+        total_items: items.length,
+        items,
+        stats: {
+          ...(data.stats || {}),
+          total_items: items.length,
+          cross_label_removed: ((data.stats && data.stats.cross_label_removed) || 0) + removedHere
+        }
+      };
+  });
+
+  return { labelsData: out, collapsed, removed: drop.size };
+}
+
+/**
+ * merged 폴더의 모든 merged_*.json에 라벨 간 중복 제거 적용 (통합 HTML/MD 생성 전)
+ *   바뀐 라벨 파일만 다시 쓰고, 접은 내역은 _cross_label_dedup.json에 남긴다.
+ * @param {string} mergedDir
+ * @returns {{removed: number, collapsed: Array}}
+ */
+function applyCrossLabelDedup(mergedDir) {
+  const files = fs.readdirSync(mergedDir)
+    .filter(f => f.startsWith('merged_') && f.endsWith('.json'))
+    .sort();
+  const loaded = [];
+  for (const file of files) {
+    try {
+      loaded.push({ file, data: JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8')) });
+    } catch (e) {
+      log.warn(`  라벨 간 중복 제거: ${file} 파싱 실패, 건너뜀: ${e.message}`);
+    }
+  }
+
+  const result = dedupAcrossLabels(loaded.map(l => l.data));
+  result.labelsData.forEach((data, i) => {
+    if (data === loaded[i].data) return;
+    fs.writeFileSync(path.join(mergedDir, loaded[i].file), JSON.stringify(data, null, 2), 'utf8');
+  });
+  if (result.collapsed.length > 0) {
+    fs.writeFileSync(
+      path.join(mergedDir, '_cross_label_dedup.json'),
+      JSON.stringify({ generated_at: new Date().toISOString(), removed: result.removed, collapsed: result.collapsed }, null, 2),
+      'utf8'
+    );
+  }
+  return { removed: result.removed, collapsed: result.collapsed };
+}
+
+// ---------------------------------------------------------------------------
+// 날짜 간 중복 (이전 보도) — 라벨 간 중복 제거 이후, 아카이브의 지난 N일 병합 아이템과 대조
+//   주간 뉴스레터·멀티에디션 발신자(RC-R)가 며칠 전 다이제스트에 나온 기사를 다시 보낸다.
+//   판정 기준은 라벨 간 중복과 같다: ① 정규화 link 동일 ② link 결손 쌍의 title+keywords fallback.
+//   지난 보도의 라벨은 따지지 않는다 (어제 경제에 나온 기사가 오늘 시사로 와도 재보도).
+//   중복이라도 요약에 지난 보도에 없던 수치·고유명사가 있으면(checkGrounding을 지난 요약 기준으로)
+//   숨기지 않고 update_of + new_facts를 붙여 "업데이트"로 남긴다.
+
+/**
+ * YYYY-MM-DD에 일수 더하기
+ */
+function shiftDate(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 지난 보도 대조 (순수 함수)
+ * @param {Array<{label: string, items: Array}>} labelsData
+ * @param {Array<Object>} history - 아카이브 레코드 (date, label, title, summary, keywords, link)
+ * @param {{reportDate: string, days: number, daysByLabel?: Object, mode?: string}} options
+ * @returns {{labelsData: Array, repeats: Array, updates: number, removed: number}}
+ *   - collapse 모드: 반복 아이템을 previously_reported에 first_reported/first_label과 함께 옮김
+ *   - hide 모드: 반복 아이템을 빼기만 함 (repeats에는 남음)
+ */
+function dedupAgainstHistory(labelsData, history, options) {
+  const { reportDate, days, daysByLabel = {}, mode = 'collapse' } = options;
+  // 오늘 날짜(같은 날 재실행이 아카이브에 남긴 것)는 제외, 가장 먼저 보도된 것부터 매칭
+  const past = (history || [])
+    .filter(h => h && h.date < reportDate)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(h => ({ record: h, norm: normalizeUrl(h.link), tokens: titleKeywordTokens(h) }));
+
+  const findPrevious = (item, minDate) => {
+    const norm = normalizeUrl(item.link);
+    const tokens = titleKeywordTokens(item);
+    for (const p of past) {
+      if (p.record.date < minDate) continue;
+      if (norm && p.norm) {
+        if (norm === p.norm) return p.record;
+        continue;
+      }
+      if (tokens.size === 0 || p.tokens.size === 0) continue;
+      const shared = [...tokens].filter(x => p.tokens.has(x)).length;
+      if (shared >= FALLBACK_MIN_SHARED && shared / Math.min(tokens.size, p.tokens.size) >= FALLBACK_MIN_CONTAINMENT) {
+        return p.record;
+      }
+    }
+    return null;
+  };
+
+  const repeats = [];
+  let updates = 0;
+  const out = labelsData.map(data => {
+    const labelDays = Number.isInteger(daysByLabel[data.label]) ? daysByLabel[data.label] : days;
+    if (!(labelDays > 0) || past.length === 0) return data;
+    const minDate = shiftDate(reportDate, -labelDays);
+    const items = [];
+    const collapsed = [];
+    let touched = false;
+    for (const item of data.items || []) {
+      const prev = findPrevious(item, minDate);
+      if (!prev) {
+        items.push(item);
+        continue;
+      }
+      touched = true;
+      const newFacts = checkGrounding(`${item.title || ''}
+${item.summary || ''}`, `${prev.title || ''}
+${prev.summary || ''}`)
+        .unsupported.map(u => u.text);
+      const previous = { date: prev.date, label: prev.label, title: prev.title };
+      if (newFacts.length > 0) {
+        updates++;
+        items.push({ ...item, update_of: previous, new_facts: newFacts });
+        continue;
+      }
+      repeats.push({ label: data.label, title: item.title, link: item.link || '', first_reported: prev.date, first_label: prev.label });
+      if (mode === 'collapse') collapsed.push({ ...item, first_reported: prev.date, first_label: prev.label });
+    }
+    if (!touched) return data;
+    const removedHere = (data.items || []).length - items.length;
+    return {
+      ...data,
+      total_items: items.length,
+      items,
+      ...(collapsed.length > 0 ? { previously_reported: [...(data.previously_reported || []), ...collapsed] } : {}),
+      stats: {
+        ...(data.stats || {}),
+        total_items: items.length,
+        history_removed: ((data.stats && data.stats.history_removed) || 0) + removedHere
+      }
+    };
+  });
+
+  return { labelsData: out, repeats, updates, removed: repeats.length };
+}
+
+/**
+ * merged 폴더에 날짜 간 중복 적용 (라벨 간 중복 제거 뒤, 통합 HTML/MD 생성 전)
+ *   바뀐 라벨 파일만 다시 쓰고, 반복 내역은 _history_dedup.json에 남긴다.
+ * @param {string} mergedDir
+ * @param {ItemArchive} archive
+ * @param {{reportDate: string, days: number, daysByLabel?: Object, mode?: string}} options
+ * @returns {{removed: number, updates: number}}
+ */
+function applyHistoryDedup(mergedDir, archive, options) {
+  const files = fs.readdirSync(mergedDir)
+    .filter(f => f.startsWith('merged_') && f.endsWith('.json'))
+    .sort();
+  const loaded = [];
+  for (const file of files) {
+    try {
+      loaded.push({ file, data: JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8')) });
+    } catch (e) {
+      log.warn(`  날짜 간 중복 제거: ${file} 파싱 실패, 건너뜀: ${e.message}`);
+    }
+  }
+
+  const maxDays = Math.max(options.days, ...Object.values(options.daysByLabel || {}).filter(Number.isInteger));
+  if (!(maxDays > 0) || loaded.length === 0) return { removed: 0, updates: 0 };
+  const history = archive.search('', {
+    since: shiftDate(options.reportDate, -maxDays),
+    until: shiftDate(options.reportDate, -1)
+  });
+
+  const result = dedupAgainstHistory(loaded.map(l => l.data), history, options);
+  result.labelsData.forEach((data, i) => {
+    if (data === loaded[i].data) return;
+    fs.writeFileSync(path.join(mergedDir, loaded[i].file), JSON.stringify(data, null, 2), 'utf8');
+  });
+  if (result.repeats.length > 0 || result.updates > 0) {
+    fs.writeFileSync(
+      path.join(mergedDir, '_history_dedup.json'),
+      JSON.stringify({ generated_at: new Date().toISOString(), mode: options.mode, removed: result.removed, updates: result.updates, repeats: result.repeats }, null, 2),
+      'utf8'
+    );
+  }
+  return { removed: result.removed, updates: result.updates };
+}
+
+/**
+ * merged 폴더 아이템에 스토리 스레드 부여 + 이어진 스레드의 타임라인 페이지 생성
+ *   이전 보도 접기 뒤에 돈다 (접힌 재보도는 스레드 항목으로 넣지 않음).
+ * @param {string} mergedDir
+ * @param {string} finalDir - threads/<thread_id>.html 출력 위치
+ * @param {StoryRegistry} registry
+ * @param {{date: string, days: number}} options
+ * @returns {{threaded: number, continued: number}}
+ */
+function applyStoryThreads(mergedDir, finalDir, registry, options) {
+  const files = fs.readdirSync(mergedDir)
+    .filter(f => f.startsWith('merged_') && f.endsWith('.json'))
+    .sort();
+  const loaded = [];
+  for (const file of files) {
+    try {
+      loaded.push({ file, data: JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8')) });
+    } catch (e) {
+      log.warn(`  스토리 스레드: ${file} 파싱 실패, 건너뜀: ${e.message}`);
+    }
+  }
+  if (loaded.length === 0) return { threaded: 0, continued: 0 };
+
+  const result = assignThreads(loaded.map(l => l.data), registry, { ...options, normalizeLink: normalizeUrl });
+  result.labelsData.forEach((data, i) => {
+    fs.writeFileSync(path.join(mergedDir, loaded[i].file), JSON.stringify(data, null, 2), 'utf8');
+  });
+  registry.save();
+
+  if (result.continued.length > 0) {
+    const { renderThreadPage } = require('./render_report');
+    const threadsDir = path.join(finalDir, 'threads');
+    fs.mkdirSync(threadsDir, { recursive: true });
+    for (const id of result.continued) {
+      fs.writeFileSync(path.join(threadsDir, `${id}.html`), renderThreadPage(registry.threads[id], options.date), 'utf8');
+    }
+  }
+  return {
+    threaded: result.labelsData.reduce((s, d) => s + (d.items || []).length, 0),
+    continued: result.continued.length
+  };
+}
+
 // 전역 AgentRunner 인스턴스 (Rate Limit 카운터 공유)
 let globalRunner = null;
 
 function getRunner(logDir) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) throw new Error('OPENROUTER_API_KEY 환경변수가 설정되지 않았습니다');
+  // LLM 프로바이더 (기본 OpenRouter, config/llm.json 또는 LLM_PROVIDER로 로컬 서버 등 전환)
+  const provider = resolveProviderSpec();
+  if (provider.requiresApiKey && !provider.apiKey && CONFIG.llmCache !== 'replay') {
+    throw new Error(`${provider.apiKeyEnv} 환경변수가 설정되지 않았습니다`);
+  }
 
   if (!globalRunner) {
     globalRunner = new AgentRunner(
-      apiKey,
+      provider.apiKey,
       CONFIG.model,
-      { logDir }
+      { logDir, provider, cache: { mode: CONFIG.llmCache } }
     );
   }
   return globalRunner;
 }
 
+// 전역 정크 필터 (config/junk_rules.json, 처음 쓸 때 1회 로드)
+let _junkFilter = null;
+function getJunkFilter() {
+  if (!_junkFilter) _junkFilter = JunkFilter.fromConfig();
+  return _junkFilter;
+}
+
+/**
+ * 라벨별 merged의 정크 제외 내역을 모아 dropped_items.json으로 기록
+ * @returns {number} 제외 아이템 수 (0이면 파일 안 씀)
+ */
+function writeDroppedItems(mergedDir, outDir) {
+  const dropped = [];
+  for (const file of fs.readdirSync(mergedDir).filter(f => f.startsWith('merged_') && f.endsWith('.json'))) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8'));
+      if (Array.isArray(data.dropped)) dropped.push(...data.dropped);
+    } catch (e) { /* 손상 파일은 렌더 단계에서 경고 */ }
+  }
+  if (dropped.length === 0) return 0;
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'dropped_items.json'),
+    JSON.stringify({ total: dropped.length, items: dropped }, null, 2), 'utf8');
+  return dropped.length;
+}
+
 // ---------------------------------------------------------------------------
 // 카탈로그 라벨 가드
 //   같은 Gmail 메일에 여러 라벨(예: '경제' + '미국/경제')이 붙어 있으면, prep은
@@ -611,7 +1294,11 @@ function getSenderLabelMap() {
     for (const n of arr) {
       const email = String(n.sender || n.from || '').toLowerCase().replace(/.*<|>.*/g, '').trim();
       const labels = Array.isArray(n.labels) ? n.labels : (Array.isArray(n.label) ? n.label : (n.labels || n.label ? [n.labels || n.label] : []));
-      if (email && labels.length) _senderLabelMap.set(email, labels.map(String));
+      if (!labels.length) continue;
+      // 멀티 에디션 aliases도 같은 정규 라벨
+      for (const address of new Set([email, ...catalogSenders(n)])) {
+        if (address) _senderLabelMap.set(address, labels.map(String));
+      }
     }
   } catch (e) { /* 카탈로그 없으면 가드 비활성 (전부 통과) */ }
   return _senderLabelMap;
@@ -657,41 +1344,115 @@ function filterRawByCatalogLabel(rawDir, labelName) {
     const belongsToCatalog = labels.some(rl => gmailLabels.includes(r2g.get(rl) || rl) || gmailLabels.includes(rl));
     if (belongsToCatalog) { fs.unlinkSync(path.join(rawDir, f)); removed++; }
   }
-  if (removed > 0) console.log(`    [라벨가드] ${labelName}: 카탈로그 정규 라벨로 중복되는 ${removed}건 제외`);
+  if (removed > 0) log.info(`    [라벨가드] ${labelName}: 카탈로그 정규 라벨로 중복되는 ${removed}건 제외`);
   return removed;
 }
 
-// 전역 GmailFetcher (라벨마다 새 인증 회피 → OAuth refresh 중복 방지)
+// 발신자 → Gmail 라벨명 맵 (로컬 메일 소스에서 폴더/라벨 정보 없는 메일 배정용)
+function getSenderGmailLabelMap() {
+  const r2g = getReportToGmailMap();
+  const map = new Map();
+  for (const [email, labels] of getSenderLabelMap()) {
+    map.set(email, labels.map(l => r2g.get(l) || l));
+  }
+  return map;
+}
+
+// Gmail 계정 프로필 (config/accounts.json). 없으면 빈 배열 = 단일 계정(token.json) 모드.
+// 로컬 메일 소스 사용 시 계정 개념 없음.
+let _mailAccounts = null;
+function getMailAccounts() {
+  if (CONFIG.mailSource) return [];
+  if (!_mailAccounts) _mailAccounts = loadAccounts(CONFIG.accountsPath);
+  return _mailAccounts;
+}
+
+// 전역 메일 소스 (라벨마다 새 인증 회피 → OAuth refresh 중복 방지)
+//   CONFIG.mailSource 미지정 시 GmailFetcher(계정별 1개), 지정 시 LocalMailSource (mail_source.js)
 // 병렬 호출 race 방지를 위해 promise 자체를 캐시 (resolved 값이 아닌)
-let gmailFetcherPromise = null;
+const gmailFetcherPromises = new Map();
 
-function getGmailFetcher() {
-  if (!gmailFetcherPromise) {
-    gmailFetcherPromise = (async () => {
-      const { GmailFetcher } = require('./fetch_gmail');
-      const fetcher = new GmailFetcher();
+/**
+ * 런 사이 모듈 캐시 초기화 (러너·정크 규칙·카탈로그·labels.json 매핑·계정·메일 소스).
+ *   데몬은 한 프로세스에서 런을 이어 돌리므로, 중간에 바뀐 설정·학습된 발신자·갱신된 토큰을 다음 런이 보게 한다.
+ */
+function resetRunCaches() {
+  globalRunner = null;
+  _junkFilter = null;
+  _senderLabelMap = null;
+  _reportToGmail = null;
+  _mailAccounts = null;
+  gmailFetcherPromises.clear();
+}
+
+function getGmailFetcher(accountName = null) {
+  const key = CONFIG.mailSource ? '' : (accountName || '');
+  if (!gmailFetcherPromises.has(key)) {
+    const promise = (async () => {
+      let fetcher;
+      if (CONFIG.mailSource) {
+        const { createMailSource } = require('./mail_source');
+        fetcher = createMailSource(CONFIG.mailSource, { senderLabels: getSenderGmailLabelMap() });
+      } else {
+        const { GmailFetcher } = require('./fetch_gmail');
+        const account = key ? getMailAccounts().find(a => a.name === key) : null;
+        if (key && !account) throw new Error(`알 수 없는 계정: ${key} (config/accounts.json 확인)`);
+        fetcher = account
+          ? new GmailFetcher(undefined, { tokenPath: account.tokenPath, syncStatePath: account.syncStatePath })
+          : new GmailFetcher();
+      }
       await fetcher.authenticate();
       return fetcher;
     })().catch(err => {
       // 인증 실패 시 promise를 reset하여 다음 호출에서 재시도 가능
-      gmailFetcherPromise = null;
+      gmailFetcherPromises.delete(key);
       throw err;
     });
+    gmailFetcherPromises.set(key, promise);
   }
-  return gmailFetcherPromise;
+  return gmailFetcherPromises.get(key);
 }
 
 /**
  * 초기 설정 체크
+ * @param {Object} [options]
+ * @param {string|null} [options.mailSource] - 로컬 메일 소스 경로 (지정 시 Gmail 인증 대신 경로 확인)
+ * @param {string} [options.accountsPath] - 계정 프로필 경로 (기본 config/accounts.json)
  * @returns {Object} { ok: boolean, errors: string[] }
  */
-function checkSetup() {
+function checkSetup(options = {}) {
   const projectRoot = path.join(__dirname, '..');
   const errors = [];
 
-  // 1. Gmail 인증 (token.json)
+  // 1. Gmail 인증 (token.json) - 로컬 메일 소스면 OAuth 불필요, 다중 계정이면 계정별 토큰
   const tokenPath = path.join(projectRoot, 'config', 'credentials', 'token.json');
-  if (!fs.existsSync(tokenPath)) {
+  let accounts = [];
+  if (!options.mailSource) {
+    try {
+      accounts = loadAccounts(options.accountsPath);
+    } catch (e) {
+      errors.push({ type: '계정 설정', message: e.message, solution: 'config/accounts.json 수정 (예시: config/accounts.example.json)' });
+    }
+  }
+  if (options.mailSource) {
+    if (!fs.existsSync(options.mailSource)) {
+      errors.push({
+        type: '메일 소스',
+        message: `로컬 메일 소스 경로가 없습니다: ${options.mailSource}`,
+        solution: '--source <.eml 폴더 | mbox 파일 | Maildir> 경로 확인'
+      });
+    }
+  } else if (accounts.length > 0) {
+    for (const account of accounts) {
+      if (!fs.existsSync(account.tokenPath)) {
+        errors.push({
+          type: 'Gmail 인증',
+          message: `${account.name} 계정 토큰(${path.basename(account.tokenPath)})이 없습니다.`,
+          solution: `npm run auth -- --account ${account.name}`
+        });
+      }
+    }
+  } else if (!fs.existsSync(tokenPath)) {
     errors.push({
       type: 'Gmail 인증',
       message: 'token.json 파일이 없습니다.',
@@ -699,19 +1460,72 @@ function checkSetup() {
     });
   }
 
-  // 2. 환경 변수 (.env + OPENROUTER_API_KEY)
+  // 2. 환경 변수 (.env + LLM 프로바이더 API 키. 기본 OpenRouter → OPENROUTER_API_KEY)
+  //    키가 필요 없는 프로바이더(로컬 OpenAI 호환 서버 / Ollama)와 LLM 캐시 replay(API 호출 없음)는 건너뜀
+  const llmCacheMode = options.llmCache || 'off';
+  if (!LLM_CACHE_MODES.includes(llmCacheMode)) {
+    errors.push({
+      type: 'LLM 캐시',
+      message: `잘못된 LLM 캐시 모드: '${llmCacheMode}'`,
+      solution: `LLM_CACHE 또는 --llm-cache를 ${LLM_CACHE_MODES.join(' | ')} 중 하나로 지정`
+    });
+  }
+  let provider = null;
+  try {
+    provider = resolveProviderSpec();
+  } catch (e) {
+    errors.push({
+      type: 'LLM 프로바이더',
+      message: e.message,
+      solution: 'config/llm.json 또는 LLM_PROVIDER 확인 (config/llm.example.json 참고)'
+    });
+  }
   const envPath = path.join(projectRoot, '.env');
-  if (!fs.existsSync(envPath)) {
+  if (provider && provider.requiresApiKey && llmCacheMode !== 'replay') {
+    if (!fs.existsSync(envPath)) {
+      errors.push({
+        type: '환경 변수',
+        message: '.env 파일이 없습니다.',
+        solution: `.env 파일 생성 후 ${provider.apiKeyEnv}=xxx 추가`
+      });
+    } else if (!provider.apiKey) {
+      errors.push({
+        type: '환경 변수',
+        message: `${provider.apiKeyEnv}가 설정되지 않았습니다.`,
+        solution: `.env 파일에 ${provider.apiKeyEnv}=xxx 추가`
+      });
+    }
+  }
+
+  // 2-b. 정크 규칙 (junk_rules.json) - 형식 오류면 라벨마다 실패하므로 시작 전에 확인
+  try {
+    JunkFilter.fromConfig();
+  } catch (e) {
     errors.push({
-      type: '환경 변수',
-      message: '.env 파일이 없습니다.',
-      solution: '.env 파일 생성 후 OPENROUTER_API_KEY=xxx 추가'
+      type: '정크 규칙',
+      message: e.message,
+      solution: 'config/junk_rules.json 수정 (형식은 scripts/junk_filter.js 참고)'
     });
-  } else if (!process.env.OPENROUTER_API_KEY) {
+  }
+
+  // 2-c. 실행 스케줄 (schedule.json) - schedule·range 모드와 데몬의 창 계산에 사용
+  try {
+    loadSchedule();
+  } catch (e) {
+    errors.push({
+      type: '스케줄',
+      message: e.message,
+      solution: `${path.relative(projectRoot, SCHEDULE_PATH)} 수정 (형식은 scripts/schedule.js 참고)`
+    });
+  }
+
+  // 2-d. 발행기 이름 (PUBLISHERS)
+  const unknown = unknownPublishers(CONFIG.publishers);
+  if (unknown.length > 0) {
     errors.push({
-      type: '환경 변수',
-      message: 'OPENROUTER_API_KEY가 설정되지 않았습니다.',
-      solution: '.env 파일에 OPENROUTER_API_KEY=xxx 추가'
+      type: '발행',
+      message: `알 수 없는 발행기: ${unknown.join(', ')}`,
+      solution: `.env의 PUBLISHERS를 ${PUBLISHER_NAMES.join(' | ')} 중에서 쉼표로 지정`
     });
   }
 
@@ -766,52 +1580,175 @@ function printSetupErrors(errors) {
     console.log('');
   });
 
-  console.log('----------------------------------------');
-  console.log('설정 완료 후 다시 실행해주세요.');
-  console.log('----------------------------------------\n');
+  console.log('----------------------------------------');
+  console.log('설정 완료 후 다시 실행해주세요.');
+  console.log('----------------------------------------\n');
+}
+
+/**
+ * 메인 함수
+ */
+async function main() {
+  console.log('\n========================================');
+  console.log('     Gmail 메일 정리 시스템');
+  console.log('========================================\n');
+
+  // 1. 인자 파싱 (메일 소스에 따라 초기 설정 체크 항목이 달라지므로 먼저)
+  const args = parseArgs(process.argv.slice(2));
+  if (args.source) CONFIG.mailSource = args.source;
+  if (args.llmCache) CONFIG.llmCache = args.llmCache;
+  if (args.dryRun) CONFIG.dryRun = true;
+  if (args.publish) CONFIG.publish = true;
+
+  // 보존된 임시 폴더(재실행 가능한 런) 목록만 출력 (토큰·설정 불필요)
+  if (args.listRuns) {
+    console.log(formatRunList(listRuns()));
+    return;
+  }
+
+  // 0. 초기 설정 체크
+  const setup = checkSetup({ mailSource: CONFIG.mailSource, accountsPath: CONFIG.accountsPath, llmCache: CONFIG.llmCache });
+  if (!setup.ok) {
+    printSetupErrors(setup.errors);
+    process.exit(1);
+  }
+
+  // 실행 잠금: 데몬·다른 수동 실행과 임시·결과물 폴더, Gmail 읽음 표시·커서를 동시에 건드리지 않도록.
+  //   드라이런은 공유 상태를 바꾸지 않으므로 잡지 않음. 종료(process.exit 포함) 시 해제
+  if (!CONFIG.dryRun) {
+    let lock;
+    try {
+      lock = acquireRunLock(args.mode);
+    } catch (error) {
+      console.error(`\n[오류] ${error.message}`);
+      process.exit(1);
+    }
+    process.on('exit', () => lock.release());
+  }
+
+  // 날짜 범위 백필: 하루씩 schedule 창으로 runDigest 반복
+  if (args.mode === 'range') {
+    try {
+      validateStageArgs(args);
+      const rows = await runRange(args);
+      for (const row of rows) exportRunMetrics({ ...row, durationMs: (row.seconds || 0) * 1000 });
+    } catch (error) {
+      console.error('\n[오류] 발생:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const startedAt = Date.now();
+  let runId = null;
+  try {
+    validateStageArgs(args);
+    // 2. 시간 범위 계산 (--run이면 그 런이 기록해 둔 범위)
+    const timeRange = args.run ? loadRunTimeRange(args.run) : calculateTimeRange(args.mode, args.date);
+    runId = args.run || generateRunId(timeRange);
+    exportRunMetrics(await runDigest(args, timeRange));
+  } catch (error) {
+    console.error('\n[오류] 발생:', error.message);
+    console.error(error.stack);
+    exportRunMetrics({ runId, status: 'error', error: error.message, durationMs: Date.now() - startedAt });
+    process.exit(1);
+  }
 }
 
 /**
- * 메인 함수
+ * 수동 실행 잠금 (데몬과 같은 run.lock). 살아 있는 다른 프로세스가 잡고 있으면 예외
+ * @param {string} mode
+ * @param {string} [lockPath]
+ * @returns {RunLock}
  */
-async function main() {
-  console.log('\n========================================');
-  console.log('     Gmail 메일 정리 시스템');
-  console.log('========================================\n');
+function acquireRunLock(mode, lockPath = RUN_LOCK_PATH) {
+  const lock = new RunLock(lockPath);
+  if (!lock.acquire({ job: 'manual', mode })) {
+    const holder = lock.read();
+    const who = holder ? ` (pid ${holder.pid}${holder.job ? `, ${holder.job}` : ''})` : '';
+    throw new Error(`다른 실행이 진행 중입니다${who} — 끝난 뒤 다시 실행하세요 (잠금: ${lockPath})`);
+  }
+  return lock;
+}
 
-  // 0. 초기 설정 체크
-  const setup = checkSetup();
-  if (!setup.ok) {
-    printSetupErrors(setup.errors);
-    process.exit(1);
+/**
+ * 런 지표 기록 (run_metrics.js → .prom + 이력). 지표 기록 실패는 경고만 하고 런 결과에 영향 없음
+ *   매니페스트를 남긴 런(ok·unhealthy)과 예외로 끝난 런(error)만 기록. 드라이런·단계 재실행(partial)·건너뜀은 제외
+ * @param {{runId: string, status: string, error?: string, durationMs?: number}} run - runDigest 결과 또는 range 요약 행
+ * @returns {string|null} .prom 경로
+ */
+function exportRunMetrics(run) {
+  if (!CONFIG.metrics || CONFIG.dryRun || !run.runId || !['ok', 'unhealthy', 'error'].includes(run.status)) return null;
+  try {
+    const { promPath } = recordRunMetrics({
+      runId: run.runId,
+      finalDir: getFinalOutputDir(run.runId),
+      logFile: path.join(CONFIG.logDir, `${run.runId}.jsonl`),
+      metricsDir: CONFIG.metricsDir,
+      textfileDir: CONFIG.metricsTextfileDir,
+      error: run.status === 'error' ? (run.error || '알 수 없는 오류') : undefined,
+      durationMs: run.durationMs
+    });
+    log.info(`[지표] ${run.runId} → ${promPath}`);
+    return promPath;
+  } catch (e) {
+    log.warn(`[지표] 기록 실패(건너뜀): ${e.message}`);
+    return null;
   }
+}
 
+/**
+ * 한 시간 범위(= 하루치 다이제스트) 실행: 수집 → 추출·병합 → 리포트 → final 복사 → 아카이브
+ *   성공하면 임시 폴더 삭제, 실패·헬스 차단이면 보존 (같은 Run ID 재실행 시 progress로 이어 처리)
+ *   args.fromStage / args.onlyStage: 보존된 임시 폴더에서 선택 라벨의 해당 단계부터 다시 실행
+ *   (only는 그 단계까지만 돌고 멈춤 → 리포트·복사 없이 임시 폴더 보존)
+ * @param {Object} args - parseArgs 결과
+ * @param {{start: Date, end: Date}} timeRange
+ * @returns {Promise<{runId: string, status: 'ok'|'unhealthy'|'partial', itemCount: number, failedLabels: number}>}
+ */
+async function runDigest(args, timeRange) {
+  const startedAt = Date.now();
   let tempDir = null;
   let runId = null;
   let success = false;
+  let keepTempForResume = false;   // window 수집 예산 절단 → 생략분 이어 처리용으로 임시 폴더 보존
 
   try {
-    // 1. 인자 파싱
-    const args = parseArgs(process.argv.slice(2));
-
-    // 2. 시간 범위 계산
-    const timeRange = calculateTimeRange(args.mode, args.date);
+    // Gmail 수집 방식 (window | history). 로컬 메일 소스는 history 커서가 없어 항상 window
+    //   --run 재실행은 과거 창을 다시 수집하므로 custom과 같이 window
+    CONFIG.gmailSync = CONFIG.mailSource ? 'window' : resolveGmailSyncMode(args.run ? 'custom' : args.mode, args.sync);
+
+    // Run ID (timeRange.end 기준 = 사용자 요청 날짜) + 구조화 로그 시작 (이후 로그에 runId가 붙음)
+    runId = args.run || args.runId || generateRunId(timeRange);
+    const logPath = openRunLog(runId, path.join(CONFIG.logDir, `${runId}${CONFIG.dryRun ? '.dry-run' : ''}.jsonl`));
+    log.debug('런 시작', {
+      event: 'run_start', mode: args.mode, dry_run: CONFIG.dryRun,
+      time_range: { start: timeRange.start.toISOString(), end: timeRange.end.toISOString() }
+    });
 
-    console.log(`모드: ${args.mode}`);
-    console.log(`시작: ${formatKST(timeRange.start)}`);
-    console.log(`종료: ${formatKST(timeRange.end)}`);
+    log.info(`모드: ${args.mode}`);
+    log.info(`시작: ${formatKST(timeRange.start)}`);
+    log.info(`종료: ${formatKST(timeRange.end)}`);
+    log.info(`수집: ${CONFIG.gmailSync}`);
+    if (CONFIG.dryRun) log.info('드라이런: 읽음 표시·커서·카탈로그·SKILL·아카이브 변경 없음 → output/dry-run/');
+    if (CONFIG.mailSource) log.info(`메일 소스: 로컬 ${CONFIG.mailSource}`);
 
     // 3. 라벨 목록
     const labels = getLabels(args.labels);
-    console.log(`라벨: ${labels.map(l => l.name).join(', ')} (${labels.length}개)\n`);
+    log.info(`라벨: ${labels.map(l => l.name).join(', ')} (${labels.length}개)\n`);
 
-    // 4. Run ID 및 임시 폴더 생성 (timeRange.end 기준 = 사용자 요청 날짜)
-    runId = generateRunId(timeRange);
-    tempDir = getTempDir(runId);
+    // 4. 임시 폴더 생성
+    tempDir = getRunTempDir(runId);
     const projectRoot = path.join(__dirname, '..');
 
-    console.log(`Run ID: ${runId}`);
-    console.log(`임시 폴더: ${tempDir}\n`);
+    log.info(`Run ID: ${runId}`);
+    log.info(`임시 폴더: ${tempDir}`);
+    log.info(`로그: ${logPath}\n`);
+
+    const rerunStage = args.fromStage || args.onlyStage;
+    if (rerunStage && !fs.existsSync(path.join(tempDir, 'progress.json'))) {
+      throw new Error(`단계 재실행할 임시 폴더가 없습니다: ${tempDir} (--list-runs로 확인, 성공한 런은 KEEP_TEMP=1일 때만 보존)`);
+    }
 
     // 임시 폴더 생성
     if (!fs.existsSync(tempDir)) {
@@ -821,46 +1758,152 @@ async function main() {
     // 5. Progress 및 FailedBatch 관리자 초기화
     const progressManager = new ProgressManager(path.join(tempDir, 'progress.json'));
     const failedBatchManager = new FailedBatchManager(path.join(tempDir, 'failed_batches.json'));
+    progressManager.setTimeRange(timeRange);
+
+    // 5-b. 단계 재실행: 선택 라벨의 해당 단계 + 하류 단계 무효화
+    if (rerunStage) {
+      for (const r of invalidateStages(tempDir, progressManager, labels.map(l => l.name), rerunStage)) {
+        log.info(`  [단계 재실행] ${r.label}: ${r.stages.join(' → ')} 초기화 (산출물 ${r.removed}개 삭제)`);
+      }
+      log.info('');
+    }
 
     // 6. AdaptiveLearning 인스턴스 생성 (전역으로 공유)
-    const adaptiveLearning = new AdaptiveLearning();
+    //   드라이런: 새 발신자 등록·SKILL 생성은 임시 폴더 overlay/에만 기록
+    const adaptiveLearning = new AdaptiveLearning(CONFIG.dryRun ? { overlayDir: path.join(tempDir, 'overlay') } : {});
 
     // 6.5 Gmail 인증 사전 점검 (실패 시 즉시 중단 → 인증 깨짐을 빈 결과로 삼키는 silent green 방지)
-    console.log('--- Gmail 인증 점검 ---');
-    const authCheckFetcher = await getGmailFetcher();
-    const profile = await authCheckFetcher.verifyAuth();
-    console.log(`  인증 OK: ${profile.emailAddress}\n`);
+    log.info(`--- ${CONFIG.mailSource ? '메일 소스' : 'Gmail 인증'} 점검 ---`);
+    const accountNames = getMailAccounts().map(a => a.name);
+    for (const accountName of (accountNames.length > 0 ? accountNames : [null])) {
+      const authCheckFetcher = await getGmailFetcher(accountName);
+      const profile = await authCheckFetcher.verifyAuth();
+      log.info(`  인증 OK: ${accountName ? `[${accountName}] ` : ''}${profile.emailAddress}`);
+    }
+    log.info('');
 
-    // 7. 메일 정리 실행
-    const results = await processAllLabels(labels, timeRange, tempDir, progressManager, failedBatchManager, adaptiveLearning);
+    // 7. 메일 정리 실행 (비용 예산 이력에 이번 실행 ID 기록)
+    getRunner(path.join(tempDir, 'logs')).budget.runId = runId;
+    const results = await processAllLabels(labels, timeRange, tempDir, progressManager, failedBatchManager, adaptiveLearning,
+      { stopAfter: args.onlyStage || null });
+
+    // 7-0. --only-stage: 해당 단계까지만 실행, 리포트·복사 없이 임시 폴더 보존 (finally에서 success=false)
+    if (args.onlyStage) {
+      adaptiveLearning.flush();
+      progressManager.flush();
+      printSummary(results);
+      log.info(`[단계 재실행] ${args.onlyStage}까지 완료. 이어서 돌리려면: npm run digest -- --run ${runId}${CONFIG.dryRun ? ' --dry-run' : ''}`);
+      return { runId, status: 'partial', itemCount: 0, failedLabels: results.filter(r => !r.success).length };
+    }
 
     // 7-a. 런 헬스 점검: 대량 실패면 0건/부분 발행을 차단(비정상 종료).
     //   정상 0건(수집 메일 0)과 구분해 silent-green 재발을 막는다.
-    //   비정상 종료 시 run_digest.sh가 exit≠0을 감지 → 발행(gh-pages/Drive) 스킵 + Telegram 에러 알림.
+    //   발행(15단계) 전에 반환하므로 gh-pages/Drive/Telegram 발행 없음 + run_digest.sh가 exit≠0을 감지해 Telegram 에러 알림.
     const health = assessRunHealth(results);
     if (!health.healthy) {
-      console.error(`\n[대량 실패 감지] ${health.reason}`);
-      console.error('  → 0건/부분 발행을 차단합니다(비정상 종료). 임시 폴더는 디버깅용으로 보존됩니다.');
+      log.error(`\n[대량 실패 감지] ${health.reason}`);
+      log.error('  → 0건/부분 발행을 차단합니다(비정상 종료). 임시 폴더는 디버깅용으로 보존됩니다.');
       printSummary(results);
-      process.exitCode = 2;     // run_digest.sh가 ≠0 감지 → 발행 차단 + 에러 알림(trap)
-      return;                   // finally로 진입(success=false → 임시 폴더 보존)
+      // 판정 근거를 매니페스트로 남김 (status=unhealthy → range·데몬은 완료로 보지 않고 다시 돌림)
+      writeManifest(getFinalOutputDir(runId, projectRoot), buildManifest({
+        runId, date: formatKST(timeRange.end).split(' ')[0], status: 'unhealthy', mode: args.mode, dryRun: CONFIG.dryRun,
+        timeRange, results, health, stats: globalRunner ? globalRunner.getStats() : null,
+        durationMs: Date.now() - startedAt, finalDir: getFinalOutputDir(runId, projectRoot)
+      }));
+      process.exitCode = 2;     // run_digest.sh가 ≠0 감지 → 에러 알림(trap)
+      // finally로 진입(success=false → 임시 폴더 보존)
+      return { runId, status: 'unhealthy', itemCount: 0, failedLabels: results.filter(r => !r.success).length };
+    }
+    log.info(`\n[헬스] ${health.reason}`);
+    if (health.budgetTruncated) {
+      const resume = budgetResumePlan(CONFIG.gmailSync, runId, CONFIG.dryRun);
+      keepTempForResume = resume.keepTemp;
+      log.warn(`  → ${resume.note}`);
     }
-    console.log(`\n[헬스] ${health.reason}`);
 
     const mergedDir = path.join(tempDir, 'merged');
     const finalDir = path.join(tempDir, 'final');
 
-    // 7-b. 토큰/비용 통계 기록 (_run_stats.json → generate_html이 소비, 분석용 보존)
+    // 7-a'. 라벨 간 중복 제거 (통합 HTML/MD가 같은 기사를 라벨마다 반복하지 않도록)
+    if (CONFIG.crossLabelDedup && fs.existsSync(mergedDir)) {
+      try {
+        const dedup = applyCrossLabelDedup(mergedDir);
+        if (dedup.removed > 0) {
+          log.info(`\n[라벨 간 중복] ${dedup.collapsed.length}건 묶음, 다른 라벨 중복 ${dedup.removed}개 제거`);
+        }
+      } catch (e) { log.warn(`  라벨 간 중복 제거 실패(건너뜀): ${e.message}`); }
+    }
+
+    // 7-a''. 날짜 간 중복 (지난 N일 다이제스트에 이미 나온 기사, 아카이브 기준)
+    if (CONFIG.historyDedupDays > 0 || labels.some(l => Number.isInteger(l.history_days) && l.history_days > 0)) {
+      try {
+        if (!CONFIG.archive) {
+          // 대조 기준인 아카이브가 더 쌓이지 않음 → 그 전에 쌓인 기록만 대조 (조용히 빈 대조가 되지 않도록 알림)
+          log.warn('  ARCHIVE=0: 새 다이제스트가 아카이브에 쌓이지 않아 날짜 간 중복 제거는 기존 아카이브만 대조 (끄려면 HISTORY_DEDUP_DAYS=0)');
+        }
+        if (fs.existsSync(mergedDir)) {
+          const history = applyHistoryDedup(mergedDir, new ItemArchive(CONFIG.archiveDir), {
+            reportDate: formatKST(timeRange.end).split(' ')[0],
+            days: CONFIG.historyDedupDays,
+            daysByLabel: Object.fromEntries(labels.filter(l => Number.isInteger(l.history_days)).map(l => [l.name, l.history_days])),
+            mode: CONFIG.historyDedupMode
+          });
+          if (history.removed > 0 || history.updates > 0) {
+            log.info(`\n[이전 보도] 반복 ${history.removed}개 ${CONFIG.historyDedupMode === 'hide' ? '숨김' : '접음'}, 업데이트 ${history.updates}개 표시`);
+          }
+        }
+      } catch (e) { log.warn(`  날짜 간 중복 제거 실패(건너뜀): ${e.message}`); }
+    }
+
+    // 7-a'''. 스토리 스레드 (이전 소식 링크 + 타임라인 페이지)
+    if (CONFIG.storyThreads && CONFIG.storyThreadDays > 0 && fs.existsSync(mergedDir)) {
+      try {
+        const registry = new StoryRegistry(path.join(CONFIG.archiveDir, 'threads.json'));
+        if (CONFIG.dryRun) registry.filePath = path.join(tempDir, 'overlay', 'threads.json');   // 원본 레지스트리는 읽기만
+        const threads = applyStoryThreads(mergedDir, finalDir, registry, {
+          date: formatKST(timeRange.end).split(' ')[0],
+          days: CONFIG.storyThreadDays
+        });
+        if (threads.continued > 0) log.info(`\n[스토리 스레드] 이어진 이야기 ${threads.continued}개 → final/threads/`);
+      } catch (e) { log.warn(`  스토리 스레드 실패(건너뜀): ${e.message}`); }
+    }
+
+    // 7-a''''. 정크 필터 제외 내역 (감사용, final 폴더로 함께 복사)
+    if (fs.existsSync(mergedDir)) {
+      try {
+        const droppedCount = writeDroppedItems(mergedDir, finalDir);
+        if (droppedCount > 0) log.info(`\n[정크 필터] ${droppedCount}개 제외 → dropped_items.json`);
+      } catch (e) { log.warn(`  dropped_items.json 기록 실패(건너뜀): ${e.message}`); }
+    }
+
+    // 7-b. 토큰/비용 통계 기록 (_run_stats.json → generate_html이 소비, 분석용 보존. 요약은 매니페스트 cost)
+    let runStats = null;
     try {
       if (fs.existsSync(mergedDir)) {
         const stats = getRunner(path.join(tempDir, 'logs')).getStats();
+        runStats = stats;
+        if (stats.budget) {
+          stats.budget.skipped_messages = results.reduce((s, r) => s + ((r && r.budgetSkipped) || 0), 0);
+        }
         fs.writeFileSync(path.join(mergedDir, '_run_stats.json'), JSON.stringify(stats, null, 2), 'utf8');
-        console.log(`\n토큰/비용: 입력 ${stats.usage.totalPromptTokens}, 출력 ${stats.usage.totalCompletionTokens}, 호출 ${stats.usage.totalCalls}회, 캐시히트 ${stats.usage.totalCachedPromptTokens} → $${stats.cost.total_usd}`);
+        log.info(`\n토큰/비용: 입력 ${stats.usage.totalPromptTokens}, 출력 ${stats.usage.totalCompletionTokens}, 호출 ${stats.usage.totalCalls}회, 캐시히트 ${stats.usage.totalCachedPromptTokens}, 동시 최대 ${stats.concurrency.peak}/${stats.concurrency.limit} → $${stats.cost.total_usd}`);
+        const models = Object.entries(stats.by_model);
+        if (models.length > 1) {
+          log.info(`모델별: ${models.map(([m, s]) => `${m} ${s.usage.totalCalls}회 $${s.cost.total_usd}`).join(', ')}`);
+        }
+        if (stats.budget) {
+          const b = stats.budget;
+          log.info(`예산: 이번 실행 $${b.run_spent_usd}${b.run_limit_usd !== null ? ` / $${b.run_limit_usd}` : ''}, 이번 달 $${b.month_spent_usd}${b.month_limit_usd !== null ? ` / $${b.month_limit_usd}` : ''}, 저가 전환 ${b.degraded_calls}회, 차단 ${b.blocked_calls}회`);
+        }
+        if (stats.llm_cache) {
+          const c = stats.llm_cache;
+          log.info(`LLM 캐시(${c.mode}): 히트 ${c.hits}, 미스 ${c.misses}, 기록 ${c.writes}`);
+        }
       }
-    } catch (e) { console.warn(`  run_stats 기록 실패: ${e.message}`); }
+    } catch (e) { log.warn(`  run_stats 기록 실패: ${e.message}`); }
 
     // 8. 통합 HTML 생성
-    console.log('\n--- 통합 HTML 생성 ---');
+    log.info('\n--- 통합 HTML 생성 ---');
     // KST 기준 날짜로 파일명 생성 (timeRange.end = 사용자 요청 날짜)
     const kstDate = new Date(timeRange.end.getTime() + 9 * 60 * 60 * 1000);
     const dateStr = `${String(kstDate.getUTCFullYear()).slice(2)}${String(kstDate.getUTCMonth() + 1).padStart(2, '0')}${String(kstDate.getUTCDate()).padStart(2, '0')}`;
@@ -877,7 +1920,7 @@ async function main() {
       const combinedMdContent = generateCombinedMarkdown(mergedDir, timeRange.end);
       if (combinedMdContent) {
         fs.writeFileSync(combinedMdPath, combinedMdContent, 'utf8');
-        console.log(`\n통합 MD 파일 생성 완료: ${combinedMdPath}`);
+        log.info(`\n통합 MD 파일 생성 완료: ${combinedMdPath}`);
       }
     }
 
@@ -891,44 +1934,201 @@ async function main() {
     // 12. 최종 결과물을 영구 저장소로 복사
     copyToFinalOutput(tempDir, runId, projectRoot);
 
+    // 12-b. 아이템 아카이브 누적 (같은 날짜 재실행이면 라벨별로 교체)
+    if (CONFIG.archive && !CONFIG.dryRun && fs.existsSync(mergedDir)) {
+      try {
+        const archived = new ItemArchive(CONFIG.archiveDir).importMergedDir(mergedDir, {
+          date: formatKST(timeRange.end).split(' ')[0],
+          runId
+        });
+        log.info(`[아카이브] ${archived.added}개 기록${archived.replaced ? ` (같은 날짜 기존 ${archived.replaced}개 교체)` : ''} → ${CONFIG.archiveDir}`);
+      } catch (e) { log.warn(`  아카이브 기록 실패(건너뜀): ${e.message}`); }
+    }
+
+    // 12-c. 드라이런: 실제 실행이었다면 바뀌었을 카탈로그·SKILL 내역 (오버레이는 결과물 폴더로 보존)
+    const finalOutputDir = getFinalOutputDir(runId, projectRoot);
+    if (CONFIG.dryRun) {
+      const diff = adaptiveLearning.diffOverlay();
+      fs.mkdirSync(finalOutputDir, { recursive: true });
+      fs.writeFileSync(path.join(finalOutputDir, 'overlay_diff.json'), JSON.stringify(diff, null, 2), 'utf8');
+      const overlayDir = path.join(tempDir, 'overlay');
+      if (fs.existsSync(overlayDir)) fs.cpSync(overlayDir, path.join(finalOutputDir, 'overlay'), { recursive: true });
+      log.info(`\n${formatOverlayDiff(diff)}`);
+    }
+
+    // 12-d. 런 매니페스트 (발행기·알림·인덱스 페이지가 읽는 결과 기술. 0건이어도 기록)
+    let manifest = buildManifest({
+      runId,
+      date: formatKST(timeRange.end).split(' ')[0],
+      status: 'ok',
+      mode: args.mode,
+      dryRun: CONFIG.dryRun,
+      timeRange,
+      results,
+      health,
+      stats: runStats,
+      durationMs: Date.now() - startedAt,
+      mergedDir,
+      finalDir: finalOutputDir
+    });
+    writeManifest(finalOutputDir, manifest);
+
     // 13. Progress 완료 표시
     progressManager.markCompleted();
 
     // 14. 성공 메시지
-    const finalOutputDir = path.join(projectRoot, 'output', 'final', runId);
-    console.log('\n[완료] 전체 처리 완료!');
-    console.log(`\n결과물: ${finalOutputDir}\n`);
+    log.info('\n[완료] 전체 처리 완료!');
+    log.info(`\n결과물: ${finalOutputDir}\n`);
 
     success = true;
 
+    // 15. 발행 (--publish / PUBLISH=1): 한 발행기가 실패해도 나머지는 진행, 실패가 있으면 종료 코드 3
+    //   드라이런이면 예정 동작만 출력·기록
+    let publish;
+    if (CONFIG.publish) {
+      log.info(`\n--- 발행${CONFIG.dryRun ? ' (드라이런)' : ''} ---`);
+      publish = await runPublishers({
+        runId,
+        date: formatKST(timeRange.end).split(' ')[0],
+        finalDir: finalOutputDir,
+        manifest,
+        projectRoot,
+        elapsedMs: Date.now() - startedAt,
+        env: process.env
+      }, { dryRun: CONFIG.dryRun, only: CONFIG.publishers });
+      log.info(formatPublishResults(publish));
+      manifest = writePublishResults(finalOutputDir, publish, { dryRun: CONFIG.dryRun }) || manifest;
+      if (publish.some(r => r.status === 'failed')) {
+        log.warn(`[발행] 실패: ${publish.filter(r => r.status === 'failed').map(r => r.name).join(', ')} → npm run republish -- ${runId} --only <이름>으로 다시`);
+        process.exitCode = 3;
+      }
+    }
+
+    return {
+      runId,
+      status: 'ok',
+      itemCount: manifest.totals.items,
+      failedLabels: results.filter(r => !r.success).length,
+      ...(publish ? { publish } : {})
+    };
   } catch (error) {
-    console.error('\n[오류] 발생:', error.message);
-    console.error(error.stack);
-    process.exit(1);
+    // 콘솔 출력은 호출한 쪽(main·runRange·데몬) 몫, 로그 파일에만 남김
+    log.debug(`런 오류: ${error.message}`, { event: 'run_error', error: error.message });
+    throw error;
   } finally {
     // 성공 시 임시 폴더 삭제, 실패 시 유지 (디버깅용)
     // KEEP_TEMP=1 이면 성공해도 보존 (품질 분석·전수 대조용 중간 산출물 확보)
-    if (success && tempDir && process.env.KEEP_TEMP !== '1') {
+    if (success && tempDir && process.env.KEEP_TEMP !== '1' && !keepTempForResume) {
       cleanupTempDir(tempDir);
     } else if (tempDir) {
-      console.log(`\n[디버깅] 임시 폴더 유지됨: ${tempDir}`);
+      log.info(`\n[디버깅] 임시 폴더 유지됨: ${tempDir}`);
+    }
+    log.debug('런 종료', { event: 'run_end', success, duration_ms: Date.now() - startedAt });
+    closeRunLog();
+  }
+}
+
+/**
+ * 날짜 범위 백필 (--mode range --from YYYY-MM-DD --to YYYY-MM-DD)
+ *   schedule 창(config/schedule.json 기본 job, 기본 전날 09:41 ~ 당일 09:40 KST)을 하루씩 이어 붙여 빈틈·겹침 없이 순차 실행.
+ *   이미 완료된 날짜(output/final/<runId>의 run_manifest.json status=ok)는 건너뛰므로 중단 후 같은 명령으로 재개된다.
+ *   한 날짜가 실패해도 다음 날짜를 계속 돌고, 끝에 요약 표를 출력.
+ */
+async function runRange(args) {
+  const windows = calculateRangeWindows(args.from, args.to);
+  const projectRoot = path.join(__dirname, '..');
+  log.info(`날짜 범위: ${args.from} ~ ${args.to} (${windows.length}일)\n`);
+
+  const rows = [];
+  for (const [i, { date, timeRange }] of windows.entries()) {
+    const runId = generateRunId(timeRange);
+    log.info(`\n======== [${i + 1}/${windows.length}] ${date} ========`);
+    if (isCompleteRun(getFinalOutputDir(runId, projectRoot))) {
+      log.info(`  ${path.relative(projectRoot, getFinalOutputDir(runId, projectRoot))} 이미 완료, 건너뜀`);
+      rows.push({ date, runId, status: 'skipped' });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await runDigest(args, timeRange);
+      rows.push({ date, ...result, seconds: Math.round((Date.now() - startedAt) / 1000) });
+    } catch (error) {
+      log.error(`\n[오류] ${date}: ${error.message}`);
+      rows.push({ date, runId, status: 'error', error: error.message, seconds: Math.round((Date.now() - startedAt) / 1000) });
+    }
+    // 날짜마다 토큰/비용 통계·로그 폴더를 따로 쓰도록 러너 초기화
+    globalRunner = null;
+  }
+
+  log.info(`\n${formatRangeSummary(rows)}`);
+  if (rows.some(r => r.status === 'error')) process.exitCode = 1;
+  else if (rows.some(r => r.status === 'unhealthy')) process.exitCode = 2;
+  return rows;
+}
+
+/**
+ * 창 하나를 in-process로 실행 (daemon.js용)
+ *   argv는 CLI 인자와 같은 형식 (config/schedule.json의 job args). 이미 완료된 런(isCompleteRun)이면 건너뜀.
+ *   인자로 바꾼 CONFIG·종료 코드는 끝나면 되돌리고 모듈 캐시(resetRunCaches)를 비워 다음 실행에 남지 않게 한다.
+ *   실패는 예외로 전달.
+ *   런 지표(exportRunMetrics)는 main과 같이 여기서 기록.
+ * @param {{start: Date, end: Date}} timeRange
+ * @param {Array<string>} [argv]
+ * @param {{runId?: string}} [options] - runId: 결과물 폴더 이름 (데몬은 schedule.jobRunId, 없으면 날짜)
+ * @returns {Promise<{runId: string, status: string, itemCount?: number, failedLabels?: Array<string>}>}
+ */
+async function runWindow(timeRange, argv = [], options = {}) {
+  const args = { ...parseArgs(argv), mode: 'schedule', runId: options.runId };
+  const saved = { mailSource: CONFIG.mailSource, llmCache: CONFIG.llmCache, dryRun: CONFIG.dryRun, publish: CONFIG.publish };
+  const savedExitCode = process.exitCode;
+  if (args.source) CONFIG.mailSource = args.source;
+  if (args.llmCache) CONFIG.llmCache = args.llmCache;
+  if (args.dryRun) CONFIG.dryRun = true;
+  if (args.publish) CONFIG.publish = true;
+
+  try {
+    const runId = options.runId || generateRunId(timeRange);
+    if (isCompleteRun(getFinalOutputDir(runId))) {
+      log.info(`  ${runId}: 이미 완료된 런, 건너뜀`);
+      return { runId, status: 'skipped' };
+    }
+    const setup = checkSetup({ mailSource: CONFIG.mailSource, accountsPath: CONFIG.accountsPath, llmCache: CONFIG.llmCache });
+    if (!setup.ok) {
+      printSetupErrors(setup.errors);
+      throw new Error(`초기 설정 오류: ${setup.errors.map(e => e.type).join(', ')}`);
+    }
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await runDigest(args, timeRange);
+    } catch (error) {
+      exportRunMetrics({ runId, status: 'error', error: error.message, durationMs: Date.now() - startedAt });
+      throw error;
     }
+    exportRunMetrics(result);
+    return result;
+  } finally {
+    Object.assign(CONFIG, saved);
+    process.exitCode = savedExitCode;
+    resetRunCaches();
   }
 }
 
 /**
  * 모든 라벨 처리 (병렬)
  */
-async function processAllLabels(labels, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning) {
+async function processAllLabels(labels, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning, options = {}) {
   const limit = createLimiter(CONFIG.concurrencyLimit);
 
   const results = await Promise.all(
     labels.map(label =>
       limit(async () => {
         try {
-          return await processLabel(label, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning);
+          return await withLogContext({ label: label.name },
+            () => processLabel(label, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning, options));
         } catch (error) {
-          console.error(`\n${label.name} 라벨 처리 실패:`, error.message);
+          log.error(`\n${label.name} 라벨 처리 실패: ${error.message}`, { label: label.name });
           return {
             label: label.name,
             success: false,
@@ -944,9 +2144,10 @@ async function processAllLabels(labels, timeRange, runDir, progressManager, fail
 
 /**
  * 단일 라벨 처리
+ * @param {{stopAfter?: string|null}} [options] - stopAfter: 이 단계까지만 실행하고 반환 (--only-stage)
  */
-async function processLabel(label, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning) {
-  console.log(`\n--- ${label.name} 라벨 처리 시작 ---`);
+async function processLabel(label, timeRange, runDir, progressManager, failedBatchManager, adaptiveLearning, options = {}) {
+  log.info(`\n--- ${label.name} 라벨 처리 시작 ---`);
 
   // Progress 초기화
   progressManager.initLabel(label.name);
@@ -969,12 +2170,14 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
   // 1. Gmail API 호출 (Node.js) - 증분 처리 지원
   let fetchResult = null;
   if (!progressManager.isStepCompleted(label.name, 'gmail_fetch')) {
-    console.log('  Gmail API 호출 중...');
-    progressManager.setStepStatus(label.name, 'gmail_fetch', 'in_progress');
-    fetchResult = await fetchGmailMessages(label, timeRange, rawDir);
-    progressManager.setStepStatus(label.name, 'gmail_fetch', 'completed');
+    await logStage('gmail_fetch', async () => {
+      log.info('  Gmail API 호출 중...');
+      progressManager.setStepStatus(label.name, 'gmail_fetch', 'in_progress');
+      fetchResult = await fetchGmailMessages(label, timeRange, rawDir);
+      progressManager.setStepStatus(label.name, 'gmail_fetch', 'completed');
+    });
   } else {
-    console.log('  Gmail API 호출 (이미 완료, 건너뜀)');
+    log.info('  Gmail API 호출 (이미 완료, 건너뜀)');
   }
 
   // 2. 새 뉴스레터 감지 (적응형 학습) - fetchResult가 null이면 건너뜀 (재실행 시)
@@ -983,13 +2186,14 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
     : { newCount: 0, newsletters: [] };
 
   if (newNewsletters.newCount > 0) {
-    console.log(`  새 뉴스레터 ${newNewsletters.newCount}개 등록 완료`);
+    log.info(`  새 뉴스레터 ${newNewsletters.newCount}개 등록 완료`);
   }
 
   // 메일 개수 확인
   const msgFiles = fs.readdirSync(rawDir).filter(f => f.startsWith('msg_'));
   if (msgFiles.length === 0) {
-    console.log(`  메일 없음, 건너뜀`);
+    log.info(`  메일 없음, 건너뜀`);
+    await commitGmailSyncCursor(label, rawDir);
     return {
       label: label.name,
       success: true,
@@ -1001,153 +2205,220 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
     };
   }
 
-  console.log(`  메일 ${msgFiles.length}개 수집 완료`);
+  log.info(`  메일 ${msgFiles.length}개 수집 완료`);
+  const stoppedAt = (stage, itemCount = 0) => ({ label: label.name, success: true, stoppedAt: stage, messageCount: msgFiles.length, itemCount });
+  if (options.stopAfter === 'gmail_fetch') return stoppedAt('gmail_fetch');
 
   // 3. HTML → Text - 증분 처리 지원
   if (!progressManager.isStepCompleted(label.name, 'html_to_text')) {
-    console.log('  HTML → Text 변환 중...');
-    progressManager.setStepStatus(label.name, 'html_to_text', 'in_progress');
-    await convertHtmlToText(rawDir, cleanDir);
-    progressManager.setStepStatus(label.name, 'html_to_text', 'completed');
+    await logStage('html_to_text', async () => {
+      log.info('  HTML → Text 변환 중...');
+      progressManager.setStepStatus(label.name, 'html_to_text', 'in_progress');
+      await convertHtmlToText(rawDir, cleanDir);
+      progressManager.setStepStatus(label.name, 'html_to_text', 'completed');
+    });
   } else {
-    console.log('  HTML → Text 변환 (이미 완료, 건너뜀)');
+    log.info('  HTML → Text 변환 (이미 완료, 건너뜀)');
   }
+  if (options.stopAfter === 'html_to_text') return stoppedAt('html_to_text');
 
   // 4. LLM 에이전트 실행 - 증분 처리 지원
   let successCount = 0;
   let failCount = 0;
   let newSkillCount = 0;
   let extractAttempted = 0;   // 이번 런에서 실제 LLM 추출을 시도한 메일 수(캐시 스킵 제외) → 실패율 산정
+  const budgetSkippedIds = new Set();  // 비용 예산 한도로 추출을 생략한 메일 → 읽음 표시 안 함(다음 런이 이어 처리)
 
   if (!progressManager.isStepCompleted(label.name, 'llm_extract')) {
-    console.log('  아이템 추출 중 (LLM)...');
-    progressManager.setStepStatus(label.name, 'llm_extract', 'in_progress');
-
-    // clean 파일 목록
-    const cleanFiles = fs.readdirSync(cleanDir).filter(f => f.startsWith('clean_'));
-
-    for (let idx = 0; idx < cleanFiles.length; idx++) {
-      const cleanFile = cleanFiles[idx];
-      const messageId = cleanFile.replace('clean_', '').replace('.json', '');
-      const cleanPath = path.join(cleanDir, cleanFile);
-      const itemsPath = path.join(itemsDir, `items_${messageId}.json`);
-
-      console.log(`    [${idx + 1}/${cleanFiles.length}] ${messageId.substring(0, 12)}...`);
-
-      // 이미 처리된 파일 건너뛰기 (증분 처리)
-      // 단, 0아이템/에러/손상 캐시는 무효로 보고 재처리(silent-green 재발 방지).
-      if (isValidItemsCache(itemsPath)) {
-        console.log(`      → 이미 처리됨 (건너뜀)`);
-        successCount++;
-        continue;
-      } else if (fs.existsSync(itemsPath)) {
-        console.warn(`      → 기존 캐시 무효(0아이템/손상), 재처리`);
-      }
+    await logStage('llm_extract', async () => {
+      log.info('  아이템 추출 중 (LLM)...');
+      progressManager.setStepStatus(label.name, 'llm_extract', 'in_progress');
+
+      // clean 파일 목록
+      const cleanFiles = fs.readdirSync(cleanDir).filter(f => f.startsWith('clean_'));
+
+      // 메일별 추출을 전부 한 번에 제출 → 실제 동시 호출 수는 runner의 전역 LLM 풀(LLM_CONCURRENCY)이 제한.
+      // 같은 발신자 메일은 순차 처리: 새 발신자 분석(SKILL 생성)이 한 번만 돌고 다음 메일이 그 SKILL을 쓰도록.
+      const extractOne = async (idx) => {
+        const cleanFile = cleanFiles[idx];
+        const messageId = cleanFile.replace('clean_', '').replace('.json', '');
+        const cleanPath = path.join(cleanDir, cleanFile);
+        const itemsPath = path.join(itemsDir, `items_${messageId}.json`);
+
+        log.info(`    [${idx + 1}/${cleanFiles.length}] ${messageId.substring(0, 12)}...`);
+
+        // 이미 처리된 파일 건너뛰기 (증분 처리)
+        // 단, 0아이템/에러/손상 캐시는 무효로 보고 재처리(silent-green 재발 방지).
+        if (isValidItemsCache(itemsPath)) {
+          log.info(`      → ${messageId.substring(0, 12)} 이미 처리됨 (건너뜀)`);
+          successCount++;
+          return;
+        } else if (fs.existsSync(itemsPath)) {
+          log.warn(`      → ${messageId.substring(0, 12)} 기존 캐시 무효(0아이템/손상), 재처리`);
+        }
 
-      // 발신자 정보 확인
-      let senderEmail = '';
-      let isNewSender = false;
-      let skills = ['SKILL_작성규칙.md'];
+        // 발신자 정보 확인
+        let senderEmail = '';
+        let account = null;
+        let isNewSender = false;
+        let skills = ['SKILL_작성규칙.md'];
+        let sourceText = '';
 
-      try {
-        const cleanData = JSON.parse(fs.readFileSync(cleanPath, 'utf8'));
-        senderEmail = extractSenderEmail(cleanData.from);
-
-        // 빈 senderEmail 가드: 추출 실패 시 SKILL 분기 자체를 건너뛰고 기본 처리
-        if (!senderEmail) {
-          console.warn(`      발신자 추출 실패 (from: "${cleanData.from}"), 기본 SKILL로 처리`);
-        } else {
-          // SKILL이 생성되어 있는지 확인
-          const skillGenerated = adaptiveLearning.isSkillGenerated(senderEmail);
-          const skillPath = adaptiveLearning.getSkillPath(senderEmail);
-
-          if (skillGenerated && skillPath && fs.existsSync(skillPath)) {
-            // 기존 SKILL 사용
-            const skillFile = path.basename(skillPath);
-            skills = [skillFile, 'SKILL_작성규칙.md'];
-          } else if (adaptiveLearning.shouldSkipAnalyze(senderEmail)) {
-            // 만성 분석 실패 발신자 → 분석 시도 안 함, 기본 라벨 에이전트로 fallback
-            console.log(`      → ${senderEmail}: 분석 3회 실패 → 기본 추출로 처리`);
+        try {
+          const cleanData = JSON.parse(fs.readFileSync(cleanPath, 'utf8'));
+          senderEmail = extractSenderEmail(cleanData.from);
+          account = cleanData.account || null;
+          sourceText = cleanData.clean_text || '';
+
+          // 빈 senderEmail 가드: 추출 실패 시 SKILL 분기 자체를 건너뛰고 기본 처리
+          if (!senderEmail) {
+            log.warn(`      발신자 추출 실패 (from: "${cleanData.from}"), 기본 SKILL로 처리`);
           } else {
-            // 새 발신자 - 구조 분석 필요
-            isNewSender = true;
+            // SKILL이 생성되어 있는지 확인
+            const skillGenerated = adaptiveLearning.isSkillGenerated(senderEmail);
+            const skillPath = adaptiveLearning.getSkillPath(senderEmail);
+
+            if (skillGenerated && skillPath && fs.existsSync(skillPath)) {
+              // 기존 SKILL 사용
+              skills = [adaptiveLearning.skillRef(skillPath), 'SKILL_작성규칙.md'];
+            } else if (adaptiveLearning.shouldSkipAnalyze(senderEmail)) {
+              // 만성 분석 실패 발신자 → 분석 시도 안 함, 기본 라벨 에이전트로 fallback
+              log.info(`      → ${senderEmail}: 분석 3회 실패 → 기본 추출로 처리`);
+            } else {
+              // 새 발신자 - 구조 분석 필요
+              isNewSender = true;
+            }
           }
+        } catch (e) {
+          // SKILL 매칭 실패 시 기본값 사용
+          log.warn(`      SKILL 매칭 오류 (기본값 사용): ${e.message}`);
         }
-      } catch (e) {
-        // SKILL 매칭 실패 시 기본값 사용
-        console.warn(`      SKILL 매칭 오류 (기본값 사용): ${e.message}`);
-      }
 
-      try {
-        let result;
-        extractAttempted++;   // 캐시 스킵을 통과해 실제 추출을 시도하는 메일
-
-        if (isNewSender) {
-          // 새 발신자: 구조 분석 + 아이템 추출 동시 수행
-          // (output 지정 안 함 → 아래 메타데이터 enrich 후 단일 쓰기로 통일)
-          console.log(`      → 새 발신자: ${senderEmail} (뉴스레터분석 에이전트 실행)`);
-
-          result = await runner.runAgent(path.join(__dirname, '..', 'agents', '뉴스레터분석.md'), {
-            skills: ['SKILL_작성규칙.md'],
-            inputs: cleanPath,
-            taskType: 'analyze'
-          });
+        try {
+          let result;
+          let rerun = null;     // 원문 근거 부족 시 재추출 (retryNote만 다르게 같은 에이전트 재호출)
+          extractAttempted++;   // 캐시 스킵을 통과해 실제 추출을 시도하는 메일
+          const extractStartedAt = Date.now();
+
+          if (isNewSender) {
+            // 새 발신자: 구조 분석 + 아이템 추출 동시 수행
+            // (output 지정 안 함 → 아래 메타데이터 enrich 후 단일 쓰기로 통일)
+            log.info(`      → 새 발신자: ${senderEmail} (뉴스레터분석 에이전트 실행)`);
+
+            const analyzeOptions = {
+              skills: ['SKILL_작성규칙.md'],
+              inputs: cleanPath,
+              taskType: 'analyze',
+              label: label.name
+            };
+            const analyzePath = path.join(__dirname, '..', 'agents', '뉴스레터분석.md');
+            result = await runner.runAgent(analyzePath, analyzeOptions);
+            rerun = retryNote => runner.runAgent(analyzePath, { ...analyzeOptions, retryNote });
+
+            // 분석 결과로 SKILL 저장 (실패 시 카운터 +1 → 3회 누적되면 다음부터 분석 건너뜀)
+            if (result && result.analysis) {
+              adaptiveLearning.saveAnalyzedSkill(senderEmail, result.analysis);
+              newSkillCount++;
+            } else if (senderEmail) {
+              adaptiveLearning.recordAnalyzeFailure(senderEmail);
+              log.warn(`      → 분석 결과에 analysis 필드 없음, 실패 카운터 +1`);
+            }
+          } else {
+            // 기존 발신자: 일반 추출
+            // (output 지정 안 함 → 아래 메타데이터 enrich 후 단일 쓰기로 통일)
+            log.info(`      → 기존 발신자: ${senderEmail} (${label.name} 에이전트 실행)`);
+            const extractOptions = {
+              skills,
+              inputs: cleanPath,
+              taskType: 'extract',
+              label: label.name
+            };
+            const extractPath = path.join(__dirname, '..', 'agents', 'labels', `${label.name}.md`);
+            result = await runner.runAgent(extractPath, extractOptions);
+            rerun = retryNote => runner.runAgent(extractPath, { ...extractOptions, retryNote });
+          }
 
-          // 분석 결과로 SKILL 저장 (실패 시 카운터 +1 → 3회 누적되면 다음부터 분석 건너뜀)
-          if (result && result.analysis) {
-            adaptiveLearning.saveAnalyzedSkill(senderEmail, result.analysis);
-            newSkillCount++;
-          } else if (senderEmail) {
-            adaptiveLearning.recordAnalyzeFailure(senderEmail);
-            console.warn(`      → 분석 결과에 analysis 필드 없음, 실패 카운터 +1`);
+          // 원문 근거 검증 (수치·금액·고유명사 환각 표시, 임계값 미만이면 1회 재추출)
+          if (CONFIG.groundingCheck && result && Array.isArray(result.items) && sourceText) {
+            result = await groundExtraction(result, sourceText, rerun);
+          }
+
+          // 공통: 메타데이터 + tier + 링크 언래핑 후 저장 (단일 write)
+          if (result && result.items) {
+            // 출처는 카탈로그 정규명으로 결정 (LLM 자유생성 표기 드리프트 방지, 미등록 발신자만 LLM 값)
+            const catalogSource = senderEmail ? sourceDisplayName(adaptiveLearning.findBySender(senderEmail)) : null;
+            const enrichedItems = result.items.map(item => ({
+              ...item,
+              ...(catalogSource ? { source: catalogSource } : {}),
+              // 추적 리다이렉트(list-manage/track/click·lp=)를 오프라인 언래핑(네트워크 X) → 클릭 직링크 확보
+              link: cleanItemLink(item.link),
+              // 충실도 분류(요약 길이 기준): brief는 목록형, major는 카드형으로 렌더
+              tier: classifyTier(item),
+              source_email: senderEmail,
+              message_id: messageId,
+              // 출처 추적: 청크 번호(단일 호출은 0) + clean_text 줄 범위·발췌 (리포트 "메일 원문 보기")
+              chunk_index: Number.isInteger(item.chunk_index) ? item.chunk_index : 0,
+              ...(locateSource(item, sourceText) || {}),
+              // 다중 계정: 수집 계정 (단일 계정 모드에선 필드 없음 → 기존 출력과 동일)
+              ...(account ? { account } : {})
+            }));
+            fs.writeFileSync(itemsPath, JSON.stringify({ items: enrichedItems }, null, 2), 'utf8');
           }
-        } else {
-          // 기존 발신자: 일반 추출
-          // (output 지정 안 함 → 아래 메타데이터 enrich 후 단일 쓰기로 통일)
-          console.log(`      → 기존 발신자: ${senderEmail} (${label.name} 에이전트 실행)`);
-          result = await runner.runAgent(path.join(__dirname, '..', 'agents', 'labels', `${label.name}.md`), {
-            skills,
-            inputs: cleanPath,
-            taskType: 'extract'
-          });
-        }
 
-        // 공통: 메타데이터 + tier + 링크 언래핑 후 저장 (단일 write)
-        if (result && result.items) {
-          const enrichedItems = result.items.map(item => ({
-            ...item,
-            // 추적 리다이렉트(list-manage/track/click·lp=)를 오프라인 언래핑(네트워크 X) → 클릭 직링크 확보
-            link: cleanItemLink(item.link),
-            // 충실도 분류(요약 길이 기준): brief는 목록형, major는 카드형으로 렌더
-            tier: classifyTier(item),
-            source_email: senderEmail,
-            message_id: messageId
-          }));
-          fs.writeFileSync(itemsPath, JSON.stringify({ items: enrichedItems }, null, 2), 'utf8');
+          log.debug(`      → ${messageId.substring(0, 12)} 추출 완료`, {
+            event: 'message_end', items: (result && result.items || []).length, duration_ms: Date.now() - extractStartedAt
+          });
+          successCount++;
+        } catch (error) {
+          if (error.isBudgetExceeded) {
+            // 실패가 아니라 생략: 실패율 산정에서 빼고, 다음 런에서 다시 추출
+            extractAttempted--;
+            budgetSkippedIds.add(messageId);
+            return;
+          }
+          failCount++;
+          failedBatchManager.recordFailure(label.name, 'llm_extract', idx, error, { messageId, senderEmail });
+          log.warn(`    [실패] ${messageId}: ${error.message}`, { event: 'message_error', error: error.message });
+          // 실패해도 계속 진행
         }
+      };
 
-        successCount++;
-      } catch (error) {
-        failCount++;
-        failedBatchManager.recordFailure(label.name, 'llm_extract', idx, error, { messageId, senderEmail });
-        console.warn(`    [실패] ${messageId}: ${error.message}`);
-        // 실패해도 계속 진행
+      const senderChains = new Map(); // 발신자 → 직전 추출 작업
+      await Promise.all(cleanFiles.map((cleanFile, idx) => {
+        let key = `#${idx}`;
+        try {
+          key = extractSenderEmail(JSON.parse(fs.readFileSync(path.join(cleanDir, cleanFile), 'utf8')).from) || key;
+        } catch (e) { /* 손상 파일은 extractOne에서 기본값 처리 */ }
+        const prev = senderChains.get(key) || Promise.resolve();
+        const messageId = cleanFile.replace('clean_', '').replace('.json', '');
+        const task = prev.catch(() => {}).then(() => withLogContext({ messageId }, () => extractOne(idx)));
+        senderChains.set(key, task);
+        return task;
+      }));
+
+      if (budgetSkippedIds.size > 0) {
+        // 단계를 완료로 두지 않음 → 같은 날짜 재실행 시 생략된 메일만 추출(완료분은 items 캐시로 건너뜀)
+        log.warn(`  [예산] 비용 한도 도달로 ${budgetSkippedIds.size}개 메일 추출 생략`);
+      } else {
+        progressManager.setStepStatus(label.name, 'llm_extract', 'completed');
       }
-    }
-
-    progressManager.setStepStatus(label.name, 'llm_extract', 'completed');
+    });
   } else {
-    console.log('  아이템 추출 (이미 완료, 건너뜀)');
+    log.info('  아이템 추출 (이미 완료, 건너뜀)');
     // 이미 추출된 아이템 수 계산
     const itemFiles = fs.readdirSync(itemsDir).filter(f => f.startsWith('items_'));
     successCount = itemFiles.length;
   }
 
   if (newSkillCount > 0) {
-    console.log(`  새 SKILL ${newSkillCount}개 생성됨`);
+    log.info(`  새 SKILL ${newSkillCount}개 생성됨`);
   }
 
-  console.log(`  LLM 처리 완료: 성공 ${successCount}개, 실패 ${failCount}개`);
+  log.info(`  LLM 처리 완료: 성공 ${successCount}개, 실패 ${failCount}개`);
+  if (options.stopAfter === 'llm_extract') {
+    adaptiveLearning.flush();
+    return { ...stoppedAt('llm_extract'), extractFail: failCount, extractAttempted };
+  }
 
   // 5. 병합 (배치 처리) - 증분 처리 지원
   const mergedDir = path.join(runDir, 'merged');
@@ -1158,131 +2429,165 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
   const mergedPath = path.join(mergedDir, `merged_${label.name}.json`);
 
   // 모든 items 파일 읽기
-  const allItems = [];
+  const extractedItems = [];
   const itemFiles = fs.readdirSync(itemsDir).filter(f => f.startsWith('items_'));
   for (const itemFile of itemFiles) {
     try {
       const data = JSON.parse(fs.readFileSync(path.join(itemsDir, itemFile), 'utf8'));
       if (data.items) {
-        allItems.push(...data.items);
+        extractedItems.push(...data.items);
       }
     } catch (e) {
-      console.warn(`    ${itemFile} 파싱 실패, 건너뜀: ${e.message}`);
+      log.warn(`    ${itemFile} 파싱 실패, 건너뜀: ${e.message}`);
+    }
+  }
+
+  // 정크 아이템 제외 (병합 전, 결정적 규칙). items 파일은 그대로 두어 규칙을 고치면 재실행으로 반영.
+  let allItems = extractedItems;
+  let droppedItems = [];
+  if (CONFIG.junkFilter) {
+    const filtered = getJunkFilter().filter(extractedItems, email => adaptiveLearning.getSkillPath(email));
+    allItems = filtered.kept;
+    droppedItems = filtered.dropped.map(it => ({ ...it, label: label.name }));
+    if (droppedItems.length > 0) {
+      const byRule = {};
+      for (const d of droppedItems) byRule[d.rule_id] = (byRule[d.rule_id] || 0) + 1;
+      log.info(`  정크 필터: ${droppedItems.length}개 제외 (${Object.entries(byRule).map(([id, n]) => `${id} ${n}`).join(', ')})`);
     }
   }
 
-  console.log(`    총 ${allItems.length}개 아이템`);
+  log.info(`    총 ${allItems.length}개 아이템`);
 
   // 병합 Agent 호출 (배치 처리)
   let merged;
+  // 병합 LLM이 요약을 다시 쓰므로 결과를 배치 원문들과 재검증 (병합 중 생긴 환각도 표시)
+  const cleanTexts = CONFIG.groundingCheck ? loadCleanTexts(cleanDir) : new Map();
   const mergeAgentPath = path.join(__dirname, '..', 'agents', '병합.md');
 
   if (!progressManager.isStepCompleted(label.name, 'merge')) {
-    progressManager.setStepStatus(label.name, 'merge', 'in_progress');
+    await logStage('merge', async () => {
+      progressManager.setStepStatus(label.name, 'merge', 'in_progress');
 
-    if (fs.existsSync(mergeAgentPath) && allItems.length > 1) {
-      try {
-        // 코드 기반 사전 필터링: 유사한 아이템만 LLM에 전달
-        const candidateMap = findMergeCandidates(allItems);
-        const candidateIdxs = new Set(candidateMap.keys());
-        const passThroughItems = allItems.filter((_, idx) => !candidateIdxs.has(idx));
-        const mergeCheckItems = allItems.filter((_, idx) => candidateIdxs.has(idx));
-
-        console.log(`  병합 사전 필터링: 총 ${allItems.length}개 중 후보 ${mergeCheckItems.length}개, 통과 ${passThroughItems.length}개`);
-
-        let mergedItems = [...passThroughItems];
-        let totalDuplicates = 0;
-
-        if (mergeCheckItems.length > 1) {
-          // 후보 아이템만 배치로 LLM 병합
-          const MERGE_BATCH_SIZE = CONFIG.mergeBatchSize;
-          for (let i = 0; i < mergeCheckItems.length; i += MERGE_BATCH_SIZE) {
-            const batch = mergeCheckItems.slice(i, i + MERGE_BATCH_SIZE);
-            const batchNum = Math.floor(i / MERGE_BATCH_SIZE) + 1;
-            const totalBatches = Math.ceil(mergeCheckItems.length / MERGE_BATCH_SIZE);
-
-            console.log(`    병합 배치 ${batchNum}/${totalBatches} (${batch.length}개 후보)...`);
-
-            try {
-              const batchResult = await runner.runAgent(mergeAgentPath, {
-                inputs: {
-                  label: label.name,
-                  items: batch
-                },
-                schema: {
-                  required: ['items']
-                },
-                taskType: 'merge'
-              });
-
-              if (batchResult && batchResult.items) {
-                const batchDuplicates = batch.length - batchResult.items.length;
-                totalDuplicates += batchDuplicates;
-                mergedItems.push(...batchResult.items);
-                console.log(`      → ${batch.length}개 → ${batchResult.items.length}개 (${batchDuplicates}개 중복 제거)`);
-              } else {
+      if (fs.existsSync(mergeAgentPath) && allItems.length > 1) {
+        try {
+          // 코드 기반 사전 필터링: 유사한 아이템만 LLM에 전달
+          const candidateMap = findMergeCandidates(allItems);
+          const candidateIdxs = new Set(candidateMap.keys());
+          const passThroughItems = allItems.filter((_, idx) => !candidateIdxs.has(idx));
+          const mergeCheckItems = allItems.filter((_, idx) => candidateIdxs.has(idx));
+
+          log.info(`  병합 사전 필터링: 총 ${allItems.length}개 중 후보 ${mergeCheckItems.length}개, 통과 ${passThroughItems.length}개`);
+
+          let mergedItems = [...passThroughItems];
+          let totalDuplicates = 0;
+
+          if (mergeCheckItems.length > 1) {
+            // 후보 아이템만 배치로 LLM 병합
+            const MERGE_BATCH_SIZE = CONFIG.mergeBatchSize;
+            for (let i = 0; i < mergeCheckItems.length; i += MERGE_BATCH_SIZE) {
+              const batch = mergeCheckItems.slice(i, i + MERGE_BATCH_SIZE);
+              const batchNum = Math.floor(i / MERGE_BATCH_SIZE) + 1;
+              const totalBatches = Math.ceil(mergeCheckItems.length / MERGE_BATCH_SIZE);
+
+              log.info(`    병합 배치 ${batchNum}/${totalBatches} (${batch.length}개 후보)...`);
+
+              try {
+                const batchResult = await runner.runAgent(mergeAgentPath, {
+                  inputs: {
+                    label: label.name,
+                    // 발췌는 병합 판단에 불필요 → 토큰 절약 (restoreItemProvenance가 복원)
+                    items: batch.map(({ source_excerpt, ...it }) => it)
+                  },
+                  schema: {
+                    required: ['items']
+                  },
+                  taskType: 'merge',
+                  label: label.name
+                });
+
+                if (batchResult && batchResult.items) {
+                  const batchDuplicates = batch.length - batchResult.items.length;
+                  totalDuplicates += batchDuplicates;
+                  const batchSource = [...new Set(batch.map(it => it.message_id))]
+                    .map(id => cleanTexts.get(id)).filter(Boolean).join('\n\n');
+                  mergedItems.push(...batchResult.items.map(it => groundItem(
+                    // 출처: LLM이 이어 붙인 문자열 대신 배치 원본의 정규 출처명에서 재구성
+                    { ...it, source: mergedSource(it, batch) }, batchSource, CONFIG.groundingThreshold)));
+                  log.info(`      → ${batch.length}개 → ${batchResult.items.length}개 (${batchDuplicates}개 중복 제거)`);
+                } else {
+                  mergedItems.push(...batch);
+                  failedBatchManager.recordFailure(label.name, 'merge', batchNum, new Error('Empty result'));
+                  log.warn(`      → 실패, 원본 유지`);
+                }
+              } catch (batchError) {
+                failedBatchManager.recordFailure(label.name, 'merge', batchNum, batchError);
+                log.warn(`      → 오류: ${batchError.message}, 원본 유지`);
                 mergedItems.push(...batch);
-                failedBatchManager.recordFailure(label.name, 'merge', batchNum, new Error('Empty result'));
-                console.warn(`      → 실패, 원본 유지`);
               }
-            } catch (batchError) {
-              failedBatchManager.recordFailure(label.name, 'merge', batchNum, batchError);
-              console.warn(`      → 오류: ${batchError.message}, 원본 유지`);
-              mergedItems.push(...batch);
             }
+          } else if (mergeCheckItems.length === 1) {
+            mergedItems.push(...mergeCheckItems);
           }
-        } else if (mergeCheckItems.length === 1) {
-          mergedItems.push(...mergeCheckItems);
-        }
 
-        // tier 재부여: 병합으로 summary가 길어진 brief→major 승격 반영(코드가 authoritative)
-        mergedItems = mergedItems.map(it => ({ ...it, tier: classifyTier(it) }));
+          // tier 재부여: 병합으로 summary가 길어진 brief→major 승격 반영(코드가 authoritative)
+          // + LLM이 빠뜨린 account / 출처(청크·줄 범위·발췌)를 message_id로 복원
+          mergedItems = restoreItemProvenance(restoreItemAccounts(mergedItems, allItems), allItems)
+            .map(it => ({ ...it, tier: classifyTier(it) }));
 
-        merged = {
-          label: label.name,
-          merged_at: new Date().toISOString(),
-          total_items: mergedItems.length,
-          items: mergedItems,
-          stats: {
-            original_count: allItems.length,
+          merged = {
+            label: label.name,
+            merged_at: new Date().toISOString(),
             total_items: mergedItems.length,
-            duplicates_removed: totalDuplicates,
-            pre_filtered: passThroughItems.length
-          }
-        };
+            items: mergedItems,
+            stats: {
+              original_count: allItems.length,
+              total_items: mergedItems.length,
+              // 라벨 내 병합 직후 수 (total_items는 라벨 간·날짜 간 중복 제거가 덮어씀)
+              merged_count: mergedItems.length,
+              duplicates_removed: totalDuplicates,
+              pre_filtered: passThroughItems.length
+            }
+          };
 
-        console.log(`  병합 완료: ${allItems.length}개 → ${mergedItems.length}개 (${totalDuplicates}개 중복 제거, ${passThroughItems.length}개 사전 통과)`);
-      } catch (error) {
-        console.warn(`  병합 실패, 원본 유지: ${error.message}`);
+          log.info(`  병합 완료: ${allItems.length}개 → ${mergedItems.length}개 (${totalDuplicates}개 중복 제거, ${passThroughItems.length}개 사전 통과)`);
+        } catch (error) {
+          log.warn(`  병합 실패, 원본 유지: ${error.message}`);
+          merged = {
+            label: label.name,
+            merged_at: new Date().toISOString(),
+            total_items: allItems.length,
+            items: allItems,
+            stats: { original_count: allItems.length, total_items: allItems.length, merged_count: allItems.length, duplicates_removed: 0 }
+          };
+        }
+      } else {
+        log.info('  병합 Agent 없음 또는 아이템 1개 이하, 건너뜀');
         merged = {
           label: label.name,
           merged_at: new Date().toISOString(),
           total_items: allItems.length,
           items: allItems,
-          stats: { original_count: allItems.length, total_items: allItems.length, duplicates_removed: 0 }
+          stats: { original_count: allItems.length, total_items: allItems.length, merged_count: allItems.length, duplicates_removed: 0 }
         };
       }
-    } else {
-      console.log('  병합 Agent 없음 또는 아이템 1개 이하, 건너뜀');
-      merged = {
-        label: label.name,
-        merged_at: new Date().toISOString(),
-        total_items: allItems.length,
-        items: allItems,
-        stats: { original_count: allItems.length, total_items: allItems.length, duplicates_removed: 0 }
-      };
-    }
 
-    fs.writeFileSync(mergedPath, JSON.stringify(merged, null, 2), 'utf8');
-    progressManager.setStepStatus(label.name, 'merge', 'completed');
+      if (droppedItems.length > 0) {
+        merged.dropped = droppedItems;
+        merged.stats.junk_dropped = droppedItems.length;
+      }
+      fs.writeFileSync(mergedPath, JSON.stringify(merged, null, 2), 'utf8');
+      // 예산 절단이면 병합도 완료로 두지 않음 → 재실행 때 이어 추출한 아이템까지 다시 병합
+      if (budgetSkippedIds.size === 0) progressManager.setStepStatus(label.name, 'merge', 'completed');
+    });
   } else {
-    console.log('  병합 (이미 완료, 건너뜀)');
+    log.info('  병합 (이미 완료, 건너뜀)');
     // 기존 병합 결과 로드
     merged = JSON.parse(fs.readFileSync(mergedPath, 'utf8'));
   }
+  if (options.stopAfter === 'merge') return stoppedAt('merge', (merged.items || []).length);
 
   // 6. MD 파일 생성 (라벨별 개별 파일 - 옵시디언용)
-  console.log('  MD 파일 생성 중...');
+  log.info('  MD 파일 생성 중...');
   const finalDir = path.join(runDir, 'final');
   if (!fs.existsSync(finalDir)) {
     fs.mkdirSync(finalDir, { recursive: true });
@@ -1299,22 +2604,37 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
 
   // HTML은 통합 파일로 main()에서 생성됨
 
-  console.log(`[완료] ${label.name} (${allItems.length}개 아이템)`);
+  log.info(`[완료] ${label.name} (${allItems.length}개 아이템)`);
 
-  // 7. 처리된 메시지 읽음 표시 (전역 fetcher 재사용)
-  console.log('  처리된 메일 읽음 표시 중...');
-  try {
-    const fetcher = await getGmailFetcher();
-    const processedIds = msgFiles.map(f => f.replace('msg_', '').replace('.json', ''));
-    const markResult = await fetcher.markMessagesAsRead(processedIds);
-    console.log(`  읽음 표시: ${markResult.success}개 완료`);
-  } catch (error) {
-    console.warn(`  읽음 표시 실패 (무시): ${error.message}`);
+  // 7. 처리된 메시지 읽음 표시 (전역 fetcher 재사용, 드라이런은 Gmail을 바꾸지 않음)
+  if (CONFIG.dryRun) {
+    log.info('  [드라이런] 읽음 표시 생략');
+  } else {
+    log.info('  처리된 메일 읽음 표시 중...');
+    try {
+      // 다중 계정: 메일을 가져온 계정의 fetcher로 읽음 표시
+      const processedFiles = msgFiles.filter(f => !budgetSkippedIds.has(f.replace('msg_', '').replace('.json', '')));
+      const groups = groupMessageIdsByAccount(rawDir, processedFiles);
+      addCrossAccountDuplicates(groups, rawDir, budgetSkippedIds);
+      for (const [accountName, processedIds] of groups) {
+        const fetcher = await getGmailFetcher(accountName);
+        const markResult = await fetcher.markMessagesAsRead(processedIds);
+        log.info(`  읽음 표시: ${accountName ? `[${accountName}] ` : ''}${markResult.success}개 완료`);
+      }
+    } catch (error) {
+      log.warn(`  읽음 표시 실패 (무시): ${error.message}`);
+    }
   }
 
   // 8. 적응형 학습 catalog flush (라벨 끝날 때마다 → 중간 크래시 시 새 SKILL 등록 보존)
   adaptiveLearning.flush();
 
+  // 9. history 동기화 커서 커밋 (라벨 처리 완료 후에만 → 중간 실패 시 다음 런이 같은 구간 재수집)
+  //    예산 한도로 생략한 메일이 있으면 커서를 두어 다음 런이 다시 가져가게 한다.
+  if (budgetSkippedIds.size === 0) {
+    await commitGmailSyncCursor(label, rawDir);
+  }
+
   return {
     label: label.name,
     success: true,
@@ -1322,14 +2642,103 @@ async function processLabel(label, timeRange, runDir, progressManager, failedBat
     itemCount: allItems.length,
     extractFail: failCount,
     extractAttempted,
+    budgetSkipped: budgetSkippedIds.size,
     newNewsletters: newNewsletters.newsletters
   };
 }
 
 /**
  * Gmail 메시지 가져오기 (전역 fetcher 재사용)
+ *   다중 계정(config/accounts.json)이면 라벨을 수집하는 계정마다 가져와 rawDir에 합친다.
+ *   같은 뉴스레터를 여러 계정이 구독하면 먼저 가져온 계정 것만 남긴다 (추출 전 계정 간 중복 제거).
  */
 async function fetchGmailMessages(label, timeRange, outputDir) {
+  const accounts = getMailAccounts();
+  if (accounts.length === 0) {
+    return fetchAccountMessages(null, label, timeRange, outputDir);
+  }
+
+  const perAccount = [];
+  const seenNewsletters = new Map();  // 계정 간 중복 키 → 먼저 가져온 {account, id}
+  const crossDuplicates = [];         // 건너뛴 사본 {id, account, duplicate_of} (읽음 표시는 사본을 받은 계정으로)
+  for (const account of accounts) {
+    const mapped = resolveAccountLabel(account, label);
+    if (!mapped) continue;
+    log.info(`  [${account.name}] ${mapped.gmail_label}`);
+    const accountDir = path.join(outputDir, '_accounts', account.name);
+    const result = await fetchAccountMessages(account.name, { ...label, ...mapped }, timeRange, accountDir);
+    if (!result) continue;
+
+    // 계정 태깅 후 rawDir로 올림 (라벨 가드로 제외된 파일은 건너뜀)
+    const messages = [];
+    for (const m of result.messages || []) {
+      const src = path.join(accountDir, `msg_${m.id}.json`);
+      if (!fs.existsSync(src)) continue;
+      const data = JSON.parse(fs.readFileSync(src, 'utf8'));
+      const key = crossAccountKey(data);
+      const original = seenNewsletters.get(key);
+      if (original) {
+        log.info(`  [${account.name}] ${m.id}: 건너뜀 ([${original.account}] ${original.id}와 같은 뉴스레터)`, { messageId: m.id });
+        crossDuplicates.push({ id: m.id, account: account.name, duplicate_of: original.id });
+        continue;
+      }
+      seenNewsletters.set(key, { account: account.name, id: m.id });
+      data.account = account.name;
+      fs.writeFileSync(path.join(outputDir, `msg_${m.id}.json`), JSON.stringify(data, null, 2), 'utf8');
+      messages.push({ id: m.id, account: account.name });
+    }
+    perAccount.push({ account: account.name, result, messages });
+  }
+  if (perAccount.length === 0) return null;
+
+  // 발신자 집계 합산 (적응형 학습 입력)
+  const senders = new Map();
+  for (const { result } of perAccount) {
+    for (const sd of result.senders || []) {
+      if (senders.has(sd.email)) senders.get(sd.email).count += sd.count;
+      else senders.set(sd.email, { ...sd });
+    }
+  }
+  const sum = (key) => perAccount.reduce((n, p) => n + (p.result[key] || 0), 0);
+
+  const combined = {
+    label: label.name,
+    date_start: perAccount[0].result.date_start,
+    date_end: perAccount[0].result.date_end,
+    target_date: perAccount[0].result.target_date || null,
+    total_fetched: sum('total_fetched'),
+    total_count: perAccount.reduce((n, p) => n + p.messages.length, 0),
+    skipped_by_date: sum('skipped_by_date'),
+    duplicates_count: sum('duplicates_count') + crossDuplicates.length,
+    duplicates: perAccount.flatMap(p => p.result.duplicates || []).concat(crossDuplicates.map(d => d.id)),
+    cross_account_duplicates: crossDuplicates,
+    failed: perAccount.flatMap(p => p.result.failed || []),
+    messages: perAccount.flatMap(p => p.messages),
+    senders: Array.from(senders.values()),
+    sync: null,
+    // 계정별 수집 결과 (history 커서는 계정마다 따로 커밋)
+    accounts: perAccount.map(p => ({ account: p.account, total_count: p.messages.length, failed: p.result.failed || [], sync: p.result.sync || null }))
+  };
+  fs.writeFileSync(path.join(outputDir, 'messages_list.json'), JSON.stringify(combined, null, 2), 'utf8');
+  return combined;
+}
+
+/**
+ * 계정 간 중복 판정 키: 발신 주소 + 제목 + KST 날짜.
+ *   계정 내 중복(fetch_gmail)은 본문 길이까지 보지만, 계정마다 수신 주소·구독 해지 링크가 달라
+ *   본문 길이가 어긋나므로 계정 간에는 쓰지 않는다.
+ */
+function crossAccountKey(msg) {
+  const fromMatch = /<([^>]+)>/.exec(msg.from || '');
+  const sender = (fromMatch ? fromMatch[1] : msg.from || '').trim().toLowerCase();
+  return `${sender}|${(msg.subject || '').trim()}|${String(msg.date_kst || '').slice(0, 10)}`;
+}
+
+/**
+ * 단일 계정에서 메시지 가져오기
+ * @param {string|null} accountName - null이면 단일 계정(token.json) 또는 로컬 메일 소스
+ */
+async function fetchAccountMessages(accountName, label, timeRange, outputDir) {
   const dateStart = formatGmailDate(new Date(timeRange.start.getTime() - 24 * 60 * 60 * 1000));
   const dateEnd = formatGmailDate(new Date(timeRange.end.getTime() + 24 * 60 * 60 * 1000));
 
@@ -1339,7 +2748,7 @@ async function fetchGmailMessages(label, timeRange, outputDir) {
 
   let fetcher = null;
   try {
-    fetcher = await getGmailFetcher();
+    fetcher = await getGmailFetcher(accountName);
 
     const result = await fetcher.fetchMessages({
       label: label.gmail_label || label.name,
@@ -1348,7 +2757,9 @@ async function fetchGmailMessages(label, timeRange, outputDir) {
       dateEnd,
       rangeStart,
       rangeEnd,
-      outputDir
+      outputDir,
+      syncMode: CONFIG.gmailSync,
+      syncKey: label.name
     });
 
     // 카탈로그 라벨 가드: 다른 라벨이 정규인 발신자의 메일을 이 라벨에서 제외
@@ -1362,11 +2773,105 @@ async function fetchGmailMessages(label, timeRange, outputDir) {
       throw error;
     }
     // 그 외(일시적 오류, 라벨 없음 등)는 기존대로 관용 처리
-    console.warn(`  Gmail API 오류 (메일 없을 수 있음): ${error.message}`);
+    log.warn(`  Gmail API 오류 (메일 없을 수 있음): ${error.message}`);
     return null;
   }
 }
 
+/**
+ * rawDir의 msg 파일을 수집 계정별로 묶기 (읽음 표시용)
+ * @returns {Map<string|null, string[]>} - 계정명(단일 계정/로컬은 null) → 메시지 ID 목록
+ */
+function groupMessageIdsByAccount(rawDir, msgFiles) {
+  const groups = new Map();
+  for (const f of msgFiles) {
+    let accountName = null;
+    try {
+      accountName = JSON.parse(fs.readFileSync(path.join(rawDir, f), 'utf8')).account || null;
+    } catch (e) { /* 손상 파일은 기본 계정으로 */ }
+    if (!groups.has(accountName)) groups.set(accountName, []);
+    groups.get(accountName).push(f.replace('msg_', '').replace('.json', ''));
+  }
+  return groups;
+}
+
+/**
+ * 계정 간 중복으로 건너뛴 사본을 읽음 표시 그룹에 추가 (raw/messages_list.json의 cross_account_duplicates)
+ *   사본은 rawDir에 없으므로 원본과 같이 처리된 것으로 보고, 사본을 받은 계정의 fetcher로 읽음 표시한다.
+ *   원본이 예산 한도로 생략됐으면 사본도 그대로 둔다 (다음 런에서 같이 처리).
+ * @param {Map<string|null, string[]>} groups - groupMessageIdsByAccount 결과 (제자리 수정)
+ * @param {string} rawDir
+ * @param {Set<string>} [skippedIds] - 처리하지 않은 원본 메시지 ID
+ */
+function addCrossAccountDuplicates(groups, rawDir, skippedIds = new Set()) {
+  const listPath = path.join(rawDir, 'messages_list.json');
+  if (!fs.existsSync(listPath)) return groups;
+  let duplicates = [];
+  try {
+    duplicates = JSON.parse(fs.readFileSync(listPath, 'utf8')).cross_account_duplicates || [];
+  } catch (e) { /* 손상 목록은 사본 읽음 표시 생략 */ }
+  for (const { id, account, duplicate_of: originalId } of duplicates) {
+    if (!id || !account || skippedIds.has(originalId)) continue;
+    if (!groups.has(account)) groups.set(account, []);
+    groups.get(account).push(id);
+  }
+  return groups;
+}
+
+/**
+ * history 동기화 커서 커밋 - raw/messages_list.json의 sync.history_id를 라벨 커서로 저장.
+ *   history 모드로 수집한 라벨만 대상(window 수집/재실행 스킵 시 sync 없음 → no-op).
+ *   커밋 실패는 다음 런이 같은 구간을 다시 가져갈 뿐이므로 경고만 남긴다.
+ *   다운로드에 실패한 메일(failed)이 있는 계정은 커서를 두어 다음 런이 같은 구간을 다시 가져가게 한다.
+ */
+async function commitGmailSyncCursor(label, rawDir) {
+  if (CONFIG.dryRun) return false;   // 드라이런은 다음 실제 런의 수집 구간을 바꾸지 않음
+  const listPath = path.join(rawDir, 'messages_list.json');
+  if (!fs.existsSync(listPath)) return false;
+  try {
+    const list = JSON.parse(fs.readFileSync(listPath, 'utf8'));
+    // 다중 계정: 계정별 sync (계정마다 커서 파일이 따로)
+    const entries = Array.isArray(list.accounts)
+      ? list.accounts.map(a => ({ accountName: a.account, sync: a.sync, failed: a.failed }))
+      : [{ accountName: null, sync: list.sync, failed: list.failed }];
+    let saved = false;
+    for (const { accountName, sync, failed } of entries) {
+      if (!sync || !sync.history_id) continue;
+      if (Array.isArray(failed) && failed.length > 0) {
+        log.warn(`  동기화 커서 보류: ${accountName ? `[${accountName}] ` : ''}다운로드 실패 ${failed.length}건 (다음 런에서 재수집)`);
+        continue;
+      }
+      const fetcher = await getGmailFetcher(accountName);
+      if (typeof fetcher.saveSyncCursor !== 'function') continue;
+      fetcher.saveSyncCursor(label.name, sync.history_id);
+      log.info(`  동기화 커서 저장: ${accountName ? `[${accountName}] ` : ''}historyId ${sync.history_id}`);
+      saved = true;
+    }
+    return saved;
+  } catch (e) {
+    log.warn(`  동기화 커서 저장 실패 (다음 런에서 재수집): ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Gmail 수집 방식 결정 ('window' | 'history')
+ *   --sync 플래그 > GMAIL_SYNC 환경변수 순. custom/range 모드는 특정 날짜 재현이므로 항상 window
+ *   (history 커서를 과거 날짜 런이 전진시키면 그 사이 메일이 누락됨).
+ */
+function resolveGmailSyncMode(mode, requested) {
+  const sync = requested || CONFIG.gmailSync || 'window';
+  if (sync !== 'history' && sync !== 'window') {
+    log.warn(`알 수 없는 동기화 방식 '${sync}', 'window'로 대체합니다.`);
+    return 'window';
+  }
+  if (sync === 'history' && (mode === 'custom' || mode === 'range')) {
+    log.warn(`${mode} 모드는 history 동기화를 지원하지 않아 'window'로 수집합니다.`);
+    return 'window';
+  }
+  return sync;
+}
+
 /**
  * HTML → Text 변환 (병렬 처리)
  */
@@ -1411,11 +2916,11 @@ async function convertHtmlToText(rawDir, cleanDir) {
             maxCharsPerArticle: 3000,
             minArticleLength: 200,
             concurrency: 5,
-            log: (msg) => console.log(`    [${messageId.substring(0, 8)}] ${msg}`)
+            log: (msg) => log.info(`    [${messageId.substring(0, 8)}] ${msg}`)
           });
         } catch (e) {
           // 크롤링 실패 시 원본 유지
-          console.warn(`    [${messageId.substring(0, 8)}] 원문 크롤링 실패: ${e.message}`);
+          log.warn(`    [${messageId.substring(0, 8)}] 원문 크롤링 실패: ${e.message}`);
         }
       }
 
@@ -1425,6 +2930,7 @@ async function convertHtmlToText(rawDir, cleanDir) {
         subject: msgData.subject,
         date: msgData.date,
         labels: msgData.labels,
+        account: msgData.account,
         clean_text: cleanText
       };
 
@@ -1464,6 +2970,9 @@ function renderItemsByTierMd(items) {
     if (item.keywords && item.keywords.length > 0) {
       md += `**키워드**: ${item.keywords.map(k => `#${k}`).join(' ')}\n\n`;
     }
+    if (item.also_in && item.also_in.length > 0) {
+      md += `*also in: ${item.also_in.join(', ')}*\n\n`;
+    }
     if (item.link) {
       md += `[원문 보기](${item.link})\n\n`;
     }
@@ -1481,6 +2990,7 @@ function renderItemsByTierMd(items) {
       } else if (item.message_id) {
         md += ` [메일 보기](https://mail.google.com/mail/u/0/#inbox/${item.message_id})`;
       }
+      if (item.also_in && item.also_in.length > 0) md += ` *(also in: ${item.also_in.join(', ')})*`;
       md += `\n`;
     });
     md += `\n---\n\n`;
@@ -1509,7 +3019,7 @@ function generateCombinedMarkdown(mergedDir, date) {
     try {
       acc.push(JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8')));
     } catch (e) {
-      console.warn(`  통합 MD: ${file} 파싱 실패, 건너뜀: ${e.message}`);
+      log.warn(`  통합 MD: ${file} 파싱 실패, 건너뜀: ${e.message}`);
     }
     return acc;
   }, []);
@@ -1556,7 +3066,18 @@ function parseArgs(argv) {
   const args = {
     mode: 'schedule',
     date: null,
-    labels: null
+    labels: null,
+    sync: null,
+    source: null,
+    llmCache: null,
+    from: null,
+    to: null,
+    run: null,
+    fromStage: null,
+    onlyStage: null,
+    listRuns: false,
+    dryRun: false,
+    publish: false
   };
 
   for (let i = 0; i < argv.length; i++) {
@@ -1569,6 +3090,36 @@ function parseArgs(argv) {
     } else if (argv[i] === '--labels' && i + 1 < argv.length) {
       args.labels = argv[i + 1];
       i++;
+    } else if (argv[i] === '--sync' && i + 1 < argv.length) {
+      args.sync = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--source' && i + 1 < argv.length) {
+      args.source = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--llm-cache' && i + 1 < argv.length) {
+      args.llmCache = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--from' && i + 1 < argv.length) {
+      args.from = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--to' && i + 1 < argv.length) {
+      args.to = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--run' && i + 1 < argv.length) {
+      args.run = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--from-stage' && i + 1 < argv.length) {
+      args.fromStage = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--only-stage' && i + 1 < argv.length) {
+      args.onlyStage = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--list-runs') {
+      args.listRuns = true;
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--publish') {
+      args.publish = true;
     }
   }
 
@@ -1583,16 +3134,8 @@ function calculateTimeRange(mode, customDate) {
 
   switch (mode) {
     case 'schedule':
-      // 자동 실행: 전날 09:41 ~ 당일 09:40 (KST). 타이머가 매일 09:40 KST에 실행.
-      const todayKST = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-      const todayStr = todayKST.toISOString().split('T')[0];
-      const yesterdayKST = new Date(todayKST.getTime() - 24 * 60 * 60 * 1000);
-      const yesterdayStr = yesterdayKST.toISOString().split('T')[0];
-
-      return {
-        start: new Date(yesterdayStr + 'T09:41:00+09:00'),
-        end: new Date(todayStr + 'T09:40:00+09:00')
-      };
+      // 자동 실행: config/schedule.json 기본 job의 오늘(KST) 창 (기본 "40 9 * * *" → 전날 09:41 ~ 당일 09:40)
+      return scheduleWindow(now);
 
     case 'today':
       // 오늘 0시 ~ 현재 (KST 기준)
@@ -1626,17 +3169,42 @@ function calculateTimeRange(mode, customDate) {
 
     default:
       // 알 수 없는 모드: schedule과 동일하게 처리
-      console.warn(`알 수 없는 모드 '${mode}', 'schedule' 모드로 대체합니다.`);
-      const defaultTodayKST = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-      const defaultTodayStr = defaultTodayKST.toISOString().split('T')[0];
-      const defaultYesterdayKST = new Date(defaultTodayKST.getTime() - 24 * 60 * 60 * 1000);
-      const defaultYesterdayStr = defaultYesterdayKST.toISOString().split('T')[0];
+      log.warn(`알 수 없는 모드 '${mode}', 'schedule' 모드로 대체합니다.`);
+      return scheduleWindow(now);
+  }
+}
 
-      return {
-        start: new Date(defaultYesterdayStr + 'T09:41:00+09:00'),
-        end: new Date(defaultTodayStr + 'T09:40:00+09:00')
-      };
+/**
+ * 오늘(KST)의 기본 스케줄 창. 오늘 실행이 없는 식(예: 평일만)이면 가장 최근 실행의 창.
+ */
+function scheduleWindow(now) {
+  const todayStr = new Date(now.getTime() + 9 * 60 * 60 * 1000).toISOString().split('T')[0];
+  return defaultWindowForDate(todayStr) || defaultLatestWindow(now);
+}
+
+/**
+ * 날짜 범위 → 날짜별 schedule 창 목록 (range 모드)
+ *   D일 창 = 기본 스케줄의 D일 창 (기본: D-1일 09:41 ~ D일 09:40 KST, schedule 모드와 같은 경계 → 이어 붙이면 빈틈 없음)
+ *   스케줄상 실행이 없는 날짜(예: 평일만 실행)는 건너뛴다 — 그 메일은 다음 실행 창에 들어간다.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD (포함)
+ * @returns {Array<{date: string, timeRange: {start: Date, end: Date}}>}
+ */
+function calculateRangeWindows(from, to) {
+  for (const [flag, value] of [['--from', from], ['--to', to]]) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      throw new Error(`잘못된 날짜 형식: ${flag} '${value}' (YYYY-MM-DD 형식 필요, 예: --mode range --from 2026-09-01 --to 2026-09-30)`);
+    }
+  }
+  if (from > to) throw new Error(`--from(${from})이 --to(${to})보다 늦습니다`);
+
+  const windows = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * 60 * 60 * 1000) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    const timeRange = defaultWindowForDate(date);
+    if (timeRange) windows.push({ date, timeRange });
   }
+  return windows;
 }
 
 /**
@@ -1691,6 +3259,75 @@ function printSummary(results) {
   }
 }
 
+/**
+ * 드라이런 종료 시 출력할 카탈로그·SKILL 변경 예정 내역
+ * @param {Object} diff - AdaptiveLearning.diffOverlay() 결과
+ * @returns {string}
+ */
+function formatOverlayDiff(diff) {
+  const { catalog, skills } = diff;
+  if (catalog.added.length + catalog.changed.length + skills.added.length + skills.changed.length === 0) {
+    return '[드라이런] 카탈로그·SKILL 변경 없음';
+  }
+  const lines = ['[드라이런] 실제 실행이었다면 바뀌었을 내용 (원본 파일은 그대로):'];
+  if (catalog.added.length > 0) {
+    lines.push(`  config/newsletters.json 추가 ${catalog.added.length}개`);
+    for (const n of catalog.added) lines.push(`    + ${n.id}: ${n.name} <${n.sender}> [${(n.labels || []).join(', ')}]`);
+  }
+  if (catalog.changed.length > 0) {
+    lines.push(`  config/newsletters.json 변경 ${catalog.changed.length}개`);
+    for (const c of catalog.changed) {
+      for (const [key, { before, after }] of Object.entries(c.fields)) {
+        lines.push(`    ~ ${c.id}.${key}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+      }
+    }
+  }
+  for (const file of skills.added) lines.push(`  + skills/newsletters/${file} (새 SKILL)`);
+  for (const c of skills.changed) {
+    lines.push(`  ~ skills/newsletters/${c.file}`);
+    for (const l of c.removed) lines.push(`    - ${l}`);
+    for (const l of c.added) lines.push(`    + ${l}`);
+  }
+  return lines.join('\n');
+}
+
+const RANGE_STATUS_TEXT = { ok: '완료', skipped: '건너뜀(기존 결과)', unhealthy: '헬스 차단', error: '오류' };
+
+/**
+ * 날짜 범위 백필 요약 표
+ * @param {Array<{date: string, runId: string, status: string, itemCount?: number, failedLabels?: number, seconds?: number, error?: string}>} rows
+ * @returns {string}
+ */
+function formatRangeSummary(rows) {
+  const header = ['날짜', 'Run ID', '상태', '아이템', '실패 라벨', '소요'];
+  const body = rows.map(r => [
+    r.date,
+    r.runId,
+    RANGE_STATUS_TEXT[r.status] || r.status,
+    r.itemCount !== undefined ? String(r.itemCount) : '-',
+    r.failedLabels !== undefined ? String(r.failedLabels) : '-',
+    r.seconds !== undefined ? `${r.seconds}s` : '-'
+  ]);
+  // 한글은 터미널에서 두 칸 차지
+  const width = str => [...str].reduce((w, ch) => w + (/[\u1100-\u11ff\u3130-\u318f\uac00-\ud7a3]/.test(ch) ? 2 : 1), 0);
+  const cols = header.map((h, c) => Math.max(width(h), ...body.map(row => width(row[c]))));
+  const line = row => row.map((cell, c) => cell + ' '.repeat(cols[c] - width(cell))).join('  ').trimEnd();
+
+  const count = status => rows.filter(r => r.status === status).length;
+  const lines = [
+    '========================================',
+    '          날짜 범위 처리 요약',
+    '========================================',
+    line(header),
+    cols.map(w => '-'.repeat(w)).join('  '),
+    ...body.map(line),
+    '',
+    `완료 ${count('ok')}일, 건너뜀 ${count('skipped')}일, 헬스 차단 ${count('unhealthy')}일, 오류 ${count('error')}일 / 총 아이템 ${rows.reduce((s, r) => s + (r.itemCount || 0), 0)}개`
+  ];
+  for (const r of rows.filter(r => r.error)) lines.push(`  - ${r.date}: ${r.error}`);
+  return lines.join('\n');
+}
+
 /**
  * 유틸리티
  */
@@ -1738,6 +3375,7 @@ module.exports = {
   processAllLabels,
   processLabel,
   main,
+  runWindow,
   // 테스트용 내부 함수 export
   _test: {
     ProgressManager,
@@ -1749,8 +3387,22 @@ module.exports = {
     clusterItemsByKeyword,
     isValidItemsCache,
     assessRunHealth,
+    budgetResumePlan,
     parseArgs,
     calculateTimeRange,
+    calculateRangeWindows,
+    formatRangeSummary,
+    runRange,
+    acquireRunLock,
+    PIPELINE_STAGES,
+    invalidateStages,
+    listRuns,
+    formatRunList,
+    validateStageArgs,
+    loadRunTimeRange,
+    getRunTempDir,
+    getFinalOutputDir,
+    formatOverlayDiff,
     getLabels,
     printSummary,
     generateRunId,
@@ -1762,14 +3414,26 @@ module.exports = {
     checkSetup,
     convertHtmlToText,
     fetchGmailMessages,
+    commitGmailSyncCursor,
+    resolveGmailSyncMode,
     filterRawByCatalogLabel,
     getSenderLabelMap,
+    getSenderGmailLabelMap,
     getRunner,
     getGmailFetcher,
+    getMailAccounts,
+    groupMessageIdsByAccount,
+    addCrossAccountDuplicates,
+    restoreItemAccounts,
+    groundExtraction,
+    writeDroppedItems,
+    dedupAcrossLabels,
+    applyCrossLabelDedup,
+    dedupAgainstHistory,
+    applyHistoryDedup,
+    applyStoryThreads,
+    CONFIG,
     // 전역 상태 리셋 (테스트 격리용)
-    _resetGlobals: () => {
-      globalRunner = null;
-      gmailFetcherPromise = null;
-    }
+    _resetGlobals: resetRunCaches
   }
 };
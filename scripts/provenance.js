@@ -0,0 +1,142 @@
+/**
+ * 아이템 출처 추적 (provenance) — 추출 아이템이 메일 본문 어디서 나왔는지
+ *
+ * 아이템마다 남기는 필드:
+ *   message_id     : 원본 메일 (기존 enrich 필드)
+ *   chunk_index    : runChunkedPrompt 청크 번호 (0부터, 단일 호출은 0)
+ *   source_lines   : clean_text 줄 범위 [시작, 끝] (1부터, createCleanTextWithLineNumbers 기준)
+ *   source_excerpt : 그 범위의 발췌 (리포트 "메일 원문 보기" 팝오버)
+ *
+ * 줄 범위는 LLM에 묻지 않고 코드가 찾는다 (LLM이 적은 줄 번호는 검증 불가):
+ *   ① 아이템 link가 들어 있는 줄  ② 없으면 제목·요약·키워드와 가장 많이 겹치는 줄
+ * 을 기준으로 그 줄이 속한 문단(빈 줄 사이)을 범위로 잡는다. 못 찾으면 줄 범위 없이 청크 번호만 남긴다.
+ */
+
+const { createCleanTextWithLineNumbers } = require('./html_to_text');
+
+const EXCERPT_MAX_CHARS = 800;
+const MAX_SPAN_LINES = 12;
+const MIN_MATCH_SCORE = 3;   // 겹치는 어휘가 이보다 적으면 위치 미상
+
+const PROVENANCE_FIELDS = ['chunk_index', 'source_lines', 'source_excerpt'];
+
+/**
+ * 대조용 어휘: 한글은 음절 bigram(조사 붙은 어절도 겹치도록), 그 외는 2자 이상 단어
+ */
+function terms(text) {
+  const out = new Set();
+  for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (/[가-힣]/.test(word)) {
+      for (let i = 0; i < word.length - 1; i++) out.add(word.slice(i, i + 2));
+    } else if (word.length >= 2) {
+      out.add(word);
+    }
+  }
+  return out;
+}
+
+function numberedLines(cleanText) {
+  const numbered = createCleanTextWithLineNumbers(cleanText);
+  return numbered && Array.isArray(numbered.lines) ? numbered.lines : [];
+}
+
+/**
+ * 기준 줄이 속한 문단의 [시작, 끝] 인덱스 (lines는 빈 줄이 빠진 배열 → line_number가 끊기면 문단 경계)
+ */
+function paragraphAround(lines, idx) {
+  let start = idx;
+  let end = idx;
+  while (start > 0 && lines[start - 1].line_number === lines[start].line_number - 1) start--;
+  while (end < lines.length - 1 && lines[end + 1].line_number === lines[end].line_number + 1) end++;
+  return [start, end];
+}
+
+/**
+ * 아이템의 원문 위치 찾기
+ * @param {Object} item - 추출 아이템 (title/summary/keywords/link)
+ * @param {string} cleanText - clean_*.json의 clean_text
+ * @returns {{source_lines: number[], source_excerpt: string}|null}
+ */
+function locateSource(item, cleanText) {
+  const lines = numberedLines(cleanText);
+  if (!item || lines.length === 0) return null;
+
+  const link = typeof item.link === 'string' && item.link.length > 10 ? item.link : '';
+  let anchor = link ? lines.findIndex(l => l.content.includes(link)) : -1;
+  const byLink = anchor >= 0;
+
+  if (!byLink) {
+    const keywords = Array.isArray(item.keywords) ? item.keywords : [];
+    const query = terms([item.title, item.summary, ...keywords].join(' '));
+    let best = 0;
+    lines.forEach((line, i) => {
+      let score = 0;
+      for (const t of terms(line.content)) if (query.has(t)) score++;
+      if (score > best) {
+        best = score;
+        anchor = i;
+      }
+    });
+    if (best < MIN_MATCH_SCORE) return null;
+  }
+
+  let [start, end] = paragraphAround(lines, anchor);
+  if (start === end) {
+    // 한 줄짜리 문단: 링크 줄이면 앞 문단(기사 본문), 제목 줄이면 뒤 문단까지
+    if (byLink && start > 0) start = paragraphAround(lines, start - 1)[0];
+    else if (!byLink && end < lines.length - 1) end = paragraphAround(lines, end + 1)[1];
+  }
+  if (end - start + 1 > MAX_SPAN_LINES) {
+    start = Math.max(start, anchor - Math.floor(MAX_SPAN_LINES / 2));
+    end = Math.min(end, start + MAX_SPAN_LINES - 1);
+  }
+
+  const span = lines.slice(start, end + 1);
+  let excerpt = span.map(l => l.content).join('\n');
+  if (excerpt.length > EXCERPT_MAX_CHARS) excerpt = excerpt.slice(0, EXCERPT_MAX_CHARS) + '…';
+  return {
+    source_lines: [span[0].line_number, span[span.length - 1].line_number],
+    source_excerpt: excerpt
+  };
+}
+
+/**
+ * 병합 LLM 결과에 출처 필드 복원 (코드가 authoritative)
+ *   같은 message_id의 원본 아이템 중 link 일치 → 제목 어휘가 가장 많이 겹치는 것의 필드를 그대로 가져온다.
+ *   병합 LLM 입력에서는 source_excerpt를 빼서 토큰을 아끼므로 여기서 되살린다.
+ */
+function restoreItemProvenance(items, sourceItems) {
+  const byMessage = new Map();
+  for (const it of sourceItems || []) {
+    if (!it || !it.message_id) continue;
+    if (!byMessage.has(it.message_id)) byMessage.set(it.message_id, []);
+    byMessage.get(it.message_id).push(it);
+  }
+  if (byMessage.size === 0) return items;
+
+  return items.map(it => {
+    if (!it || PROVENANCE_FIELDS.every(f => it[f] !== undefined)) return it;
+    const candidates = byMessage.get(it.message_id) || [];
+    if (candidates.length === 0) return it;
+    let match = it.link ? candidates.find(c => c.link === it.link) : null;
+    if (!match) {
+      const title = terms(it.title);
+      let best = -1;
+      for (const c of candidates) {
+        const overlap = [...terms(c.title)].filter(t => title.has(t)).length;
+        if (overlap > best) {
+          best = overlap;
+          match = c;
+        }
+      }
+    }
+    const restored = { ...it };
+    for (const field of PROVENANCE_FIELDS) {
+      if (match[field] !== undefined) restored[field] = match[field];
+      else delete restored[field];
+    }
+    return restored;
+  });
+}
+
+module.exports = { locateSource, restoreItemProvenance, PROVENANCE_FIELDS };
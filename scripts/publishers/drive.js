@@ -0,0 +1,38 @@
+/**
+ * Google Drive 업로드 — 통합 MD를 GDRIVE_FOLDER_ID/<연도>/에 올림 (run_digest.sh 6단계)
+ *
+ * 같은 이름 파일이 있으면 덮어쓰므로 재시도해도 중복 파일이 생기지 않는다.
+ */
+
+const path = require('path');
+const { Publisher, runArtifacts } = require('./publisher');
+
+class DrivePublisher extends Publisher {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.upload] - (localPath, targetName, year) => {id, webViewLink, action} (기본 upload_to_drive.uploadToYearFolder)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'drive';
+    this.upload = options.upload || ((...args) => require('../upload_to_drive').uploadToYearFolder(...args));
+  }
+
+  async skipReason(ctx) {
+    if (!ctx.env.GDRIVE_FOLDER_ID) return 'GDRIVE_FOLDER_ID 미설정';
+    return runArtifacts(ctx).md ? null : '업로드할 통합 MD 없음 (처리 0건)';
+  }
+
+  plan(ctx) {
+    const { md } = runArtifacts(ctx);
+    return [`Drive ${ctx.runId.slice(0, 4)}/${path.basename(md)} 업로드 (같은 이름이면 덮어씀)`];
+  }
+
+  async publish(ctx) {
+    const { md } = runArtifacts(ctx);
+    const result = await this.upload(md, path.basename(md), ctx.runId.slice(0, 4));
+    return { file: path.basename(md), id: result.id, action: result.action, url: result.webViewLink || null };
+  }
+}
+
+module.exports = { DrivePublisher };
@@ -0,0 +1,89 @@
+/**
+ * GitHub Pages 발행 — 통합 HTML을 gh-pages 브랜치 reports/<날짜>.html로 커밋·푸시 (run_digest.sh 5단계)
+ *
+ * origin/gh-pages를 임시 폴더에 분리(detached) worktree로 꺼내 작업하므로
+ * 로컬 gh-pages 브랜치가 뒤처져 있어도 푸시가 막히지 않고, 레포 옆(../ghpages)에 폴더를 남기지 않는다.
+ * 런 요약(reports/<날짜>.manifest.json)을 함께 올려 인덱스 페이지가 아이템·라벨 수를 보여 준다.
+ * 스토리 타임라인(threads/*.html)은 같은 스레드면 최신 내용으로 덮어쓰고, 인덱스 페이지는 매번 다시 만든다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Publisher, runArtifacts } = require('./publisher');
+
+const BRANCH = 'gh-pages';
+
+/**
+ * gh-pages에 올리는 매니페스트 요약 (generate_index_page가 날짜별 아이템·라벨 수 표시에 사용)
+ *   공개 브랜치이므로 비용·오류 메시지·로컬 경로는 뺀다.
+ */
+function pagesSummary(manifest) {
+  return {
+    version: manifest.version,
+    run_id: manifest.run_id,
+    date: manifest.date,
+    totals: { labels: manifest.totals.labels, items: manifest.totals.items },
+    labels: manifest.labels.filter(l => l.item_count > 0).map(l => ({ name: l.name, item_count: l.item_count }))
+  };
+}
+
+class GhPagesPublisher extends Publisher {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'gh_pages';
+  }
+
+  async skipReason(ctx) {
+    return runArtifacts(ctx).html ? null : '발행할 HTML 없음 (처리 0건)';
+  }
+
+  plan(ctx) {
+    const { html, threads } = runArtifacts(ctx);
+    return [
+      `reports/${ctx.date}.html ← ${path.basename(html)}`,
+      `reports/${ctx.date}.manifest.json ← 런 요약 (인덱스 페이지용)`,
+      ...(threads.length > 0 ? [`reports/threads/ ← 타임라인 ${threads.length}개`] : []),
+      `인덱스 재생성 → git push origin ${BRANCH}`
+    ];
+  }
+
+  async publish(ctx) {
+    const cwd = ctx.projectRoot;
+    const { html, threads } = runArtifacts(ctx);
+    const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpages-'));
+    const worktree = path.join(tmpRoot, 'ghpages');
+    const git = args => this.run('git', args, { cwd: worktree });
+
+    await this.run('git', ['fetch', '-q', 'origin', BRANCH], { cwd });
+    await this.run('git', ['worktree', 'prune'], { cwd });
+    await this.run('git', ['worktree', 'add', '-q', '--detach', worktree, `origin/${BRANCH}`], { cwd });
+    try {
+      const reportsDir = path.join(worktree, 'reports');
+      fs.mkdirSync(reportsDir, { recursive: true });
+      fs.copyFileSync(html, path.join(reportsDir, `${ctx.date}.html`));
+      fs.writeFileSync(path.join(reportsDir, `${ctx.date}.manifest.json`), JSON.stringify(pagesSummary(ctx.manifest), null, 2), 'utf8');
+      if (threads.length > 0) {
+        fs.mkdirSync(path.join(reportsDir, 'threads'), { recursive: true });
+        for (const file of threads) {
+          fs.copyFileSync(file, path.join(reportsDir, 'threads', path.basename(file)));
+        }
+      }
+      await this.run(process.execPath, [path.join(cwd, 'scripts', 'generate_index_page.js'), '--base-dir', worktree], { cwd });
+
+      await git(['add', '--', 'reports', 'index.html']);
+      if (!(await git(['status', '--porcelain']))) {
+        return { file: `reports/${ctx.date}.html`, committed: false };
+      }
+      await git(['commit', '-q', '-m', `report: ${ctx.date} 뉴스레터 리포트`]);
+      const commit = await git(['rev-parse', '--short', 'HEAD']);
+      await git(['push', '-q', 'origin', `HEAD:${BRANCH}`]);
+      return { file: `reports/${ctx.date}.html`, committed: true, commit };
+    } finally {
+      await this.run('git', ['worktree', 'remove', '--force', worktree], { cwd }).catch(() => {});
+      fs.rmSync(tmpRoot, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = { GhPagesPublisher, pagesSummary };
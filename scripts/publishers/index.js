@@ -0,0 +1,196 @@
+/**
+ * 발행기(publisher) — 다이제스트 결과물을 밖으로 내보내는 단계 (run_digest.sh 4~7단계의 Node 이식)
+ *
+ * 순서: skill_commit → gh_pages → drive → telegram (인터페이스는 publisher.js 참고)
+ *   - 발행기마다 실패하면 지수 백오프로 재시도, 그래도 실패하면 기록하고 다음 발행기로 넘어간다.
+ *   - 드라이런이면 아무것도 내보내지 않고 예정 동작(plan)만 결과에 남긴다.
+ *   - 결과는 발행기마다 { name, status: ok|skipped|dry_run|failed, attempts, duration_ms, detail|reason|plan|error }
+ *     → output/final/<runId>/run_manifest.json의 publish 필드
+ *   발행기는 결과물을 파일 이름으로 찾지 않고 ctx.manifest(run_manifest.js)의 artifacts·labels를 읽는다.
+ *
+ * orchestrator가 --publish(또는 PUBLISH=1)일 때 런 성공 후 호출한다. 실패한 발행만 다시 하려면:
+ *   npm run republish -- 20261019                    # output/final/20261019 발행
+ *   npm run republish -- 20261019 --only telegram    # 일부만 (쉼표 구분)
+ *   npm run republish -- 20261019 --dry-run          # 예정 동작만 출력
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SkillCommitPublisher } = require('./skill_commit');
+const { GhPagesPublisher } = require('./gh_pages');
+const { DrivePublisher } = require('./drive');
+const { TelegramPublisher } = require('./telegram');
+const { readManifest, updateManifest, MANIFEST_FILE } = require('../run_manifest');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const PUBLISHER_NAMES = ['skill_commit', 'gh_pages', 'drive', 'telegram'];
+const RETRY_DELAY_MS = 5000;
+
+function createPublishers(options = {}) {
+  return [
+    new SkillCommitPublisher(options),
+    new GhPagesPublisher(options),
+    new DrivePublisher(options),
+    new TelegramPublisher(options)
+  ];
+}
+
+/**
+ * 발행기 이름 목록 검증 (PUBLISHERS / --only)
+ * @returns {Array<string>} 알 수 없는 이름
+ */
+function unknownPublishers(names) {
+  return (names || []).filter(n => !PUBLISHER_NAMES.includes(n));
+}
+
+/**
+ * 발행기 순서대로 실행
+ * @param {{runId: string, date: string, finalDir: string, manifest: Object, projectRoot: string, elapsedMs?: number, env: Object}} ctx
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {Array<string>} [options.only] - 이 이름의 발행기만
+ * @param {Array<Publisher>} [options.publishers] - 테스트용
+ * @param {Function} [options.sleep] - 재시도 대기 (테스트용)
+ * @returns {Promise<Array<Object>>}
+ */
+async function runPublishers(ctx, options = {}) {
+  const { dryRun = false, only = null, retryDelayMs = RETRY_DELAY_MS } = options;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const publishers = (options.publishers || createPublishers()).filter(p => !only || only.includes(p.name));
+  const results = [];
+
+  for (const publisher of publishers) {
+    const { name } = publisher;
+    const startedAt = Date.now();
+    const pctx = { ...ctx, failedPublishers: results.filter(r => r.status === 'failed').map(r => r.name) };
+
+    let reason;
+    try {
+      reason = await publisher.skipReason(pctx);
+    } catch (error) {
+      results.push({ name, status: 'failed', attempts: 0, duration_ms: Date.now() - startedAt, error: error.message });
+      continue;
+    }
+    if (reason) {
+      results.push({ name, status: 'skipped', attempts: 0, duration_ms: Date.now() - startedAt, reason });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ name, status: 'dry_run', attempts: 0, duration_ms: Date.now() - startedAt, plan: publisher.plan(pctx) });
+      continue;
+    }
+
+    const state = {};
+    const maxAttempts = publisher.retries + 1;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const detail = await publisher.publish(pctx, state);
+        results.push({ name, status: 'ok', attempts: attempt, duration_ms: Date.now() - startedAt, detail });
+        break;
+      } catch (error) {
+        console.warn(`  [발행] ${name} 실패 (${attempt}/${maxAttempts}): ${error.message}`);
+        if (attempt === maxAttempts) {
+          results.push({ name, status: 'failed', attempts: attempt, duration_ms: Date.now() - startedAt, error: error.message });
+        } else {
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * 결과를 매니페스트 publish 필드에 기록 (매니페스트가 없으면 기록하지 않음)
+ *   options.merge: 기존 결과 중 이번에 돌리지 않은 발행기 결과는 유지 (--only 재발행)
+ * @returns {Object|null} 갱신된 매니페스트
+ */
+function writePublishResults(finalDir, results, options = {}) {
+  return updateManifest(finalDir, manifest => {
+    let merged = results;
+    if (options.merge && manifest.publish) {
+      const byName = new Map([...manifest.publish.results, ...results].map(r => [r.name, r]));
+      merged = PUBLISHER_NAMES.filter(n => byName.has(n)).map(n => byName.get(n));
+    }
+    return {
+      publish: {
+        published_at: new Date().toISOString(),
+        dry_run: !!options.dryRun,
+        results: merged
+      }
+    };
+  });
+}
+
+function formatPublishResults(results) {
+  const marks = { ok: '완료', skipped: '건너뜀', dry_run: '드라이런', failed: '실패' };
+  return results.map(r => {
+    const head = `  ${r.name}: ${marks[r.status] || r.status}${r.attempts > 1 ? ` (${r.attempts}회 시도)` : ''}`;
+    if (r.status === 'skipped') return `${head} — ${r.reason}`;
+    if (r.status === 'failed') return `${head} — ${r.error}`;
+    if (r.status === 'dry_run') return [head, ...r.plan.map(p => `    · ${p}`)].join('\n');
+    return head;
+  }).join('\n');
+}
+
+async function main() {
+  require('dotenv').config({ path: path.join(PROJECT_ROOT, '.env') });
+  const argv = process.argv.slice(2);
+  const runId = argv.find(a => /^\d{8}(-\S+)?$/.test(a));
+  const onlyIdx = argv.indexOf('--only');
+  const only = onlyIdx >= 0 ? String(argv[onlyIdx + 1] || '').split(',').map(s => s.trim()).filter(Boolean) : null;
+  const dryRun = argv.includes('--dry-run');
+
+  if (!runId) {
+    console.error('사용법: npm run republish -- <런 ID: YYYYMMDD 또는 YYYYMMDD-<job>-HHMM> [--only telegram,drive] [--dry-run]');
+    process.exit(1);
+  }
+  const unknown = unknownPublishers(only);
+  if (unknown.length > 0) {
+    console.error(`알 수 없는 발행기: ${unknown.join(', ')} (${PUBLISHER_NAMES.join(' | ')})`);
+    process.exit(1);
+  }
+  const finalDir = path.join(PROJECT_ROOT, 'output', 'final', runId);
+  if (!fs.existsSync(finalDir)) {
+    console.error(`결과물 폴더 없음: ${finalDir}`);
+    process.exit(1);
+  }
+  const manifest = readManifest(finalDir);
+  if (!manifest) {
+    console.error(`${MANIFEST_FILE} 없음: ${finalDir} (매니페스트 도입 전 런은 재발행 대상이 아님)`);
+    process.exit(1);
+  }
+  if (manifest.status !== 'ok') {
+    console.error(`발행할 수 없는 런: status=${manifest.status} (${manifest.health.reason})`);
+    process.exit(1);
+  }
+
+  const results = await runPublishers({
+    runId,
+    date: manifest.date,
+    finalDir,
+    manifest,
+    projectRoot: PROJECT_ROOT,
+    elapsedMs: manifest.duration_ms,
+    env: process.env
+  }, { dryRun, only });
+  console.log(formatPublishResults(results));
+  if (!dryRun) writePublishResults(finalDir, results, { merge: true });
+  if (results.some(r => r.status === 'failed')) process.exitCode = 3;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[재발행] 오류:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runPublishers,
+  createPublishers,
+  unknownPublishers,
+  writePublishResults,
+  formatPublishResults,
+  PUBLISHER_NAMES
+};
@@ -0,0 +1,67 @@
+/**
+ * 발행기 공통 — Publisher 기본 클래스 + 명령 실행·결과물(매니페스트) 도우미
+ *
+ * 발행기는 Publisher를 상속해 아래를 구현한다 (실행·재시도·드라이런은 index.js의 runPublishers 몫):
+ *   name                      결과·로그·PUBLISHERS 필터에 쓰는 이름
+ *   async skipReason(ctx)     설정·결과물이 없어 건너뛸 이유 (발행할 게 있으면 null)
+ *   plan(ctx)                 드라이런에서 보여 줄 예정 동작 (문자열 배열)
+ *   async publish(ctx, state) 실제 발행 → detail 객체. 실패는 예외로 (재시도 대상)
+ *                             state는 같은 발행기의 재시도 사이에 유지 → 이미 끝난 하위 단계는 건너뛰기
+ */
+
+const { execFile } = require('child_process');
+const { artifactPaths } = require('../run_manifest');
+
+const DEFAULT_RETRIES = 2;
+
+/**
+ * 외부 명령 실행 (git, node) → stdout. 실패 시 stderr를 담은 예외
+ */
+function runCommand(cmd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { cwd: options.cwd, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = String(stderr || '').trim() || error.message;
+        reject(new Error(`${cmd} ${args[0]} 실패: ${detail}`));
+        return;
+      }
+      resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * 발행할 결과물 (run_manifest.json의 artifacts를 절대 경로로)
+ * @param {{finalDir: string, manifest: Object}} ctx
+ * @returns {{html: string|null, md: string|null, threads: Array<string>, labels: Array<string>}}
+ */
+function runArtifacts(ctx) {
+  if (!ctx.manifest) throw new Error(`런 매니페스트 없음: ${ctx.finalDir}`);
+  return artifactPaths(ctx.finalDir, ctx.manifest);
+}
+
+class Publisher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.retries] - 실패 시 재시도 횟수 (기본 2 → 최대 3번 시도)
+   * @param {Function} [options.run] - 명령 실행 (테스트용, 기본 runCommand)
+   */
+  constructor(options = {}) {
+    this.retries = Number.isInteger(options.retries) ? options.retries : DEFAULT_RETRIES;
+    this.run = options.run || runCommand;
+  }
+
+  async skipReason() {
+    return null;
+  }
+
+  plan() {
+    return [];
+  }
+
+  async publish() {
+    throw new Error(`${this.name}: publish() 미구현`);
+  }
+}
+
+module.exports = { Publisher, runCommand, runArtifacts, DEFAULT_RETRIES };
@@ -0,0 +1,55 @@
+/**
+ * SKILL 자동 커밋 — 새 발신자 등록으로 바뀐 SKILL·카탈로그를 main에 커밋·푸시 (run_digest.sh 4단계)
+ *
+ * 재시도 시 이미 커밋했으면 푸시만 다시 한다 (origin보다 앞선 커밋이 있으면 푸시).
+ */
+
+const { Publisher } = require('./publisher');
+
+const SKILL_PATHS = ['skills/newsletters', 'config/newsletters.json'];
+const COMMIT_MESSAGE = 'chore: 새 뉴스레터 SKILL 자동 생성';
+
+class SkillCommitPublisher extends Publisher {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'skill_commit';
+    this.branch = options.branch || 'main';
+  }
+
+  async changedFiles(ctx) {
+    const out = await this.run('git', ['status', '--porcelain', '--', ...SKILL_PATHS], { cwd: ctx.projectRoot });
+    return out ? out.split('\n').map(line => line.slice(3).trim()).filter(Boolean) : [];
+  }
+
+  async aheadCount(ctx) {
+    try {
+      return parseInt(await this.run('git', ['rev-list', '--count', `origin/${this.branch}..HEAD`], { cwd: ctx.projectRoot }), 10) || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  async skipReason(ctx) {
+    if ((await this.changedFiles(ctx)).length === 0 && (await this.aheadCount(ctx)) === 0) return 'SKILL 변경 없음';
+    return null;
+  }
+
+  plan() {
+    return [`git commit "${COMMIT_MESSAGE}" (${SKILL_PATHS.join(', ')})`, `git push origin ${this.branch}`];
+  }
+
+  async publish(ctx, state) {
+    const cwd = ctx.projectRoot;
+    const files = await this.changedFiles(ctx);
+    if (files.length > 0) {
+      await this.run('git', ['add', '--', ...SKILL_PATHS], { cwd });
+      await this.run('git', ['commit', '-q', '-m', COMMIT_MESSAGE], { cwd });
+      state.files = files;
+      state.commit = await this.run('git', ['rev-parse', '--short', 'HEAD'], { cwd });
+    }
+    await this.run('git', ['push', '-q', 'origin', this.branch], { cwd });
+    return { files: state.files || [], commit: state.commit || null, branch: this.branch };
+  }
+}
+
+module.exports = { SkillCommitPublisher, SKILL_PATHS };
@@ -0,0 +1,94 @@
+/**
+ * Telegram 완료 알림 — 요약 메시지 + 통합 HTML/MD 파일 전송 (run_digest.sh 7단계)
+ *
+ * 라벨·아이템 수·보낼 파일은 런 매니페스트(ctx.manifest)에서 읽는다.
+ * 처리 0건이면 "처리할 뉴스레터가 없었습니다" 메시지만 보낸다.
+ * 앞선 발행기가 실패했으면 메시지에 함께 적는다.
+ * 재시도 시 이미 보낸 메시지·파일은 다시 보내지 않는다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Publisher, runArtifacts } = require('./publisher');
+
+const API_BASE = 'https://api.telegram.org';
+
+function credentials(env) {
+  return { token: env.TELEGRAM_TOKEN || env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID };
+}
+
+/**
+ * 완료 메시지 (run_digest.sh와 같은 문구 + 매니페스트의 아이템 수·라벨 실패)
+ */
+function buildMessage(ctx, files, failed = []) {
+  const { manifest } = ctx;
+  const seconds = Math.round((ctx.elapsedMs || manifest.duration_ms || 0) / 1000);
+  const elapsed = `소요: ${Math.floor(seconds / 60)}분 ${seconds % 60}초`;
+  const labelFailLine = manifest.failures.length > 0 ? `\n라벨 실패: ${manifest.failures.map(f => f.label).join(', ')}` : '';
+  const failedLine = failed.length > 0 ? `\n발행 실패: ${failed.join(', ')}` : '';
+  if (!files.html && !files.md) {
+    return `${ctx.date} 뉴스레터 정리 완료.\n오늘은 처리할 뉴스레터가 없었습니다.\n${elapsed}${labelFailLine}${failedLine}`;
+  }
+  return `${ctx.date} 뉴스레터 정리 완료.\n${files.labels.join(',')} 등 ${files.labels.length}개 라벨 처리 (아이템 ${manifest.totals.items}개).\n${elapsed}${labelFailLine}${failedLine}\n\n아래 리포트를 보내드립니다.`;
+}
+
+class TelegramPublisher extends Publisher {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch 구현 (테스트용, 기본 전역 fetch)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'telegram';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async skipReason(ctx) {
+    const { token, chatId } = credentials(ctx.env);
+    return token && chatId ? null : 'TELEGRAM_TOKEN / TELEGRAM_CHAT_ID 미설정';
+  }
+
+  plan(ctx) {
+    const files = runArtifacts(ctx);
+    return [
+      `메시지: ${buildMessage(ctx, files, ctx.failedPublishers).split('\n')[1]}`,
+      ...[files.html, files.md].filter(Boolean).map(f => `파일: ${path.basename(f)}`)
+    ];
+  }
+
+  async call(ctx, method, body) {
+    const { token } = credentials(ctx.env);
+    const res = await this.fetch(`${API_BASE}/bot${token}/${method}`, { method: 'POST', body });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.ok) {
+      throw new Error(`Telegram ${method} 실패 (HTTP ${res.status}): ${data.description || '응답 없음'}`);
+    }
+    return data.result;
+  }
+
+  async publish(ctx, state) {
+    const { chatId } = credentials(ctx.env);
+    const files = runArtifacts(ctx);
+    state.sent = state.sent || [];
+
+    if (!state.sent.includes('message')) {
+      const form = new FormData();
+      form.append('chat_id', chatId);
+      form.append('text', buildMessage(ctx, files, ctx.failedPublishers));
+      await this.call(ctx, 'sendMessage', form);
+      state.sent.push('message');
+    }
+    for (const [file, caption] of [[files.html, 'HTML 리포트'], [files.md, 'Markdown 리포트']]) {
+      if (!file || state.sent.includes(file)) continue;
+      const form = new FormData();
+      form.append('chat_id', chatId);
+      form.append('caption', caption);
+      form.append('document', new Blob([fs.readFileSync(file)]), path.basename(file));
+      await this.call(ctx, 'sendDocument', form);
+      state.sent.push(file);
+    }
+    return { sent: state.sent.map(s => (s === 'message' ? s : path.basename(s))) };
+  }
+}
+
+module.exports = { TelegramPublisher, buildMessage };
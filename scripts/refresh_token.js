@@ -1,7 +1,7 @@
 /**
  * Gmail OAuth 토큰 갱신 스크립트
  *
- * 사용법: node scripts/refresh_token.js
+ * 사용법: node scripts/refresh_token.js [--account <이름>]
  *
  * 이 스크립트는 만료된 access_token을 갱신합니다.
  * PowerShell에서 직접 호출하거나 Claude Code에서 사용할 수 있습니다.
@@ -9,10 +9,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getAccount, parseAccountArg } = require('./accounts');
 
-// 경로 설정
+// 경로 설정 (토큰은 계정별: --account 또는 refreshAccessToken(accountName))
 const CREDENTIALS_PATH = path.join(__dirname, '..', 'config', 'credentials', 'client_secret.json');
-const TOKEN_PATH = path.join(__dirname, '..', 'config', 'credentials', 'token.json');
 
 // 자격 증명 로드
 function loadCredentials() {
@@ -23,22 +23,23 @@ function loadCredentials() {
 }
 
 // 토큰 로드
-function loadToken() {
-  if (!fs.existsSync(TOKEN_PATH)) {
-    throw new Error('token.json 파일을 찾을 수 없습니다. 먼저 auth.js를 실행하세요.');
+function loadToken(tokenPath) {
+  if (!fs.existsSync(tokenPath)) {
+    throw new Error(`${path.basename(tokenPath)} 파일을 찾을 수 없습니다. 먼저 auth.js를 실행하세요.`);
   }
-  return JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
+  return JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
 }
 
 // 토큰 저장
-function saveToken(token) {
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(token, null, 2));
+function saveToken(tokenPath, token) {
+  fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2));
 }
 
-// 토큰 갱신
-async function refreshAccessToken() {
+// 토큰 갱신 (accountName 미지정 → 단일 계정 token.json)
+async function refreshAccessToken(accountName = null) {
+  const tokenPath = getAccount(accountName).tokenPath;
   const credentials = loadCredentials();
-  const token = loadToken();
+  const token = loadToken(tokenPath);
 
   // 토큰이 아직 유효한지 확인 (5분 여유)
   const now = Date.now();
@@ -91,7 +92,7 @@ async function refreshAccessToken() {
     updatedToken.refresh_token = newToken.refresh_token;
   }
 
-  saveToken(updatedToken);
+  saveToken(tokenPath, updatedToken);
 
   return {
     access_token: newToken.access_token,
@@ -101,15 +102,15 @@ async function refreshAccessToken() {
 }
 
 // 현재 유효한 access_token 가져오기
-async function getAccessToken() {
-  const result = await refreshAccessToken();
+async function getAccessToken(accountName = null) {
+  const result = await refreshAccessToken(accountName);
   return result.access_token;
 }
 
 // CLI 실행
 async function main() {
   try {
-    const result = await refreshAccessToken();
+    const result = await refreshAccessToken(parseAccountArg(process.argv.slice(2)));
 
     if (result.refreshed) {
       console.log('토큰이 갱신되었습니다.');
@@ -2,14 +2,17 @@
  * render_report.js — 토스 스타일 뉴스레터 리포트 렌더러 (가독성 우선 신규 설계)
  * 기준 문서: docs/REPORT_UI.md
  *
- * renderReport(allLabelsData, dateStr) -> HTML 문자열
- * renderReportFromMergedDir(mergedDir, outPath, dateStr) -> 파일 작성
+ * renderReport(allLabelsData, dateStr, options) -> HTML 문자열
+ * renderReportFromMergedDir(mergedDir, outPath, dateStr, options) -> 파일 작성
  *
- * allLabelsData: [{ label, items:[{title,summary,keywords[],link,source,message_id}], stats }]
+ * allLabelsData: [{ label, items:[{title,summary,keywords[],link,source,message_id,account?}], stats }]
+ * options.account: 지정 시 해당 계정 아이템만 렌더 (다중 계정). 미지정 + 계정 2개 이상이면 헤더에 계정 필터 표시
+ * options.runStats: _run_stats.json 내용. 비용 예산으로 절단/저가 전환된 실행이면 본문 위에 안내 표시
  */
 const fs = require('fs');
 const path = require('path');
 const { classifyTier } = require('./orchestrator')._test;
+const { describeBudget } = require('./cost_budget');
 
 const LABEL_COLORS = {
   'IT': '#3b82f6', '경제': '#10b981', '투자': '#8b5cf6', '시사': '#ef4444',
@@ -68,6 +71,66 @@ function chipsHtml(keywords) {
   return `<div class="chips">${ks.map(k => `<span class="chip">#${escapeHtml(k)}</span>`).join('')}</div>`;
 }
 
+// --- 라벨 간 중복 표시 (다른 라벨에서 접힌 같은 기사) ---
+function alsoInHtml(item) {
+  const labels = (item.also_in || []).filter(Boolean);
+  if (!labels.length) return '';
+  return `<span class="also-in">also in: ${labels.map(escapeHtml).join(', ')}</span>`;
+}
+
+// --- 원문 근거 경고 (grounding.js: 요약의 수치·이름 일부가 원문에서 확인 안 됨) ---
+function groundingHtml(item) {
+  if (!item.grounding_warning) return '';
+  const spans = item.grounding_unsupported.slice(0, 5);
+  const tip = spans.length ? `원문에서 확인되지 않음: ${spans.join(', ')}` : '원문 근거 부족';
+  return `<span class="ground-warn" title="${escapeHtml(tip)}">⚠ 원문 확인 필요</span>`;
+}
+
+// --- 지난 보도 이후 업데이트 (orchestrator dedupAgainstHistory: 같은 기사지만 새 수치·이름) ---
+function updateHtml(item) {
+  if (!item.update_of) return '';
+  const facts = item.new_facts.slice(0, 5);
+  const tip = `${item.update_of.date} 보도 이후 새 내용${facts.length ? `: ${facts.join(', ')}` : ''}`;
+  return `<span class="upd-badge" title="${escapeHtml(tip)}">업데이트</span>`;
+}
+
+// --- 같은 스토리의 이전 소식 (story_threads.js: 날짜를 넘어 이어지는 thread_id) ---
+function threadHtml(item) {
+  if (!item.thread_previous.length) return '';
+  const rows = item.thread_previous.map(p => {
+    const link = safeUrl(p.link);
+    const title = escapeHtml(p.title || '(제목 없음)');
+    return `<li><span class="prev-date">${escapeHtml(shortDate(p.date))}</span>${link
+      ? `<a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">${title}</a>` : title}</li>`;
+  }).join('');
+  return `<details class="thread-prev">
+      <summary>이 이야기의 이전 소식 ${item.thread_previous.length}건</summary>
+      <ul>${rows}</ul>
+      <a class="thread-all" href="threads/${encodeURIComponent(item.thread_id)}.html">타임라인 전체 보기 →</a>
+    </details>`;
+}
+
+function shortDate(dateStr) {
+  const m = String(dateStr || '').match(/^\d{4}-(\d{2})-(\d{2})$/);
+  return m ? `${Number(m[1])}/${Number(m[2])}` : String(dateStr || '');
+}
+
+// --- 메일 원문 발췌 팝오버 (provenance.js: clean_text 줄 범위 + 발췌) ---
+function excerptHtml(item) {
+  if (!item.source_excerpt) return '';
+  const meta = [];
+  if (item.source_lines) meta.push(`${item.source_lines[0]}–${item.source_lines[1]}행`);
+  if (item.chunk_index > 0) meta.push(`청크 ${item.chunk_index + 1}`);
+  return `<details class="src-pop">
+      <summary class="btn btn-ghost mini">메일 원문 보기</summary>
+      <div class="src-pop-body">${meta.length ? `<div class="src-pop-meta">${meta.join(' · ')}</div>` : ''}<pre>${escapeHtml(item.source_excerpt)}</pre></div>
+    </details>`;
+}
+
+function accountAttr(item) {
+  return item.account ? ` data-account="${escapeHtml(item.account)}"` : '';
+}
+
 function searchData(item) {
   return escapeHtml([(item.title || ''), (item.summary || ''), (item.keywords || []).join(' '), (item.source || '')].join(' ').toLowerCase());
 }
@@ -82,14 +145,15 @@ function renderCard(item) {
   const summary = escapeHtml(item.summary || '');
   const isLong = (item.summary || '').length >= 400;
   const source = escapeHtml(item.source || '');
-  return `<article class="card" data-search="${searchData(item)}">
+  return `<article class="card" data-search="${searchData(item)}"${accountAttr(item)}>
     ${titleHtml}
     <p class="card-summary${isLong ? ' clamp' : ''}">${summary}</p>
     ${isLong ? '<button class="more-btn" type="button">더 보기</button>' : ''}
     ${chipsHtml(item.keywords)}
+    ${threadHtml(item)}
     <div class="card-foot">
-      <span class="card-source">${source}</span>
-      <span class="card-btns">${buttonsHtml(item, false)}</span>
+      <span class="card-source">${source}${alsoInHtml(item)}${updateHtml(item)}${groundingHtml(item)}</span>
+      <span class="card-btns">${excerptHtml(item)}${buttonsHtml(item, false)}</span>
     </div>
   </article>`;
 }
@@ -103,13 +167,17 @@ function renderRow(item) {
     : `<span class="row-title">${title}</span>`;
   const summary = escapeHtml(item.summary || '');
   const source = escapeHtml(item.source || '');
-  return `<li class="row" data-search="${searchData(item)}">
-    <div class="row-head">${titleHtml}</div>
+  const firstReported = item.first_reported
+    ? `<span class="prev-date">${escapeHtml(shortDate(item.first_reported))}${item.first_label ? ` · ${escapeHtml(item.first_label)}` : ''}</span>`
+    : '';
+  return `<li class="row" data-search="${searchData(item)}"${accountAttr(item)}>
+    <div class="row-head">${firstReported}${titleHtml}</div>
     ${summary ? `<p class="row-summary">${summary}</p>` : ''}
     ${chipsHtml(item.keywords)}
+    ${threadHtml(item)}
     <div class="row-foot">
-      <span class="row-source">${source}</span>
-      <span class="row-btns">${buttonsHtml(item, true)}</span>
+      <span class="row-source">${source}${alsoInHtml(item)}${updateHtml(item)}${groundingHtml(item)}</span>
+      <span class="row-btns">${excerptHtml(item)}${buttonsHtml(item, true)}</span>
     </div>
   </li>`;
 }
@@ -121,13 +189,15 @@ function renderLabelSection(data, idx) {
   const color = getLabelColor(label);
   const safe = safeId(label);
   const dupRemoved = data.stats && data.stats.duplicates_removed ? data.stats.duplicates_removed : 0;
+  const crossRemoved = data.stats && data.stats.cross_label_removed ? data.stats.cross_label_removed : 0;
+  const previous = data.previously_reported || [];
 
   // 충실도(tier) 2단 분리: major(주요 기사)=카드 위, brief(간단 소식)=목록 아래.
   //   본문만으로 추출 → 충실 요약 가능한 것은 카드, 티저 한두 줄은 컴팩트 목록으로 위임.
   const cardItems = items.filter(it => classifyTier(it) === 'major');
   const listItems = items.filter(it => classifyTier(it) !== 'major');
 
-  const statLine = `<div class="sec-stat"><span>📰 ${items.length}개</span>${listItems.length ? `<span class="dim">· 주요 ${cardItems.length} · 간단 ${listItems.length}</span>` : ''}${dupRemoved ? `<span class="dim">· 중복 ${dupRemoved} 제거</span>` : ''}</div>`;
+  const statLine = `<div class="sec-stat"><span>📰 ${items.length}개</span>${listItems.length ? `<span class="dim">· 주요 ${cardItems.length} · 간단 ${listItems.length}</span>` : ''}${dupRemoved ? `<span class="dim">· 중복 ${dupRemoved} 제거</span>` : ''}${crossRemoved ? `<span class="dim">· 다른 라벨과 중복 ${crossRemoved}</span>` : ''}${previous.length ? `<span class="dim">· 이전 보도 ${previous.length}</span>` : ''}</div>`;
 
   const cardsHtml = cardItems.length ? `<div class="cards">${cardItems.map(renderCard).join('')}</div>` : '';
   // brief는 목록 토글. 주요 기사가 없으면(순수 목록형 라벨) 펼친 상태로 노출.
@@ -137,11 +207,40 @@ function renderLabelSection(data, idx) {
         <summary><span class="toggle-label">📋 간단 소식 ${listItems.length}건</span><span class="toggle-chev">▾</span></summary>
         <ul class="rows">${listItems.map(renderRow).join('')}</ul>
       </details>` : '';
+  // 지난 다이제스트에 이미 나온 기사: 항상 접힌 목록, 첫 보도 날짜 표시
+  const previousHtml = previous.length
+    ? `<details class="list-toggle prev-toggle">
+        <summary><span class="toggle-label">🕘 이전 보도 ${previous.length}건</span><span class="toggle-chev">▾</span></summary>
+        <ul class="rows">${previous.map(renderRow).join('')}</ul>
+      </details>` : '';
 
   return `<section class="label-sec${idx === 0 ? ' active' : ''}" id="sec-${safe}" data-label="${safe}" style="--label-color:${color}">
     ${statLine}
     ${cardsHtml}
     ${listHtml}
+    ${previousHtml}
+  </section>`;
+}
+
+// --- 제외 탭 (정크 필터로 병합 전에 빠진 아이템, 사유별) ---
+function renderExcludedSection(dropped, active) {
+  const groups = new Map();
+  for (const it of dropped) {
+    const reason = String(it.reason || '기타');
+    if (!groups.has(reason)) groups.set(reason, []);
+    groups.get(reason).push(it);
+  }
+  const groupsHtml = [...groups.entries()].sort((a, b) => b[1].length - a[1].length).map(([reason, items]) => `
+    <details class="list-toggle excl-group">
+      <summary><span class="toggle-label">${escapeHtml(reason)} ${items.length}건</span><span class="toggle-chev">▾</span></summary>
+      <ul class="rows">${items.map(it => `<li class="row excl-row">
+        <div class="row-title">${escapeHtml(it.title || '(제목 없음)')}</div>
+        <div class="row-foot"><span class="row-source">${escapeHtml([it.source, it.label].filter(Boolean).join(' · '))}</span><span class="excl-rule">${escapeHtml(it.rule_id || '')}</span></div>
+      </li>`).join('')}</ul>
+    </details>`).join('');
+  return `<section class="label-sec excluded-sec${active ? ' active' : ''}" id="sec-excluded">
+    <div class="sec-stat"><span>🚫 ${dropped.length}개 제외</span><span class="dim">· 정크 필터 (config/junk_rules.json)</span></div>
+    ${groupsHtml}
   </section>`;
 }
 
@@ -152,17 +251,50 @@ function normItem(it) {
     summary: String(it.summary == null ? '' : it.summary),
     link: typeof it.link === 'string' ? it.link : '',
     source: String(it.source == null ? '' : it.source),
+    account: typeof it.account === 'string' ? it.account : '',
+    also_in: Array.isArray(it.also_in) ? it.also_in.filter(l => typeof l === 'string') : [],
+    grounding_warning: it.grounding_warning === true,
+    update_of: it.update_of && typeof it.update_of === 'object' ? it.update_of : null,
+    new_facts: Array.isArray(it.new_facts) ? it.new_facts.filter(s => typeof s === 'string') : [],
+    thread_id: typeof it.thread_id === 'string' ? it.thread_id : '',
+    thread_previous: typeof it.thread_id === 'string' && Array.isArray(it.thread_previous)
+      ? it.thread_previous.filter(p => p && typeof p.date === 'string') : [],
+    first_reported: typeof it.first_reported === 'string' ? it.first_reported : '',
+    first_label: typeof it.first_label === 'string' ? it.first_label : '',
+    source_excerpt: typeof it.source_excerpt === 'string' ? it.source_excerpt : '',
+    source_lines: Array.isArray(it.source_lines) && it.source_lines.length === 2 && it.source_lines.every(Number.isInteger)
+      ? it.source_lines : null,
+    chunk_index: Number.isInteger(it.chunk_index) ? it.chunk_index : 0,
+    grounding_unsupported: Array.isArray(it.grounding_unsupported) ? it.grounding_unsupported.filter(s => typeof s === 'string') : [],
     keywords: Array.isArray(it.keywords) ? it.keywords.filter(k => typeof k === 'string')
       : (typeof it.keywords === 'string' ? it.keywords.split(/[,#]+/).map(s => s.trim()).filter(Boolean) : []),
   };
 }
 
-function renderReport(allLabelsData, dateStr) {
+// --- 계정 필터 (다중 계정 리포트) ---
+function accountFilterHtml(accounts) {
+  if (accounts.length < 2) return '';
+  const btns = [`<button class="acct active" type="button" data-account="">전체</button>`]
+    .concat(accounts.map(a => `<button class="acct" type="button" data-account="${escapeHtml(a)}">${escapeHtml(a)}</button>`));
+  return `<div class="acct-wrap" id="accts" role="group" aria-label="계정 필터">${btns.join('')}</div>`;
+}
+
+function renderReport(allLabelsData, dateStr, options = {}) {
+  const onlyAccount = options.account || null;
   const data = (allLabelsData || [])
-    .map(d => ({ ...d, items: (d.items || []).map(normItem) }))
-    .filter(d => d.items.length > 0)
+    .map(d => ({
+      ...d,
+      items: (d.items || []).map(normItem).filter(it => !onlyAccount || it.account === onlyAccount),
+      previously_reported: (d.previously_reported || []).map(normItem).filter(it => !onlyAccount || it.account === onlyAccount)
+    }))
+    .filter(d => d.items.length > 0 || d.previously_reported.length > 0)
     .sort((a, b) => a.label.localeCompare(b.label, 'ko'));
   const total = data.reduce((s, d) => s + d.items.length, 0);
+  const accounts = onlyAccount ? [] : [...new Set(data.flatMap(d => d.items.map(it => it.account)).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, 'ko'));
+  const dropped = (allLabelsData || [])
+    .flatMap(d => (Array.isArray(d.dropped) ? d.dropped : []).map(it => ({ ...it, label: it.label || d.label })))
+    .filter(it => !onlyAccount || it.account === onlyAccount);
 
   const nav = data.map((d, i) => {
     const color = getLabelColor(d.label);
@@ -170,9 +302,17 @@ function renderReport(allLabelsData, dateStr) {
     return `<button class="pill${i === 0 ? ' active' : ''}" data-target="sec-${safe}">
       <span class="pill-dot" style="background:${color}"></span>${escapeHtml(d.label)}<span class="pill-cnt">${d.items.length}</span>
     </button>`;
-  }).join('');
+  }).join('') + (dropped.length ? `<button class="pill pill-excluded${data.length === 0 ? ' active' : ''}" data-target="sec-excluded">
+      제외<span class="pill-cnt">${dropped.length}</span>
+    </button>` : '');
 
-  const sections = data.map(renderLabelSection).join('\n');
+  const sections = data.map(renderLabelSection).join('\n')
+    + (dropped.length ? renderExcludedSection(dropped, data.length === 0) : '');
+  const budget = options.runStats && options.runStats.budget;
+  const budgetNote = describeBudget(budget);
+  const budgetHtml = budgetNote
+    ? `<div class="budget-note${budget.truncated ? ' truncated' : ''}" role="status">${escapeHtml(budgetNote)}</div>`
+    : '';
 
   return `<!DOCTYPE html>
 <html lang="ko">
@@ -196,14 +336,15 @@ function renderReport(allLabelsData, dateStr) {
     <input id="q" type="search" placeholder="제목·키워드로 찾기" aria-label="검색" autocomplete="off">
     <span id="qcount" class="search-count"></span>
   </div>
+  ${accountFilterHtml(accounts)}
   <div class="nav-wrap">
     <button class="nav-arrow nav-prev" id="navPrev" type="button" aria-label="이전 라벨">‹</button>
     <nav class="pills" id="pills">${nav}</nav>
     <button class="nav-arrow nav-next" id="navNext" type="button" aria-label="다음 라벨">›</button>
   </div>
 </header>
-<main class="container" id="main">${sections || '<p class="empty">표시할 뉴스가 없습니다.</p>'}</main>
-<footer class="ftr">YKS Newsletter · ${escapeHtml(dateStr)}</footer>
+<main class="container" id="main">${budgetHtml}${sections || '<p class="empty">표시할 뉴스가 없습니다.</p>'}</main>
+<footer class="ftr">YKS Newsletter · ${escapeHtml(dateStr)}${onlyAccount ? ` · ${escapeHtml(onlyAccount)}` : ''}</footer>
 <script>${SCRIPT}</script>
 </body>
 </html>`;
@@ -230,6 +371,8 @@ a{color:inherit;text-decoration:none}
 .hdr h1{font-size:20px;font-weight:700;margin:0;letter-spacing:-.02em}
 .hdr-date{font-size:13px;color:var(--t3);flex:none}
 .hdr-badge{flex:none;background:var(--blue-bg);color:var(--blue);font-weight:700;font-size:13px;padding:5px 11px;border-radius:999px}
+.budget-note{margin:4px 0 16px;padding:10px 14px;border-radius:12px;background:var(--line);color:var(--t2);font-size:13px;font-weight:600}
+.budget-note.truncated{background:#fff4e5;color:#b45309}
 .search-wrap{max-width:720px;margin:12px auto 0;display:flex;align-items:center;gap:8px;background:var(--line);border-radius:12px;padding:10px 13px}
 .search-ico{color:var(--t3);flex:none}
 #q{flex:1;border:0;background:transparent;font:inherit;font-size:15px;color:var(--t1);outline:none}
@@ -269,6 +412,30 @@ a.card-title:hover{color:var(--blue)}
 .card-foot{display:flex;align-items:center;justify-content:space-between;gap:10px;margin-top:14px;padding-top:12px;border-top:1px solid var(--line)}
 .card-source{font-size:13px;color:var(--t3);font-weight:500;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
 .card-btns{display:flex;gap:7px;flex:none}
+.also-in{margin-left:6px;font-size:12px;color:var(--t3);font-weight:500}
+.also-in::before{content:'· '}
+.src-pop{position:relative}
+.src-pop>summary{list-style:none;cursor:pointer}
+.src-pop>summary::-webkit-details-marker{display:none}
+.src-pop-body{position:absolute;right:0;bottom:calc(100% + 6px);z-index:20;width:min(520px,86vw);max-height:320px;overflow:auto;
+  background:var(--card);border:1px solid var(--border);border-radius:12px;box-shadow:var(--shadow);padding:12px 14px}
+.src-pop-meta{font-size:12px;font-weight:600;color:var(--t3);margin-bottom:6px}
+.src-pop-body pre{margin:0;white-space:pre-wrap;word-break:break-word;font:inherit;font-size:13px;line-height:1.55;color:var(--t2)}
+.pill-excluded{color:var(--t3)}
+.excl-rule{flex:none;font-size:11.5px;font-weight:600;color:var(--t3);background:var(--line);padding:2px 7px;border-radius:6px}
+.upd-badge{margin-left:6px;font-size:11.5px;font-weight:700;color:var(--blue);background:var(--blue-bg);padding:2px 7px;border-radius:999px;cursor:help}
+.prev-toggle{opacity:.85}
+.thread-prev{margin-top:12px;padding:10px 12px;border-radius:12px;background:var(--line);font-size:13.5px}
+.thread-prev>summary{cursor:pointer;font-weight:600;color:var(--t2)}
+.thread-prev ul{list-style:none;margin:8px 0 0;padding:0;display:flex;flex-direction:column;gap:5px}
+.thread-prev li{color:var(--t2);line-height:1.5}
+.thread-prev a:hover{color:var(--blue)}
+.thread-all{display:inline-block;margin-top:8px;font-weight:600;color:var(--blue)}
+.timeline{list-style:none;margin:0;padding:0}
+.timeline-day{margin:0 0 18px}
+.timeline-date{font-size:13px;font-weight:700;color:var(--t3);margin:0 2px 8px}
+.prev-date{display:inline-block;margin-right:6px;font-size:12px;font-weight:700;color:var(--t3)}
+.ground-warn{margin-left:6px;font-size:11.5px;font-weight:700;color:#B45309;background:#FEF3C7;padding:2px 7px;border-radius:999px;cursor:help}
 /* 버튼 */
 .btn{display:inline-flex;align-items:center;justify-content:center;font:inherit;font-size:13.5px;font-weight:600;
   padding:8px 14px;border-radius:10px;cursor:pointer;border:1px solid transparent;white-space:nowrap;transition:all .15s}
@@ -301,6 +468,10 @@ a.row-title:hover{color:var(--blue)}
 .row-foot{display:flex;align-items:center;justify-content:space-between;gap:10px;margin-top:11px}
 .row-source{font-size:12.5px;color:var(--t3);font-weight:500;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
 .row-btns{flex:none;display:flex;gap:6px}
+.acct-wrap{max-width:720px;margin:10px auto 0;display:flex;gap:6px;flex-wrap:wrap}
+.acct{border:1px solid var(--border);background:#fff;color:var(--t2);font:inherit;font-size:13px;font-weight:600;padding:5px 11px;border-radius:8px;cursor:pointer}
+.acct.active{background:var(--blue-bg);color:var(--blue);border-color:var(--blue-bg)}
+.acct-hidden{display:none!important}
 .empty,.no-match{text-align:center;color:var(--t3);padding:48px 0;font-size:15px}
 .ftr{text-align:center;color:var(--t3);font-size:12px;padding:24px 0 40px}
 .hidden{display:none!important}
@@ -356,7 +527,7 @@ const SCRIPT = `
     secs.forEach(function(s){
       var any=false;
       s.querySelectorAll('[data-search]').forEach(function(el){
-        var m=el.getAttribute('data-search').indexOf(term)>=0;
+        var m=el.getAttribute('data-search').indexOf(term)>=0&&!el.classList.contains('acct-hidden');
         el.classList.toggle('hidden',!m); if(m){any=true;n++;}
       });
       s.classList.toggle('active',any);
@@ -365,6 +536,16 @@ const SCRIPT = `
     qcount.textContent=n+'건';
   }
   q.addEventListener('input',doSearch);
+  // 계정 필터 (검색 hidden과 별도 클래스 → 조합 가능)
+  var accts=[].slice.call(document.querySelectorAll('.acct'));
+  accts.forEach(function(b){b.addEventListener('click',function(){
+    var a=b.dataset.account;
+    accts.forEach(function(x){x.classList.toggle('active',x===b);});
+    document.querySelectorAll('[data-search]').forEach(function(el){
+      el.classList.toggle('acct-hidden',!!a&&el.getAttribute('data-account')!==a);
+    });
+    if(q.value.trim())doSearch();  // 검색 중이면 결과·건수를 새 필터로 다시 계산 (빈 검색은 탭·접힘 상태 유지)
+  });});
   document.addEventListener('keydown',function(e){
     if((e.metaKey||e.ctrlKey)&&e.key.toLowerCase()==='k'){e.preventDefault();q.focus();}
     if(e.key==='Escape'&&document.activeElement===q){q.value='';doSearch();q.blur();}
@@ -372,17 +553,69 @@ const SCRIPT = `
 })();
 `;
 
-function renderReportFromMergedDir(mergedDir, outPath, dateStr) {
+/**
+ * 스토리 스레드 타임라인 페이지 (리포트 옆 threads/<thread_id>.html)
+ * @param {Object} thread - story_threads.js 레지스트리의 스레드 ({id, title, entries})
+ * @param {string} dateStr - 생성 날짜
+ */
+function renderThreadPage(thread, dateStr) {
+  const byDate = new Map();
+  for (const e of thread.entries || []) {
+    if (!byDate.has(e.date)) byDate.set(e.date, []);
+    byDate.get(e.date).push(e);
+  }
+  const days = [...byDate.entries()].sort((a, b) => b[0].localeCompare(a[0])).map(([date, entries]) => `
+    <li class="timeline-day">
+      <div class="timeline-date">${escapeHtml(date)}</div>
+      <ul class="rows list-toggle">${entries.map(e => {
+        const link = safeUrl(e.link);
+        const title = escapeHtml(e.title || '(제목 없음)');
+        return `<li class="row">
+          <div class="row-head">${link ? `<a class="row-title" href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">${title}</a>` : `<span class="row-title">${title}</span>`}</div>
+          <div class="row-foot"><span class="row-source">${escapeHtml([e.source, e.label].filter(Boolean).join(' · '))}</span></div>
+        </li>`;
+      }).join('')}</ul>
+    </li>`).join('');
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover">
+<meta name="robots" content="noindex, nofollow">
+<title>스토리 타임라인 · ${escapeHtml(thread.title || '')}</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/orioncactus/pretendard@v1.3.9/dist/web/variable/pretendardvariable-dynamic-subset.css">
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="hdr">
+  <div class="hdr-row">
+    <div class="hdr-titles"><h1>${escapeHtml(thread.title || '스토리 타임라인')}</h1></div>
+    <span class="hdr-badge">${byDate.size}일 · ${(thread.entries || []).length}건</span>
+  </div>
+  <div class="sec-stat" style="max-width:720px;margin:8px auto 12px"><span class="dim">스토리 타임라인 · 최신순</span></div>
+</header>
+<main class="container"><ol class="timeline">${days}</ol></main>
+<footer class="ftr">YKS Newsletter · ${escapeHtml(dateStr)}</footer>
+</body>
+</html>`;
+}
+
+function renderReportFromMergedDir(mergedDir, outPath, dateStr, options = {}) {
   const files = fs.readdirSync(mergedDir).filter(f => f.startsWith('merged_') && f.endsWith('.json'));
   const all = [];
   for (const f of files) {
     try { all.push(JSON.parse(fs.readFileSync(path.join(mergedDir, f), 'utf8'))); }
     catch (e) { console.warn(`  ${f} 파싱 실패: ${e.message}`); }
   }
-  const html = renderReport(all, dateStr);
+  let runStats = options.runStats || null;
+  const statsPath = path.join(mergedDir, '_run_stats.json');
+  if (!runStats && fs.existsSync(statsPath)) {
+    try { runStats = JSON.parse(fs.readFileSync(statsPath, 'utf8')); } catch (e) { /* 통계 없이 렌더 */ }
+  }
+  const html = renderReport(all, dateStr, { ...options, runStats });
   fs.writeFileSync(outPath, html, 'utf8');
   console.log(`✓ 리포트 생성(render_report): ${outPath}`);
   return outPath;
 }
 
-module.exports = { renderReport, renderReportFromMergedDir, isListType, getLabelColor, _test: { firstSentence, safeUrl } };
+module.exports = { renderReport, renderReportFromMergedDir, renderThreadPage, isListType, getLabelColor, _test: { firstSentence, safeUrl } };
@@ -0,0 +1,69 @@
+/**
+ * 실행 잠금 — output/daemon/run.lock (pid 기록)
+ *
+ * 데몬(daemon.js)과 수동 실행(npm run digest, range)이 같은 파일을 잡는다. 한 번에 한 실행만
+ * 임시·결과물 폴더, Gmail 읽음 표시·history 커서를 건드리게 하기 위함.
+ * 죽은 프로세스가 남긴 잠금은 다음에 잡는 쪽이 회수한다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RUN_LOCK_PATH = path.join(__dirname, '..', 'output', 'daemon', 'run.lock');
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);   // 신호 0: 존재 여부만 확인
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * 실행 잠금 파일 (O_EXCL 생성 → 동시에 둘이 잡을 수 없음)
+ */
+class RunLock {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} info - 잠금 파일에 같이 남길 정보 (job, fire 등)
+   * @returns {boolean} 잡았으면 true, 다른 살아 있는 프로세스가 잡고 있으면 false
+   */
+  acquire(info = {}) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.filePath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString(), ...info }));
+        fs.closeSync(fd);
+        return true;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        const holder = this.read();
+        // 쓰는 도중이라 아직 비어 있는 잠금은 살아 있는 것으로 본다
+        if (!holder || isAlive(holder.pid)) return false;
+        console.warn(`  [잠금] 종료된 프로세스(pid ${holder.pid})의 잠금 회수`);
+        fs.rmSync(this.filePath, { force: true });
+      }
+    }
+    return false;
+  }
+
+  release() {
+    const holder = this.read();
+    if (holder && holder.pid === process.pid) fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = { RunLock, RUN_LOCK_PATH };
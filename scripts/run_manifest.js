@@ -0,0 +1,240 @@
+/**
+ * 런 매니페스트 — output/final/<runId>/run_manifest.json
+ *
+ * 한 런의 결과를 한 파일로 기술한다. 발행기·알림·인덱스 페이지는 파일 이름을 추측하지 않고 이걸 읽는다.
+ *
+ * 형식 (version 1):
+ *   {
+ *     "version": 1, "run_id": "20261019", "date": "2026-10-19", "status": "ok" | "unhealthy",
+ *     "mode": "schedule", "dry_run": false, "generated_at": ISO, "duration_ms": 0,
+ *     "time_range": { "start": ISO, "end": ISO },
+ *     "health": { "healthy": true, "reason": "...", "budget_truncated": false },
+ *     "labels": [{ "name": "IT", "success": true, "message_count": 4, "item_count": 12,
+ *                  "extract_failed": 0, "budget_skipped": 0, "error": null,
+ *                  "extracted_count": 20, "merged_count": 14, "duplicates_removed": 8, "junk_dropped": 2,
+ *                  "prompt_tokens": 0, "completion_tokens": 0, "cost_usd": 0 }],
+ *     "totals": { "labels": 3, "failed_labels": 0, "messages": 9, "items": 30 },
+ *     "failures": [{ "label": "IT", "error": "..." }],
+ *     "cost": { "total_usd": 0.12, "prompt_tokens": 0, "completion_tokens": 0, "calls": 0 } | null,
+ *     "artifacts": { "html": "261019_통합_메일정리.html", "md": "...", "label_md": { "IT": "..." },
+ *                    "threads": ["threads/t...html"], "dropped_items": "dropped_items.json" },
+ *     "publish": null | { "published_at": ISO, "dry_run": false, "results": [...] }
+ *   }
+ * 라벨 아이템 흐름: extracted_count(LLM 추출) - junk_dropped → 라벨 내 병합 → merged_count
+ *   → 라벨 간·날짜 간 중복 제거 → item_count. duplicates_removed는 세 중복 제거의 합.
+ *   merged_<라벨>.json이 없으면(실패·unhealthy) extracted_count·merged_count는 null.
+ * 라벨별 토큰·비용은 AgentRunner.getStats().by_label (없으면 0).
+ * artifacts 경로는 매니페스트가 있는 폴더 기준 상대 경로 (없는 결과물은 null / 빈 값).
+ * 형식이 바뀌면 MANIFEST_VERSION을 올리고 readManifest가 모르는 버전은 거부한다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = 'run_manifest.json';
+
+/**
+ * 결과물 폴더에 실제로 있는 파일로 artifacts 구성
+ * @param {string} finalDir
+ * @param {Array<string>} labelNames
+ * @param {string} dateStr - 파일명 접두 YYMMDD
+ */
+function collectArtifacts(finalDir, labelNames, dateStr) {
+  const exists = name => fs.existsSync(path.join(finalDir, name));
+  const threadsDir = path.join(finalDir, 'threads');
+  const labelMd = {};
+  for (const name of labelNames) {
+    const file = `${dateStr}_${name}_메일정리.md`;
+    if (exists(file)) labelMd[name] = file;
+  }
+  return {
+    html: exists(`${dateStr}_통합_메일정리.html`) ? `${dateStr}_통합_메일정리.html` : null,
+    md: exists(`${dateStr}_통합_메일정리.md`) ? `${dateStr}_통합_메일정리.md` : null,
+    label_md: labelMd,
+    threads: fs.existsSync(threadsDir)
+      ? fs.readdirSync(threadsDir).filter(f => f.endsWith('.html')).sort().map(f => `threads/${f}`)
+      : [],
+    dropped_items: exists('dropped_items.json') ? 'dropped_items.json' : null,
+    overlay_diff: exists('overlay_diff.json') ? 'overlay_diff.json' : null
+  };
+}
+
+/**
+ * 라벨별 최종 아이템 수와 병합 통계 (라벨 간·날짜 간 중복, 정크 필터를 거친 merged_<라벨>.json 기준)
+ * @returns {Object<string, {items: number, stats: Object}>}
+ */
+function mergedLabelStats(mergedDir) {
+  const byLabel = {};
+  if (!mergedDir || !fs.existsSync(mergedDir)) return byLabel;
+  for (const file of fs.readdirSync(mergedDir).filter(f => /^merged_.+\.json$/.test(f))) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(mergedDir, file), 'utf8'));
+      byLabel[file.replace(/^merged_/, '').replace(/\.json$/, '')] = { items: (data.items || []).length, stats: data.stats || {} };
+    } catch (e) {
+      // 손상 파일은 라벨 결과의 itemCount로 대체
+    }
+  }
+  return byLabel;
+}
+
+/**
+ * 라벨 아이템 흐름 (추출 → 병합 → 최종). merged 파일이 없으면 추출·병합 수는 null
+ */
+function itemFlow(merged) {
+  if (!merged || !Number.isFinite(merged.stats.original_count)) {
+    return { extracted_count: null, merged_count: null, duplicates_removed: 0, junk_dropped: 0 };
+  }
+  const s = merged.stats;
+  return {
+    extracted_count: s.original_count + (s.junk_dropped || 0),
+    // total_items는 라벨 간·날짜 간 중복 제거 후 값 → 병합 시점 merged_count (없는 예전 파일은 병합 중복으로 역산)
+    merged_count: s.merged_count ?? s.original_count - (s.duplicates_removed || 0),
+    duplicates_removed: (s.duplicates_removed || 0) + (s.cross_label_removed || 0) + (s.history_removed || 0),
+    junk_dropped: s.junk_dropped || 0
+  };
+}
+
+/**
+ * 매니페스트 생성
+ * @param {Object} run
+ * @param {string} run.runId
+ * @param {string} run.date - YYYY-MM-DD (KST)
+ * @param {string} run.status - 'ok' | 'unhealthy'
+ * @param {{start: Date, end: Date}} run.timeRange
+ * @param {Array<Object>} run.results - processAllLabels 결과
+ * @param {Object} run.health - assessRunHealth 결과
+ * @param {Object} [run.stats] - AgentRunner.getStats()
+ * @param {string} [run.mergedDir]
+ * @param {string} run.finalDir
+ */
+function buildManifest(run) {
+  const merged = mergedLabelStats(run.mergedDir);
+  const byLabel = (run.stats && run.stats.by_label) || {};
+  const labels = run.results.map(r => {
+    const usage = byLabel[r.label] || { usage: {}, cost: {} };
+    return {
+      name: r.label,
+      success: !!r.success,
+      message_count: r.messageCount || 0,
+      item_count: r.success ? (merged[r.label] ? merged[r.label].items : (r.itemCount ?? 0)) : 0,
+      extract_failed: r.extractFail || 0,
+      budget_skipped: r.budgetSkipped || 0,
+      error: r.error || null,
+      ...itemFlow(r.success ? merged[r.label] : null),
+      prompt_tokens: usage.usage.totalPromptTokens || 0,
+      completion_tokens: usage.usage.totalCompletionTokens || 0,
+      cost_usd: usage.cost.total_usd || 0
+    };
+  });
+  const [y, m, d] = run.date.split('-');
+  return {
+    version: MANIFEST_VERSION,
+    run_id: run.runId,
+    date: run.date,
+    status: run.status,
+    mode: run.mode || null,
+    dry_run: !!run.dryRun,
+    generated_at: new Date().toISOString(),
+    duration_ms: run.durationMs || 0,
+    time_range: { start: run.timeRange.start.toISOString(), end: run.timeRange.end.toISOString() },
+    health: {
+      healthy: !!run.health.healthy,
+      reason: run.health.reason,
+      budget_truncated: !!run.health.budgetTruncated
+    },
+    labels,
+    totals: {
+      labels: labels.length,
+      failed_labels: labels.filter(l => !l.success).length,
+      messages: labels.reduce((s, l) => s + l.message_count, 0),
+      items: labels.reduce((s, l) => s + l.item_count, 0)
+    },
+    failures: labels.filter(l => !l.success).map(l => ({ label: l.name, error: l.error })),
+    cost: run.stats ? {
+      total_usd: run.stats.cost.total_usd,
+      prompt_tokens: run.stats.usage.totalPromptTokens || 0,
+      completion_tokens: run.stats.usage.totalCompletionTokens || 0,
+      calls: run.stats.usage.totalCalls || 0
+    } : null,
+    artifacts: collectArtifacts(run.finalDir, labels.map(l => l.name), `${y.slice(2)}${m}${d}`),
+    publish: null
+  };
+}
+
+function writeManifest(finalDir, manifest) {
+  fs.mkdirSync(finalDir, { recursive: true });
+  const filePath = path.join(finalDir, MANIFEST_FILE);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  return filePath;
+}
+
+/**
+ * 매니페스트 읽기 (없으면 null, 모르는 버전·손상은 예외)
+ */
+function readManifest(finalDir) {
+  const filePath = path.join(finalDir, MANIFEST_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${filePath}: 지원하지 않는 매니페스트 버전 ${manifest.version} (지원: ${MANIFEST_VERSION})`);
+  }
+  return manifest;
+}
+
+/**
+ * 매니페스트 일부 갱신 (발행 결과 기록 등). 매니페스트가 없으면 null
+ * @param {Function} update - manifest → 바꿀 필드 객체
+ */
+function updateManifest(finalDir, update) {
+  const manifest = readManifest(finalDir);
+  if (!manifest) return null;
+  const next = { ...manifest, ...update(manifest) };
+  writeManifest(finalDir, next);
+  return next;
+}
+
+/**
+ * 다시 만들 필요가 없는 런인지 (range·데몬 건너뛰기)
+ *   매니페스트가 있으면 status가 ok일 때만. 매니페스트가 없으면(매니페스트 도입 전 런, 또는 결과물 복사(12단계)와
+ *   매니페스트 기록(12-d) 사이에 중단된 런) 통합 HTML과 MD가 둘 다 있을 때만 완료로 본다.
+ */
+function isCompleteRun(finalDir) {
+  if (!fs.existsSync(finalDir)) return false;
+  let manifest;
+  try {
+    manifest = readManifest(finalDir);
+  } catch (e) {
+    return false;
+  }
+  if (manifest) return manifest.status === 'ok';
+  const files = new Set(fs.readdirSync(finalDir));
+  return [...files].some(f => f.endsWith('_통합_메일정리.html') && files.has(f.replace(/\.html$/, '.md')));
+}
+
+/**
+ * 매니페스트의 artifacts를 절대 경로로 (발행기·알림용)
+ * @returns {{html: string|null, md: string|null, threads: Array<string>, labels: Array<string>}}
+ *   labels: 아이템이 1개 이상인 라벨 이름
+ */
+function artifactPaths(finalDir, manifest) {
+  const abs = rel => (rel ? path.join(finalDir, rel) : null);
+  return {
+    html: abs(manifest.artifacts.html),
+    md: abs(manifest.artifacts.md),
+    threads: manifest.artifacts.threads.map(abs),
+    labels: manifest.labels.filter(l => l.item_count > 0).map(l => l.name)
+  };
+}
+
+module.exports = {
+  buildManifest,
+  writeManifest,
+  readManifest,
+  updateManifest,
+  isCompleteRun,
+  artifactPaths,
+  MANIFEST_VERSION,
+  MANIFEST_FILE
+};
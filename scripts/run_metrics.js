@@ -0,0 +1,268 @@
+/**
+ * 런 지표 — node_exporter textfile collector용 .prom 파일 + 로컬 이력
+ *
+ * 런이 끝나면(main·range·데몬) 매니페스트(run_manifest.json)와 런 로그(<LOG_DIR>/<runId>.jsonl)에서 값을 모아
+ *   - <METRICS_TEXTFILE_DIR>/newsletter_digest.prom   마지막 런의 게이지 (node_exporter --collector.textfile.directory)
+ *   - <METRICS_DIR>/history.json                      런마다 한 건, HISTORY_DAYS일 보존 (같은 런 ID 재실행은 교체)
+ * 를 쓴다. .prom에는 이력으로 계산한 지난 7일 평균(…_avg7d)도 함께 내보내므로 Prometheus 보존 기간과 상관없이
+ * "IT 아이템이 7일 평균보다 70% 줄었다" 같은 알림을 걸 수 있다 (label_items_avg7d는 stage="final"을 달아
+ * 레이블 집합이 label_items{stage="final"}과 같으므로 그대로 1:1 매칭된다):
+ *   newsletter_digest_label_items{stage="final"} < 0.3 * newsletter_digest_label_items_avg7d
+ * 평균은 기준 기간에 성공한 라벨만 있으므로, 기준 런 수(label_runs_7d, 0이면 평균 없음)로 빈자리를 따로 잡는다:
+ *   newsletter_digest_label_runs_7d == 0
+ *
+ * 지표 (접두어 newsletter_digest_):
+ *   run_timestamp_seconds, run_success, run_status{status}, run_duration_seconds, run_failed_labels,
+ *   run_messages, run_items, run_cost_usd, run_tokens{type}, last_success_timestamp_seconds,
+ *   label_success, label_messages, label_items{stage=extracted|merged|final}, label_duplicates,
+ *   label_duplicate_ratio, label_extract_failures, label_stage_seconds{stage}, label_tokens{type},
+ *   label_cost_usd, label_items_avg7d{stage=final}, label_duplicate_ratio_avg7d, label_runs_7d, run_items_avg7d, runs_7d
+ * 런 ID는 카디널리티 때문에 레이블로 넣지 않는다 (시계열 하나 = 라벨 하나).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readManifest } = require('./run_manifest');
+const { readLogFile, summarizeLog } = require('./log_query');
+
+const PREFIX = 'newsletter_digest';
+const TEXTFILE_NAME = 'newsletter_digest.prom';
+const HISTORY_FILE = 'history.json';
+const HISTORY_DAYS = 90;
+const AVERAGE_DAYS = 7;
+const DEFAULT_METRICS_DIR = path.join(__dirname, '..', 'output', 'metrics');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 로그 파일에서 마지막 런(run_start 이후)만 요약 (같은 런 ID 재실행은 한 파일에 이어 붙으므로)
+ * @returns {Object|null} summarizeLog 결과, 파일이 없으면 null
+ */
+function summarizeLastRun(logFile) {
+  if (!logFile || !fs.existsSync(logFile)) return null;
+  const { entries } = readLogFile(logFile);
+  let start = 0;
+  entries.forEach((e, i) => { if (e.event === 'run_start') start = i; });
+  return summarizeLog(entries.slice(start));
+}
+
+function runIdToDate(runId) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(runId));
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * 이력 한 건 구성
+ * @param {Object} run
+ * @param {string} run.runId
+ * @param {Object|null} run.manifest - 없으면(예외로 끝난 런) 런 단위 값만
+ * @param {Object|null} [run.logSummary] - summarizeLastRun 결과 (단계별 소요)
+ * @param {string} [run.error] - 예외 메시지
+ * @param {number} [run.durationMs] - 매니페스트가 없을 때의 소요 시간
+ * @param {Date} [run.now]
+ */
+function buildRunMetrics({ runId, manifest, logSummary, error, durationMs, now = new Date() }) {
+  const labelStages = (logSummary && logSummary.labels) || {};
+  const labels = {};
+  for (const l of (manifest && manifest.labels) || []) {
+    // 중복 비율의 분모: 정크 제외 후 병합에 들어간 아이템 수
+    const base = l.extracted_count !== null && l.extracted_count !== undefined
+      ? l.extracted_count - (l.junk_dropped || 0)
+      : l.item_count + (l.duplicates_removed || 0);
+    labels[l.name] = {
+      success: l.success,
+      messages: l.message_count,
+      extracted: l.extracted_count ?? null,
+      merged: l.merged_count ?? null,
+      items: l.item_count,
+      duplicates: l.duplicates_removed || 0,
+      duplicate_ratio: base > 0 ? +((l.duplicates_removed || 0) / base).toFixed(4) : 0,
+      extract_failed: l.extract_failed,
+      prompt_tokens: l.prompt_tokens || 0,
+      completion_tokens: l.completion_tokens || 0,
+      cost_usd: l.cost_usd || 0,
+      stage_ms: (labelStages[l.name] && labelStages[l.name].stage_ms) || {}
+    };
+  }
+  return {
+    run_id: runId,
+    date: manifest ? manifest.date : runIdToDate(runId),
+    recorded_at: now.toISOString(),
+    status: manifest ? manifest.status : 'error',
+    error: error || null,
+    duration_ms: manifest ? manifest.duration_ms : (durationMs || (logSummary && logSummary.run ? logSummary.run.duration_ms : 0)),
+    messages: manifest ? manifest.totals.messages : 0,
+    items: manifest ? manifest.totals.items : 0,
+    failed_labels: manifest ? manifest.totals.failed_labels : 0,
+    cost_usd: manifest && manifest.cost ? manifest.cost.total_usd : 0,
+    prompt_tokens: manifest && manifest.cost ? manifest.cost.prompt_tokens : 0,
+    completion_tokens: manifest && manifest.cost ? manifest.cost.completion_tokens : 0,
+    labels
+  };
+}
+
+function loadHistory(historyPath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    return Array.isArray(data.runs) ? data.runs : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * 이력에 한 건 추가 (같은 run_id는 교체, 최신 날짜 기준 keepDays일보다 오래된 건 삭제) 후 날짜순 반환
+ */
+function appendHistory(runs, entry, keepDays = HISTORY_DAYS) {
+  const next = runs.filter(r => r.run_id !== entry.run_id).concat(entry)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.recorded_at.localeCompare(b.recorded_at));
+  const newest = Date.parse(next[next.length - 1].date);
+  return next.filter(r => !Number.isFinite(newest) || newest - Date.parse(r.date) < keepDays * DAY_MS);
+}
+
+function saveHistory(historyPath, runs) {
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  const tmp = `${historyPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ runs }, null, 2), 'utf8');
+  fs.renameSync(tmp, historyPath);
+}
+
+/**
+ * 이 런 직전 days일(런 날짜 기준, 이 런 제외) 정상(ok) 런의 평균
+ * @returns {{runs: number, items: number|null, labels: Object<string, {runs: number, items: number, duplicate_ratio: number}>}}
+ *   labels: 기준 기간에 한 번이라도 성공한 라벨만 (runs: 그 라벨이 성공한 런 수)
+ */
+function trailingAverages(runs, entry, days = AVERAGE_DAYS) {
+  const end = Date.parse(entry.date);
+  const window = runs.filter(r => r.run_id !== entry.run_id && r.status === 'ok' &&
+    Date.parse(r.date) < end && end - Date.parse(r.date) <= days * DAY_MS);
+  const mean = values => +(values.reduce((s, v) => s + v, 0) / values.length).toFixed(2);
+  const labels = {};
+  for (const name of new Set(window.flatMap(r => Object.keys(r.labels || {})))) {
+    const seen = window.map(r => r.labels[name]).filter(l => l && l.success);
+    if (seen.length === 0) continue;
+    labels[name] = {
+      runs: seen.length,
+      items: mean(seen.map(l => l.items)),
+      duplicate_ratio: +mean(seen.map(l => l.duplicate_ratio)).toFixed(4)
+    };
+  }
+  return { runs: window.length, items: window.length > 0 ? mean(window.map(r => r.items)) : null, labels };
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Prometheus 텍스트 형식 (게이지만). 값이 null인 샘플은 생략
+ * @param {Object} entry - buildRunMetrics 결과
+ * @param {Array<Object>} runs - 이력 (entry 포함 가능)
+ */
+function formatPrometheus(entry, runs = []) {
+  const metrics = [];
+  const gauge = (name, help, samples) => metrics.push({ name: `${PREFIX}_${name}`, help, samples });
+  const labelSamples = (fn) => Object.entries(entry.labels).flatMap(([label, l]) => fn(l).map(([extra, value]) => [{ label, ...extra }, value]));
+  const avg = trailingAverages(runs, entry);
+  const lastSuccess = runs.concat(entry).filter(r => r.status === 'ok').map(r => Date.parse(r.recorded_at)).sort((a, b) => b - a)[0];
+
+  gauge('run_timestamp_seconds', '마지막 런 기록 시각 (unix 초)', [[{}, Math.floor(Date.parse(entry.recorded_at) / 1000)]]);
+  gauge('run_success', '마지막 런 성공 여부 (status=ok면 1)', [[{}, entry.status === 'ok' ? 1 : 0]]);
+  gauge('run_status', '마지막 런 상태 (ok | unhealthy | error 중 해당 1)',
+    ['ok', 'unhealthy', 'error'].map(status => [{ status }, entry.status === status ? 1 : 0]));
+  gauge('last_success_timestamp_seconds', '이력상 마지막 정상 런 시각 (unix 초)',
+    [[{}, Number.isFinite(lastSuccess) ? Math.floor(lastSuccess / 1000) : null]]);
+  gauge('run_duration_seconds', '런 소요 시간', [[{}, +(entry.duration_ms / 1000).toFixed(3)]]);
+  gauge('run_failed_labels', '실패한 라벨 수', [[{}, entry.failed_labels]]);
+  gauge('run_messages', '수집한 메일 수 (전체 라벨)', [[{}, entry.messages]]);
+  gauge('run_items', '최종 아이템 수 (전체 라벨)', [[{}, entry.items]]);
+  gauge('run_items_avg7d', `직전 ${AVERAGE_DAYS}일 정상 런의 최종 아이템 수 평균`, [[{}, avg.items]]);
+  gauge('runs_7d', `직전 ${AVERAGE_DAYS}일 정상 런 수 (…_avg7d의 기준)`, [[{}, avg.runs]]);
+  gauge('run_cost_usd', 'LLM 비용 (USD)', [[{}, entry.cost_usd]]);
+  gauge('run_tokens', 'LLM 토큰 수', [[{ type: 'prompt' }, entry.prompt_tokens], [{ type: 'completion' }, entry.completion_tokens]]);
+
+  gauge('label_success', '라벨 처리 성공 여부', labelSamples(l => [[{}, l.success ? 1 : 0]]));
+  gauge('label_messages', '라벨별 수집 메일 수', labelSamples(l => [[{}, l.messages]]));
+  gauge('label_items', '라벨별 아이템 수 (extracted: LLM 추출, merged: 라벨 내 병합 후, final: 중복 제거 후 최종)',
+    labelSamples(l => [[{ stage: 'extracted' }, l.extracted], [{ stage: 'merged' }, l.merged], [{ stage: 'final' }, l.items]]));
+  gauge('label_items_avg7d', `직전 ${AVERAGE_DAYS}일 정상 런의 라벨별 최종 아이템 수 평균 (label_items{stage="final"}과 매칭)`,
+    Object.entries(avg.labels).map(([label, a]) => [{ label, stage: 'final' }, a.items]));
+  gauge('label_runs_7d', `직전 ${AVERAGE_DAYS}일 정상 런 중 라벨이 성공한 런 수 (0이면 라벨 평균 없음)`,
+    [...new Set([...Object.keys(entry.labels), ...Object.keys(avg.labels)])]
+      .map(label => [{ label }, avg.labels[label] ? avg.labels[label].runs : 0]));
+  gauge('label_duplicates', '라벨별 중복 제거 아이템 수 (라벨 내 병합 + 라벨 간 + 날짜 간)', labelSamples(l => [[{}, l.duplicates]]));
+  gauge('label_duplicate_ratio', '라벨별 중복 비율 (중복 제거 수 / 정크 제외 추출 수)', labelSamples(l => [[{}, l.duplicate_ratio]]));
+  gauge('label_duplicate_ratio_avg7d', `직전 ${AVERAGE_DAYS}일 정상 런의 라벨별 중복 비율 평균`,
+    Object.entries(avg.labels).map(([label, a]) => [{ label }, a.duplicate_ratio]));
+  gauge('label_extract_failures', '라벨별 추출 실패 메일 수', labelSamples(l => [[{}, l.extract_failed]]));
+  gauge('label_stage_seconds', '라벨별 단계 소요 시간 (gmail_fetch, html_to_text, llm_extract, merge)',
+    labelSamples(l => Object.entries(l.stage_ms).map(([stage, ms]) => [{ stage }, +(ms / 1000).toFixed(3)])));
+  gauge('label_tokens', '라벨별 LLM 토큰 수',
+    labelSamples(l => [[{ type: 'prompt' }, l.prompt_tokens], [{ type: 'completion' }, l.completion_tokens]]));
+  gauge('label_cost_usd', '라벨별 LLM 비용 (USD)', labelSamples(l => [[{}, l.cost_usd]]));
+
+  const lines = [];
+  for (const m of metrics) {
+    const samples = m.samples.filter(([, value]) => value !== null && value !== undefined && Number.isFinite(value));
+    if (samples.length === 0) continue;
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} gauge`);
+    for (const [labels, value] of samples) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+      lines.push(`${m.name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * .prom 원자적 쓰기 (node_exporter가 쓰는 중인 파일을 읽지 않도록 임시 파일 → rename)
+ */
+function writeTextfile(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text, 'utf8');
+  fs.renameSync(tmp, filePath);
+  return filePath;
+}
+
+/**
+ * 런 하나의 지표를 이력에 더하고 .prom 갱신
+ * @param {Object} options
+ * @param {string} options.runId
+ * @param {string} options.finalDir - 매니페스트가 있는 결과물 폴더
+ * @param {string} [options.logFile] - 런 로그 (단계별 소요)
+ * @param {string} [options.metricsDir] - 이력 폴더 (기본 output/metrics)
+ * @param {string} [options.textfileDir] - .prom 폴더 (기본 metricsDir)
+ * @param {string} [options.error] - 예외로 끝난 런의 메시지
+ * @param {number} [options.durationMs]
+ * @returns {{entry: Object, promPath: string, historyPath: string}}
+ */
+function recordRunMetrics(options) {
+  const metricsDir = options.metricsDir || DEFAULT_METRICS_DIR;
+  const historyPath = path.join(metricsDir, HISTORY_FILE);
+  const entry = buildRunMetrics({
+    runId: options.runId,
+    manifest: options.error ? null : readManifest(options.finalDir),
+    logSummary: summarizeLastRun(options.logFile),
+    error: options.error,
+    durationMs: options.durationMs,
+    now: options.now
+  });
+  const runs = appendHistory(loadHistory(historyPath), entry);
+  saveHistory(historyPath, runs);
+  const promPath = writeTextfile(path.join(options.textfileDir || metricsDir, TEXTFILE_NAME), formatPrometheus(entry, runs));
+  return { entry, promPath, historyPath };
+}
+
+module.exports = {
+  recordRunMetrics,
+  buildRunMetrics,
+  summarizeLastRun,
+  loadHistory,
+  appendHistory,
+  trailingAverages,
+  formatPrometheus,
+  writeTextfile,
+  TEXTFILE_NAME,
+  HISTORY_FILE,
+  DEFAULT_METRICS_DIR
+};
@@ -0,0 +1,250 @@
+/**
+ * 실행 스케줄 — config/schedule.json의 cron 식 → 실행 시각·수집 창 (KST)
+ *
+ * schedule 모드, range 모드, 데몬(daemon.js)이 모두 여기서 창을 계산한다.
+ * 창 = 직전 실행 시각 + 1분 ~ 이번 실행 시각 → 이어지는 실행의 창이 빈틈·겹침 없이 타일링된다.
+ * (기본 "40 9 * * *" → 전날 09:41 ~ 당일 09:40 KST, 기존 schedule 모드와 같음)
+ *
+ * 설정 형식:
+ *   {
+ *     "jobs": [
+ *       { "name": "daily", "cron": "40 9 * * *", "args": ["--publish"] },  // 분 시 일 월 요일 (KST)
+ *       { "name": "it-evening", "cron": "0 21 * * 1-5", "args": ["--labels", "IT"] }
+ *     ],
+ *     "catch_up_limit": 3,    // 데몬: 잠자기 등으로 놓친 실행 중 최근 N개만 따라잡기
+ *     "status_port": 3031     // 데몬 상태 HTTP (127.0.0.1)
+ *   }
+ * 첫 job이 기본 스케줄 (--mode schedule / range 창 계산에 사용).
+ * 데몬 실행의 런 ID(결과물 폴더)는 jobRunId: 기본 job의 하루 한 번 실행만 날짜(YYYYMMDD),
+ * 나머지는 YYYYMMDD-<job>-HHMM이라 job·실행 시각마다 결과물·매니페스트가 따로 남는다.
+ *
+ * cron 필드: 숫자, *, a-b, 목록(,), 간격(/n). 요일 0·7 = 일요일.
+ * 일·요일이 둘 다 지정되면 표준 cron처럼 둘 중 하나만 맞아도 실행.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEDULE_PATH = path.join(__dirname, '..', 'config', 'schedule.json');
+const KST_OFFSET = 9 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const SEARCH_LIMIT = 4 * 366 * 24 * 60 * MINUTE;   // 2월 29일 같은 드문 식도 찾도록 4년
+
+const DEFAULT_SCHEDULE = {
+  jobs: [{ name: 'daily', cron: '40 9 * * *', args: ['--publish'] }],
+  catch_up_limit: 3,
+  status_port: 3031
+};
+
+const FIELDS = [
+  { name: '분', min: 0, max: 59 },
+  { name: '시', min: 0, max: 23 },
+  { name: '일', min: 1, max: 31 },
+  { name: '월', min: 1, max: 12 },
+  { name: '요일', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`cron ${name} 필드 '${text}'를 해석할 수 없습니다`);
+    let lo = min;
+    let hi = max;
+    if (m[1] !== undefined) {
+      lo = Number(m[1]);
+      hi = m[2] !== undefined ? Number(m[2]) : (m[3] ? max : lo);
+    }
+    const step = m[3] ? Number(m[3]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`cron ${name} 필드 '${text}'가 범위(${min}-${max}) 밖입니다`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * cron 식 파싱
+ * @param {string} expr - "분 시 일 월 요일"
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron 식은 5개 필드(분 시 일 월 요일)여야 합니다: '${expr}'`);
+  }
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { expr, minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+// d: KST로 이동한 Date (UTC 필드 = KST 시각)
+function dayMatches(cron, d) {
+  if (!cron.month.has(d.getUTCMonth() + 1)) return false;
+  const domOk = cron.dom.has(d.getUTCDate());
+  const dowOk = cron.dow.has(d.getUTCDay());
+  if (!cron.domAny && !cron.dowAny) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * after 이후(초과) 첫 실행 시각
+ * @returns {Date}
+ */
+function nextFire(cron, after) {
+  let t = Math.floor((after.getTime() + KST_OFFSET) / MINUTE) * MINUTE + MINUTE;
+  const limit = t + SEARCH_LIMIT;
+  while (t <= limit) {
+    const d = new Date(t);
+    if (!dayMatches(cron, d)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+    } else if (!cron.hour.has(d.getUTCHours())) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1);
+    } else if (!cron.minute.has(d.getUTCMinutes())) {
+      t += MINUTE;
+    } else {
+      return new Date(t - KST_OFFSET);
+    }
+  }
+  throw new Error(`cron '${cron.expr}': 4년 안에 실행 시각이 없습니다`);
+}
+
+/**
+ * at 이전(포함) 마지막 실행 시각
+ * @returns {Date}
+ */
+function previousFire(cron, at) {
+  let t = Math.floor((at.getTime() + KST_OFFSET) / MINUTE) * MINUTE;
+  const limit = t - SEARCH_LIMIT;
+  while (t >= limit) {
+    const d = new Date(t);
+    if (!dayMatches(cron, d)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - MINUTE;
+    } else if (!cron.hour.has(d.getUTCHours())) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()) - MINUTE;
+    } else if (!cron.minute.has(d.getUTCMinutes())) {
+      t -= MINUTE;
+    } else {
+      return new Date(t - KST_OFFSET);
+    }
+  }
+  throw new Error(`cron '${cron.expr}': 지난 4년 안에 실행 시각이 없습니다`);
+}
+
+/**
+ * (after, until] 사이의 실행 시각 목록 (오래된 순)
+ */
+function firesBetween(cron, after, until) {
+  const fires = [];
+  for (let t = nextFire(cron, after); t <= until; t = nextFire(cron, t)) fires.push(t);
+  return fires;
+}
+
+/**
+ * 실행 시각 하나의 수집 창: 직전 실행 + 1분 ~ 이번 실행
+ * @returns {{start: Date, end: Date}}
+ */
+function fireWindow(cron, fire) {
+  const prev = previousFire(cron, new Date(fire.getTime() - MINUTE));
+  return { start: new Date(prev.getTime() + MINUTE), end: fire };
+}
+
+/**
+ * KST 날짜의 창: 그날 첫 실행의 창 시작 ~ 그날 마지막 실행 (하루 여러 번 실행하는 식도 하루 한 창으로)
+ *   이어지는 날짜의 창끼리도 빈틈·겹침이 없다. 그날 실행이 없으면 null.
+ * @param {string} dateStr - YYYY-MM-DD (KST)
+ * @returns {{start: Date, end: Date}|null}
+ */
+function windowForDate(cron, dateStr) {
+  const dayStart = new Date(`${dateStr}T00:00:00+09:00`);
+  const first = nextFire(cron, new Date(dayStart.getTime() - MINUTE));
+  const last = previousFire(cron, new Date(`${dateStr}T23:59:00+09:00`));
+  if (first > last) return null;
+  return { start: fireWindow(cron, first).start, end: last };
+}
+
+/**
+ * 데몬 실행 하나의 런 ID
+ *   기본 job(primary)이고 이 실행의 창이 그날 창 전체와 같으면(하루 한 번 실행) 날짜만 → schedule·range 모드와 같은 폴더.
+ *   그 밖의 job, 하루 여러 번 실행하는 식은 YYYYMMDD-<job>-HHMM (KST 실행 시각) → 같은 날 다른 실행을 완료로 오인하지 않음
+ * @param {{name: string, parsed: Object}} job
+ * @param {Date} fire
+ * @param {boolean} [primary]
+ * @returns {string}
+ */
+function jobRunId(job, fire, primary = false) {
+  const kst = new Date(fire.getTime() + KST_OFFSET).toISOString();
+  const date = kst.slice(0, 10);
+  if (primary) {
+    const day = windowForDate(job.parsed, date);
+    if (day && day.end.getTime() === fire.getTime() && day.start.getTime() === fireWindow(job.parsed, fire).start.getTime()) {
+      return date.replace(/-/g, '');
+    }
+  }
+  const name = job.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+  return `${date.replace(/-/g, '')}-${name}-${kst.slice(11, 16).replace(':', '')}`;
+}
+
+/**
+ * config/schedule.json 로드 + 검증 (없으면 기본값: 매일 09:40 KST)
+ * @returns {{jobs: Array<{name: string, cron: string, args: Array<string>, parsed: Object}>, catchUpLimit: number, statusPort: number}}
+ */
+function loadSchedule(configPath = SCHEDULE_PATH) {
+  const config = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    : DEFAULT_SCHEDULE;
+  if (!Array.isArray(config.jobs) || config.jobs.length === 0) {
+    throw new Error(`${path.basename(configPath)}: jobs 배열에 1개 이상 필요합니다`);
+  }
+  const names = new Set();
+  const jobs = config.jobs.map((job, i) => {
+    const where = `${path.basename(configPath)} jobs[${i}]`;
+    if (!job || !job.name || !job.cron) throw new Error(`${where}: name과 cron은 필수입니다`);
+    if (names.has(job.name)) throw new Error(`${where}: 중복된 name '${job.name}'`);
+    names.add(job.name);
+    if (job.args !== undefined && (!Array.isArray(job.args) || job.args.some(a => typeof a !== 'string'))) {
+      throw new Error(`${where}: args는 문자열 배열이어야 합니다`);
+    }
+    let parsed;
+    try {
+      parsed = parseCron(job.cron);
+    } catch (e) {
+      throw new Error(`${where} (${job.name}): ${e.message}`);
+    }
+    return { name: job.name, cron: job.cron, args: job.args || [], parsed };
+  });
+  return {
+    jobs,
+    catchUpLimit: Number.isInteger(config.catch_up_limit) ? config.catch_up_limit : DEFAULT_SCHEDULE.catch_up_limit,
+    statusPort: Number.isInteger(config.status_port) ? config.status_port : DEFAULT_SCHEDULE.status_port
+  };
+}
+
+/**
+ * 기본 스케줄(첫 job)의 KST 날짜 창 — orchestrator schedule / range 모드용 (그날 실행이 없으면 null)
+ */
+function defaultWindowForDate(dateStr, configPath = SCHEDULE_PATH) {
+  return windowForDate(loadSchedule(configPath).jobs[0].parsed, dateStr);
+}
+
+/**
+ * 기본 스케줄의 at 이전 마지막 실행 창 — 실행이 없는 날 schedule 모드 대체용
+ */
+function defaultLatestWindow(at, configPath = SCHEDULE_PATH) {
+  const { parsed } = loadSchedule(configPath).jobs[0];
+  return fireWindow(parsed, previousFire(parsed, at));
+}
+
+module.exports = {
+  parseCron,
+  nextFire,
+  previousFire,
+  firesBetween,
+  fireWindow,
+  windowForDate,
+  jobRunId,
+  loadSchedule,
+  defaultWindowForDate,
+  defaultLatestWindow,
+  SCHEDULE_PATH
+};
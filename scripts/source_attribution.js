@@ -0,0 +1,71 @@
+/**
+ * 출처(source) 룰베이스 귀속 — RC-A (LLM 자유생성 출처의 표기 드리프트, SCMP 5분리 등)
+ *
+ * config/newsletters.json 엔트리 필드:
+ *   display_name : 리포트에 쓸 정규 출처명 (예: 기자별 SCMP 에디션 5개 → "SCMP")
+ *   aliases      : 같은 뉴스레터의 다른 발신 주소 (멀티 에디션). sender와 동일하게 매칭되고
+ *                  새 발신자로 재등록·재분석되지 않는다.
+ * display_name이 없으면 name("표시명" <주소>)의 표시명 부분을 쓴다.
+ *
+ * 추출 enrich 단계에서 source_email로 찾은 엔트리의 정규명으로 source를 덮어쓰고(카탈로그에 없는 발신자는
+ * LLM 값 유지), 병합 단계에서는 LLM이 이어 붙인 문자열 대신 배치 원본들의 정규명 중에서 골라 잇는다.
+ */
+
+/**
+ * 엔트리가 매칭하는 발신 주소 목록 (소문자, sender + aliases)
+ */
+function catalogSenders(entry) {
+  if (!entry) return [];
+  const aliases = Array.isArray(entry.aliases) ? entry.aliases : [];
+  return [entry.sender, ...aliases]
+    .filter(a => typeof a === 'string' && a.trim())
+    .map(a => a.toLowerCase().trim());
+}
+
+function senderMatches(entry, email) {
+  return !!email && catalogSenders(entry).includes(String(email).toLowerCase().trim());
+}
+
+/**
+ * 엔트리의 정규 출처명. 엔트리가 없거나 이름을 만들 수 없으면 null.
+ */
+function sourceDisplayName(entry) {
+  if (!entry) return null;
+  if (typeof entry.display_name === 'string' && entry.display_name.trim()) {
+    return entry.display_name.trim();
+  }
+  const fromName = String(entry.name || '').replace(/<[^>]*>/g, '').replace(/"/g, '').trim();
+  return fromName || entry.id || null;
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * 병합 LLM이 낸 아이템의 출처 재구성
+ *   후보 = 배치 원본 아이템들의 (이미 정규화된) source, 배치 순서
+ *   채택 = 자기 message_id·link와 같은 원본의 출처 + LLM 출처 문자열에 언급된 후보
+ * 채택할 게 없으면 LLM 값을 그대로 둔다.
+ * @param {Object} item - 병합 결과 아이템
+ * @param {Array<Object>} batch - 병합 LLM에 넘긴 원본 아이템
+ * @returns {string}
+ */
+function mergedSource(item, batch) {
+  const candidates = [];
+  for (const b of batch || []) {
+    if (b && typeof b.source === 'string' && b.source && !candidates.includes(b.source)) candidates.push(b.source);
+  }
+  const own = new Set((batch || [])
+    .filter(b => b && ((item.message_id && b.message_id === item.message_id) || (item.link && b.link === item.link)))
+    .map(b => b.source));
+  const mentioned = normalizeName(item.source);
+  const picked = candidates.filter(name => {
+    if (own.has(name)) return true;
+    const norm = normalizeName(name);
+    return norm.length > 0 && mentioned.includes(norm);
+  });
+  return picked.length > 0 ? picked.join(', ') : item.source;
+}
+
+module.exports = { catalogSenders, senderMatches, sourceDisplayName, mergedSource };
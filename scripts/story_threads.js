@@ -0,0 +1,226 @@
+/**
+ * 스토리 스레드 — 날짜를 넘어 이어지는 이야기(규제 분쟁, M&A 등)를 한 줄기로 묶는 레지스트리
+ *
+ * 매일 독립된 카드로 흩어지는 후속 보도를 thread_id로 잇는다.
+ * 레지스트리(기본 output/archive/threads.json)에 스레드별 날짜 항목(제목·link·키워드·고유명사)을 두고,
+ * 오늘 아이템 + 최근 스레드(항목들의 합집합)를 clusterItemsByKeyword와 같은 Union-Find(clustering.js)로 묶는다.
+ *
+ * 연결 기준 (둘 중 하나):
+ *   ① 정규화 link 공유
+ *   ② 키워드 MIN_SHARED_KEYWORDS개 이상 + 고유명사 1개 이상 공유
+ *      (고유명사가 없으면 키워드 STRONG_SHARED_KEYWORDS개 이상 + 작은 쪽의 절반 이상)
+ * 여러 기존 스레드가 한 묶음이 되면 가장 오래된 스레드로 합친다 (merged_into 기록).
+ *
+ * 스레드는 아이템마다 만들지만, 창(STORY_THREAD_DAYS) 밖으로 나간 단발 스레드는 정리한다.
+ * 같은 날짜를 다시 넣으면 그 날짜 항목을 먼저 지운다 (재실행 멱등).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractNames } = require('./grounding');
+const { groupRelated } = require('./clustering');
+
+const REGISTRY_VERSION = 1;
+const MIN_SHARED_KEYWORDS = 2;
+const STRONG_SHARED_KEYWORDS = 3;
+// 스레드 대표 키워드·고유명사 (빈도 상위만 — 오래된 스레드가 모든 기사를 빨아들이지 않도록)
+const THREAD_KEYWORDS = 20;
+const THREAD_ENTITIES = 10;
+const PREVIOUS_LIMIT = 5;         // 아이템에 붙이는 이전 소식 개수
+
+function lowerSet(values) {
+  return new Set((values || []).filter(v => typeof v === 'string' && v.trim()).map(v => v.trim().toLowerCase()));
+}
+
+function topKeys(counts, n) {
+  return Object.entries(counts || {}).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n).map(([k]) => k);
+}
+
+function itemFeatures(item, normalizeLink) {
+  const link = normalizeLink(item.link);
+  return {
+    links: new Set(link ? [link] : []),
+    keywords: lowerSet(item.keywords),
+    entities: lowerSet(extractNames(`${item.title || ''}\n${item.summary || ''}`, { korean: true }).map(n => n.text))
+  };
+}
+
+function threadFeatures(thread) {
+  const keywordCounts = {};
+  const entityCounts = {};
+  for (const e of thread.entries) {
+    for (const k of e.keywords || []) keywordCounts[k] = (keywordCounts[k] || 0) + 1;
+    for (const k of e.entities || []) entityCounts[k] = (entityCounts[k] || 0) + 1;
+  }
+  return {
+    links: new Set(thread.entries.map(e => e.link_key).filter(Boolean)),
+    keywords: new Set(topKeys(keywordCounts, THREAD_KEYWORDS)),
+    entities: new Set(topKeys(entityCounts, THREAD_ENTITIES))
+  };
+}
+
+function shareCount(a, b) {
+  let n = 0;
+  for (const x of a) if (b.has(x)) n++;
+  return n;
+}
+
+function related(a, b) {
+  if (shareCount(a.links, b.links) > 0) return true;
+  const kw = shareCount(a.keywords, b.keywords);
+  if (kw >= MIN_SHARED_KEYWORDS && shareCount(a.entities, b.entities) > 0) return true;
+  const smaller = Math.min(a.keywords.size, b.keywords.size);
+  return kw >= STRONG_SHARED_KEYWORDS && smaller > 0 && kw / smaller >= 0.5;
+}
+
+function shiftDate(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+class StoryRegistry {
+  /**
+   * @param {string} filePath - threads.json 경로
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { version: REGISTRY_VERSION, threads: {} };
+    if (fs.existsSync(filePath)) {
+      try {
+        const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (loaded && loaded.threads) this.data = loaded;
+      } catch (e) {
+        console.warn(`  [스토리 스레드] ${path.basename(filePath)} 손상, 새로 시작: ${e.message}`);
+      }
+    }
+  }
+
+  get threads() {
+    return this.data.threads;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(this.data), 'utf8');
+    fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+  }
+
+  /**
+   * 특정 날짜 항목 제거 (재실행 멱등). 비게 된 스레드는 삭제.
+   */
+  removeDate(date) {
+    for (const [id, thread] of Object.entries(this.threads)) {
+      if (!thread.entries.some(e => e.date === date)) continue;
+      thread.entries = thread.entries.filter(e => e.date !== date);
+      if (thread.entries.length === 0) delete this.threads[id];
+      else thread.last_date = thread.entries[thread.entries.length - 1].date;
+    }
+  }
+
+  /**
+   * 창 밖으로 나간 단발 스레드 정리 (후속 보도가 없던 아이템)
+   */
+  prune(minDate) {
+    for (const [id, thread] of Object.entries(this.threads)) {
+      const days = new Set(thread.entries.map(e => e.date));
+      if (thread.last_date < minDate && (thread.merged_into || days.size < 2)) delete this.threads[id];
+    }
+  }
+
+  addEntry(threadId, item, meta, features) {
+    const thread = this.threads[threadId];
+    thread.entries.push({
+      date: meta.date,
+      label: meta.label,
+      title: item.title,
+      link: item.link || '',
+      source: item.source || '',
+      link_key: [...features.links][0] || '',
+      keywords: [...features.keywords],
+      entities: [...features.entities]
+    });
+    thread.entries.sort((a, b) => a.date.localeCompare(b.date));
+    thread.last_date = thread.entries[thread.entries.length - 1].date;
+  }
+
+  createThread(item, date) {
+    const hash = crypto.createHash('sha1').update(`${date}|${item.link || ''}|${item.title || ''}`).digest('hex').slice(0, 8);
+    const id = `t${date.replace(/-/g, '')}-${hash}`;
+    this.threads[id] = this.threads[id] || { id, title: item.title, first_date: date, last_date: date, entries: [] };
+    return id;
+  }
+
+  /**
+   * 스레드 b를 a로 합침 (a가 더 오래된 스레드)
+   */
+  mergeThreads(aId, bId) {
+    const a = this.threads[aId];
+    const b = this.threads[bId];
+    a.entries = [...a.entries, ...b.entries].sort((x, y) => x.date.localeCompare(y.date));
+    a.first_date = a.entries[0].date;
+    a.last_date = a.entries[a.entries.length - 1].date;
+    this.threads[bId] = { id: bId, merged_into: aId, entries: [], last_date: b.last_date };
+  }
+}
+
+/**
+ * 오늘 아이템에 thread_id 부여 + 레지스트리 갱신
+ * @param {Array<{label: string, items: Array}>} labelsData
+ * @param {StoryRegistry} registry
+ * @param {{date: string, days: number, normalizeLink: Function}} options
+ * @returns {{labelsData: Array, continued: Array<string>}} continued: 이전 날짜 항목이 있는 스레드 id
+ */
+function assignThreads(labelsData, registry, options) {
+  const { date, days, normalizeLink } = options;
+  const minDate = shiftDate(date, -days);
+  registry.removeDate(date);
+
+  const refs = [];
+  labelsData.forEach((data, li) => (data.items || []).forEach((item, ii) => {
+    refs.push({ li, ii, item, label: data.label, features: itemFeatures(item, normalizeLink) });
+  }));
+  const threads = Object.values(registry.threads)
+    .filter(t => !t.merged_into && t.last_date >= minDate)
+    .sort((a, b) => a.first_date.localeCompare(b.first_date) || a.id.localeCompare(b.id));
+  const nodes = [...refs.map(r => r.features), ...threads.map(threadFeatures)];
+
+  // 기존 스레드끼리는 비교하지 않음 (오늘 아이템을 거쳐서만 합쳐짐)
+  const groups = groupRelated(nodes.length, (i, j) => i < refs.length && related(nodes[i], nodes[j]));
+
+  const threadOf = new Map();   // ref index → thread id
+  for (const members of groups) {
+    const itemIdx = members.filter(i => i < refs.length);
+    if (itemIdx.length === 0) continue;
+    const existing = members.filter(i => i >= refs.length).map(i => threads[i - refs.length].id);
+    let threadId;
+    if (existing.length > 0) {
+      [threadId] = existing;   // first_date 순 정렬 → 가장 오래된 스레드
+      for (const other of existing.slice(1)) registry.mergeThreads(threadId, other);
+    } else {
+      threadId = registry.createThread(refs[itemIdx[0]].item, date);
+    }
+    for (const i of itemIdx) {
+      registry.addEntry(threadId, refs[i].item, { date, label: refs[i].label }, refs[i].features);
+      threadOf.set(i, threadId);
+    }
+  }
+  registry.prune(minDate);
+
+  const continued = new Set();
+  const byKey = new Map(refs.map((r, i) => [`${r.li}:${r.ii}`, i]));
+  const out = labelsData.map((data, li) => ({
+    ...data,
+    items: (data.items || []).map((item, ii) => {
+      const { thread_id, thread_previous, ...rest } = item;
+      const threadId = threadOf.get(byKey.get(`${li}:${ii}`));
+      const previous = registry.threads[threadId].entries.filter(e => e.date < date).reverse().slice(0, PREVIOUS_LIMIT)
+        .map(({ date: d, label, title, link, source }) => ({ date: d, label, title, link, source }));
+      if (previous.length > 0) continued.add(threadId);
+      return { ...rest, thread_id: threadId, ...(previous.length > 0 ? { thread_previous: previous } : {}) };
+    })
+  }));
+  return { labelsData: out, continued: [...continued] };
+}
+
+module.exports = { StoryRegistry, assignThreads };
@@ -0,0 +1,306 @@
+/**
+ * 다중 계정 다이제스트 테스트
+ * - accounts.js: 프로필 로드/검증, 계정별 라벨 매핑
+ * - orchestrator: 계정별 수집 → rawDir 합치기(account 태깅), 읽음 표시 그룹(계정 간 중복 사본 포함), 병합 후 account 복원
+ * - render_report: 계정 필터
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  loadAccounts,
+  getAccount,
+  resolveAccountLabel,
+  parseAccountArg,
+  defaultTokenPath
+} = require('../scripts/accounts');
+
+module.exports = async function () {
+
+  function tmpDir(prefix) {
+    const dir = path.join(os.tmpdir(), `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e6)}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  function writeAccounts(accounts) {
+    const p = path.join(tmpDir('accounts'), 'accounts.json');
+    fs.writeFileSync(p, JSON.stringify({ accounts }));
+    return p;
+  }
+
+  await describe('accounts: 프로필 로드', async () => {
+    await it('accounts.json 없음 → 빈 배열 (단일 계정 모드)', () => {
+      assert.deepEqual(loadAccounts(path.join(os.tmpdir(), 'no-such-accounts.json')), []);
+    });
+
+    await it('token 생략 → token_<name>.json, 계정별 sync 상태 파일', () => {
+      const [a, b] = loadAccounts(writeAccounts([{ name: 'personal', token: 'config/credentials/token.json' }, { name: 'team' }]));
+      assert.ok(a.tokenPath.endsWith(path.join('config', 'credentials', 'token.json')));
+      assert.equal(b.tokenPath, defaultTokenPath('team'));
+      assert.ok(b.tokenPath.endsWith('token_team.json'));
+      assert.ok(b.syncStatePath.endsWith('gmail_sync_state.team.json'));
+      assert.ok(a.syncStatePath !== b.syncStatePath);
+    });
+
+    await it('잘못된 이름 / 중복 이름 → 에러', () => {
+      assert.throws(() => loadAccounts(writeAccounts([{ name: '../x' }])));
+      assert.throws(() => loadAccounts(writeAccounts([{ name: 'a' }, { name: 'a' }])));
+    });
+
+    await it('getAccount: 미지정 → token.json, 미등록 이름 → token_<name>.json', () => {
+      assert.equal(getAccount(null).tokenPath, defaultTokenPath('default'));
+      assert.ok(getAccount('newbie', path.join(os.tmpdir(), 'no-such-accounts.json')).tokenPath.endsWith('token_newbie.json'));
+    });
+
+    await it('parseAccountArg', () => {
+      assert.equal(parseAccountArg(['--account', 'team']), 'team');
+      assert.equal(parseAccountArg([]), null);
+    });
+  });
+
+  await describe('accounts: resolveAccountLabel', async () => {
+    const label = { name: '미국_경제', gmail_label: '미국/경제', sub_labels: ['미국/경제/월가'] };
+
+    await it('labels 미지정 → labels.json 설정 그대로', () => {
+      assert.deepEqual(resolveAccountLabel({ labels: null }, label), { gmail_label: '미국/경제', sub_labels: ['미국/경제/월가'] });
+    });
+
+    await it('문자열/객체 매핑, 매핑 없는 라벨은 수집 안 함(null)', () => {
+      assert.deepEqual(resolveAccountLabel({ labels: { '미국_경제': 'Team/US' } }, label), { gmail_label: 'Team/US', sub_labels: [] });
+      assert.deepEqual(
+        resolveAccountLabel({ labels: { '미국_경제': { gmail_label: 'Team/US', sub_labels: ['Team/US/WS'] } } }, label),
+        { gmail_label: 'Team/US', sub_labels: ['Team/US/WS'] }
+      );
+      assert.equal(resolveAccountLabel({ labels: { IT: 'Team/IT' } }, label), null);
+    });
+  });
+
+  await describe('orchestrator: 다중 계정 수집', async () => {
+    /**
+     * fetch_gmail mock: 생성 시 tokenPath로 계정 구분, fetchMessages는 계정별 메일 1개씩 기록
+     * @param {Function} [messageFor] - 계정 → 메일 필드 (기본: 계정마다 다른 발신자)
+     * @param {Function} [failedFor] - 계정 → 다운로드 실패 메시지 ID 목록 (기본: 없음)
+     */
+    function freshOrchestrator(calls, messageFor = account => ({ from: `n@${account}.com` }), failedFor = () => []) {
+      const fetchGmailPath = require.resolve('../scripts/fetch_gmail');
+      const original = require.cache[fetchGmailPath];
+      require.cache[fetchGmailPath] = {
+        id: fetchGmailPath, filename: fetchGmailPath, loaded: true,
+        exports: {
+          GmailFetcher: class {
+            constructor(dir, options = {}) { this.account = path.basename(options.tokenPath || 'token.json', '.json'); }
+            async authenticate() {}
+            async fetchMessages(opts) {
+              calls.fetch.push({ account: this.account, label: opts.label });
+              fs.mkdirSync(opts.outputDir, { recursive: true });
+              const id = `${this.account}_m1`;
+              fs.writeFileSync(path.join(opts.outputDir, `msg_${id}.json`), JSON.stringify({ message_id: id, ...messageFor(this.account) }));
+              return {
+                messages: [{ id }], total_fetched: 1, total_count: 1, skipped_by_date: 0, duplicates_count: 0, duplicates: [],
+                failed: failedFor(this.account),
+                senders: [{ email: 'same@news.com', name: 'Same', count: 1 }],
+                sync: { mode: 'history', history_id: `${this.account}-h` }
+              };
+            }
+            async markMessagesAsRead(ids) { calls.mark.push({ account: this.account, ids }); return { success: ids.length, failed: 0 }; }
+            saveSyncCursor(key, id) { calls.cursor.push({ account: this.account, key, id }); }
+          }
+        }
+      };
+      const orchPath = require.resolve('../scripts/orchestrator');
+      delete require.cache[orchPath];
+      const orchestrator = require('../scripts/orchestrator');
+      const restore = () => {
+        if (original) require.cache[fetchGmailPath] = original; else delete require.cache[fetchGmailPath];
+        delete require.cache[orchPath];
+      };
+      return { orchestrator, restore };
+    }
+
+    const quiet = async (fn) => {
+      const origLog = console.log;
+      console.log = () => {};
+      try { return await fn(); } finally { console.log = origLog; }
+    };
+
+    await it('라벨을 수집하는 계정마다 가져와 rawDir에 합침 + account 태깅 + 계정별 커서/읽음 표시', async () => {
+      const calls = { fetch: [], mark: [], cursor: [] };
+      const { orchestrator, restore } = freshOrchestrator(calls);
+      try {
+        const t = orchestrator._test;
+        t.CONFIG.accountsPath = writeAccounts([
+          { name: 'personal', token: 'config/credentials/token_personal.json' },
+          { name: 'team', token: 'config/credentials/token_team.json', labels: { IT: 'Team/IT' } },
+          { name: 'other', token: 'config/credentials/token_other.json', labels: { 경제: 'Econ' } }
+        ]);
+        t._resetGlobals();
+        const rawDir = path.join(tmpDir('multi-acct'), 'raw');
+        fs.mkdirSync(rawDir, { recursive: true });
+        const timeRange = { start: new Date('2026-06-01T00:41:00Z'), end: new Date('2026-06-02T00:40:00Z') };
+
+        const result = await quiet(() => t.fetchGmailMessages({ name: 'IT', gmail_label: 'IT', sub_labels: [] }, timeRange, rawDir));
+
+        assert.deepEqual(calls.fetch, [
+          { account: 'token_personal', label: 'IT' },
+          { account: 'token_team', label: 'Team/IT' }
+        ], 'other 계정은 IT 미수집');
+        assert.equal(result.total_count, 2);
+        assert.deepEqual(result.senders, [{ email: 'same@news.com', name: 'Same', count: 2 }]);
+        assert.deepEqual(result.accounts.map(a => a.account), ['personal', 'team']);
+        const msg = JSON.parse(fs.readFileSync(path.join(rawDir, 'msg_token_team_m1.json'), 'utf8'));
+        assert.equal(msg.account, 'team');
+
+        const msgFiles = fs.readdirSync(rawDir).filter(f => f.startsWith('msg_'));
+        const groups = t.groupMessageIdsByAccount(rawDir, msgFiles);
+        assert.deepEqual([...groups.keys()].sort(), ['personal', 'team']);
+
+        await quiet(() => t.commitGmailSyncCursor({ name: 'IT' }, rawDir));
+        assert.deepEqual(calls.cursor.map(c => `${c.account}:${c.key}:${c.id}`).sort(),
+          ['token_personal:IT:token_personal-h', 'token_team:IT:token_team-h']);
+      } finally {
+        restore();
+      }
+    });
+
+    await it('다운로드 실패가 있는 계정은 커서를 커밋하지 않음 (다음 런이 같은 구간 재수집)', async () => {
+      const calls = { fetch: [], mark: [], cursor: [] };
+      const { orchestrator, restore } = freshOrchestrator(calls, undefined,
+        account => (account === 'token_team' ? ['team_bad'] : []));
+      try {
+        const t = orchestrator._test;
+        t.CONFIG.accountsPath = writeAccounts([
+          { name: 'personal', token: 'config/credentials/token_personal.json' },
+          { name: 'team', token: 'config/credentials/token_team.json' }
+        ]);
+        t._resetGlobals();
+        const rawDir = path.join(tmpDir('multi-failed'), 'raw');
+        fs.mkdirSync(rawDir, { recursive: true });
+        const timeRange = { start: new Date('2026-06-01T00:41:00Z'), end: new Date('2026-06-02T00:40:00Z') };
+
+        const result = await quiet(() => t.fetchGmailMessages({ name: 'IT', gmail_label: 'IT', sub_labels: [] }, timeRange, rawDir));
+        assert.deepEqual(result.failed, ['team_bad']);
+        assert.deepEqual(result.accounts.map(a => a.failed), [[], ['team_bad']]);
+
+        const origWarn = console.warn;
+        console.warn = () => {};
+        try {
+          await quiet(() => t.commitGmailSyncCursor({ name: 'IT' }, rawDir));
+        } finally {
+          console.warn = origWarn;
+        }
+        assert.deepEqual(calls.cursor.map(c => c.account), ['token_personal']);
+      } finally {
+        restore();
+      }
+    });
+
+    await it('여러 계정이 받은 같은 뉴스레터 → 먼저 가져온 계정 것만 rawDir에 (본문 길이는 달라도)', async () => {
+      const calls = { fetch: [], mark: [], cursor: [] };
+      const { orchestrator, restore } = freshOrchestrator(calls, account => ({
+        from: 'Daily <Daily@News.com>', subject: '오늘의 IT', date_kst: '2026-06-01 07:00:00',
+        html_length: account === 'token_personal' ? 1000 : 1012
+      }));
+      try {
+        const t = orchestrator._test;
+        t.CONFIG.accountsPath = writeAccounts([
+          { name: 'personal', token: 'config/credentials/token_personal.json' },
+          { name: 'team', token: 'config/credentials/token_team.json' }
+        ]);
+        t._resetGlobals();
+        const rawDir = path.join(tmpDir('cross-dup'), 'raw');
+        fs.mkdirSync(rawDir, { recursive: true });
+        const timeRange = { start: new Date('2026-06-01T00:41:00Z'), end: new Date('2026-06-02T00:40:00Z') };
+
+        const result = await quiet(() => t.fetchGmailMessages({ name: 'IT', gmail_label: 'IT', sub_labels: [] }, timeRange, rawDir));
+        assert.lengthOf(calls.fetch, 2);
+        assert.deepEqual(result.messages, [{ id: 'token_personal_m1', account: 'personal' }]);
+        assert.equal(result.total_count, 1);
+        assert.deepEqual(result.duplicates, ['token_team_m1']);
+        assert.equal(result.duplicates_count, 1);
+        assert.deepEqual(fs.readdirSync(rawDir).filter(f => f.startsWith('msg_')), ['msg_token_personal_m1.json']);
+        // 커서는 중복만 나온 계정도 커밋
+        assert.deepEqual(result.accounts.map(a => [a.account, a.total_count]), [['personal', 1], ['team', 0]]);
+
+        // 건너뛴 사본은 사본을 받은 계정으로 읽음 표시 (원본을 예산 한도로 생략했으면 사본도 둠)
+        assert.deepEqual(result.cross_account_duplicates, [{ id: 'token_team_m1', account: 'team', duplicate_of: 'token_personal_m1' }]);
+        const msgFiles = fs.readdirSync(rawDir).filter(f => f.startsWith('msg_'));
+        const groups = t.addCrossAccountDuplicates(t.groupMessageIdsByAccount(rawDir, msgFiles), rawDir);
+        assert.deepEqual([...groups.entries()], [['personal', ['token_personal_m1']], ['team', ['token_team_m1']]]);
+        const skipped = t.addCrossAccountDuplicates(new Map(), rawDir, new Set(['token_personal_m1']));
+        assert.equal(skipped.size, 0);
+      } finally {
+        restore();
+      }
+    });
+
+    await it('accounts.json 없음 → 기존 단일 계정 경로 (account 필드 없음)', async () => {
+      const calls = { fetch: [], mark: [], cursor: [] };
+      const { orchestrator, restore } = freshOrchestrator(calls);
+      try {
+        const t = orchestrator._test;
+        t.CONFIG.accountsPath = path.join(os.tmpdir(), 'no-such-accounts.json');
+        t._resetGlobals();
+        const rawDir = path.join(tmpDir('single-acct'), 'raw');
+        const timeRange = { start: new Date('2026-06-01T00:41:00Z'), end: new Date('2026-06-02T00:40:00Z') };
+        const result = await quiet(() => t.fetchGmailMessages({ name: 'IT' }, timeRange, rawDir));
+        assert.equal(result.accounts, undefined);
+        assert.deepEqual(calls.fetch, [{ account: 'token', label: 'IT' }]);
+        const msg = JSON.parse(fs.readFileSync(path.join(rawDir, 'msg_token_m1.json'), 'utf8'));
+        assert.equal(msg.account, undefined);
+      } finally {
+        restore();
+      }
+    });
+  });
+
+  await describe('orchestrator: restoreItemAccounts', async () => {
+    const { restoreItemAccounts } = require('../scripts/orchestrator')._test;
+
+    await it('LLM 병합이 빠뜨린 account를 message_id로 복원', () => {
+      const source = [{ message_id: 'm1', account: 'team' }, { message_id: 'm2', account: 'personal' }];
+      const merged = [{ title: 'a', message_id: 'm1' }, { title: 'b', message_id: 'm2', account: 'personal' }, { title: 'c', message_id: 'x' }];
+      assert.deepEqual(restoreItemAccounts(merged, source).map(i => i.account), ['team', 'personal', undefined]);
+    });
+
+    await it('account 없는 원본 → 그대로 반환', () => {
+      const items = [{ message_id: 'm1' }];
+      assert.equal(restoreItemAccounts(items, [{ message_id: 'm1' }]), items);
+    });
+  });
+
+  await describe('render_report: 계정 필터', async () => {
+    const { renderReport } = require('../scripts/render_report');
+    const data = [{
+      label: 'IT',
+      items: [
+        { title: '개인 뉴스', summary: 's', account: 'personal' },
+        { title: '팀 뉴스', summary: 's', account: 'team' }
+      ]
+    }];
+
+    await it('계정 2개 이상 → 필터 버튼 + data-account 속성', () => {
+      const html = renderReport(data, '2026-06-01');
+      assert.includes(html, 'id="accts"');
+      assert.includes(html, 'data-account="team"');
+      assert.includes(html, '>personal</button>');
+      // 계정 전환 시 진행 중인 검색 결과·건수도 다시 계산
+      assert.match(html, /acct-hidden[\s\S]*?if\(q\.value\.trim\(\)\)doSearch\(\);/);
+    });
+
+    await it('options.account → 해당 계정 아이템만', () => {
+      const html = renderReport(data, '2026-06-01', { account: 'team' });
+      assert.includes(html, '팀 뉴스');
+      assert.notIncludes(html, '개인 뉴스');
+      assert.notIncludes(html, 'id="accts"');
+    });
+
+    await it('단일 계정(account 없음) → 필터 없음', () => {
+      const html = renderReport([{ label: 'IT', items: [{ title: 't', summary: 's' }] }], '2026-06-01');
+      assert.notIncludes(html, 'id="accts"');
+      assert.notIncludes(html, 'data-account=');
+    });
+  });
+};
@@ -4,6 +4,7 @@
  * - SKILL 자동 생성
  * - recordAnalyzeFailure / shouldSkipAnalyze (만성 실패 차단)
  * - generateId (도메인 우선, 중복 시 도메인_사용자)
+ * - 드라이런 오버레이 (원본 불변, diffOverlay, 러너용 SKILL 참조)
  */
 
 const fs = require('fs');
@@ -11,6 +12,7 @@ const path = require('path');
 const os = require('os');
 
 const { AdaptiveLearning } = require('../scripts/adaptive_learning');
+const { AgentRunner } = require('../scripts/agent_runner');
 
 module.exports = async function () {
 
@@ -247,4 +249,70 @@ module.exports = async function () {
       assert.equal(al._isDirty, false);
     });
   });
+
+  await describe('드라이런 오버레이', async () => {
+    function makeOverlayAL() {
+      const base = makeAL();
+      const al = new AdaptiveLearning({ overlayDir: path.join(tmpDir, 'overlay') });
+      // 원본 경로도 임시 디렉토리로 override
+      al.baseCatalogPath = base.catalogPath;
+      al.baseSkillsDir = base.skillsDir;
+      return { base, al };
+    }
+
+    await it('카탈로그·SKILL 쓰기는 오버레이로, 원본은 그대로', async () => {
+      const { base, al } = makeOverlayAL();
+      await base.registerNewsletter({ email: 'old@a.com', name: 'Old', label: 'IT', count: 1 });
+      base.flush();
+      const before = fs.readFileSync(base.catalogPath, 'utf8');
+
+      await al.registerNewsletter({ email: 'new@b.com', name: 'New', label: '경제', count: 1 });
+      al.saveAnalyzedSkill('new@b.com', { structure_type: 'single-topic' });
+      al.flush();
+
+      assert.equal(fs.readFileSync(base.catalogPath, 'utf8'), before);
+      assert.lengthOf(fs.readdirSync(base.skillsDir), 0);
+      assert.ok(fs.existsSync(path.join(tmpDir, 'overlay', 'config', 'newsletters.json')));
+      assert.ok(al.findBySender('old@a.com'), '원본 카탈로그에서 시작');
+      assert.equal(al.getSkillPath('new@b.com'), path.join(tmpDir, 'overlay', 'skills', 'newsletters', 'SKILL_b.md'));
+    });
+
+    await it('diffOverlay: 추가·필드 변경·SKILL 추가/변경 줄', async () => {
+      const { base, al } = makeOverlayAL();
+      await base.registerNewsletter({ email: 'old@a.com', name: 'Old', label: 'IT', count: 1 });
+      base.saveAnalyzedSkill('old@a.com', { structure_type: 'multi-item' });
+      base.flush();
+
+      al.saveAnalyzedSkill('old@a.com', { structure_type: 'single-topic' });
+      al.recordAnalyzeFailure('old@a.com');
+      await al.registerNewsletter({ email: 'new@b.com', name: 'New', label: '경제', count: 1 });
+
+      const diff = al.diffOverlay();
+      assert.deepEqual(diff.catalog.added.map(n => n.id), ['b']);
+      const changed = diff.catalog.changed[0];
+      assert.equal(changed.id, 'a');
+      assert.equal(changed.fields.structure.after.type, 'single-topic');
+      assert.equal(changed.fields.analyze_failed_count.after, 1);
+      assert.deepEqual(diff.skills.added, []);
+      assert.equal(diff.skills.changed[0].file, 'SKILL_a.md');
+      assert.ok(diff.skills.changed[0].added.some(l => l.includes('single-topic')));
+      assert.deepEqual(new AdaptiveLearning().diffOverlay().catalog.added, []);
+    });
+
+    await it('skillRef: 오버레이 SKILL은 절대 경로로 넘겨 러너가 오버레이 내용을 읽음', async () => {
+      const { al } = makeOverlayAL();
+      await al.registerNewsletter({ email: 'new@b.com', name: 'New', label: '경제', count: 1 });
+      al.saveAnalyzedSkill('new@b.com', { structure_type: 'single-topic' });
+      const skillPath = al.getSkillPath('new@b.com');
+
+      const ref = al.skillRef(skillPath);
+      assert.equal(ref, skillPath);
+      const runner = new AgentRunner('k', 'm', { logDir: tmpDir });
+      assert.equal(runner.readSkillFile(ref), fs.readFileSync(skillPath, 'utf8'));
+
+      // 오버레이 밖(원본) SKILL은 종전대로 파일명
+      assert.equal(al.skillRef(path.join(__dirname, '..', 'skills', 'newsletters', 'SKILL_a.md')), 'SKILL_a.md');
+      assert.equal(new AdaptiveLearning().skillRef('/x/skills/newsletters/SKILL_a.md'), 'SKILL_a.md');
+    });
+  });
 };
@@ -5,6 +5,7 @@
  * - {{USER_CONTEXT}} / {{FOCUS_TOPICS}} replaceAll 동작
  * - mergeChunkResults dedup 임계값 0.75
  * - runSinglePrompt 토큰 초과 4단 폴백 후 throw
+ * - 전역 LLM 풀 (동시 호출 한도, rate limit 직렬화, 청크 동시 처리, 호출별 taskType)
  */
 
 const fs = require('fs');
@@ -235,4 +236,70 @@ module.exports = async function () {
       assert.equal(result, input);
     });
   });
+
+  await describe('전역 LLM 풀', async () => {
+    const tick = (ms) => new Promise(r => setTimeout(r, ms));
+
+    await it('동시 호출 수가 concurrency를 넘지 않음 + peak 기록', async () => {
+      const runner = new AgentRunner('k', 'm', { logDir: os.tmpdir(), concurrency: 2 });
+      runner.log = () => {};
+      runner.minRequestInterval = 0;
+      let inflight = 0, peak = 0;
+      runner.callLLM = async () => {
+        inflight++; peak = Math.max(peak, inflight);
+        await tick(10);
+        inflight--;
+        return '{"items": []}';
+      };
+      await Promise.all([1, 2, 3, 4, 5].map(() => runner.callLLMWithRetry('p', 0, 'extract')));
+      assert.equal(peak, 2);
+      assert.equal(runner.getStats().concurrency.peak, 2);
+      assert.equal(runner.activeCalls, 0, '모든 슬롯 반납');
+    });
+
+    await it('실패한 호출도 슬롯 반납', async () => {
+      const runner = new AgentRunner('k', 'm', { logDir: os.tmpdir(), concurrency: 1 });
+      runner.log = () => {};
+      runner.minRequestInterval = 0;
+      runner.callLLM = async () => { throw new Error('invalid api key'); };
+      await assert.asyncThrows(() => runner.callLLMWithRetry('p', 0, 'extract'));
+      assert.equal(runner.activeCalls, 0);
+    });
+
+    await it('동시 checkRateLimit → 순서대로 직렬화 (간격 유지)', async () => {
+      const runner = new AgentRunner('k', 'm', { logDir: os.tmpdir(), minRequestInterval: 15 });
+      runner.log = () => {};
+      const stamps = [];
+      await Promise.all([1, 2, 3].map(() => runner.checkRateLimit().then(() => stamps.push(Date.now()))));
+      assert.equal(runner.requestCount, 3);
+      assert.gte(stamps[2] - stamps[0], 25, '두 번의 최소 간격 대기');
+    });
+
+    await it('호출별 taskType 전달 → 동시 실행 중 currentTaskType 덮어쓰기 영향 없음', async () => {
+      const runner = new AgentRunner('k', 'm', { logDir: os.tmpdir() });
+      runner.log = () => {};
+      runner.minRequestInterval = 0;
+      const seen = [];
+      runner.callLLM = async (prompt, taskType) => { seen.push(taskType); return '{"items": []}'; };
+      runner.currentTaskType = 'merge';
+      await runner.callLLMWithRetry('p', 0, 'analyze');
+      assert.deepEqual(seen, ['analyze']);
+    });
+
+    await it('청크 동시 처리 → 결과 순서는 청크 순서', async () => {
+      const runner = makeRunner();
+      let inflight = 0, peak = 0;
+      runner.runSinglePrompt = async (header, chunk) => {
+        inflight++; peak = Math.max(peak, inflight);
+        // 앞 청크일수록 늦게 끝나도록
+        await tick(chunk.startsWith('첫째') ? 20 : 1);
+        inflight--;
+        return { items: [{ title: chunk.slice(0, 6) + ' 기사 제목' }] };
+      };
+      const text = ['첫째 청크 ' + 'a'.repeat(80), '둘째 청크 ' + 'b'.repeat(80)].join('\n\n');
+      const result = await runner.runChunkedPrompt('h', text, 100, {});
+      assert.equal(peak, 2);
+      assert.match(result.items[0].title, /^첫째/);
+    });
+  });
 };
@@ -0,0 +1,210 @@
+/**
+ * 비용 예산 테스트
+ * - CostBudget: soft/hard 판정, 실행별/월별 한도, 지출 이력 영속(다른 달 제외)
+ * - AgentRunner: soft → 저가 모델 전환, hard → API 호출 없이 차단(재시도 없음)
+ * - assessRunHealth budgetTruncated / budgetResumePlan(수집 방식별 이어 처리) / 리포트 안내 문구
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { CostBudget, describeBudget } = require('../scripts/cost_budget');
+const { AgentRunner } = require('../scripts/agent_runner');
+
+module.exports = async function () {
+
+  const historyIn = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'budget-')), 'cost_history.json');
+  const env = {};
+
+  await describe('CostBudget', async () => {
+    await it('한도 미설정 → 비활성, 항상 ok, 이력 안 씀', () => {
+      const historyPath = historyIn();
+      const b = new CostBudget({ env, historyPath });
+      b.record(5);
+      assert.equal(b.enabled, false);
+      assert.equal(b.state(), 'ok');
+      assert.notOk(fs.existsSync(historyPath));
+    });
+
+    await it('실행 한도: 80% 미만 ok → soft → 100% hard', () => {
+      const b = new CostBudget({ env, runLimitUsd: 1, historyPath: historyIn() });
+      b.record(0.5);
+      assert.equal(b.state(), 'ok');
+      b.record(0.3);
+      assert.equal(b.state(), 'soft');
+      b.record(0.2);
+      assert.equal(b.state(), 'hard');
+    });
+
+    await it('월 한도: 같은 달 이전 실행 지출 합산, 다른 달은 제외', () => {
+      const historyPath = historyIn();
+      const prev = new CostBudget({ env, monthLimitUsd: 10, historyPath, runId: '20261001', now: new Date('2026-10-01T00:00:00Z') });
+      prev.record(7);
+      const lastMonth = new CostBudget({ env, monthLimitUsd: 10, historyPath, now: new Date('2026-09-30T10:00:00Z') });
+      lastMonth.record(100);
+
+      const today = new CostBudget({ env, monthLimitUsd: 10, historyPath, now: new Date('2026-10-19T00:00:00Z') });
+      assert.equal(today.monthSpentUsd(), 7);
+      assert.equal(today.state(), 'ok');
+      today.record(1.5);
+      assert.equal(today.state(), 'soft');
+
+      const runs = JSON.parse(fs.readFileSync(historyPath, 'utf8')).runs;
+      assert.lengthOf(runs, 3);
+      assert.equal(runs[0].run_id, '20261001');
+      assert.equal(runs[2].spent_usd, 1.5);
+    });
+
+    await it('KST 월 경계: UTC 9월 30일 15시 이후는 10월', () => {
+      const b = new CostBudget({ env, monthLimitUsd: 1, historyPath: historyIn(), now: new Date('2026-09-30T16:00:00Z') });
+      assert.equal(b.month, '2026-10');
+    });
+
+    await it('잘못된 한도 값 → 에러', () => {
+      assert.throws(() => new CostBudget({ env: { LLM_BUDGET_RUN_USD: 'abc' } }));
+    });
+  });
+
+  await describe('AgentRunner + 예산', async () => {
+    function makeRunner(budget) {
+      const runner = new AgentRunner('k', 'deepseek/deepseek-v4-pro', { logDir: os.tmpdir(), routing: [], budget });
+      runner.log = () => {};
+      runner.minRequestInterval = 0;
+      runner.retryDelays = [0, 0, 0];
+      runner.models = [];
+      runner.callProvider = async (prompt, taskConfig) => {
+        const model = taskConfig.model || runner.model;
+        runner.models.push(model);
+        // 호출당 pro 기준 약 $0.4
+        runner.recordUsage(model, { promptTokens: 1e6, completionTokens: 0, cachedTokens: 0 });
+        return '{"items": []}';
+      };
+      return runner;
+    }
+
+    await it('soft 한도 이후 호출은 저가 모델, hard 한도에서 차단', async () => {
+      const runner = makeRunner({ env, runLimitUsd: 1, historyPath: historyIn() });
+      await runner.callLLMWithRetry('p1', 0, 'extract');   // $0.435
+      await runner.callLLMWithRetry('p2', 0, 'extract');   // $0.87 → soft
+      await runner.callLLMWithRetry('p3', 0, 'extract');   // flash $0.14 → $1.01 → hard
+      assert.deepEqual(runner.models, ['deepseek/deepseek-v4-pro', 'deepseek/deepseek-v4-pro', 'deepseek/deepseek-v4-flash']);
+
+      let slept = 0;
+      runner.sleep = async () => { slept++; };
+      let caught = null;
+      try { await runner.callLLMWithRetry('p4', 0, 'extract'); } catch (e) { caught = e; }
+      assert.ok(caught && caught.isBudgetExceeded);
+      assert.includes(caught.message, 'LLM 예산 한도 도달');
+      assert.equal(slept, 0, '재시도 없음');
+      assert.lengthOf(runner.models, 3, 'API 호출 없음');
+
+      const stats = runner.getStats().budget;
+      assert.equal(stats.state, 'hard');
+      assert.equal(stats.degraded_calls, 1);
+      assert.equal(stats.blocked_calls, 1);
+      assert.equal(stats.truncated, true);
+    });
+
+    await it('예산 비활성 → getStats에 budget 없음', () => {
+      assert.equal(makeRunner({ env, historyPath: historyIn() }).getStats().budget, undefined);
+    });
+
+    await it('프로바이더 보고 비용이 있으면 단가표 대신 그 값으로 집계', () => {
+      const runner = makeRunner({ env, runLimitUsd: 5, historyPath: historyIn() });
+      runner.recordUsage('deepseek/deepseek-v4-pro', { promptTokens: 1e6, completionTokens: 1e6, cachedTokens: 0, costUsd: 0.5 });
+      runner.recordUsage('vendor/unlisted', { promptTokens: 10, completionTokens: 10, cachedTokens: 0, costUsd: 0.25 });
+      const stats = runner.getStats();
+      assert.equal(stats.cost.total_usd, 0.75);
+      assert.closeTo(stats.by_model['deepseek/deepseek-v4-pro'].cost.input_usd, 0.5 / 3, 1e-4);
+      assert.equal(stats.budget.run_spent_usd, 0.75);
+      assert.equal(stats.unpriced_models, undefined);
+    });
+
+    await it('단가 미등록 모델: 예산 설정 시 호출 전 차단, 미설정 시 $0 집계 + 경고 1회', async () => {
+      const blocked = makeRunner({ env, runLimitUsd: 1, historyPath: historyIn() });
+      blocked.model = 'vendor/unlisted';
+      blocked.llmProvider.reportsCost = false;
+      const warns = [];
+      blocked.log = (msg, level) => { if (level === 'warn') warns.push(msg); };
+      let caught = null;
+      try { await blocked.callLLMWithRetry('p', 0, 'extract'); } catch (e) { caught = e; }
+      assert.ok(caught && caught.isBudgetExceeded);
+      assert.includes(caught.message, '단가 미등록 모델 vendor/unlisted');
+      assert.lengthOf(blocked.models, 0, 'API 호출 없음');
+      assert.lengthOf(warns, 1);
+      assert.equal(blocked.getStats().budget.blocked_calls, 1);
+
+      const open = makeRunner({ env, historyPath: historyIn() });
+      open.model = 'vendor/unlisted';
+      const openWarns = [];
+      open.log = (msg, level) => { if (level === 'warn') openWarns.push(msg); };
+      await open.callLLMWithRetry('p1', 0, 'extract');
+      await open.callLLMWithRetry('p2', 0, 'extract');
+      assert.lengthOf(open.models, 2);
+      assert.lengthOf(openWarns, 1);
+      assert.includes(openWarns[0], '$0으로 집계');
+      assert.deepEqual(open.getStats().unpriced_models, ['vendor/unlisted']);
+    });
+
+    await it('비용 보고 프로바이더가 보고를 빠뜨린 미등록 모델 → 다음 호출부터 차단', async () => {
+      const runner = makeRunner({ env, runLimitUsd: 1, historyPath: historyIn() });
+      runner.model = 'vendor/unlisted';
+      assert.equal(runner.llmProvider.reportsCost, true);
+      await runner.callLLMWithRetry('p1', 0, 'extract');
+      let caught = null;
+      try { await runner.callLLMWithRetry('p2', 0, 'extract'); } catch (e) { caught = e; }
+      assert.ok(caught && caught.isBudgetExceeded);
+      assert.lengthOf(runner.models, 1);
+    });
+  });
+
+  await describe('예산 절단 표시', async () => {
+    const { _test } = require('../scripts/orchestrator');
+
+    await it('assessRunHealth: 생략분은 실패율에서 빼고 budgetTruncated', () => {
+      const r = _test.assessRunHealth([
+        { label: 'IT', success: true, messageCount: 10, itemCount: 20, extractFail: 0, extractAttempted: 4, budgetSkipped: 6 }
+      ]);
+      assert.ok(r.healthy);
+      assert.ok(r.budgetTruncated);
+      assert.includes(r.reason, '6건 추출 생략');
+    });
+
+    await it('assessRunHealth: 전부 생략돼 0건 → unhealthy + 사유에 예산', () => {
+      const r = _test.assessRunHealth([
+        { label: 'IT', success: true, messageCount: 3, itemCount: 0, extractFail: 0, extractAttempted: 0, budgetSkipped: 3 }
+      ]);
+      assert.notOk(r.healthy);
+      assert.ok(r.budgetTruncated);
+      assert.includes(r.reason, '비용 예산');
+    });
+
+    await it('budgetResumePlan: window 수집은 다음 실행이 이어받지 않음 → 임시 폴더 보존 + --run 안내', () => {
+      const windowPlan = _test.budgetResumePlan('window', '20261019');
+      assert.ok(windowPlan.keepTemp);
+      assert.includes(windowPlan.note, '다음 실행(다음 시간 구간)은 이 메일을 가져오지 않습니다');
+      assert.includes(windowPlan.note, 'npm run digest -- --run 20261019`');
+      assert.includes(_test.budgetResumePlan('window', '20261019', true).note, '--run 20261019 --dry-run');
+
+      const historyPlan = _test.budgetResumePlan('history', '20261019');
+      assert.notOk(historyPlan.keepTemp);
+      assert.includes(historyPlan.note, '다음 실행이 같은 구간을 다시 가져가');
+    });
+
+    await it('리포트: 절단 안내 + stats bento 안내', () => {
+      const runStats = { budget: { truncated: true, skipped_messages: 4, degraded_calls: 2, soft_ratio: 0.8, fallback_model: 'f' } };
+      assert.includes(describeBudget(runStats.budget), '메일 4건 추출 생략');
+      assert.equal(describeBudget({ truncated: false, degraded_calls: 0 }), null);
+
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: 'IT', items: [{ title: 't', summary: 's' }] }], '2026-10-19', { runStats });
+      assert.includes(html, 'class="budget-note truncated"');
+
+      const { _test: htmlTest } = require('../scripts/generate_html');
+      const bento = htmlTest.renderStatsBento({ ...runStats, budget: { ...runStats.budget, truncated: false } }, []);
+      assert.includes(bento, '2회 f로 처리');
+      assert.notIncludes(htmlTest.renderStatsBento({ cost: { total_usd: 1 } }, []), 'stats-budget-note');
+    });
+  });
+};
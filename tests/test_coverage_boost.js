@@ -1344,25 +1344,27 @@ module.exports = async function () {
       r.log('test', 'info');
     });
 
-    await it('debug/info/warn/error 모든 레벨', () => {
+    await it('debug/info/warn/error 모든 레벨 → 수준별 콘솔 (debug는 LOG_LEVEL=debug일 때만)', () => {
       const r = new AgentRunner('k', 'm', { logDir: os.tmpdir() });
-      // console.log 캡처
-      const origLog = console.log;
+      const orig = { log: console.log, warn: console.warn, error: console.error, level: process.env.LOG_LEVEL };
       const logs = [];
-      console.log = (msg) => logs.push(msg);
+      console.log = (msg) => logs.push(['log', msg]);
+      console.warn = (msg) => logs.push(['warn', msg]);
+      console.error = (msg) => logs.push(['error', msg]);
       try {
+        process.env.LOG_LEVEL = 'debug';
         r.log('debug msg', 'debug');
         r.log('info msg', 'info');
         r.log('warn msg', 'warn');
         r.log('error msg', 'error');
+        delete process.env.LOG_LEVEL;
+        r.log('hidden debug', 'debug');
       } finally {
-        console.log = origLog;
+        Object.assign(console, { log: orig.log, warn: orig.warn, error: orig.error });
+        if (orig.level === undefined) delete process.env.LOG_LEVEL;
+        else process.env.LOG_LEVEL = orig.level;
       }
-      assert.equal(logs.length, 4);
-      assert.includes(logs[0], 'DEBUG');
-      assert.includes(logs[1], 'INFO');
-      assert.includes(logs[2], 'WARN');
-      assert.includes(logs[3], 'ERROR');
+      assert.deepEqual(logs, [['log', 'debug msg'], ['log', 'info msg'], ['warn', 'warn msg'], ['error', 'error msg']]);
     });
   });
 
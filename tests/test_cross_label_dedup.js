@@ -0,0 +1,123 @@
+/**
+ * 라벨 간 중복 제거 테스트
+ * - dedupAcrossLabels: 정규화 link / title+keywords fallback, owner 선정, also_in, 같은 라벨 쌍 보존
+ * - applyCrossLabelDedup: merged_*.json 재기록 + _cross_label_dedup.json
+ * - 통합 MD / render_report의 also in 표시
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { _test } = require('../scripts/orchestrator');
+const { dedupAcrossLabels, applyCrossLabelDedup, generateCombinedMarkdown } = _test;
+
+module.exports = async function () {
+
+  const LONG = '가'.repeat(300); // major tier 요약
+
+  await describe('dedupAcrossLabels: 묶기 규칙', async () => {
+    await it('같은 원문 URL(utm/https 변형 포함) → 한 라벨에만 남고 also_in 표시', () => {
+      const { labelsData, collapsed, removed } = dedupAcrossLabels([
+        { label: '경제', items: [{ title: '금리 동결', summary: '짧음', link: 'http://news.com/a?utm_source=x' }] },
+        { label: '시사', items: [{ title: '한은 금리 동결', summary: LONG, link: 'https://www.news.com/a' }] },
+        { label: '글로벌_경제', items: [{ title: '다른 기사', summary: 's', link: 'https://news.com/b' }] }
+      ]);
+      assert.equal(removed, 1);
+      assert.equal(labelsData[0].items.length, 0);
+      assert.equal(labelsData[0].stats.cross_label_removed, 1);
+      assert.deepEqual(labelsData[1].items[0].also_in, ['경제']);
+      assert.equal(collapsed[0].owner_label, '시사');
+      assert.equal(collapsed[0].removed[0].label, '경제');
+    });
+
+    await it('link 결손 쌍은 title+keywords fallback으로 묶음', () => {
+      const { labelsData, removed } = dedupAcrossLabels([
+        { label: 'IT', items: [{ title: '삼성전자 HBM4 엔비디아 공급 확정', keywords: ['HBM4', '엔비디아'], summary: 's' }] },
+        { label: '경제', items: [{ title: '삼성전자 HBM4 엔비디아 공급 확정 소식', keywords: ['HBM4'], summary: 's', link: 'https://x.com/1' }] }
+      ]);
+      assert.equal(removed, 1);
+      assert.equal(labelsData.reduce((n, d) => n + d.items.length, 0), 1);
+    });
+
+    await it('서로 다른 link는 제목이 비슷해도 묶지 않음', () => {
+      const data = [
+        { label: 'IT', items: [{ title: '삼성전자 HBM4 엔비디아 공급 확정', summary: 's', link: 'https://a.com/1' }] },
+        { label: '경제', items: [{ title: '삼성전자 HBM4 엔비디아 공급 확정', summary: 's', link: 'https://b.com/2' }] }
+      ];
+      const { labelsData, removed } = dedupAcrossLabels(data);
+      assert.equal(removed, 0);
+      assert.equal(labelsData[0], data[0], '변경 없는 라벨은 원본 객체 그대로');
+    });
+
+    await it('같은 라벨 안의 같은 link는 건드리지 않음 (라벨별 병합이 판단)', () => {
+      const { removed, labelsData } = dedupAcrossLabels([
+        { label: 'IT', items: [{ title: 'a', summary: 's', link: 'https://a.com/1' }, { title: 'b', summary: 's', link: 'https://a.com/1' }] }
+      ]);
+      assert.equal(removed, 0);
+      assert.equal(labelsData[0].items.length, 2);
+    });
+
+    await it('owner 동률 → 묶음 멤버가 많은 라벨, 그다음 라벨 이름순', () => {
+      const link = 'https://n.com/x';
+      const r1 = dedupAcrossLabels([
+        { label: 'A', items: [{ title: 't', summary: 's', link }] },
+        { label: 'B', items: [{ title: 't', summary: 's', link }, { title: 't2', summary: 's', link }] }
+      ]);
+      assert.equal(r1.collapsed[0].owner_label, 'B');
+      assert.equal(r1.labelsData[1].items.length, 2, 'owner 라벨 안의 나머지는 유지');
+      const r2 = dedupAcrossLabels([
+        { label: '시사', items: [{ title: 't', summary: 's', link }] },
+        { label: '경제', items: [{ title: 't', summary: 's', link }] }
+      ]);
+      assert.equal(r2.collapsed[0].owner_label, '경제');
+      assert.deepEqual(r2.labelsData[1].items[0].also_in, ['시사']);
+    });
+  });
+
+  await describe('applyCrossLabelDedup: merged 폴더 재기록', async () => {
+    await it('바뀐 라벨만 재기록 + 접은 내역 파일', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlabel-'));
+      const write = (label, items) => fs.writeFileSync(path.join(dir, `merged_${label}.json`),
+        JSON.stringify({ label, total_items: items.length, items, stats: { duplicates_removed: 2 } }));
+      write('경제', [{ title: '금리', summary: LONG, link: 'https://n.com/r' }]);
+      write('시사', [{ title: '금리 기사', summary: 's', link: 'https://n.com/r' }, { title: '남는 기사', summary: 's' }]);
+      write('IT', [{ title: 'AI', summary: 's' }]);
+      const itBefore = fs.readFileSync(path.join(dir, 'merged_IT.json'), 'utf8');
+
+      const result = applyCrossLabelDedup(dir);
+      assert.equal(result.removed, 1);
+      const sisa = JSON.parse(fs.readFileSync(path.join(dir, 'merged_시사.json'), 'utf8'));
+      assert.deepEqual(sisa.items.map(i => i.title), ['남는 기사']);
+      assert.equal(sisa.total_items, 1);
+      assert.equal(sisa.stats.duplicates_removed, 2, '기존 stats 보존');
+      assert.equal(fs.readFileSync(path.join(dir, 'merged_IT.json'), 'utf8'), itBefore);
+      const log = JSON.parse(fs.readFileSync(path.join(dir, '_cross_label_dedup.json'), 'utf8'));
+      assert.deepEqual(log.collapsed[0].also_in, ['시사']);
+
+      const md = generateCombinedMarkdown(dir, new Date('2026-06-01T00:00:00Z'));
+      assert.includes(md, '*also in: 시사*');
+
+      // 재실행해도 추가 제거 없음
+      assert.equal(applyCrossLabelDedup(dir).removed, 0);
+    });
+  });
+
+  await describe('render_report: also in 표시', async () => {
+    const { renderReport } = require('../scripts/render_report');
+
+    await it('also_in → 출처 옆 표시 + 섹션 통계', () => {
+      const html = renderReport([
+        { label: '시사', items: [{ title: '금리', summary: 's', also_in: ['경제', '글로벌_경제'] }] },
+        { label: '경제', items: [{ title: 'x', summary: 's' }], stats: { cross_label_removed: 1 } }
+      ], '2026-06-01');
+      assert.includes(html, 'also in: 경제, 글로벌_경제');
+      assert.includes(html, '다른 라벨과 중복 1');
+    });
+
+    await it('also_in 없음 → 표시 없음', () => {
+      const html = renderReport([{ label: 'IT', items: [{ title: 't', summary: 's' }] }], '2026-06-01');
+      assert.notIncludes(html, 'class="also-in"');
+    });
+  });
+};
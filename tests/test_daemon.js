@@ -0,0 +1,236 @@
+/**
+ * 스케줄러 데몬 테스트
+ * - schedule.js: cron 파싱, KST 실행 시각, 창 타일링, 설정 검증, job별 런 ID
+ * - Daemon: 첫 시작 따라잡기, 잠자기 후 따라잡기 한도, 실패 기록, 잠금 겹침 방지
+ * - 상태 HTTP 엔드포인트
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { parseCron, nextFire, previousFire, fireWindow, windowForDate, jobRunId, loadSchedule } = require('../scripts/schedule');
+const { Daemon, RunLock } = require('../scripts/daemon');
+
+module.exports = async function () {
+
+  const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'daemon-'));
+  const iso = d => d.toISOString();
+
+  await describe('schedule: cron', async () => {
+    await it('필드 해석 (*/n, 범위, 목록, 요일 7 = 일요일)', () => {
+      const c = parseCron('*/15 9-10 * * 1,7');
+      assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+      assert.deepEqual([...c.hour], [9, 10]);
+      assert.ok(c.dow.has(0));
+      assert.throws(() => parseCron('40 9 * *'));
+      assert.throws(() => parseCron('60 9 * * *'));
+      assert.throws(() => parseCron('x 9 * * *'));
+    });
+
+    await it('실행 시각은 KST 기준', () => {
+      const c = parseCron('40 9 * * *');
+      const at = new Date('2026-10-19T00:40:00Z');   // 09:40 KST
+      assert.equal(iso(nextFire(c, at)), '2026-10-20T00:40:00.000Z');
+      assert.equal(iso(previousFire(c, at)), '2026-10-19T00:40:00.000Z');
+    });
+
+    await it('창 = 직전 실행 + 1분 ~ 이번 실행 (기본 스케줄은 전날 09:41 ~ 당일 09:40)', () => {
+      const c = parseCron('40 9 * * *');
+      const w = windowForDate(c, '2026-09-01');
+      assert.equal(iso(w.start), iso(new Date('2026-08-31T09:41:00+09:00')));
+      assert.equal(iso(w.end), iso(new Date('2026-09-01T09:40:00+09:00')));
+    });
+
+    await it('평일만: 주말 창은 null, 월요일 창은 금요일 실행 다음부터', () => {
+      const c = parseCron('0 21 * * 1-5');
+      assert.equal(windowForDate(c, '2026-10-18'), null);
+      const monday = windowForDate(c, '2026-10-19');
+      assert.equal(iso(monday.start), iso(new Date('2026-10-16T21:01:00+09:00')));
+      assert.equal(iso(fireWindow(c, monday.end).start), iso(monday.start));
+    });
+
+    await it('하루 여러 번 실행하는 식도 날짜 창은 하루치를 빈틈 없이 덮음', () => {
+      const c = parseCron('0 8,20 * * *');
+      const d1 = windowForDate(c, '2026-10-01');
+      const d2 = windowForDate(c, '2026-10-02');
+      assert.equal(iso(d1.end), iso(new Date('2026-10-01T20:00:00+09:00')));
+      assert.equal(d2.start.getTime(), d1.end.getTime() + 60 * 1000);
+    });
+
+    await it('jobRunId: 기본 job의 하루 한 번 실행만 날짜, 다른 job·하루 여러 번은 job·시각 포함', () => {
+      const daily = { name: 'daily', parsed: parseCron('40 9 * * *') };
+      const evening = { name: 'it-evening', parsed: parseCron('0 21 * * 1-5') };
+      const twice = { name: 'daily', parsed: parseCron('0 8,20 * * *') };
+      assert.equal(jobRunId(daily, new Date('2026-10-19T09:40:00+09:00'), true), '20261019');
+      assert.equal(jobRunId(evening, new Date('2026-10-19T21:00:00+09:00'), false), '20261019-it-evening-2100');
+      assert.equal(jobRunId(twice, new Date('2026-10-19T08:00:00+09:00'), true), '20261019-daily-0800');
+      assert.equal(jobRunId(twice, new Date('2026-10-19T20:00:00+09:00'), true), '20261019-daily-2000');
+    });
+
+    await it('loadSchedule: 파일 없으면 기본값, 잘못된 설정은 어디가 틀렸는지 포함해 오류', () => {
+      const dir = tmpDir();
+      const file = path.join(dir, 'schedule.json');
+      assert.equal(loadSchedule(file).jobs[0].cron, '40 9 * * *');
+      fs.writeFileSync(file, JSON.stringify({ jobs: [{ name: 'a', cron: '0 9 * * *' }, { name: 'a', cron: '0 10 * * *' }] }));
+      assert.throws(() => loadSchedule(file), /중복/);
+      fs.writeFileSync(file, JSON.stringify({ jobs: [{ name: 'b', cron: '0 25 * * *' }] }));
+      assert.throws(() => loadSchedule(file), /jobs\[0\] \(b\)/);
+    });
+  });
+
+  await describe('Daemon', async () => {
+    const schedule = (catchUpLimit = 3) => ({
+      jobs: [{ name: 'daily', cron: '40 9 * * *', args: ['--labels', 'IT'], parsed: parseCron('40 9 * * *') }],
+      catchUpLimit,
+      statusPort: 0
+    });
+    const make = (options = {}) => {
+      const calls = [];
+      let now = new Date(options.now || '2026-10-19T10:00:00+09:00');
+      const daemon = new Daemon({
+        dir: options.dir || tmpDir(),
+        schedule: schedule(options.catchUpLimit),
+        now: () => now,
+        runWindow: options.runWindow || (async (timeRange, argv, runOptions) => {
+          calls.push({ timeRange, argv, runId: runOptions.runId });
+          return { runId: 'r', status: 'ok', itemCount: 3 };
+        })
+      });
+      return { daemon, calls, setNow: t => { now = new Date(t); } };
+    };
+
+    await it('첫 시작은 가장 최근 실행 1개만 따라잡고, 같은 시각 재tick은 실행 안 함', async () => {
+      const { daemon, calls } = make();
+      await daemon.tick();
+      await daemon.tick();
+      assert.lengthOf(calls, 1);
+      assert.equal(iso(calls[0].timeRange.end), iso(new Date('2026-10-19T09:40:00+09:00')));
+      assert.deepEqual(calls[0].argv, ['--labels', 'IT']);
+      assert.equal(calls[0].runId, '20261019');
+      assert.equal(daemon.state.jobs.daily.last_result, 'ok');
+    });
+
+    await it('잠자기 후: 놓친 실행은 한도만큼 오래된 순으로, 그 이전은 missed', async () => {
+      const dir = tmpDir();
+      const { daemon, calls, setNow } = make({ dir, catchUpLimit: 3 });
+      await daemon.tick();
+      setNow('2026-10-24T12:00:00+09:00');   // 10/20 ~ 10/24 다섯 번 놓침
+      await daemon.tick();
+      const ends = calls.slice(1).map(c => iso(c.timeRange.end));
+      assert.deepEqual(ends, ['2026-10-22', '2026-10-23', '2026-10-24'].map(d => iso(new Date(`${d}T09:40:00+09:00`))));
+      assert.equal(calls[2].timeRange.start.getTime(), calls[1].timeRange.end.getTime() + 60 * 1000);
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8'));
+      assert.equal(saved.history.filter(h => h.status === 'missed').length, 2);
+      assert.equal(saved.jobs.daily.last_fire, ends[2]);
+    });
+
+    await it('실행이 실패해도 기록하고 다음 실행으로 넘어감', async () => {
+      const { daemon } = make({ runWindow: async () => { throw new Error('토큰 만료'); } });
+      await daemon.tick();
+      const last = daemon.state.history[daemon.state.history.length - 1];
+      assert.equal(last.status, 'error');
+      assert.equal(last.error, '토큰 만료');
+      assert.equal(daemon.state.jobs.daily.last_fire, iso(new Date('2026-10-19T09:40:00+09:00')));
+      assert.notOk(fs.existsSync(daemon.lock.filePath));
+    });
+
+    await it('orchestrator.runWindow: 런이 끝나면 설정 캐시를 비워 다음 런이 바뀐 accounts.json을 읽음', async () => {
+      const orchestrator = require('../scripts/orchestrator');
+      const t = orchestrator._test;
+      const dir = tmpDir();
+      const accountsPath = path.join(dir, 'accounts.json');
+      const writeAccounts = names => fs.writeFileSync(accountsPath, JSON.stringify({
+        accounts: names.map(name => ({ name, token: path.join(dir, `token_${name}.json`) }))
+      }));
+      const saved = { accountsPath: t.CONFIG.accountsPath, mailSource: t.CONFIG.mailSource };
+      const origLog = console.log;
+      const origError = console.error;
+      try {
+        t.CONFIG.accountsPath = accountsPath;
+        t.CONFIG.mailSource = null;
+        t._resetGlobals();
+        writeAccounts(['personal']);
+        assert.deepEqual(t.getMailAccounts().map(a => a.name), ['personal']);
+
+        // 런 사이에 계정 추가 (토큰이 없어 런 자체는 설정 오류로 실패)
+        writeAccounts(['personal', 'team']);
+        console.log = () => {};
+        console.error = () => {};
+        const { daemon } = make({ dir, runWindow: orchestrator.runWindow });
+        await daemon.tick();
+        console.log = origLog;
+        console.error = origError;
+        assert.equal(daemon.state.history[daemon.state.history.length - 1].status, 'error');
+        assert.deepEqual(t.getMailAccounts().map(a => a.name), ['personal', 'team']);
+      } finally {
+        console.log = origLog;
+        console.error = origError;
+        Object.assign(t.CONFIG, saved);
+        t._resetGlobals();
+      }
+    });
+
+    await it('살아 있는 프로세스가 잠금을 잡고 있으면 미루고, 죽은 프로세스 잠금은 회수', async () => {
+      const dir = tmpDir();
+      const other = new RunLock(path.join(dir, 'run.lock'));
+      assert.ok(other.acquire({ job: 'manual' }));
+      const { daemon, calls } = make({ dir });
+      await daemon.tick();
+      assert.lengthOf(calls, 0);
+      assert.notOk(daemon.state.history.some(h => h.status === 'ok'));
+
+      fs.writeFileSync(path.join(dir, 'run.lock'), JSON.stringify({ pid: 999999999 }));
+      await daemon.tick();
+      assert.lengthOf(calls, 1);
+      assert.notOk(fs.existsSync(path.join(dir, 'run.lock')));
+    });
+
+    await it('상태 엔드포인트: 다음 실행 시각·최근 이력 JSON, 그 외 경로 404', async () => {
+      const { daemon } = make();
+      await daemon.tick();
+      const port = await daemon.listen(0);
+      const get = p => new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${port}${p}`, res => {
+          let body = '';
+          res.on('data', c => { body += c; });
+          res.on('end', () => resolve({ code: res.statusCode, body }));
+        }).on('error', reject);
+      });
+      try {
+        const res = await get('/status');
+        assert.equal(res.code, 200);
+        const status = JSON.parse(res.body);
+        assert.equal(status.pid, process.pid);
+        assert.equal(status.running, null);
+        assert.equal(status.jobs[0].next_fire, iso(new Date('2026-10-20T09:40:00+09:00')));
+        assert.equal(status.history[0].status, 'ok');
+        assert.equal((await get('/nope')).code, 404);
+      } finally {
+        await daemon.stop();
+      }
+    });
+
+    await it('주기 tick에서 새는 예외는 로그만 남기고 unhandled rejection이 되지 않음', async () => {
+      const { daemon } = make();
+      daemon.runDue = async () => { throw new Error('디스크 가득'); };
+      const unhandled = [];
+      const onUnhandled = e => unhandled.push(e);
+      const errors = [];
+      const originalError = console.error;
+      process.on('unhandledRejection', onUnhandled);
+      console.error = (...args) => errors.push(args.join(' '));
+      try {
+        await daemon.start(5).catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, 40));
+      } finally {
+        console.error = originalError;
+        await daemon.stop();
+        process.off('unhandledRejection', onUnhandled);
+      }
+      assert.lengthOf(unhandled, 0);
+      assert.ok(errors.some(e => e.includes('tick 오류: 디스크 가득')));
+    });
+  });
+};
@@ -0,0 +1,305 @@
+/**
+ * fetch_gmail.js 단위 테스트 (Gmail API는 mock)
+ * - history 증분 동기화: 커서 저장/로드, history.list 수집, 만료(404) 폴백
+ * - 병렬 다운로드 풀: 동시성 제한, 순서 보존(결과 동일성), 쿼터 페이싱
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { GmailFetcher, mapWithConcurrency } = require('../scripts/fetch_gmail');
+
+module.exports = async function () {
+
+  function tmpDir(prefix) {
+    const dir = path.join(os.tmpdir(), `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e6)}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  function base64(s) {
+    return Buffer.from(s, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  /**
+   * Gmail API mock 주입된 fetcher
+   * @param {Object} opts - {listIds, history, historyError, profileHistoryId, labels}
+   */
+  function makeFetcher(opts = {}) {
+    const dir = tmpDir('gmail-fetch');
+    const f = new GmailFetcher(dir, { syncStatePath: path.join(dir, 'gmail_sync_state.json') });
+    f.retryDelays = [];
+    const calls = { list: 0, history: [] };
+    const date = 'Mon, 01 Jun 2026 01:00:00 +0000';
+    f.gmail = {
+      users: {
+        getProfile: async () => ({ data: { emailAddress: 'a@b.com', historyId: opts.profileHistoryId || '500' } }),
+        labels: {
+          list: async () => ({ data: { labels: opts.labels || [{ id: 'L1', name: 'IT' }, { id: 'L2', name: 'IT/AI' }] } })
+        },
+        history: {
+          list: async (params) => {
+            calls.history.push(params);
+            if (opts.historyError) throw opts.historyError;
+            return { data: (opts.history && opts.history[params.labelId]) || {} };
+          }
+        },
+        messages: {
+          list: async () => {
+            calls.list++;
+            return { data: { messages: (opts.listIds || []).map(id => ({ id })) } };
+          },
+          get: async ({ id }) => ({
+            data: {
+              id,
+              labelIds: ['L1'],
+              payload: {
+                headers: [
+                  { name: 'Subject', value: `제목 ${id}` },
+                  { name: 'From', value: 'News <news@example.com>' },
+                  { name: 'Date', value: date }
+                ],
+                body: { data: base64(`<p>본문 ${id}</p>`) }
+              }
+            }
+          })
+        }
+      }
+    };
+    return { f, dir, calls };
+  }
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    const origWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try { return await fn(); } finally { console.log = origLog; console.warn = origWarn; }
+  };
+
+  await describe('fetch_gmail: 동기화 커서 저장/로드', async () => {
+    await it('저장된 커서 없음 → null', () => {
+      const { f } = makeFetcher();
+      assert.equal(f.getSyncCursor('IT'), null);
+    });
+
+    await it('saveSyncCursor → 파일 기록 + 새 인스턴스에서 로드', () => {
+      const { f, dir } = makeFetcher();
+      f.saveSyncCursor('IT', 1234);
+      const f2 = new GmailFetcher(dir, { syncStatePath: f.syncStatePath });
+      assert.equal(f2.getSyncCursor('IT'), '1234');
+      assert.equal(f2.getSyncCursor('경제'), null);
+    });
+
+    await it('손상된 상태 파일 → 빈 상태로 초기화', async () => {
+      const { f } = makeFetcher();
+      fs.writeFileSync(f.syncStatePath, '{broken');
+      await quiet(() => assert.equal(f.getSyncCursor('IT'), null));
+    });
+  });
+
+  await describe('fetch_gmail: listHistoryMessages', async () => {
+    await it('상위/하위 라벨 messageAdded + 해당 라벨 labelAdded만 수집, id 중복 제거', async () => {
+      const { f, calls } = makeFetcher({
+        history: {
+          L1: {
+            history: [
+              { messagesAdded: [{ message: { id: 'm1' } }, { message: { id: 'm2' } }] },
+              { labelsAdded: [{ message: { id: 'm3' }, labelIds: ['L1'] }, { message: { id: 'm9' }, labelIds: ['OTHER'] }] }
+            ]
+          },
+          L2: { history: [{ messagesAdded: [{ message: { id: 'm2' } }, { message: { id: 'm4' } }] }] }
+        }
+      });
+      const list = await quiet(() => f.listHistoryMessages({ label: 'IT', subLabels: ['IT/AI'], startHistoryId: '100' }));
+      assert.deepEqual(list.map(m => m.id), ['m1', 'm2', 'm3', 'm4']);
+      assert.equal(calls.history.length, 2);
+      assert.equal(calls.history[0].startHistoryId, '100');
+    });
+
+    await it('nextPageToken 페이지네이션', async () => {
+      const { f } = makeFetcher();
+      let page = 0;
+      f.gmail.users.history.list = async () => {
+        page++;
+        return page === 1
+          ? { data: { history: [{ messagesAdded: [{ message: { id: 'p1' } }] }], nextPageToken: 't2' } }
+          : { data: { history: [{ messagesAdded: [{ message: { id: 'p2' } }] }] } };
+      };
+      const list = await quiet(() => f.listHistoryMessages({ label: 'IT', subLabels: [], startHistoryId: '1' }));
+      assert.deepEqual(list.map(m => m.id), ['p1', 'p2']);
+    });
+
+    await it('라벨 ID를 찾지 못하면 isLabelUnresolved 에러', async () => {
+      const { f } = makeFetcher({ labels: [] });
+      let err;
+      try { await quiet(() => f.listHistoryMessages({ label: 'IT', subLabels: [], startHistoryId: '1' })); } catch (e) { err = e; }
+      assert.ok(err && err.isLabelUnresolved);
+    });
+  });
+
+  await describe('fetch_gmail: fetchMessages history 모드', async () => {
+    await it('커서 없음(첫 동기화) → 날짜 범위 조회 + 새 커서 반환', async () => {
+      const { f, dir, calls } = makeFetcher({ listIds: ['w1'], profileHistoryId: '777' });
+      const out = path.join(dir, 'raw');
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02', outputDir: out, syncMode: 'history'
+      }));
+      assert.equal(calls.list, 1);
+      assert.equal(result.sync.mode, 'window');
+      assert.equal(result.sync.history_id, '777');
+      assert.ok(fs.existsSync(path.join(out, 'msg_w1.json')));
+    });
+
+    await it('커서 있음 → history 추가분만, 날짜 재필터링 없음', async () => {
+      const { f, dir, calls } = makeFetcher({
+        profileHistoryId: '900',
+        history: { L1: { history: [{ messagesAdded: [{ message: { id: 'h1' } }] }] } }
+      });
+      f.saveSyncCursor('IT', '800');
+      const out = path.join(dir, 'raw');
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02',
+        // 메일 Date(6/1 01:00Z)가 범위 밖이어도 history 모드면 수집
+        rangeStart: '2026-06-10T00:00:00Z', rangeEnd: '2026-06-11T00:00:00Z',
+        outputDir: out, syncMode: 'history'
+      }));
+      assert.equal(calls.list, 0, '날짜 범위 목록 조회 안 함');
+      assert.equal(result.sync.mode, 'history');
+      assert.equal(result.sync.start_history_id, '800');
+      assert.equal(result.sync.history_id, '900');
+      assert.equal(result.total_count, 1);
+      assert.equal(result.skipped_by_date, 0);
+      const summary = JSON.parse(fs.readFileSync(path.join(out, 'messages_list.json'), 'utf8'));
+      assert.equal(summary.sync.history_id, '900');
+    });
+
+    await it('커서 만료(404) → 날짜 범위 조회로 폴백', async () => {
+      const expired = new Error('Requested entity was not found.');
+      expired.code = 404;
+      const { f, dir, calls } = makeFetcher({ listIds: ['w1'], historyError: expired });
+      f.saveSyncCursor('IT', '1');
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02',
+        outputDir: path.join(dir, 'raw'), syncMode: 'history'
+      }));
+      assert.equal(calls.list, 1);
+      assert.equal(result.sync.mode, 'window');
+      assert.equal(result.total_count, 1);
+    });
+
+    await it('만료 외 history 에러는 전파', async () => {
+      const boom = new Error('boom');
+      boom.response = { status: 400 };
+      const { f, dir } = makeFetcher({ historyError: boom });
+      f.saveSyncCursor('IT', '1');
+      let err;
+      try {
+        await quiet(() => f.fetchMessages({
+          label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02',
+          outputDir: path.join(dir, 'raw'), syncMode: 'history'
+        }));
+      } catch (e) { err = e; }
+      assert.ok(err);
+      assert.includes(err.message, 'boom');
+    });
+
+    await it('window 모드(기본) → sync 없음', async () => {
+      const { f, dir } = makeFetcher({ listIds: ['w1'] });
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02', outputDir: path.join(dir, 'raw')
+      }));
+      assert.equal(result.sync, null);
+    });
+  });
+
+  await describe('fetch_gmail: mapWithConcurrency', async () => {
+    await it('동시 실행 수 ≤ concurrency, 결과는 입력 순서', async () => {
+      let running = 0;
+      let peak = 0;
+      const out = await mapWithConcurrency([30, 5, 20, 1, 10, 2], 3, async (ms, i) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(r => setTimeout(r, ms));
+        running--;
+        return i;
+      });
+      assert.deepEqual(out, [0, 1, 2, 3, 4, 5]);
+      assert.lte(peak, 3);
+      assert.gt(peak, 1, '실제로 병렬 실행');
+    });
+
+    await it('빈 입력 → 빈 배열', async () => {
+      assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+    });
+  });
+
+  await describe('fetch_gmail: fetchMessages 병렬 다운로드', async () => {
+    await it('완료 순서가 뒤섞여도 저장 결과·중복 판정은 목록 순서 기준', async () => {
+      const { f, dir } = makeFetcher({ listIds: ['a1', 'a2', 'a3', 'a4'] });
+      f.fetchConcurrency = 4;
+      let labelListCalls = 0;
+      const origLabels = f.gmail.users.labels.list;
+      f.gmail.users.labels.list = async () => { labelListCalls++; return origLabels(); };
+      // a1이 가장 늦게 끝나도록 지연, a1과 a3은 동일 내용(중복)
+      const delays = { a1: 40, a2: 5, a3: 1, a4: 10 };
+      const origGet = f.gmail.users.messages.get;
+      f.gmail.users.messages.get = async ({ id }) => {
+        await new Promise(r => setTimeout(r, delays[id]));
+        const res = await origGet({ id: id === 'a3' ? 'a1' : id });
+        res.data.id = id;
+        return res;
+      };
+      const out = path.join(dir, 'raw');
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02', outputDir: out
+      }));
+      assert.deepEqual(result.messages.map(m => m.id), ['a1', 'a2', 'a4']);
+      assert.deepEqual(result.duplicates, ['a3'], '먼저 나온 a1이 원본');
+      assert.equal(labelListCalls, 1, '라벨 맵은 1회만 조회');
+      const msg = JSON.parse(fs.readFileSync(path.join(out, 'msg_a1.json'), 'utf8'));
+      assert.deepEqual(msg.gmail_labels, ['IT']);
+    });
+
+    await it('개별 다운로드 실패는 건너뛰고 나머지 저장', async () => {
+      const { f, dir } = makeFetcher({ listIds: ['b1', 'b2'] });
+      const origGet = f.gmail.users.messages.get;
+      f.gmail.users.messages.get = async ({ id }) => {
+        if (id === 'b1') { const e = new Error('not found'); e.response = { status: 404 }; throw e; }
+        return origGet({ id });
+      };
+      const result = await quiet(() => f.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02', outputDir: path.join(dir, 'raw')
+      }));
+      assert.deepEqual(result.messages.map(m => m.id), ['b2']);
+      assert.equal(result.total_fetched, 2);
+      assert.deepEqual(result.failed, ['b1'], '실패 ID는 결과에 남김 (커서 커밋 보류용)');
+    });
+  });
+
+  await describe('fetch_gmail: 쿼터 페이싱', async () => {
+    await it('acquireQuota: 단가만큼 다음 슬롯 예약 (초당 units 한도)', async () => {
+      const f = new GmailFetcher(os.tmpdir(), { quotaUnitsPerSecond: 100 });
+      const start = Date.now();
+      await f.acquireQuota(5);   // 즉시
+      await f.acquireQuota(5);   // 50ms 뒤 슬롯
+      await f.acquireQuota(5);   // 100ms 뒤 슬롯
+      assert.gte(Date.now() - start, 90);
+    });
+
+    await it('withRetry: 429 재시도 시 공유 슬롯을 뒤로 민다', async () => {
+      const f = new GmailFetcher(os.tmpdir());
+      f.retryDelays = [30];
+      let attempts = 0;
+      const before = Date.now();
+      const res = await quiet(() => f.withRetry(async () => {
+        attempts++;
+        if (attempts === 1) { const e = new Error('rate'); e.response = { status: 429 }; throw e; }
+        return 'ok';
+      }, 'messages.get(x)'));
+      assert.equal(res, 'ok');
+      assert.gte(f._nextQuotaSlot, before + 30);
+    });
+  });
+};
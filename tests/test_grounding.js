@@ -0,0 +1,118 @@
+/**
+ * 원문 근거 검증 테스트
+ * - extractNumbers: 한국어/영어 단위 환산, 비율, 이름 속 숫자 제외
+ * - checkGrounding: 감사 사례($57B→57억, 김범석→김봉진), 반올림 허용
+ * - groundItem / groundExtraction: 필드 부착, 임계값 미만 재추출 채택 규칙
+ * - 리포트 경고 배지
+ */
+
+const {
+  extractNumbers, checkGrounding, groundItem
+} = require('../scripts/grounding');
+
+module.exports = async function () {
+
+  await describe('extractNumbers', async () => {
+    await it('한국어 단위 조합을 값으로 환산', () => {
+      const values = extractNumbers('5조7000억원, 2천500억, 1조 2천억원, 3천명').map(n => n.value);
+      assert.deepEqual(values, [5.7e12, 2.5e11, 1.2e12, 3000]);
+    });
+
+    await it('영어 단위 / 통화 기호 / 비율', () => {
+      const nums = extractNumbers('$57B and €3.5 million, up 12.5% (2.1%p)');
+      assert.deepEqual(nums.map(n => [n.value, n.type]), [
+        [12.5, 'percent'], [2.1, 'percent'], [57e9, 'amount'], [3.5e6, 'amount']
+      ]);
+    });
+
+    await it('이름 속 숫자(HBM4, GPT-5)·통화 없는 한 글자 단위는 수치 아님', () => {
+      assert.deepEqual(extractNumbers('HBM4와 GPT-5 출시').map(n => n.value), []);
+      assert.equal(extractNumbers('폭 5m 도로')[0].value, 5);
+    });
+  });
+
+  await describe('checkGrounding', async () => {
+    const enSource = 'Coupang said revenue hit $57.3 billion in 2025, up 12.5%.';
+    const koSource = '김범석 쿠팡 의장은 2025년 매출이 570억 달러라고 밝혔다. 반도체 업계는 HBM4 양산을 앞두고 있다.';
+
+    await it('$57B → 57억 달러는 불일치, 570억 달러(반올림)는 일치', () => {
+      const bad = checkGrounding('쿠팡 매출 57억 달러, 12.5% 증가', enSource);
+      assert.deepEqual(bad.unsupported, [{ text: '57억', type: 'amount' }]);
+      assert.equal(bad.score, 0.5);
+      assert.equal(checkGrounding('쿠팡 매출 약 570억 달러', enSource).score, 1);
+    });
+
+    await it('한국어 원문: 직함 앞 이름 대조 (김범석 → 김봉진 검출)', () => {
+      const r = checkGrounding('김봉진 의장, HBM4 양산 언급', koSource);
+      assert.deepEqual(r.unsupported, [{ text: '김봉진', type: 'name' }]);
+      assert.equal(checkGrounding('김범석 의장', koSource).score, 1);
+    });
+
+    await it('영문 원문이면 한글 이름은 검사 안 함, 라틴 고유명사는 대소문자 무시', () => {
+      const r = checkGrounding('김범석 의장: COUPANG 실적', enSource);
+      assert.equal(r.checked, 1);
+      assert.equal(r.score, 1);
+      assert.deepEqual(checkGrounding('Nvidia 언급', enSource).unsupported, [{ text: 'Nvidia', type: 'name' }]);
+    });
+
+    await it('검사할 주장이 없으면 1, 10 미만 맨 숫자·흔한 약어는 제외', () => {
+      const r = checkGrounding('AI 기업 3곳이 2분기 CEO 교체', enSource);
+      assert.equal(r.checked, 0);
+      assert.equal(r.score, 1);
+    });
+  });
+
+  await describe('groundItem / groundExtraction', async () => {
+    const { _test } = require('../scripts/orchestrator');
+    const source = 'Revenue hit $57.3 billion, up 12.5%.';
+
+    await it('임계값 미만 → grounding_warning + 불일치 목록, 원문 없으면 그대로', () => {
+      const item = groundItem({ title: '매출', summary: '매출 57억 달러' }, source, 0.7);
+      assert.equal(item.grounding, 0);
+      assert.deepEqual(item.grounding_unsupported, ['57억']);
+      assert.equal(item.grounding_warning, true);
+
+      const ok = groundItem({ ...item, summary: '매출 573억 달러, 12.5% 증가' }, source, 0.7);
+      assert.equal(ok.grounding, 1);
+      assert.equal(ok.grounding_warning, undefined, '재검증 시 이전 경고 제거');
+      assert.equal(ok.grounding_unsupported, undefined);
+
+      const untouched = { title: 't', summary: '57억' };
+      assert.equal(groundItem(untouched, ''), untouched);
+    });
+
+    await it('재추출: 불일치 표현을 알려주고 점수가 나은 결과 채택', async () => {
+      let note = null;
+      const result = await _test.groundExtraction(
+        { items: [{ title: '매출', summary: '매출 57억 달러' }] },
+        source,
+        async retryNote => { note = retryNote; return { items: [{ title: '매출', summary: '매출 573억 달러' }] }; }
+      );
+      assert.includes(note, '57억');
+      assert.equal(result.items[0].grounding, 1);
+    });
+
+    await it('재추출이 더 나쁘거나 실패하면 원래 결과 유지 (경고 남김)', async () => {
+      const original = { items: [{ title: '매출', summary: '매출 57억 달러, 12.5% 증가' }] };
+      const worse = await _test.groundExtraction(original, source,
+        async () => ({ items: [{ title: '매출', summary: '매출 5억 달러, 3.3% 증가' }] }));
+      assert.includes(worse.items[0].summary, '57억');
+      assert.equal(worse.items[0].grounding_warning, true);
+
+      const failed = await _test.groundExtraction(original, source, async () => { throw new Error('boom'); });
+      assert.equal(failed.items[0].grounding, 0.5);
+    });
+  });
+
+  await describe('리포트 경고 배지', async () => {
+    await it('grounding_warning 아이템만 배지 + 불일치 표현 툴팁', () => {
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: 'IT', items: [
+        { title: '경고', summary: 's', grounding: 0.5, grounding_warning: true, grounding_unsupported: ['57억', '김봉진'] },
+        { title: '정상', summary: 's', grounding: 1 }
+      ] }], '2026-10-19');
+      assert.includes(html, 'title="원문에서 확인되지 않음: 57억, 김봉진">⚠ 원문 확인 필요');
+      assert.equal(html.split('class="ground-warn"').length, 2);
+    });
+  });
+};
@@ -0,0 +1,110 @@
+/**
+ * 날짜 간 중복(이전 보도) 테스트
+ * - dedupAgainstHistory: 정규화 link / title+keywords fallback, 라벨별 창, 업데이트 판정, hide 모드
+ * - applyHistoryDedup: 아카이브 기준 merged_*.json 재기록 + _history_dedup.json
+ * - render_report: "이전 보도" 목록, 업데이트 배지
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { _test } = require('../scripts/orchestrator');
+const { dedupAgainstHistory, applyHistoryDedup } = _test;
+const { ItemArchive, recordsFromMerged } = require('../scripts/item_archive');
+
+module.exports = async function () {
+
+  const reportDate = '2026-10-19';
+  const history = [
+    { date: '2026-10-16', label: '경제', title: '한은 기준금리 동결', summary: '한국은행이 기준금리를 연 2.5%로 동결했다.', link: 'https://news.com/rate?utm_source=nl' },
+    { date: '2026-10-10', label: 'IT', title: '삼성전자 HBM4 엔비디아 공급 개시', summary: '삼성전자가 HBM4를 공급한다.', keywords: ['삼성전자', 'HBM4', '엔비디아', '반도체'] },
+    { date: '2026-10-19', label: 'IT', title: '오늘 재실행 기록', summary: 's', link: 'https://news.com/today' }
+  ];
+
+  await describe('dedupAgainstHistory', async () => {
+    await it('같은 원문 URL(utm 변형) → 이전 보도로 접고 첫 보도 날짜·라벨 기록', () => {
+      const { labelsData, removed, repeats } = dedupAgainstHistory([
+        { label: '시사', items: [
+          { title: '기준금리 동결', summary: '한국은행이 기준금리를 동결했다.', link: 'https://www.news.com/rate' },
+          { title: '새 기사', summary: 's', link: 'https://news.com/new' }
+        ] }
+      ], history, { reportDate, days: 7 });
+      assert.equal(removed, 1);
+      assert.deepEqual(labelsData[0].items.map(it => it.title), ['새 기사']);
+      assert.deepEqual([labelsData[0].previously_reported[0].first_reported, labelsData[0].previously_reported[0].first_label], ['2026-10-16', '경제']);
+      assert.equal(labelsData[0].stats.history_removed, 1);
+      assert.equal(repeats[0].label, '시사');
+    });
+
+    await it('요약에 지난 보도에 없던 수치가 있으면 숨기지 않고 update_of + new_facts', () => {
+      const { labelsData, removed, updates } = dedupAgainstHistory([
+        { label: '경제', items: [{ title: '한은 금리 동결 후 환율', summary: '동결 직후 원·달러 환율이 1,420원까지 올랐다.', link: 'https://news.com/rate' }] }
+      ], history, { reportDate, days: 7 });
+      assert.equal(removed, 0);
+      assert.equal(updates, 1);
+      const item = labelsData[0].items[0];
+      assert.equal(item.update_of.date, '2026-10-16');
+      assert.includes(item.new_facts.join(' '), '1,420');
+    });
+
+    await it('link 결손 쌍은 title+keywords fallback, 라벨별 창 밖이면 유지', () => {
+      const labels = [
+        { label: 'IT', items: [{ title: '삼성전자 HBM4 엔비디아 공급', summary: '삼성전자가 HBM4를 공급한다.', keywords: ['삼성전자', 'HBM4', '엔비디아'] }] }
+      ];
+      assert.equal(dedupAgainstHistory(labels, history, { reportDate, days: 14 }).removed, 1);
+      const narrow = dedupAgainstHistory(labels, history, { reportDate, days: 14, daysByLabel: { IT: 3 } });
+      assert.equal(narrow.removed, 0);
+      assert.equal(narrow.labelsData[0], labels[0]);
+    });
+
+    await it('hide 모드는 previously_reported 없이 제거, 오늘 날짜 기록은 무시', () => {
+      const { labelsData, removed } = dedupAgainstHistory([
+        { label: 'IT', items: [
+          { title: '금리 동결', summary: '한국은행이 기준금리를 동결했다.', link: 'https://news.com/rate' },
+          { title: '오늘 재실행 기록', summary: 's', link: 'https://news.com/today' }
+        ] }
+      ], history, { reportDate, days: 7, mode: 'hide' });
+      assert.equal(removed, 1);
+      assert.equal(labelsData[0].previously_reported, undefined);
+      assert.deepEqual(labelsData[0].items.map(it => it.link), ['https://news.com/today']);
+    });
+  });
+
+  await describe('applyHistoryDedup', async () => {
+    await it('아카이브의 지난 기록으로 merged 재기록 + _history_dedup.json', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hist-'));
+      const archive = new ItemArchive(path.join(dir, 'archive'));
+      archive.add(recordsFromMerged({ label: '경제', items: [history[0]] }, { date: '2026-10-16' }));
+      const mergedDir = path.join(dir, 'merged');
+      fs.mkdirSync(mergedDir);
+      fs.writeFileSync(path.join(mergedDir, 'merged_시사.json'), JSON.stringify({ label: '시사', items: [
+        { title: '기준금리 동결', summary: '한국은행이 기준금리를 동결했다.', link: 'https://news.com/rate' }
+      ] }));
+      fs.writeFileSync(path.join(mergedDir, 'merged_IT.json'), JSON.stringify({ label: 'IT', items: [{ title: '무관', summary: 's', link: 'https://x.com/1' }] }));
+      const before = fs.readFileSync(path.join(mergedDir, 'merged_IT.json'), 'utf8');
+
+      const r = applyHistoryDedup(mergedDir, archive, { reportDate, days: 7, mode: 'collapse' });
+      assert.deepEqual(r, { removed: 1, updates: 0 });
+      const saved = JSON.parse(fs.readFileSync(path.join(mergedDir, 'merged_시사.json'), 'utf8'));
+      assert.lengthOf(saved.items, 0);
+      assert.lengthOf(saved.previously_reported, 1);
+      assert.equal(fs.readFileSync(path.join(mergedDir, 'merged_IT.json'), 'utf8'), before);
+      assert.equal(JSON.parse(fs.readFileSync(path.join(mergedDir, '_history_dedup.json'), 'utf8')).removed, 1);
+    });
+  });
+
+  await describe('render_report: 이전 보도 / 업데이트', async () => {
+    await it('이전 보도 접힌 목록(첫 보도 날짜) + 업데이트 배지', () => {
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: '시사', items: [
+        { title: '환율 급등', summary: 's', update_of: { date: '2026-10-16', label: '경제', title: 't' }, new_facts: ['1,420원'] }
+      ], previously_reported: [
+        { title: '기준금리 동결', summary: 's', first_reported: '2026-10-16', first_label: '경제' }
+      ] }], reportDate);
+      assert.includes(html, '🕘 이전 보도 1건');
+      assert.includes(html, '<span class="prev-date">10/16 · 경제</span>');
+      assert.includes(html, '2026-10-16 보도 이후 새 내용: 1,420원');
+    });
+  });
+};
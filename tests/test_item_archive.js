@@ -0,0 +1,101 @@
+/**
+ * 아이템 아카이브 테스트
+ * - 병합 결과 → 레코드, 같은 날짜·라벨 재기록은 교체
+ * - 검색: 한글 bigram·라틴 접두, 날짜·라벨 필터, 색인 손상 시 재생성
+ * - 백필 폴더 가져오기, CSV 내보내기
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { ItemArchive, recordsFromMerged, toCsv, tokenize } = require('../scripts/item_archive');
+
+module.exports = async function () {
+
+  const tmp = () => fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+  const merged = (label, items) => ({ label, items });
+
+  const hbm = { title: '삼성전자 HBM4 양산 시작', summary: '엔비디아에 첫 물량을 공급했다.', keywords: ['반도체'], link: 'https://a.com/1', source: '더밀크', source_excerpt: '원문' };
+  const rate = { title: '한은 기준금리 동결', summary: '물가 둔화에도 가계부채를 이유로 동결.', source: '한경' };
+
+  await describe('recordsFromMerged / add', async () => {
+    await it('날짜·라벨·출처 필드만 남기고 source_excerpt는 제외', () => {
+      const [r] = recordsFromMerged(merged('IT', [hbm]), { date: '2026-09-03', runId: '20260903' });
+      assert.equal(r.date, '2026-09-03');
+      assert.equal(r.label, 'IT');
+      assert.equal(r.origin, 'digest');
+      assert.equal(r.source, '더밀크');
+      assert.equal(r.source_excerpt, undefined);
+      assert.match(r.id, /^[0-9a-f]{16}$/);
+    });
+
+    await it('같은 날짜·라벨 재기록은 교체, 다른 라벨은 유지', () => {
+      const archive = new ItemArchive(tmp());
+      archive.add(recordsFromMerged(merged('IT', [hbm, { title: '옛 요약' }]), { date: '2026-09-03' }));
+      archive.add(recordsFromMerged(merged('경제', [rate]), { date: '2026-09-03' }));
+      const r = archive.add(recordsFromMerged(merged('IT', [hbm]), { date: '2026-09-03' }));
+      assert.deepEqual(r, { added: 1, replaced: 2 });
+      assert.deepEqual(archive.search('').map(x => x.title).sort(), [hbm.title, rate.title].sort());
+    });
+  });
+
+  await describe('search', async () => {
+    const archive = new ItemArchive(tmp());
+    archive.add(recordsFromMerged(merged('IT', [hbm]), { date: '2026-08-20' }));
+    archive.add(recordsFromMerged(merged('IT', [{ ...hbm, title: 'SK하이닉스 HBM 증설', link: 'https://a.com/2' }]), { date: '2026-09-05' }));
+    archive.add(recordsFromMerged(merged('경제', [rate]), { date: '2026-09-05' }));
+
+    await it('라틴 접두("hbm" → HBM4)·대소문자 무시, 최신 날짜 우선', () => {
+      assert.deepEqual(archive.search('hbm').map(r => r.date), ['2026-09-05', '2026-08-20']);
+    });
+
+    await it('한글은 조사·어절 경계와 무관하게 부분 일치, 여러 단어는 AND', () => {
+      assert.deepEqual(archive.search('금리').map(r => r.label), ['경제']);
+      assert.deepEqual(archive.search('삼성 엔비디아').map(r => r.date), ['2026-08-20']);
+      assert.lengthOf(archive.search('삼성 금리'), 0);
+    });
+
+    await it('라틴 단어에 조사가 붙어도("HBM3E가", "HBM은") 라틴 접두로 검색', () => {
+      const mixed = new ItemArchive(tmp());
+      mixed.add(recordsFromMerged(merged('IT', [{
+        title: '삼성전자 HBM3E가 엔비디아 인증 통과', summary: 'SK하이닉스의 HBM은 이미 공급 중이다.', link: 'https://a.com/m'
+      }]), { date: '2026-09-10' }));
+      assert.lengthOf(mixed.search('HBM'), 1);
+      assert.lengthOf(mixed.search('hbm3e'), 1);
+      assert.lengthOf(mixed.search('하이닉스 엔비디아'), 1);
+      assert.deepEqual([...tokenize('HBM3E가')], ['hbm3e', '가']);
+    });
+
+    await it('since/until·label 필터', () => {
+      assert.deepEqual(archive.search('hbm', { since: '2026-09-01' }).map(r => r.date), ['2026-09-05']);
+      assert.deepEqual(archive.search('', { labels: ['경제'] }).map(r => r.title), [rate.title]);
+      assert.lengthOf(archive.search('', { until: '2026-08-31' }), 1);
+    });
+
+    await it('색인 파일이 손상되면 세그먼트에서 다시 만든다', () => {
+      fs.writeFileSync(path.join(archive.indexDir, '2026-09.json'), '{broken', 'utf8');
+      assert.lengthOf(archive.search('하이닉스'), 1);
+      assert.equal(JSON.parse(fs.readFileSync(path.join(archive.indexDir, '2026-09.json'), 'utf8')).count, 2);
+    });
+  });
+
+  await describe('백필 가져오기 / 내보내기', async () => {
+    await it('merged 있으면 merged, 없으면 items_*.json 사용 (날짜는 폴더명)', () => {
+      const runDir = path.join(tmp(), '20260501');
+      fs.mkdirSync(path.join(runDir, 'labels', 'IT', 'merged'), { recursive: true });
+      fs.mkdirSync(path.join(runDir, 'labels', '경제', 'items'), { recursive: true });
+      fs.writeFileSync(path.join(runDir, 'labels', 'IT', 'merged', 'merged_IT.json'), JSON.stringify({ items: [hbm] }));
+      fs.writeFileSync(path.join(runDir, 'labels', '경제', 'items', 'items_m1.json'), JSON.stringify({ items: [rate] }));
+      const archive = new ItemArchive(tmp());
+      assert.deepEqual(archive.importBackfillRun(runDir), { added: 2, replaced: 0 });
+      const records = archive.search('');
+      assert.deepEqual(records.map(r => [r.date, r.label, r.origin]), [['2026-05-01', '경제', 'backfill'], ['2026-05-01', 'IT', 'backfill']]);
+    });
+
+    await it('CSV: 쉼표·따옴표 이스케이프, 키워드는 한 칸', () => {
+      const csv = toCsv([{ date: '2026-09-05', label: 'IT', title: 'A, "B"', summary: 's', keywords: ['x', 'y'] }]);
+      assert.equal(csv.split('\r\n')[1], '2026-09-05,IT,"A, ""B""",s,,,"x, y"');
+    });
+  });
+};
@@ -0,0 +1,122 @@
+/**
+ * 정크 아이템 필터 테스트
+ * - 규칙 조건: 제목/요약 정규식, 최소 내용 길이, link 도메인, 발신자 범위
+ * - SKILL "## 정크 규칙" 섹션 파싱 + 전역 규칙과 함께 적용
+ * - 규칙 검증 오류, 기본 config/junk_rules.json
+ * - 리포트 "제외" 탭
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { JunkFilter, parseSkillJunkRules } = require('../scripts/junk_filter');
+
+module.exports = async function () {
+
+  const longSummary = '삼성전자가 HBM4 양산을 시작하고 엔비디아에 첫 물량을 공급했다고 밝혔다.';
+
+  await describe('JunkFilter 규칙 조건', async () => {
+    await it('제목 정규식 + 최소 내용 길이는 AND (둘 다 만족해야 제외)', () => {
+      const f = new JunkFilter([{ id: 'byline', reason: '바이라인', match: { title: '^by\\s', min_content_chars: 40 } }]);
+      assert.equal(f.evaluate({ title: 'By Jane Doe', summary: '' }).id, 'byline');
+      assert.equal(f.evaluate({ title: 'By the numbers: 반도체 수출', summary: longSummary }), null);
+    });
+
+    await it('link_domains는 해당 도메인과 하위 도메인만 매치', () => {
+      const f = new JunkFilter([{ id: 'ad-link', reason: '광고', match: { link_domains: ['doubleclick.net'] } }]);
+      assert.equal(f.evaluate({ title: 't', link: 'https://ad.doubleclick.net/x' }).id, 'ad-link');
+      assert.equal(f.evaluate({ title: 't', link: 'https://notdoubleclick.net/x' }), null);
+      assert.equal(f.evaluate({ title: 't', link: '' }), null);
+    });
+
+    await it('senders가 있으면 그 발신자 아이템에만 적용', () => {
+      const f = new JunkFilter([{ id: 'nyt-teaser', reason: '티저', match: { summary: 'read more', senders: ['NYTDirect@nytimes.com'] } }]);
+      assert.equal(f.evaluate({ title: 't', summary: 'Read more', source_email: 'nytdirect@nytimes.com' }).id, 'nyt-teaser');
+      assert.equal(f.evaluate({ title: 't', summary: 'Read more', source_email: 'other@x.com' }), null);
+    });
+  });
+
+  await describe('SKILL 정크 규칙', async () => {
+    const skill = [
+      '# SKILL_NYT',
+      '',
+      '## 정크 규칙',
+      '',
+      '```json',
+      '[{ "id": "nyt-games", "reason": "게임 안내", "match": { "title": "^(wordle|connections)" } }]',
+      '```',
+      '',
+      '## 처리 규칙',
+      '```json',
+      '[{ "id": "not-junk" }]',
+      '```'
+    ].join('\n');
+
+    await it('"## 정크 규칙" 섹션의 json 블록만 읽고, 섹션이 없으면 빈 배열', () => {
+      assert.deepEqual(parseSkillJunkRules(skill).map(r => r.id), ['nyt-games']);
+      assert.deepEqual(parseSkillJunkRules('# SKILL\n## 처리 규칙\n'), []);
+    });
+
+    await it('filter: SKILL 규칙 + 전역 규칙, dropped에 rule_id·reason', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'junk-'));
+      const skillPath = path.join(dir, 'SKILL_nyt.md');
+      fs.writeFileSync(skillPath, skill, 'utf8');
+      const f = new JunkFilter([{ id: 'past', reason: '지난호', match: { title: '지난\\s?호' } }]);
+      const { kept, dropped } = f.filter([
+        { title: 'Wordle 오늘의 힌트', summary: longSummary, source_email: 'nyt@x.com' },
+        { title: 'Wordle 오늘의 힌트', summary: longSummary, source_email: 'other@x.com' },
+        { title: '지난호 다시 보기', summary: longSummary, source_email: 'other@x.com' }
+      ], email => (email === 'nyt@x.com' ? skillPath : null));
+      assert.lengthOf(kept, 1);
+      assert.equal(kept[0].source_email, 'other@x.com');
+      assert.deepEqual(dropped.map(d => [d.rule_id, d.reason]), [['nyt-games', '게임 안내'], ['past', '지난호']]);
+    });
+  });
+
+  await describe('규칙 검증', async () => {
+    await it('id/reason 누락, 잘못된 정규식, 조건 없음, 모르는 키는 에러', () => {
+      assert.throws(() => new JunkFilter([{ reason: 'r', match: { title: 'x' } }]));
+      assert.throws(() => new JunkFilter([{ id: 'a', reason: 'r', match: { title: '(' } }]));
+      assert.throws(() => new JunkFilter([{ id: 'a', reason: 'r', match: { senders: ['a@b.c'] } }]));
+      assert.throws(() => new JunkFilter([{ id: 'a', reason: 'r', match: { body: 'x' } }]));
+    });
+
+    await it('기본 config: 바이라인·광고·지난호·헤더 조각 제외, 일반 기사 유지', () => {
+      const f = JunkFilter.fromConfig();
+      assert.equal(f.evaluate({ title: 'By Jane Doe', summary: '' }).id, 'byline-only');
+      assert.equal(f.evaluate({ title: '[광고] 신제품 출시', summary: longSummary }).id, 'ad-card');
+      assert.equal(f.evaluate({ title: '지난호 다시 보기', summary: longSummary }).id, 'past-issue-teaser');
+      assert.equal(f.evaluate({ title: 'Top Stories', summary: '' }).id, 'header-fragment');
+      assert.equal(f.evaluate({ title: '광고 시장 성장세 둔화', summary: longSummary }), null);
+      assert.equal(f.evaluate({ title: '삼성 HBM4 양산', summary: longSummary }), null);
+    });
+
+    await it('기본 config: 광고는 괄호·콜론 표기만, 아카이브 티저는 머리말 형태만', () => {
+      const f = JunkFilter.fromConfig();
+      assert.equal(f.evaluate({ title: 'Sponsored: 클라우드 비용 절감 가이드', summary: longSummary }).id, 'ad-card');
+      assert.equal(f.evaluate({ title: '(AD) 신규 카드 혜택', summary: longSummary }).id, 'ad-card');
+      assert.equal(f.evaluate({ title: 'From the archives: 2019 반도체 사이클', summary: longSummary }).id, 'past-issue-teaser');
+      assert.equal(f.evaluate({ title: '[Past issues]', summary: longSummary }).id, 'past-issue-teaser');
+      assert.equal(f.evaluate({ title: 'Ad-hoc 분석 도구, 데이터팀 표준으로', summary: longSummary }), null);
+      assert.equal(f.evaluate({ title: 'Sponsored-by research 논란, 학술지 철회', summary: longSummary }), null);
+      assert.equal(f.evaluate({ title: 'Advertisement spending falls 8%', summary: longSummary }), null);
+      assert.equal(f.evaluate({ title: 'From the archives of the Fed, new minutes surface', summary: longSummary }), null);
+    });
+  });
+
+  await describe('리포트 제외 탭', async () => {
+    await it('라벨별 dropped를 사유별로 묶어 "제외" pill + 섹션', () => {
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: 'IT', items: [{ title: '기사', summary: longSummary }], dropped: [
+        { title: 'By <Jane>', source: 'NYT', reason: '바이라인', rule_id: 'byline-only' },
+        { title: '[광고] x', source: 'Axios', reason: '광고', rule_id: 'ad-card' }
+      ] }], '2026-10-19');
+      assert.includes(html, 'data-target="sec-excluded"');
+      assert.includes(html, '🚫 2개 제외');
+      assert.includes(html, '바이라인 1건');
+      assert.includes(html, 'By &lt;Jane&gt;');
+      assert.includes(html, 'NYT · IT');
+    });
+  });
+};
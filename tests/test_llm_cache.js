@@ -0,0 +1,144 @@
+/**
+ * LLM 요청/응답 캐시 테스트
+ * - LlmCache: 키 구성, 모드별 lookup/store, replay 미스 에러
+ * - AgentRunner: record → replay가 실제 callLLMWithRetry 경로를 API 호출 없이 재생, 잘린·깨진 응답은 기록 안 함
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { LlmCache } = require('../scripts/llm_cache');
+const { AgentRunner } = require('../scripts/agent_runner');
+
+module.exports = async function () {
+
+  const tmpCacheDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+
+  function makeRunner(cache, responses) {
+    const runner = new AgentRunner('k', 'test/model', { logDir: os.tmpdir(), cache });
+    runner.log = () => {};
+    runner.minRequestInterval = 0;
+    runner.retryDelays = [0, 0, 0];
+    runner.calls = 0;
+    runner.callLLM = async () => {
+      const r = responses[Math.min(runner.calls, responses.length - 1)];
+      runner.calls++;
+      return r;
+    };
+    return runner;
+  }
+
+  await describe('LlmCache', async () => {
+    await it('키: 모델/시스템 프롬프트/프롬프트 중 하나만 달라도 다른 키', () => {
+      const base = LlmCache.keyOf('m', 'sys', 'p');
+      assert.equal(base, LlmCache.keyOf('m', 'sys', 'p'));
+      assert.ok(base !== LlmCache.keyOf('m2', 'sys', 'p'));
+      assert.ok(base !== LlmCache.keyOf('m', 'sys2', 'p'));
+      assert.ok(base !== LlmCache.keyOf('m', 'sys', 'p2'));
+      assert.ok(LlmCache.keyOf('ab', 'c', '') !== LlmCache.keyOf('a', 'bc', ''), '필드 경계 구분');
+    });
+
+    await it('record는 조회하지 않고 기록만, read-through는 미스 → null 후 기록분 히트', () => {
+      const dir = tmpCacheDir();
+      const rec = new LlmCache({ mode: 'record', dir });
+      assert.equal(rec.lookup('ab12'), null);
+      rec.store('ab12', '{"items":[]}', { model: 'm' });
+      assert.ok(fs.existsSync(path.join(dir, 'ab', 'ab12.json')));
+
+      const rt = new LlmCache({ mode: 'read-through', dir });
+      assert.equal(rt.lookup('cd34'), null);
+      assert.equal(rt.lookup('ab12'), '{"items":[]}');
+      assert.deepEqual([rt.stats.hits, rt.stats.misses], [1, 1]);
+    });
+
+    await it('replay 미스 → isCacheMiss 에러, replay는 기록 안 함', () => {
+      const cache = new LlmCache({ mode: 'replay', dir: tmpCacheDir() });
+      let caught = null;
+      try { cache.lookup('ffff'); } catch (e) { caught = e; }
+      assert.ok(caught && caught.isCacheMiss);
+      cache.store('ffff', 'x');
+      assert.equal(cache.stats.writes, 0);
+    });
+
+    await it('잘못된 모드 → 에러', () => {
+      assert.throws(() => new LlmCache({ mode: 'replay-ish' }));
+    });
+  });
+
+  await describe('AgentRunner + LLM 캐시', async () => {
+    await it('record → replay: API 호출 없이 같은 결과 (runSinglePrompt 경로)', async () => {
+      const dir = tmpCacheDir();
+      const recorder = makeRunner({ mode: 'record', dir }, ['{"items": [{"title": "금리 동결"}]}']);
+      const recorded = await recorder.runSinglePrompt('# 헤더', '입력 본문', { taskType: 'extract' });
+      assert.equal(recorder.calls, 1);
+      assert.equal(recorder.getStats().llm_cache.writes, 1);
+
+      const replayer = makeRunner({ mode: 'replay', dir }, ['API 호출되면 안 됨']);
+      const replayed = await replayer.runSinglePrompt('# 헤더', '입력 본문', { taskType: 'extract' });
+      assert.equal(replayer.calls, 0);
+      assert.deepEqual(replayed, recorded);
+      assert.equal(replayer.getStats().llm_cache.hits, 1);
+    });
+
+    await it('잘린 응답은 복구해 써도 캐시에 남기지 않음 → 다음 실행은 다시 API 호출', async () => {
+      const dir = tmpCacheDir();
+      const truncated = '{"items": [{"title": "첫 기사", "summary": "요약"}';
+      const first = makeRunner({ mode: 'read-through', dir }, [truncated]);
+      const live = await first.callLLMWithRetry('p', 0, 'extract');
+      assert.equal(JSON.parse(live).items[0].title, '첫 기사');
+
+      const second = makeRunner({ mode: 'read-through', dir }, ['{"items": [{"title": "첫 기사"}, {"title": "둘째 기사"}]}']);
+      const full = await second.callLLMWithRetry('p', 0, 'extract');
+      assert.equal(second.calls, 1);
+      assert.lengthOf(JSON.parse(full).items, 2);
+
+      const replayer = makeRunner({ mode: 'replay', dir }, ['x']);
+      assert.equal(await replayer.callLLMWithRetry('p', 0, 'extract'), full);
+    });
+
+    await it('괄호는 맞지만 파싱 안 되는 응답도 기록하지 않음', async () => {
+      const dir = tmpCacheDir();
+      const runner = makeRunner({ mode: 'record', dir }, ['{"items": [1 2 3]}']);
+      await runner.callLLMWithRetry('p', 0, 'extract');
+      const replayer = makeRunner({ mode: 'replay', dir }, ['x']);
+      await assert.asyncThrows(() => replayer.callLLMWithRetry('p', 0, 'extract'));
+    });
+
+    await it('복구 불가 캐시 응답 → 재시도 없이 에러', async () => {
+      const dir = tmpCacheDir();
+      const replayer = makeRunner({ mode: 'replay', dir }, ['x']);
+      new LlmCache({ mode: 'record', dir }).store(replayer.cacheKeyOf('p', 'extract'), '{"wrong": ');
+      let slept = 0;
+      replayer.sleep = async () => { slept++; };
+      await assert.asyncThrows(() => replayer.callLLMWithRetry('p', 0, 'extract'));
+      assert.equal(slept, 0);
+      assert.equal(replayer.calls, 0);
+    });
+
+    await it('replay 미스 → 재시도 없이 즉시 실패, API 호출 없음', async () => {
+      const replayer = makeRunner({ mode: 'replay', dir: tmpCacheDir() }, ['{"items": []}']);
+      let slept = 0;
+      replayer.sleep = async () => { slept++; };
+      let caught = null;
+      try { await replayer.callLLMWithRetry('새 프롬프트', 0, 'extract'); } catch (e) { caught = e; }
+      assert.includes(caught.message, 'LLM 캐시 미스');
+      assert.equal(slept, 0);
+      assert.equal(replayer.calls, 0);
+    });
+
+    await it('read-through: 첫 호출만 API, 다른 작업 유형은 다른 키', async () => {
+      const runner = makeRunner({ mode: 'read-through', dir: tmpCacheDir() }, ['{"items": []}']);
+      await runner.callLLMWithRetry('p', 0, 'extract');
+      await runner.callLLMWithRetry('p', 0, 'extract');
+      assert.equal(runner.calls, 1);
+      await runner.callLLMWithRetry('p', 0, 'analyze');
+      assert.equal(runner.calls, 2, '시스템 프롬프트가 다르면 미스');
+    });
+
+    await it('off(기본) → 캐시 통계 없음', () => {
+      const runner = makeRunner({ mode: 'off' }, ['{}']);
+      assert.equal(runner.getStats().llm_cache, undefined);
+    });
+  });
+};
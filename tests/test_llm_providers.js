@@ -0,0 +1,189 @@
+/**
+ * LLM 프로바이더 테스트
+ * - resolveProviderSpec: config/llm.json 프로필 + env 재정의
+ * - 프로바이더별 요청 구성 / 응답·사용량 파싱 / 에러 분류
+ * - AgentRunner.callProvider가 선택된 프로바이더로 호출
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  resolveProviderSpec,
+  createProvider
+} = require('../scripts/llm_providers');
+const { AgentRunner } = require('../scripts/agent_runner');
+
+module.exports = async function () {
+
+  function writeConfig(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+    const p = path.join(dir, 'llm.json');
+    fs.writeFileSync(p, JSON.stringify(config));
+    return p;
+  }
+
+  const noConfig = path.join(os.tmpdir(), 'no-such-llm.json');
+  const req = { model: 'm', systemPrompt: 'sys', prompt: 'p', temperature: 0.1, maxTokens: 100, json: true, reasoning: false };
+
+  await describe('resolveProviderSpec', async () => {
+    await it('설정 없음 → OpenRouter + OPENROUTER_API_KEY (기존 동작)', () => {
+      const spec = resolveProviderSpec({ configPath: noConfig, env: { OPENROUTER_API_KEY: 'or' } });
+      assert.equal(spec.type, 'openrouter');
+      assert.equal(spec.apiKey, 'or');
+      assert.equal(spec.requiresApiKey, true);
+      assert.equal(spec.model, null);
+    });
+
+    await it('config 프로필 선택 + env 재정의', () => {
+      const configPath = writeConfig({
+        provider: 'local',
+        providers: {
+          local: { type: 'openai', base_url: 'http://localhost:8000/v1', model: 'qwen' },
+          claude: { type: 'anthropic', api_key_env: 'MY_ANTHROPIC' }
+        }
+      });
+      const local = resolveProviderSpec({ configPath, env: {} });
+      assert.equal(local.type, 'openai');
+      assert.equal(local.baseUrl, 'http://localhost:8000/v1');
+      assert.equal(local.model, 'qwen');
+      assert.equal(local.requiresApiKey, false);
+
+      const claude = resolveProviderSpec({ configPath, env: { LLM_PROVIDER: 'claude', MY_ANTHROPIC: 'sk-a', LLM_MODEL: 'haiku' } });
+      assert.equal(claude.type, 'anthropic');
+      assert.equal(claude.apiKey, 'sk-a');
+      assert.equal(claude.model, 'haiku');
+      assert.equal(claude.baseUrl, 'https://api.anthropic.com');
+    });
+
+    await it('LLM_PROVIDER에 type 직접 지정 (프로필 없이)', () => {
+      const spec = resolveProviderSpec({ configPath: noConfig, env: { LLM_PROVIDER: 'ollama' } });
+      assert.equal(spec.baseUrl, 'http://localhost:11434');
+    });
+
+    await it('openai 타입 base_url 없음 / 알 수 없는 타입 → 에러', () => {
+      assert.throws(() => resolveProviderSpec({ configPath: noConfig, env: { LLM_PROVIDER: 'openai' } }));
+      assert.throws(() => resolveProviderSpec({ configPath: noConfig, env: { LLM_PROVIDER: 'gpt5000' } }));
+    });
+  });
+
+  await describe('OpenAI 호환 / OpenRouter 요청', async () => {
+    await it('OpenAI 호환: base_url/chat/completions, 키 없으면 Authorization 생략, reasoning 없음', () => {
+      const p = createProvider({ type: 'openai', baseUrl: 'http://127.0.0.1:8080/v1/' });
+      const built = p.buildRequest(req);
+      assert.equal(built.url, 'http://127.0.0.1:8080/v1/chat/completions');
+      assert.equal(built.headers.Authorization, undefined);
+      assert.equal(built.body.reasoning, undefined);
+      assert.deepEqual(built.body.response_format, { type: 'json_object' });
+    });
+
+    await it('OpenRouter: 앱 헤더 + reasoning 토글', () => {
+      const p = createProvider({ type: 'openrouter', apiKey: 'k' });
+      const built = p.buildRequest({ ...req, reasoning: true });
+      assert.equal(built.url, 'https://openrouter.ai/api/v1/chat/completions');
+      assert.equal(built.headers.Authorization, 'Bearer k');
+      assert.ok(built.headers['X-Title']);
+      assert.deepEqual(built.body.reasoning, { enabled: true });
+    });
+
+    await it('usage.cost → costUsd (보고 없으면 null)', () => {
+      const p = createProvider({ type: 'openrouter', apiKey: 'k' });
+      const usage = { prompt_tokens: 10, completion_tokens: 5, cost: 0.0021 };
+      assert.equal(p.parseResponse({ choices: [{ message: { content: '{}' } }], usage }).usage.costUsd, 0.0021);
+      assert.equal(p.parseResponse({ choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 1 } }).usage.costUsd, null);
+    });
+  });
+
+  await describe('Ollama 네이티브', async () => {
+    const p = createProvider({ type: 'ollama' });
+
+    await it('/api/chat + format json + options', () => {
+      const built = p.buildRequest(req);
+      assert.equal(built.url, 'http://localhost:11434/api/chat');
+      assert.equal(built.body.format, 'json');
+      assert.deepEqual(built.body.options, { temperature: 0.1, num_predict: 100 });
+    });
+
+    await it('응답/사용량 파싱 + done_reason length', () => {
+      const out = p.parseResponse({ message: { content: '{}' }, done_reason: 'length', prompt_eval_count: 10, eval_count: 5 });
+      assert.equal(out.content, '{}');
+      assert.equal(out.finishReason, 'length');
+      assert.deepEqual(out.usage, { promptTokens: 10, completionTokens: 5, cachedTokens: 0, costUsd: 0 });
+    });
+
+    await it('본문 error → throw, 모델 로딩 중 → retryable', () => {
+      assert.throws(() => p.parseResponse({ error: 'model not found' }));
+      assert.equal(p.isRetryableError(new Error('model is loading')), true);
+    });
+  });
+
+  await describe('Anthropic Messages', async () => {
+    const p = createProvider({ type: 'anthropic', apiKey: 'sk' });
+
+    await it('x-api-key + version 헤더, system 분리 + JSON 가드', () => {
+      const built = p.buildRequest(req);
+      assert.equal(built.url, 'https://api.anthropic.com/v1/messages');
+      assert.equal(built.headers['x-api-key'], 'sk');
+      assert.ok(built.headers['anthropic-version']);
+      assert.includes(built.body.system, 'JSON');
+      assert.deepEqual(built.body.messages, [{ role: 'user', content: 'p' }]);
+      assert.equal(built.body.response_format, undefined);
+    });
+
+    await it('content 블록 합치기 + 캐시 포함 사용량 + max_tokens → length', () => {
+      const out = p.parseResponse({
+        content: [{ type: 'text', text: '{"items":' }, { type: 'text', text: '[]}' }],
+        stop_reason: 'max_tokens',
+        usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 50 }
+      });
+      assert.equal(out.content, '{"items":[]}');
+      assert.equal(out.finishReason, 'length');
+      assert.deepEqual(out.usage, { promptTokens: 150, completionTokens: 20, cachedTokens: 50, costUsd: null });
+    });
+
+    await it('에러 분류: prompt is too long → 토큰 초과, 529 → retryable', () => {
+      const long = p.httpError(400, '{"type":"error","error":{"message":"prompt is too long: 300000 tokens"}}');
+      assert.equal(p.isTokenLimitError(long), true);
+      assert.equal(p.isRetryableError(long), false);
+      assert.equal(p.isRetryableError(p.httpError(529, 'overloaded')), true);
+      assert.equal(p.isRetryableError(p.httpError(401, 'invalid x-api-key')), false);
+    });
+  });
+
+  await describe('AgentRunner + 프로바이더', async () => {
+    await it('options.provider(Ollama) → 프로필 모델로 호출 + 사용량 누적', async () => {
+      const runner = new AgentRunner('', 'deepseek/deepseek-v4-pro', {
+        logDir: os.tmpdir(),
+        provider: { name: 'ollama', type: 'ollama', baseUrl: 'http://gpu-box:11434', apiKey: '', model: 'qwen2.5:14b', requiresApiKey: false }
+      });
+      runner.log = () => {};
+      let captured = null;
+      const fetch = async (url, options) => {
+        captured = { url, body: JSON.parse(options.body) };
+        return { ok: true, status: 200, json: async () => ({ message: { content: '{"items":[]}' }, prompt_eval_count: 7, eval_count: 3 }) };
+      };
+      const content = await runner.callProvider('p', runner.getTaskConfig('extract'), new AbortController(), fetch);
+      assert.equal(content, '{"items":[]}');
+      assert.equal(captured.url, 'http://gpu-box:11434/api/chat');
+      assert.equal(captured.body.model, 'qwen2.5:14b');
+      assert.equal(runner.usage.totalPromptTokens, 7);
+      assert.equal(runner.getStats().model, 'qwen2.5:14b');
+    });
+
+    await it('HTTP 에러 메시지에 프로바이더 이름', async () => {
+      const runner = new AgentRunner('sk', 'claude-haiku-4-5', {
+        logDir: os.tmpdir(),
+        provider: { name: 'anthropic', type: 'anthropic', baseUrl: 'https://api.anthropic.com', apiKey: 'sk', model: null, requiresApiKey: true }
+      });
+      runner.log = () => {};
+      const fetch = async () => ({ ok: false, status: 529, text: async () => 'overloaded' });
+      let caught = null;
+      try {
+        await runner.callProvider('p', runner.getTaskConfig('extract'), new AbortController(), fetch);
+      } catch (e) { caught = e; }
+      assert.includes(caught.message, 'Anthropic API Error (529)');
+      assert.equal(runner.isRetryableError(caught), true);
+    });
+  });
+};
@@ -0,0 +1,148 @@
+/**
+ * 구조화 로그 테스트
+ * - logger: 콘솔 수준 필터, JSON Lines 기록, 병렬 맥락(label·messageId) 분리, logStage 소요 시간
+ * - log_query: 필터, 단계·라벨·느린 메일·LLM 요약
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { createLogger, openRunLog, closeRunLog, withLogContext, logStage } = require('../scripts/logger');
+const { readLogFile, filterEntries, summarizeLog, formatSummary, formatEntry } = require('../scripts/log_query');
+
+module.exports = async function () {
+
+  const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'logger-')), '20261019.jsonl');
+
+  // 콘솔 출력을 모아 반환 (LOG_LEVEL 지정 가능)
+  const captureConsole = async (fn, level) => {
+    const orig = { log: console.log, warn: console.warn, error: console.error, level: process.env.LOG_LEVEL };
+    const out = [];
+    console.log = msg => out.push(['log', msg]);
+    console.warn = msg => out.push(['warn', msg]);
+    console.error = msg => out.push(['error', msg]);
+    if (level) process.env.LOG_LEVEL = level;
+    else delete process.env.LOG_LEVEL;
+    try {
+      await fn();
+    } finally {
+      Object.assign(console, { log: orig.log, warn: orig.warn, error: orig.error });
+      if (orig.level === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = orig.level;
+      closeRunLog();
+    }
+    return out;
+  };
+
+  await describe('logger', async () => {
+    await it('콘솔은 LOG_LEVEL 이상만(기본 info), 파일은 debug까지 runId·component와 함께', async () => {
+      const file = tmpFile();
+      const log = createLogger('test');
+      const out = await captureConsole(() => {
+        openRunLog('20261019', file);
+        log.debug('세부');
+        log.info('\n시작\n');
+        log.warn('경고', { event: 'x', count: 2 });
+        log.info('');
+      });
+      assert.deepEqual(out, [['log', '\n시작\n'], ['warn', '경고'], ['log', '']]);
+      const { entries } = readLogFile(file);
+      assert.deepEqual(entries.map(e => [e.level, e.msg]), [['debug', '세부'], ['info', '시작'], ['warn', '경고']]);
+      assert.equal(entries[0].runId, '20261019');
+      assert.equal(entries[0].component, 'test');
+      assert.equal(entries[2].count, 2);
+    });
+
+    await it('withLogContext: 병렬 라벨·메일마다 맥락이 섞이지 않음, 파일이 닫히면 콘솔만', async () => {
+      const file = tmpFile();
+      const log = createLogger('test');
+      const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+      await captureConsole(async () => {
+        openRunLog('20261019', file);
+        await Promise.all(['IT', '경제'].map((label, i) => withLogContext({ label }, async () => {
+          await sleep(i === 0 ? 10 : 0);
+          await withLogContext({ messageId: `m${i}` }, async () => {
+            await sleep(i === 0 ? 0 : 10);
+            log.info(`${label} 처리`);
+          });
+          log.info(`${label} 끝`);
+        })));
+        closeRunLog();
+        log.info('닫힌 뒤');
+      });
+      const { entries } = readLogFile(file);
+      const seen = entries.map(e => [e.msg, e.label, e.messageId || null]).sort((x, y) => x[0].localeCompare(y[0]));
+      const expected = [['IT 처리', 'IT', 'm0'], ['경제 처리', '경제', 'm1'], ['IT 끝', 'IT', null], ['경제 끝', '경제', null]];
+      assert.deepEqual(seen, expected.sort((x, y) => x[0].localeCompare(y[0])));
+    });
+
+    await it('logStage: 성공·실패 모두 stage와 소요 시간 기록, 예외는 그대로 전달', async () => {
+      const file = tmpFile();
+      let caught = null;
+      await captureConsole(async () => {
+        openRunLog('20261019', file);
+        await withLogContext({ label: 'IT' }, async () => {
+          assert.equal(await logStage('merge', async () => 3), 3);
+          try {
+            await logStage('llm_extract', async () => { throw new Error('타임아웃'); });
+          } catch (e) {
+            caught = e;
+          }
+        });
+      });
+      assert.equal(caught.message, '타임아웃');
+      const { entries } = readLogFile(file);
+      assert.deepEqual(entries.map(e => [e.event, e.stage, e.label]), [['stage_end', 'merge', 'IT'], ['stage_error', 'llm_extract', 'IT']]);
+      assert.type(entries[0].duration_ms, 'number');
+      assert.equal(entries[1].error, '타임아웃');
+    });
+  });
+
+  await describe('log_query', async () => {
+    const ts = i => new Date(Date.UTC(2026, 9, 19, 0, 41, i)).toISOString();
+    const entries = [
+      { ts: ts(0), level: 'debug', runId: '20261019', component: 'orchestrator', event: 'run_start', msg: '런 시작' },
+      { ts: ts(1), level: 'info', runId: '20261019', component: 'fetch_gmail', label: 'IT', stage: 'gmail_fetch', messageId: 'abc123', msg: 'abc123: OK' },
+      { ts: ts(2), level: 'debug', runId: '20261019', component: 'stage', label: 'IT', stage: 'gmail_fetch', event: 'stage_end', duration_ms: 2000, msg: 'gmail_fetch 완료' },
+      { ts: ts(3), level: 'warn', runId: '20261019', component: 'agent_runner', label: 'IT', stage: 'llm_extract', messageId: 'abc123', msg: '에러 발생, 5초 후 재시도' },
+      { ts: ts(4), level: 'debug', runId: '20261019', component: 'agent_runner', label: 'IT', stage: 'llm_extract', messageId: 'abc123', event: 'llm_call', duration_ms: 4000, msg: 'API 호출 완료' },
+      { ts: ts(5), level: 'debug', runId: '20261019', component: 'agent_runner', label: 'IT', event: 'llm_usage', prompt_tokens: 900, completion_tokens: 100, msg: '토큰' },
+      { ts: ts(6), level: 'debug', runId: '20261019', component: 'orchestrator', label: 'IT', stage: 'llm_extract', messageId: 'abc123', event: 'message_end', items: 3, duration_ms: 9000, msg: '추출 완료' },
+      { ts: ts(7), level: 'debug', runId: '20261019', component: 'stage', label: 'IT', stage: 'llm_extract', event: 'stage_end', duration_ms: 9500, msg: 'llm_extract 완료' },
+      { ts: ts(8), level: 'debug', runId: '20261019', component: 'stage', label: '경제', stage: 'llm_extract', event: 'stage_error', duration_ms: 500, msg: '실패' },
+      { ts: ts(9), level: 'error', runId: '20261019', component: 'orchestrator', label: '경제', msg: '경제 라벨 처리 실패' },
+      { ts: ts(10), level: 'debug', runId: '20261019', component: 'orchestrator', event: 'run_end', success: true, duration_ms: 10000, msg: '런 종료' }
+    ];
+
+    await it('filterEntries: 수준 이상·라벨·단계·메일 ID 접두어·문구', () => {
+      assert.deepEqual(filterEntries(entries, { level: 'warn' }).map(e => e.level), ['warn', 'error']);
+      assert.lengthOf(filterEntries(entries, { label: 'IT', stage: 'llm_extract' }), 4);
+      assert.lengthOf(filterEntries(entries, { messageId: 'abc' }), 4);
+      assert.lengthOf(filterEntries(entries, { grep: '재시도' }), 1);
+      assert.includes(formatEntry(entries[3]), 'WARN  agent_runner IT/llm_extract/abc123: 에러 발생');
+    });
+
+    await it('summarizeLog: 단계 합산·라벨별 경고/오류·느린 메일·LLM·런 결과', () => {
+      const summary = summarizeLog(entries);
+      assert.equal(summary.runId, '20261019');
+      assert.deepEqual(summary.byLevel, { debug: 8, info: 1, warn: 1, error: 1 });
+      assert.deepEqual(summary.stages.llm_extract, { count: 2, failed: 1, total_ms: 10000, max_ms: 9500 });
+      assert.deepEqual(summary.labels['경제'], { warn: 0, error: 1, stage_ms: { llm_extract: 500 } });
+      assert.deepEqual(summary.slowestMessages, [{ label: 'IT', messageId: 'abc123', items: 3, duration_ms: 9000 }]);
+      assert.deepEqual(summary.llm, { calls: 1, total_ms: 4000, prompt_tokens: 900, completion_tokens: 100 });
+      const text = formatSummary(summary);
+      assert.includes(text, '결과: 성공, 10.0초');
+      assert.includes(text, 'llm_extract: 2회 (실패 1), 합계 10.0초, 최대 9.5초');
+      assert.includes(formatSummary(summarizeLog(entries.slice(0, 3))), '종료 기록 없음');
+    });
+
+    await it('readLogFile: 깨진 줄은 건너뛰고 개수만', () => {
+      const file = tmpFile();
+      fs.writeFileSync(file, `${JSON.stringify(entries[0])}\n{깨짐\n\n${JSON.stringify(entries[1])}\n`);
+      const { entries: read, invalid } = readLogFile(file);
+      assert.lengthOf(read, 2);
+      assert.equal(invalid, 1);
+    });
+  });
+};
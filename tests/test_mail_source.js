@@ -0,0 +1,266 @@
+/**
+ * mail_source.js 단위 테스트
+ * - MIME 파싱: RFC 2047 헤더, quoted-printable/base64, multipart, charset
+ * - 로컬 소스 스캔: .eml 폴더, mbox(Takeout X-Gmail-Labels), Maildir++
+ * - 라벨 매핑: 폴더 이름 우선, 라벨 없는 메일은 발신자 맵
+ * - fetchMessages: Gmail과 같은 msg_*.json / messages_list.json 생성
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  LocalMailSource,
+  createMailSource,
+  parseRawMessage,
+  decodeHeaderValue,
+  scanMboxOffsets,
+  folderToLabel
+} = require('../scripts/mail_source');
+const { GmailFetcher } = require('../scripts/fetch_gmail');
+
+module.exports = async function () {
+
+  function tmpDir(prefix) {
+    const dir = path.join(os.tmpdir(), `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e6)}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  function write(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  /**
+   * 간단한 HTML 메일 원문
+   */
+  function eml({ id, from = 'News <news@example.com>', subject = '제목', date = 'Mon, 01 Jun 2026 01:00:00 +0000', body = '<p>본문</p>', extra = '' }) {
+    return [
+      `Message-ID: <${id}@example.com>`,
+      `From: ${from}`,
+      `Subject: ${subject}`,
+      `Date: ${date}`,
+      ...(extra ? [extra] : []),
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      body,
+      ''
+    ].join('\r\n');
+  }
+
+  const quiet = async (fn) => {
+    const origLog = console.log;
+    console.log = () => {};
+    try { return await fn(); } finally { console.log = origLog; }
+  };
+
+  await describe('mail_source: MIME 파싱', async () => {
+    await it('RFC 2047 encoded-word (B/Q, 인접 단어 공백 제거)', () => {
+      assert.equal(decodeHeaderValue('=?UTF-8?B?7ZWc6rWt?= =?UTF-8?B?6rK97KCc?='), '한국경제');
+      assert.equal(decodeHeaderValue('=?utf-8?Q?AI_=EB=89=B4=EC=8A=A4?= 요약'), 'AI 뉴스 요약');
+      assert.equal(decodeHeaderValue('Plain <a@b.com>'), 'Plain <a@b.com>');
+    });
+
+    await it('euc-kr charset encoded-word', () => {
+      const word = `=?euc-kr?B?${Buffer.from([0xc7, 0xd1, 0xb1, 0xb9]).toString('base64')}?=`;
+      assert.equal(decodeHeaderValue(word), '한국');
+    });
+
+    await it('multipart/alternative → text/html 파트 선택, quoted-printable 디코딩', () => {
+      const raw = [
+        'From: A <a@example.com>',
+        'Subject: =?UTF-8?B?7Y6Y7Iqk7Yq4?=',
+        'Content-Type: multipart/alternative; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'plain',
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        '<p>=ED=95=9C=EA=B8=80 long=',
+        'line</p>',
+        '--b1--',
+        ''
+      ].join('\r\n');
+      const { headers, html } = parseRawMessage(raw);
+      assert.equal(headers.find(h => h.name === 'Subject').value, '페스트');
+      assert.equal(html.trim(), '<p>한글 longline</p>');
+    });
+
+    await it('중첩 multipart + base64 HTML, 첨부는 무시', () => {
+      const htmlB64 = Buffer.from('<b>안녕</b>', 'utf8').toString('base64');
+      const raw = [
+        'Content-Type: multipart/mixed; boundary=outer',
+        '',
+        '--outer',
+        'Content-Type: multipart/related; boundary=inner',
+        '',
+        '--inner',
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        htmlB64,
+        '--inner--',
+        '--outer',
+        'Content-Type: text/html',
+        'Content-Disposition: attachment; filename="x.html"',
+        '',
+        '<p>attachment</p>',
+        '--outer--'
+      ].join('\n');
+      assert.equal(parseRawMessage(raw).html, '<b>안녕</b>');
+    });
+
+    await it('HTML 파트 없음 → text/plain을 <pre>로 감쌈 (이스케이프)', () => {
+      const raw = 'Subject: x\n\n1 < 2 & 3\n';
+      assert.equal(parseRawMessage(raw).html, '<pre>1 &lt; 2 &amp; 3\n</pre>');
+    });
+  });
+
+  await describe('mail_source: 폴더/mbox 스캔', async () => {
+    await it('folderToLabel: 일반 경로, Maildir++ 점 표기, 루트', () => {
+      assert.equal(folderToLabel('IT/AI'), 'IT/AI');
+      assert.equal(folderToLabel('.IT.AI'), 'IT/AI');
+      assert.equal(folderToLabel(''), null);
+    });
+
+    await it('scanMboxOffsets: 파일 시작/빈 줄 다음 "From "만 구분자로 인정', () => {
+      const dir = tmpDir('mbox-scan');
+      const file = path.join(dir, 'a.mbox');
+      write(file, [
+        'From a@example.com Mon Jun  1 00:00:00 2026',
+        'Subject: one',
+        '',
+        'first line',
+        'From the body, not a separator',
+        '',
+        'From b@example.com Mon Jun  1 00:00:00 2026',
+        'Subject: two',
+        '',
+        'body two',
+        ''
+      ].join('\n'));
+      const offsets = scanMboxOffsets(file);
+      assert.equal(offsets.length, 2);
+      const first = fs.readFileSync(file).subarray(offsets[0].start, offsets[0].end).toString();
+      assert.includes(first, 'From the body');
+    });
+  });
+
+  await describe('mail_source: LocalMailSource 라벨 매핑', async () => {
+    function makeArchive() {
+      const root = tmpDir('local-mail');
+      write(path.join(root, 'IT', 'a.eml'), eml({ id: 'a' }));
+      write(path.join(root, 'IT', 'AI', 'b.eml'), eml({ id: 'b' }));
+      write(path.join(root, '경제', 'c.eml'), eml({ id: 'c', date: 'Mon, 01 Jun 2026 02:00:00 +0000' }));
+      // 폴더 라벨 없는 메일 → 발신자 맵
+      write(path.join(root, 'd.eml'), eml({ id: 'd', from: 'Brew <crew@morningbrew.com>' }));
+      // 루트가 Maildir 겸용: cur/(INBOX, 라벨 없음) + Maildir++ 하위 폴더, tmp/는 제외
+      write(path.join(root, 'cur', 'e'), eml({ id: 'e' }));
+      write(path.join(root, '.IT.AI', 'new', 'f'), eml({ id: 'f' }));
+      write(path.join(root, 'tmp', 'g'), eml({ id: 'g' }));
+      // Takeout mbox: 라벨은 파일 이름이 아닌 X-Gmail-Labels (시스템 라벨 무시)
+      write(path.join(root, 'takeout', 'All mail.mbox'), [
+        'From 1@xxx Mon Jun 01 00:00:00 +0000 2026',
+        eml({ id: 'h', extra: 'X-Gmail-Labels: Inbox,경제,Opened' }),
+        'From 2@xxx Mon Jun 01 00:00:00 +0000 2026',
+        eml({ id: 'i', extra: 'X-Gmail-Labels: Inbox,Category Updates', body: '>From escaped' }),
+        ''
+      ].join('\n'));
+      return root;
+    }
+
+    const idOf = (src, fileMatch) => [...src.buildIndex().values()].find(e => e.file.endsWith(fileMatch)).id;
+
+    await it('폴더 이름 / 하위 라벨 / Maildir++ / X-Gmail-Labels로 라벨 배정', async () => {
+      const src = new LocalMailSource(makeArchive());
+      await quiet(() => src.authenticate());
+      const itList = await quiet(() => src.listMessages({ label: 'IT', subLabels: ['IT/AI'] }));
+      assert.equal(itList.length, 3, 'a + b(IT/AI) + f(.IT.AI)');
+      const econ = await quiet(() => src.listMessages({ label: '경제', subLabels: [] }));
+      assert.equal(econ.length, 2, 'c(폴더) + h(X-Gmail-Labels)');
+      assert.equal(src.buildIndex().size, 8, 'tmp/ 제외');
+    });
+
+    await it('라벨 없는 메일만 발신자 맵 적용 (시스템 라벨은 라벨로 치지 않음)', async () => {
+      const src = new LocalMailSource(makeArchive(), {
+        senderLabels: new Map([['crew@morningbrew.com', ['미국/경제']], ['news@example.com', ['미국/경제']]])
+      });
+      const list = await quiet(() => src.listMessages({ label: '미국/경제', subLabels: [] }));
+      // d(morningbrew) + e(Maildir 루트=INBOX) + i(시스템 라벨만) → news@example.com이지만 폴더 라벨 있는 a,b,c,f,h는 제외
+      assert.equal(list.length, 3);
+    });
+
+    await it('dateStart/dateEnd 1차 필터 (Gmail 쿼리 형식)', async () => {
+      const src = new LocalMailSource(makeArchive());
+      const none = await quiet(() => src.listMessages({ label: 'IT', subLabels: [], dateStart: '2026/06/02', dateEnd: '2026/06/03' }));
+      assert.equal(none.length, 0);
+      const one = await quiet(() => src.listMessages({ label: 'IT', subLabels: [], dateStart: '2026/05/31', dateEnd: '2026/06/02' }));
+      assert.equal(one.length, 1);
+    });
+
+    await it('Message-ID 기반 안정적 ID, 같은 메일이 두 폴더에 있으면 라벨 누적', async () => {
+      const root = makeArchive();
+      write(path.join(root, '경제', 'a-copy.eml'), eml({ id: 'a' }));
+      const src = new LocalMailSource(root);
+      const id = idOf(src, path.join('IT', 'a.eml'));
+      assert.match(id, /^[0-9a-f]{16}$/);
+      assert.deepEqual(src.buildIndex().get(id).labels.sort(), ['IT', '경제'].sort());
+      assert.equal(new LocalMailSource(root).buildIndex().has(id), true);
+    });
+
+    await it('mbox 본문의 ">From " 이스케이프 해제', async () => {
+      const src = new LocalMailSource(makeArchive());
+      const entry = [...src.buildIndex().values()].find(e => e.file.endsWith('.mbox') && e.labels.length === 0);
+      const msg = await src.getMessage(entry.id);
+      assert.includes(msg.html, 'From escaped');
+      assert.notIncludes(msg.html, '>From');
+    });
+  });
+
+  await describe('mail_source: fetchMessages (Gmail 파이프라인 재사용)', async () => {
+    await it('msg_*.json 형식 동일 + 시간 범위 정밀 필터 + history 모드 무시', async () => {
+      const root = tmpDir('local-fetch');
+      write(path.join(root, 'IT', 'a.eml'), eml({ id: 'a', subject: '=?UTF-8?B?7ZWc6rWt?=' }));
+      write(path.join(root, 'IT', 'b.eml'), eml({ id: 'b', date: 'Mon, 01 Jun 2026 05:00:00 +0000' }));
+      const src = new LocalMailSource(root);
+      const out = path.join(tmpDir('local-fetch-out'), 'raw');
+      const result = await quiet(() => src.fetchMessages({
+        label: 'IT', subLabels: '', dateStart: '2026/05/31', dateEnd: '2026/06/02',
+        rangeStart: '2026-06-01T00:00:00Z', rangeEnd: '2026-06-01T03:00:00Z',
+        outputDir: out, syncMode: 'history'
+      }));
+      assert.equal(result.total_fetched, 2);
+      assert.equal(result.total_count, 1);
+      assert.equal(result.skipped_by_date, 1);
+      assert.equal(result.sync, null);
+      const msg = JSON.parse(fs.readFileSync(path.join(out, `msg_${result.messages[0].id}.json`), 'utf8'));
+      assert.equal(msg.subject, '한국');
+      assert.deepEqual(msg.gmail_labels, ['IT']);
+      assert.equal(msg.html_body.trim(), '<p>본문</p>');
+      assert.equal(msg.date_kst, '2026-06-01 10:00:00');
+    });
+
+    await it('markMessagesAsRead no-op, 인증 에러 없음', async () => {
+      const src = new LocalMailSource(tmpDir('local-noop'));
+      assert.deepEqual(await src.markMessagesAsRead(['x', 'y']), { success: 0, failed: 0, skipped: 2 });
+      assert.equal(src.isAuthError(new Error('invalid_grant')), false);
+    });
+
+    await it('없는 경로 → authenticate 실패', async () => {
+      const src = new LocalMailSource(path.join(os.tmpdir(), 'no-such-mail-dir-xyz'));
+      await assert.asyncThrows(() => src.authenticate());
+    });
+
+    await it('createMailSource: 미지정/gmail → GmailFetcher, 경로 → LocalMailSource', () => {
+      assert.ok(createMailSource(null) instanceof GmailFetcher);
+      assert.notOk(createMailSource('gmail') instanceof LocalMailSource);
+      assert.ok(createMailSource('/tmp') instanceof LocalMailSource);
+    });
+  });
+};
@@ -0,0 +1,148 @@
+/**
+ * 모델 라우팅 테스트
+ * - ModelRouter: match(task/label/language, 배열), 뒤 규칙 우선, 검증 에러, llm.json routing 로드
+ * - parseSkillLanguage: SKILL 기본 정보 표의 언어
+ * - AgentRunner: runAgent → 라우팅된 모델·reasoning으로 호출, getStats 모델별·라벨별 비용
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { ModelRouter, parseSkillLanguage } = require('../scripts/model_routing');
+const { AgentRunner } = require('../scripts/agent_runner');
+const { withLogContext } = require('../scripts/logger');
+
+module.exports = async function () {
+
+  const defaults = { model: 'pro', reasoning: false, temperature: 0.1 };
+  const routes = [
+    { match: { task: 'extract', language: 'ko' }, model: 'flash' },
+    { match: { task: ['analyze', 'merge'] }, model: 'pro' },
+    { match: { label: '중국_시사' }, model: 'pro', temperature: 0 },
+    { match: { label: 'NYT_시사', task: 'extract' }, reasoning: true }
+  ];
+
+  await describe('ModelRouter.resolve', async () => {
+    const router = new ModelRouter(routes);
+
+    await it('작업 + 언어 매치 → 모델만 바꾸고 나머지는 기본값', () => {
+      const r = router.resolve({ task: 'extract', label: 'IT', language: 'ko' }, defaults);
+      assert.equal(r.model, 'flash');
+      assert.equal(r.reasoning, false);
+      assert.equal(r.temperature, 0.1);
+      assert.deepEqual(r.matched, [0]);
+    });
+
+    await it('여러 규칙 매치 → 뒤 규칙이 덮어씀', () => {
+      const r = router.resolve({ task: 'extract', label: '중국_시사', language: 'ko' }, defaults);
+      assert.equal(r.model, 'pro');
+      assert.equal(r.temperature, 0);
+      assert.deepEqual(r.matched, [0, 2]);
+    });
+
+    await it('배열 match / 필드 하나만 지정한 규칙', () => {
+      assert.equal(router.resolve({ task: 'merge', label: 'IT' }, defaults).model, 'pro');
+      const r = router.resolve({ task: 'extract', label: 'NYT_시사', language: 'en' }, defaults);
+      assert.equal(r.reasoning, true);
+      assert.equal(r.model, 'pro');
+    });
+
+    await it('맥락에 없는 키(언어 미상)는 매치 안 함 → 기본값', () => {
+      const r = router.resolve({ task: 'extract', label: 'IT', language: null }, defaults);
+      assert.equal(r.model, 'pro');
+      assert.deepEqual(r.matched, []);
+    });
+
+    await it('잘못된 규칙 → 에러', () => {
+      assert.throws(() => new ModelRouter({ model: 'x' }));
+      assert.throws(() => new ModelRouter([{ match: { lang: 'ko' }, model: 'x' }]));
+      assert.throws(() => new ModelRouter([{ match: { task: 'extract' } }]));
+    });
+
+    await it('fromConfig: llm.json routing 로드, 파일 없으면 비활성', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+      const configPath = path.join(dir, 'llm.json');
+      fs.writeFileSync(configPath, JSON.stringify({ provider: 'openrouter', routing: routes }));
+      assert.equal(ModelRouter.fromConfig(configPath).routes.length, 4);
+      assert.equal(ModelRouter.fromConfig(path.join(dir, 'none.json')).enabled, false);
+    });
+  });
+
+  await describe('parseSkillLanguage', async () => {
+    await it('기본 정보 표의 언어 코드', () => {
+      assert.equal(parseSkillLanguage('## 기본 정보\n\n| 항목 | 값 |\n|---|---|\n| 언어 | EN |\n'), 'en');
+      assert.equal(parseSkillLanguage('# SKILL 작성규칙\n언어별 번역 규칙...'), null);
+      assert.equal(parseSkillLanguage(null), null);
+    });
+  });
+
+  await describe('AgentRunner + 라우팅', async () => {
+    function makeRunner(routing) {
+      const runner = new AgentRunner('k', 'deepseek/deepseek-v4-pro', { logDir: os.tmpdir(), routing });
+      runner.log = () => {};
+      runner.minRequestInterval = 0;
+      runner.calls = [];
+      runner.callProvider = async (prompt, taskConfig) => {
+        const model = taskConfig.model || runner.model;
+        runner.calls.push({ model, reasoning: taskConfig.reasoning, temperature: taskConfig.temperature });
+        runner.recordUsage(model, { promptTokens: 1e6, completionTokens: 1e6, cachedTokens: 0 });
+        return '{"items": []}';
+      };
+      return runner;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-agent-'));
+    const agentPath = path.join(dir, 'IT.md');
+    fs.writeFileSync(agentPath, '# IT 에이전트');
+    const enSkill = path.join(dir, 'SKILL_en.md');
+    fs.writeFileSync(enSkill, '| 언어 | en |');
+    const koSkill = path.join(dir, 'SKILL_ko.md');
+    fs.writeFileSync(koSkill, '| 언어 | ko |');
+
+    await it('SKILL 언어로 추출 모델 선택, 병합은 라벨 규칙', async () => {
+      const runner = makeRunner(routes);
+      await runner.runAgent(agentPath, { skills: [koSkill], taskType: 'extract', label: 'IT' });
+      await runner.runAgent(agentPath, { skills: [enSkill], taskType: 'extract', label: 'NYT_시사' });
+      await runner.runAgent(agentPath, { inputs: { items: [] }, taskType: 'merge', label: 'IT' });
+      assert.deepEqual(runner.calls.map(c => c.model), ['flash', 'deepseek/deepseek-v4-pro', 'pro']);
+      assert.equal(runner.calls[1].reasoning, true);
+      assert.equal(runner.calls[0].reasoning, false);
+    });
+
+    await it('getStats: 모델별 사용량·비용 + 합계', async () => {
+      const runner = makeRunner([{ match: { task: 'extract' }, model: 'deepseek/deepseek-v4-flash' }]);
+      await runner.runAgent(agentPath, { taskType: 'extract' });
+      await runner.runAgent(agentPath, { taskType: 'merge' });
+      const stats = runner.getStats();
+      assert.deepEqual(Object.keys(stats.by_model).sort(), ['deepseek/deepseek-v4-flash', 'deepseek/deepseek-v4-pro']);
+      assert.closeTo(stats.by_model['deepseek/deepseek-v4-flash'].cost.total_usd, 0.42, 0.0001);
+      assert.closeTo(stats.by_model['deepseek/deepseek-v4-pro'].cost.total_usd, 1.305, 0.0001);
+      assert.closeTo(stats.cost.total_usd, 1.725, 0.0001);
+      assert.equal(stats.usage.totalCalls, 2);
+    });
+
+    await it('getStats.by_label: 로그 맥락의 라벨별로 모델 단가 합산, 라벨 밖 호출은 제외', async () => {
+      const runner = makeRunner([{ match: { task: 'extract' }, model: 'deepseek/deepseek-v4-flash' }]);
+      await withLogContext({ label: 'IT' }, async () => {
+        await runner.runAgent(agentPath, { taskType: 'extract' });
+        await runner.runAgent(agentPath, { taskType: 'merge' });
+      });
+      await withLogContext({ label: '경제' }, () => runner.runAgent(agentPath, { taskType: 'extract' }));
+      await runner.runAgent(agentPath, { taskType: 'merge' });
+      const stats = runner.getStats();
+      assert.deepEqual(Object.keys(stats.by_label).sort(), ['IT', '경제']);
+      assert.closeTo(stats.by_label.IT.cost.total_usd, 1.725, 0.0001);
+      assert.closeTo(stats.by_label['경제'].cost.total_usd, 0.42, 0.0001);
+      assert.equal(stats.by_label.IT.usage.totalCalls, 2);
+      assert.equal(stats.usage.totalCalls, 4);
+    });
+
+    await it('규칙 없음 → 라우팅 없이 기본 모델 (기존 동작)', async () => {
+      const runner = makeRunner([]);
+      await runner.runAgent(agentPath, { skills: [koSkill], taskType: 'extract' });
+      assert.equal(runner.calls[0].model, 'deepseek/deepseek-v4-pro');
+      assert.equal(runner.calls[0].reasoning, undefined);
+    });
+  });
+};
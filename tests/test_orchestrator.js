@@ -293,6 +293,18 @@ module.exports = async function () {
       pm.markCompleted();
       assert.ok(pm.progress.completed_at);
     });
+
+    await it('resetFromStage: 지정 단계부터 하류만 pending, 완료 표시 해제', () => {
+      const pm = new ProgressManager(tempPath);
+      for (const step of ['gmail_fetch', 'html_to_text', 'llm_extract', 'merge']) pm.setStepStatus('IT', step, 'completed');
+      pm.markCompleted();
+      assert.deepEqual(pm.resetFromStage('IT', 'html_to_text'), ['html_to_text', 'llm_extract', 'merge']);
+      const saved = JSON.parse(fs.readFileSync(tempPath, 'utf8'));
+      assert.equal(saved.labels.IT.gmail_fetch, 'completed');
+      assert.equal(saved.labels.IT.html_to_text, 'pending');
+      assert.equal(saved.labels.IT.merge, 'pending');
+      assert.equal(saved.completed_at, undefined);
+    });
   });
 
   // ============================================
@@ -10,10 +10,11 @@
  *  3. 신규 발신자 (analyze path)
  *  4. 만성 실패 발신자 차단 (shouldSkipAnalyze)
  *  5. 빈 senderEmail 가드
- *  6. 증분 재실행 (progress.json 기존)
+ *  6. 증분 재실행 (progress.json 기존), 단계 무효화 + stopAfter
  *  7. 머지 에이전트 실패 → 원본 유지 폴백
  *  8. LLM extract 일부 실패 → 다른 메일 계속 처리
  *  9. msg_*.json HTML 변환 → enrichWithArticles 호출
+ * 10. 메일별 병렬 추출 (같은 발신자는 순차)
  */
 
 const fs = require('fs');
@@ -88,7 +89,9 @@ module.exports = async function () {
         cleanNewsletterMarkdown: (t) => t,
         isNonNewsEmail: () => false,
         extractImageUrls: () => [],
-        createCleanTextWithLineNumbers: (t) => t
+        createCleanTextWithLineNumbers: (t) => ({
+          lines: String(t).split('\n').map((content, i) => ({ line_number: i + 1, content })).filter(l => l.content.trim())
+        })
       }
     };
 
@@ -358,6 +361,45 @@ module.exports = async function () {
       assert.equal(result2.success, true);
       // 캐시된 merged 결과 사용
     });
+
+    await it('단계 무효화 후 stopAfter → 그 단계까지만 다시 돌고 하류는 pending으로 남음', async () => {
+      ctx = setup({
+        gmailMessages: [{ id: 'm1', from: 'A <a@x.com>', html_body: '<p>1</p>' }]
+      });
+      const orch = ctx.orchestrator;
+      orch._test._resetGlobals();
+
+      const runDir = path.join(ctx.baseTmp, 'run');
+      fs.mkdirSync(runDir, { recursive: true });
+      const pm = new orch._test.ProgressManager(path.join(runDir, 'progress.json'));
+      const fbm = new orch._test.FailedBatchManager(path.join(runDir, 'failed.json'));
+      const al = new (require('../scripts/adaptive_learning').AdaptiveLearning)();
+      await al.registerNewsletter({ email: 'a@x.com', name: 'A', label: 'IT' });
+      al.saveAnalyzedSkill('a@x.com', { structure_type: 'multi-item' });
+      const label = { name: 'IT', gmail_label: 'IT', sub_labels: [], focus_topics: [] };
+      const range = { start: new Date(Date.now() - 86400000), end: new Date() };
+      const mergedPath = path.join(runDir, 'merged', 'merged_IT.json');
+
+      await orch.processLabel(label, range, runDir, pm, fbm, al);
+      assert.ok(fs.existsSync(mergedPath));
+
+      const [inv] = orch._test.invalidateStages(runDir, pm, ['IT'], 'llm_extract');
+      assert.deepEqual(inv.stages, ['llm_extract', 'merge']);
+      assert.notOk(fs.existsSync(mergedPath));
+      assert.lengthOf(fs.readdirSync(path.join(runDir, 'labels', 'IT', 'items')), 0);
+      assert.lengthOf(fs.readdirSync(path.join(runDir, 'labels', 'IT', 'raw')), 1);
+
+      const partial = await orch.processLabel(label, range, runDir, pm, fbm, al, { stopAfter: 'llm_extract' });
+      assert.equal(partial.stoppedAt, 'llm_extract');
+      assert.lengthOf(fs.readdirSync(path.join(runDir, 'labels', 'IT', 'items')), 1);
+      assert.notOk(fs.existsSync(mergedPath));
+      assert.equal(pm.getStepStatus('IT', 'merge'), 'pending');
+
+      const rest = await orch.processLabel(label, range, runDir, pm, fbm, al);
+      assert.equal(rest.stoppedAt, undefined);
+      assert.ok(pm.isStepCompleted('IT', 'merge'));
+      assert.ok(fs.existsSync(mergedPath));
+    });
   });
 
   await describe('processLabel — 실패 격리', async () => {
@@ -397,6 +439,131 @@ module.exports = async function () {
     });
   });
 
+  await describe('processLabel — 메일별 병렬 추출', async () => {
+    let ctx;
+
+    afterEach(() => {
+      if (ctx) ctx.cleanup();
+    });
+
+    await it('다른 발신자는 동시 제출, 같은 새 발신자는 순차(분석 1회 후 SKILL 사용)', async () => {
+      ctx = setup({
+        gmailMessages: [
+          { id: 'm1', from: 'A <a@x.com>', html_body: '<p>1</p>' },
+          { id: 'm2', from: 'A <a@x.com>', html_body: '<p>2</p>' },
+          { id: 'm3', from: 'B <b@x.com>', html_body: '<p>3</p>' }
+        ]
+      });
+      const orch = ctx.orchestrator;
+      orch._test._resetGlobals();
+
+      const { AgentRunner } = require('../scripts/agent_runner');
+      const baseRunAgent = AgentRunner.prototype.runAgent;
+      const calls = [];
+      let inflight = 0;
+      let peak = 0;
+      AgentRunner.prototype.runAgent = async function (agentPath, options) {
+        if (options.taskType !== 'merge') {
+          const from = JSON.parse(fs.readFileSync(options.inputs, 'utf8')).from;
+          calls.push(`${from.match(/<(.+?)>/)[1]}:${options.taskType}`);
+          inflight++;
+          peak = Math.max(peak, inflight);
+          await new Promise(r => setTimeout(r, 20));
+          inflight--;
+        }
+        return baseRunAgent.call(this, agentPath, options);
+      };
+
+      const runDir = path.join(ctx.baseTmp, 'run');
+      fs.mkdirSync(runDir, { recursive: true });
+      const pm = new orch._test.ProgressManager(path.join(runDir, 'progress.json'));
+      const fbm = new orch._test.FailedBatchManager(path.join(runDir, 'failed.json'));
+      const al = new (require('../scripts/adaptive_learning').AdaptiveLearning)();
+      // SKILL 파일은 격리 폴더에 저장되므로 경로도 격리 폴더 기준으로
+      al.getSkillPath = (email) => {
+        const n = al.findBySender(email);
+        return n && n.skill_file ? path.join(ctx.baseTmp, n.skill_file) : null;
+      };
+
+      const origLog = console.log;
+      console.log = () => {};
+      let result;
+      try {
+        result = await orch.processLabel(
+          { name: 'IT', gmail_label: 'IT', sub_labels: [], focus_topics: [] },
+          { start: new Date(Date.now() - 86400000), end: new Date() },
+          runDir, pm, fbm, al
+        );
+      } finally {
+        console.log = origLog;
+      }
+
+      assert.equal(result.extractAttempted, 3);
+      assert.equal(peak, 2, 'a@x.com 체인과 b@x.com이 동시에 진행');
+      assert.deepEqual(calls.filter(c => c.startsWith('a@x.com')), ['a@x.com:analyze', 'a@x.com:extract']);
+      assert.ok(pm.isStepCompleted('IT', 'llm_extract'));
+      assert.lengthOf(fs.readdirSync(path.join(runDir, 'labels', 'IT', 'items')), 3);
+    });
+
+    await it('비용 예산 한도로 생략된 메일 → 실패 아님, 읽음 표시 제외, 추출 단계 미완료', async () => {
+      ctx = setup({
+        gmailMessages: [
+          { id: 'm1', from: 'A <a@x.com>', html_body: '<p>1</p>' },
+          { id: 'm2', from: 'B <b@x.com>', html_body: '<p>2</p>' }
+        ]
+      });
+      const orch = ctx.orchestrator;
+      orch._test._resetGlobals();
+
+      const marked = [];
+      const { GmailFetcher } = require('../scripts/fetch_gmail');
+      GmailFetcher.prototype.markMessagesAsRead = async function (ids) {
+        marked.push(...ids);
+        return { success: ids.length, failed: 0 };
+      };
+      const { AgentRunner } = require('../scripts/agent_runner');
+      const baseRunAgent = AgentRunner.prototype.runAgent;
+      AgentRunner.prototype.runAgent = async function (agentPath, options) {
+        if (options.taskType !== 'merge' && JSON.parse(fs.readFileSync(options.inputs, 'utf8')).from.includes('b@x.com')) {
+          const error = new Error('LLM 예산 한도 도달');
+          error.isBudgetExceeded = true;
+          throw error;
+        }
+        return baseRunAgent.call(this, agentPath, options);
+      };
+
+      const runDir = path.join(ctx.baseTmp, 'run');
+      fs.mkdirSync(runDir, { recursive: true });
+      const pm = new orch._test.ProgressManager(path.join(runDir, 'progress.json'));
+      const fbm = new orch._test.FailedBatchManager(path.join(runDir, 'failed.json'));
+      const al = new (require('../scripts/adaptive_learning').AdaptiveLearning)();
+
+      const origLog = console.log;
+      const origWarn = console.warn;
+      console.log = () => {};
+      console.warn = () => {};
+      let result;
+      try {
+        result = await orch.processLabel(
+          { name: 'IT', gmail_label: 'IT', sub_labels: [], focus_topics: [] },
+          { start: new Date(Date.now() - 86400000), end: new Date() },
+          runDir, pm, fbm, al
+        );
+      } finally {
+        console.log = origLog;
+        console.warn = origWarn;
+      }
+
+      assert.equal(result.budgetSkipped, 1);
+      assert.equal(result.extractFail, 0);
+      assert.equal(result.extractAttempted, 1);
+      assert.deepEqual(marked, ['m1']);
+      assert.notOk(pm.isStepCompleted('IT', 'llm_extract'));
+      assert.notOk(pm.isStepCompleted('IT', 'merge'), '재실행 때 이어 추출한 아이템까지 다시 병합');
+      assert.ok(orch._test.assessRunHealth([result]).budgetTruncated);
+    });
+  });
+
   await describe('processAllLabels — 병렬', async () => {
     let ctx;
 
@@ -545,6 +712,52 @@ module.exports = async function () {
       }
     });
 
+    await it('드라이런 → 읽음 표시·history 커서 저장 없음', async () => {
+      ctx = setup({
+        gmailMessages: [{ id: 'm1', from: 'A <a@x.com>', html_body: '<p>1</p>' }]
+      });
+      const orch = ctx.orchestrator;
+      orch._test._resetGlobals();
+
+      const calls = [];
+      const fetchGmailPath = require.resolve('../scripts/fetch_gmail');
+      require.cache[fetchGmailPath].exports = {
+        GmailFetcher: class {
+          async authenticate() {}
+          async fetchMessages({ outputDir }) {
+            fs.writeFileSync(path.join(outputDir, 'msg_m1.json'), JSON.stringify({
+              message_id: 'm1', from: 'A <a@x.com>', subject: 'T', date: '', html_body: '<p>x</p>'
+            }));
+            fs.writeFileSync(path.join(outputDir, 'messages_list.json'), JSON.stringify({ label: 'IT', sync: { history_id: '42' } }));
+            return { senders: [{ email: 'a@x.com', name: 'A', count: 1 }], total_count: 1 };
+          }
+          async markMessagesAsRead(ids) { calls.push(['read', ids]); return { success: ids.length, failed: 0 }; }
+          saveSyncCursor(label, id) { calls.push(['cursor', id]); }
+        }
+      };
+
+      const runDir = path.join(ctx.baseTmp, 'run');
+      fs.mkdirSync(runDir, { recursive: true });
+      const pm = new orch._test.ProgressManager(path.join(runDir, 'progress.json'));
+      const fbm = new orch._test.FailedBatchManager(path.join(runDir, 'failed.json'));
+      const al = new (require('../scripts/adaptive_learning').AdaptiveLearning)();
+      await al.registerNewsletter({ email: 'a@x.com', name: 'A', label: 'IT' });
+      al.saveAnalyzedSkill('a@x.com', { structure_type: 'multi-item' });
+
+      orch._test.CONFIG.dryRun = true;
+      try {
+        const result = await orch.processLabel(
+          { name: 'IT', gmail_label: 'IT', sub_labels: [], focus_topics: [] },
+          { start: new Date(Date.now() - 86400000), end: new Date() },
+          runDir, pm, fbm, al
+        );
+        assert.equal(result.success, true);
+        assert.deepEqual(calls, []);
+      } finally {
+        orch._test.CONFIG.dryRun = false;
+      }
+    });
+
   });
 
   await describe('checkSetup 분기', async () => {
@@ -1,9 +1,11 @@
 /**
  * orchestrator.js 유틸리티/순수 함수 단위 테스트 (경로 A)
- * - parseArgs, calculateTimeRange, getLabels, printSummary
+ * - parseArgs, calculateTimeRange, calculateRangeWindows, getLabels, printSummary, formatRangeSummary
+ * - validateStageArgs, listRuns, formatRunList, loadRunTimeRange (단계 재실행)
+ * - 드라이런 경로·변경 예정 내역 (getRunTempDir, getFinalOutputDir, formatOverlayDiff)
  * - generateRunId, formatKST, formatGmailDate, extractSenderEmail
  * - generateMarkdown, generateCombinedMarkdown
- * - checkSetup
+ * - checkSetup, acquireRunLock (데몬과 같은 실행 잠금)
  */
 
 const fs = require('fs');
@@ -14,6 +16,8 @@ const orchestrator = require('../scripts/orchestrator');
 const {
   parseArgs,
   calculateTimeRange,
+  calculateRangeWindows,
+  formatRangeSummary,
   getLabels,
   printSummary,
   generateRunId,
@@ -23,6 +27,7 @@ const {
   generateMarkdown,
   generateCombinedMarkdown,
   checkSetup,
+  acquireRunLock,
   classifyTier,
   cleanItemLink
 } = orchestrator._test;
@@ -102,6 +107,133 @@ module.exports = async function () {
       const args = parseArgs(['--unknown', 'value', '--mode', 'today']);
       assert.equal(args.mode, 'today');
     });
+
+    await it('--sync history', () => {
+      assert.equal(parseArgs(['--sync', 'history']).sync, 'history');
+      assert.equal(parseArgs([]).sync, null);
+    });
+
+    await it('--source <경로>', () => {
+      assert.equal(parseArgs(['--source', '/mail/takeout.mbox']).source, '/mail/takeout.mbox');
+      assert.equal(parseArgs([]).source, null);
+    });
+
+    await it('--mode range --from --to', () => {
+      const args = parseArgs(['--mode', 'range', '--from', '2026-09-01', '--to', '2026-09-30']);
+      assert.equal(args.mode, 'range');
+      assert.equal(args.from, '2026-09-01');
+      assert.equal(args.to, '2026-09-30');
+      assert.equal(parseArgs([]).from, null);
+    });
+
+    await it('--run / --from-stage / --only-stage / --list-runs', () => {
+      const args = parseArgs(['--run', '20260910', '--from-stage', 'merge', '--labels', 'IT']);
+      assert.equal(args.run, '20260910');
+      assert.equal(args.fromStage, 'merge');
+      assert.equal(parseArgs(['--only-stage', 'llm_extract']).onlyStage, 'llm_extract');
+      assert.equal(parseArgs(['--list-runs']).listRuns, true);
+      assert.equal(parseArgs([]).listRuns, false);
+    });
+  });
+
+  await describe('단계 재실행 (--from-stage / --only-stage / --list-runs)', async () => {
+    const { validateStageArgs, listRuns, formatRunList, loadRunTimeRange } = orchestrator._test;
+
+    await it('validateStageArgs: 알 수 없는 단계·동시 지정·range 조합 → throw', () => {
+      validateStageArgs(parseArgs(['--from-stage', 'llm_extract']));
+      assert.throws(() => validateStageArgs(parseArgs(['--from-stage', 'extract'])));
+      assert.throws(() => validateStageArgs(parseArgs(['--from-stage', 'merge', '--only-stage', 'merge'])));
+      assert.throws(() => validateStageArgs(parseArgs(['--mode', 'range', '--from', '2026-09-01', '--to', '2026-09-02', '--from-stage', 'merge'])));
+    });
+
+    await it('listRuns + formatRunList: 최신 런 먼저, 라벨별 다음 단계·중단 표시', () => {
+      const base = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+      fs.mkdirSync(path.join(base, '20260901'));
+      fs.mkdirSync(path.join(base, '20260902'));
+      fs.writeFileSync(path.join(base, '20260902', 'progress.json'), JSON.stringify({
+        started_at: '2026-09-02T00:40:00.000Z',
+        labels: {
+          IT: { gmail_fetch: 'completed', html_to_text: 'completed', llm_extract: 'in_progress', merge: 'pending' },
+          경제: { gmail_fetch: 'completed', html_to_text: 'completed', llm_extract: 'completed', merge: 'completed' }
+        }
+      }));
+      fs.writeFileSync(path.join(base, '20260902', 'failed_batches.json'), JSON.stringify({ batches: [{ label: 'IT' }] }));
+
+      const runs = listRuns(base);
+      assert.deepEqual(runs.map(r => r.runId), ['20260902', '20260901']);
+      assert.equal(runs[0].failedBatches, 1);
+      const text = formatRunList(runs);
+      assert.includes(text, '20260902  미완료  갱신 2026-09-02T00:40:00.000Z  실패 배치 1개');
+      assert.includes(text, '    IT: 2/4 (다음: llm_extract, 중단됨)');
+      assert.includes(text, '    경제: 4/4');
+      assert.lengthOf(listRuns(path.join(base, 'none')), 0);
+      fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    await it('loadRunTimeRange: progress.json 기록 우선, 없으면 날짜 schedule 창, 폴더 없으면 throw', () => {
+      const runId = `test-${Date.now()}`;
+      const dir = path.join(os.tmpdir(), 'yks-gmail-manager', runId);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'progress.json'), JSON.stringify({
+        labels: {}, time_range: { start: '2026-09-09T00:41:00.000Z', end: '2026-09-10T00:40:00.000Z' }
+      }));
+      assert.equal(loadRunTimeRange(runId).end.toISOString(), '2026-09-10T00:40:00.000Z');
+      fs.rmSync(dir, { recursive: true, force: true });
+      assert.throws(() => loadRunTimeRange(runId));
+    });
+  });
+
+  await describe('resolveGmailSyncMode', async () => {
+    const { resolveGmailSyncMode } = orchestrator._test;
+    const quietWarn = (fn) => {
+      const orig = console.warn;
+      console.warn = () => {};
+      try { return fn(); } finally { console.warn = orig; }
+    };
+
+    await it('history 요청 + schedule → history', () => {
+      assert.equal(resolveGmailSyncMode('schedule', 'history'), 'history');
+    });
+
+    await it('custom/range 모드는 항상 window (과거 날짜 런이 커서 전진 방지)', () => {
+      assert.equal(quietWarn(() => resolveGmailSyncMode('custom', 'history')), 'window');
+      assert.equal(quietWarn(() => resolveGmailSyncMode('range', 'history')), 'window');
+    });
+
+    await it('알 수 없는 값 → window', () => {
+      assert.equal(quietWarn(() => resolveGmailSyncMode('schedule', 'bogus')), 'window');
+    });
+  });
+
+  await describe('commitGmailSyncCursor', async () => {
+    const { commitGmailSyncCursor } = orchestrator._test;
+
+    await it('messages_list.json 없음 / sync 없음(window 수집) → no-op', async () => {
+      const rawDir = path.join(os.tmpdir(), `sync-cursor-${Date.now()}`);
+      fs.mkdirSync(rawDir, { recursive: true });
+      assert.equal(await commitGmailSyncCursor({ name: 'IT' }, rawDir), false);
+      fs.writeFileSync(path.join(rawDir, 'messages_list.json'), JSON.stringify({ label: 'IT', sync: null }));
+      assert.equal(await commitGmailSyncCursor({ name: 'IT' }, rawDir), false);
+      fs.rmSync(rawDir, { recursive: true, force: true });
+    });
+
+    await it('다운로드 실패(failed)가 있으면 커서를 두고 false', async () => {
+      const rawDir = path.join(os.tmpdir(), `sync-cursor-failed-${Date.now()}`);
+      fs.mkdirSync(rawDir, { recursive: true });
+      fs.writeFileSync(path.join(rawDir, 'messages_list.json'), JSON.stringify({
+        label: 'IT', failed: ['m1'], sync: { mode: 'history', history_id: '900' }
+      }));
+      const warnings = [];
+      const origWarn = console.warn;
+      console.warn = (...args) => warnings.push(args.join(' '));
+      try {
+        assert.equal(await commitGmailSyncCursor({ name: 'IT' }, rawDir), false);
+      } finally {
+        console.warn = origWarn;
+      }
+      assert.ok(warnings.some(w => w.includes('동기화 커서 보류')), '커서 저장 시도 전에 보류');
+      fs.rmSync(rawDir, { recursive: true, force: true });
+    });
   });
 
   await describe('calculateTimeRange', async () => {
@@ -154,6 +286,75 @@ module.exports = async function () {
     });
   });
 
+  await describe('드라이런', async () => {
+    const { CONFIG, getRunTempDir, getFinalOutputDir, formatOverlayDiff } = orchestrator._test;
+
+    await it('--dry-run → 임시 폴더 <runId>-dry, 결과물 output/dry-run/<runId>', () => {
+      assert.equal(parseArgs(['--dry-run']).dryRun, true);
+      assert.equal(parseArgs([]).dryRun, false);
+      const root = path.join(os.tmpdir(), 'proj');
+      assert.equal(getFinalOutputDir('20260910', root), path.join(root, 'output', 'final', '20260910'));
+      CONFIG.dryRun = true;
+      try {
+        assert.equal(path.basename(getRunTempDir('20260910')), '20260910-dry');
+        assert.equal(getFinalOutputDir('20260910', root), path.join(root, 'output', 'dry-run', '20260910'));
+      } finally {
+        CONFIG.dryRun = false;
+      }
+    });
+
+    await it('formatOverlayDiff: 카탈로그 추가·변경, SKILL 추가·변경 줄', () => {
+      const empty = { catalog: { added: [], changed: [] }, skills: { added: [], changed: [] } };
+      assert.equal(formatOverlayDiff(empty), '[드라이런] 카탈로그·SKILL 변경 없음');
+      const text = formatOverlayDiff({
+        catalog: {
+          added: [{ id: 'b', name: 'New', sender: 'new@b.com', labels: ['경제'] }],
+          changed: [{ id: 'a', fields: { analyze_failed_count: { before: undefined, after: 1 } } }]
+        },
+        skills: { added: ['SKILL_b.md'], changed: [{ file: 'SKILL_a.md', removed: ['- 유형: multi-item'], added: ['- 유형: single-topic'] }] }
+      });
+      assert.includes(text, '    + b: New <new@b.com> [경제]');
+      assert.includes(text, '    ~ a.analyze_failed_count: undefined → 1');
+      assert.includes(text, '  + skills/newsletters/SKILL_b.md (새 SKILL)');
+      assert.includes(text, '    - - 유형: multi-item\n    + - 유형: single-topic');
+    });
+  });
+
+  await describe('calculateRangeWindows', async () => {
+    await it('하루씩 schedule 창(전날 09:41 ~ 당일 09:40 KST)으로 빈틈 없이 이어짐', () => {
+      const windows = calculateRangeWindows('2026-08-30', '2026-09-02');
+      assert.deepEqual(windows.map(w => w.date), ['2026-08-30', '2026-08-31', '2026-09-01', '2026-09-02']);
+      assert.equal(formatKST(windows[0].timeRange.start), '2026-08-29 09:41:00 KST');
+      assert.equal(formatKST(windows[0].timeRange.end), '2026-08-30 09:40:00 KST');
+      for (let i = 1; i < windows.length; i++) {
+        assert.equal(windows[i].timeRange.start - windows[i - 1].timeRange.end, 60 * 1000);
+      }
+      assert.deepEqual(windows.map(w => generateRunId(w.timeRange)), ['20260830', '20260831', '20260901', '20260902']);
+    });
+
+    await it('from == to → 하루, 형식 오류·역순 → throw', () => {
+      assert.lengthOf(calculateRangeWindows('2026-09-01', '2026-09-01'), 1);
+      assert.throws(() => calculateRangeWindows('2026/09/01', '2026-09-02'));
+      assert.throws(() => calculateRangeWindows('2026-09-01', null));
+      assert.throws(() => calculateRangeWindows('2026-09-05', '2026-09-01'));
+    });
+  });
+
+  await describe('formatRangeSummary', async () => {
+    await it('날짜별 상태·아이템 표 + 합계 + 오류 사유', () => {
+      const table = formatRangeSummary([
+        { date: '2026-09-01', runId: '20260901', status: 'skipped' },
+        { date: '2026-09-02', runId: '20260902', status: 'ok', itemCount: 42, failedLabels: 0, seconds: 310 },
+        { date: '2026-09-03', runId: '20260903', status: 'error', error: 'invalid_grant', seconds: 2 }
+      ]);
+      const lines = table.split('\n');
+      assert.ok(lines.some(l => /^2026-09-01\s+20260901\s+건너뜀\(기존 결과\)\s+-/.test(l)));
+      assert.ok(lines.some(l => /^2026-09-02\s+20260902\s+완료\s+42\s+0\s+310s$/.test(l)));
+      assert.includes(table, '완료 1일, 건너뜀 1일, 헬스 차단 0일, 오류 1일 / 총 아이템 42개');
+      assert.includes(table, '  - 2026-09-03: invalid_grant');
+    });
+  });
+
   await describe('getLabels', async () => {
     await it('전체 활성 라벨 반환 (필터 없음)', () => {
       const labels = getLabels(null);
@@ -450,6 +651,19 @@ module.exports = async function () {
     });
   });
 
+  await describe('acquireRunLock', async () => {
+    await it('살아 있는 프로세스(데몬 등)가 잡고 있으면 거부, 해제 후엔 잡힘', () => {
+      const lockPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'runlock-')), 'run.lock');
+      const daemonLock = acquireRunLock('schedule', lockPath);
+      assert.throws(() => acquireRunLock('custom', lockPath), /다른 실행이 진행 중.*manual/);
+      daemonLock.release();
+      const lock = acquireRunLock('custom', lockPath);
+      assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).mode, 'custom');
+      lock.release();
+      assert.notOk(fs.existsSync(lockPath));
+    });
+  });
+
   await describe('checkSetup', async () => {
     await it('함수 호출 시 ok/errors 구조 반환', () => {
       const result = checkSetup();
@@ -465,5 +679,53 @@ module.exports = async function () {
         assert.ok(e.solution);
       });
     });
+
+    await it('로컬 메일 소스 지정 시 Gmail 토큰 대신 경로 확인', () => {
+      const missing = checkSetup({ mailSource: path.join(os.tmpdir(), 'no-such-mail-source') });
+      assert.ok(missing.errors.some(e => e.type === '메일 소스'));
+      assert.notOk(missing.errors.some(e => e.type === 'Gmail 인증'));
+      const present = checkSetup({ mailSource: os.tmpdir() });
+      assert.notOk(present.errors.some(e => e.type === '메일 소스' || e.type === 'Gmail 인증'));
+    });
+
+    await it('PUBLISHERS에 없는 발행기 이름 → 발행 오류, --publish 플래그 파싱', () => {
+      const { CONFIG } = orchestrator._test;
+      const prev = CONFIG.publishers;
+      CONFIG.publishers = ['telegram', 'slack'];
+      try {
+        const result = checkSetup();
+        assert.ok(result.errors.some(e => e.type === '발행' && e.message.includes('slack')));
+      } finally {
+        CONFIG.publishers = prev;
+      }
+      assert.notOk(checkSetup().errors.some(e => e.type === '발행'));
+      assert.equal(parseArgs(['--publish']).publish, true);
+      assert.equal(parseArgs([]).publish, false);
+    });
+  });
+
+  await describe('getGmailFetcher: 로컬 메일 소스', async () => {
+    const { getGmailFetcher, CONFIG, _resetGlobals } = orchestrator._test;
+
+    await it('CONFIG.mailSource 지정 → LocalMailSource (OAuth 없이 인증 통과)', async () => {
+      const { LocalMailSource } = require('../scripts/mail_source');
+      const dir = path.join(os.tmpdir(), `orch-local-src-${Date.now()}`);
+      fs.mkdirSync(dir, { recursive: true });
+      const prev = CONFIG.mailSource;
+      const origLog = console.log;
+      CONFIG.mailSource = dir;
+      _resetGlobals();
+      try {
+        console.log = () => {};
+        const fetcher = await getGmailFetcher();
+        assert.ok(fetcher instanceof LocalMailSource);
+        assert.equal((await fetcher.verifyAuth()).emailAddress, `local:${dir}`);
+      } finally {
+        console.log = origLog;
+        CONFIG.mailSource = prev;
+        _resetGlobals();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
   });
 };
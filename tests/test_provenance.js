@@ -0,0 +1,100 @@
+/**
+ * 아이템 출처 추적 테스트
+ * - locateSource: link 줄 기준 / 어휘 겹침 기준 문단 범위, 위치 미상
+ * - AgentRunner: 청크 결과에 chunk_index 부착, mergeChunkResults가 보존
+ * - restoreItemProvenance: 병합 LLM이 빠뜨린 출처 필드 복원
+ * - 리포트 "메일 원문 보기" 팝오버
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { locateSource, restoreItemProvenance } = require('../scripts/provenance');
+const { AgentRunner } = require('../scripts/agent_runner');
+
+module.exports = async function () {
+
+  const cleanText = [
+    'Morning Brief',
+    '',
+    'Samsung starts HBM4 mass production',
+    'Samsung Electronics began shipping HBM4 memory to Nvidia this week.',
+    '',
+    'https://news.example.com/hbm4-shipping',
+    '',
+    '쿠팡, 대만 로켓배송 확대',
+    '쿠팡이 대만에서 로켓배송 지역을 넓힌다고 밝혔다.'
+  ].join('\n');
+
+  await describe('locateSource', async () => {
+    await it('link 줄만 있는 문단 → 앞 문단(기사 본문)까지 범위', () => {
+      const r = locateSource({ title: 'x', link: 'https://news.example.com/hbm4-shipping' }, cleanText);
+      assert.deepEqual(r.source_lines, [3, 6]);
+      assert.includes(r.source_excerpt, 'began shipping HBM4');
+      assert.includes(r.source_excerpt, 'hbm4-shipping');
+    });
+
+    await it('link 없으면 제목·요약 어휘가 가장 많이 겹치는 문단 (한글 조사 무관)', () => {
+      const r = locateSource({ title: '쿠팡 대만 로켓배송 확대', summary: '로켓배송 지역 확대' }, cleanText);
+      assert.deepEqual(r.source_lines, [8, 9]);
+      assert.equal(r.source_excerpt, '쿠팡, 대만 로켓배송 확대\n쿠팡이 대만에서 로켓배송 지역을 넓힌다고 밝혔다.');
+    });
+
+    await it('겹치는 어휘가 부족하거나 원문이 없으면 null', () => {
+      assert.equal(locateSource({ title: '금리 동결' }, cleanText), null);
+      assert.equal(locateSource({ title: '쿠팡' }, ''), null);
+    });
+  });
+
+  await describe('AgentRunner 청크 번호', async () => {
+    await it('청크마다 chunk_index 부착, mergeChunkResults가 보존', async () => {
+      const runner = new AgentRunner('k', 'm', { logDir: fs.mkdtempSync(path.join(os.tmpdir(), 'prov-')), routing: [] });
+      runner.log = () => {};
+      runner.runSinglePrompt = async (header, chunk) => ({
+        items: [{ title: `기사 ${chunk.slice(0, 6)} 요약 제목` }]
+      });
+      const input = ['AAAAAA ' + 'a'.repeat(80), 'BBBBBB ' + 'b'.repeat(80), 'CCCCCC ' + 'c'.repeat(80)].join('\n\n');
+      const result = await runner.runChunkedPrompt('# h', input, 100, { taskType: 'extract' });
+      assert.deepEqual(result.items.map(it => it.chunk_index), [0, 1, 2]);
+      assert.includes(result.items[2].title, 'CCCCCC');
+    });
+  });
+
+  await describe('restoreItemProvenance', async () => {
+    const source = [
+      { title: '삼성 HBM4 양산', link: 'https://a.com/1', message_id: 'm1', chunk_index: 1, source_lines: [3, 6], source_excerpt: 'A' },
+      { title: '쿠팡 대만 확대', link: '', message_id: 'm1', chunk_index: 2, source_lines: [8, 9], source_excerpt: 'B' }
+    ];
+
+    await it('link 일치 → 그 아이템 필드, link 없으면 제목 겹침으로 선택', () => {
+      const merged = restoreItemProvenance([
+        { title: '삼성전자 HBM4 양산 시작', link: 'https://a.com/1', message_id: 'm1', source_lines: [1, 1] },
+        { title: '쿠팡, 대만 로켓배송 확대', link: '', message_id: 'm1' }
+      ], source);
+      assert.deepEqual([merged[0].chunk_index, merged[0].source_lines, merged[0].source_excerpt], [1, [3, 6], 'A']);
+      assert.deepEqual([merged[1].chunk_index, merged[1].source_excerpt], [2, 'B']);
+    });
+
+    await it('출처 필드가 모두 있는 아이템·모르는 message_id는 그대로', () => {
+      const intact = { ...source[0] };
+      const unknown = { title: 't', message_id: 'zz' };
+      const [a, b] = restoreItemProvenance([intact, unknown], source);
+      assert.equal(a, intact);
+      assert.equal(b, unknown);
+    });
+  });
+
+  await describe('리포트 원문 팝오버', async () => {
+    await it('발췌 있는 아이템만 팝오버 + 줄 범위/청크 표시, 발췌는 이스케이프', () => {
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: 'IT', items: [
+        { title: '출처 있음', summary: 's', source_lines: [3, 6], chunk_index: 1, source_excerpt: '<b>HBM4</b> 양산' },
+        { title: '출처 없음', summary: 's' }
+      ] }], '2026-10-19');
+      assert.equal(html.split('class="src-pop"').length, 2);
+      assert.includes(html, '3–6행 · 청크 2');
+      assert.includes(html, '&lt;b&gt;HBM4&lt;/b&gt; 양산');
+    });
+  });
+};
@@ -0,0 +1,261 @@
+/**
+ * 발행기 테스트
+ * - runPublishers: 재시도(백오프)·실패 기록 후 계속·건너뜀·드라이런 예정 동작
+ * - writePublishResults: 매니페스트 publish 필드에 기록, --only 재발행 시 기존 결과 병합
+ * - telegram: 메시지(매니페스트 라벨·아이템 수)·파일 전송, 재시도 시 보낸 것은 다시 안 보냄
+ * - drive: 통합 MD 업로드 / GDRIVE_FOLDER_ID 없으면 건너뜀
+ * - skill_commit / gh_pages: 임시 git 레포 + bare 원격으로 실제 커밋·푸시
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { runPublishers, writePublishResults } = require('../scripts/publishers');
+const { Publisher } = require('../scripts/publishers/publisher');
+const { TelegramPublisher } = require('../scripts/publishers/telegram');
+const { DrivePublisher } = require('../scripts/publishers/drive');
+const { SkillCommitPublisher } = require('../scripts/publishers/skill_commit');
+const { GhPagesPublisher } = require('../scripts/publishers/gh_pages');
+const { buildManifest, writeManifest, readManifest } = require('../scripts/run_manifest');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+module.exports = async function () {
+
+  const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'publish-'));
+
+  const writeRunManifest = (dir, results) => writeManifest(dir, buildManifest({
+    runId: '20261019',
+    date: '2026-10-19',
+    status: 'ok',
+    timeRange: { start: new Date('2026-10-18T00:41:00Z'), end: new Date('2026-10-19T00:40:00Z') },
+    results,
+    health: { healthy: true, reason: '정상' },
+    finalDir: dir
+  }));
+
+  // output/final/<runId> 모양의 결과물 폴더 (+ 런 매니페스트)
+  const makeFinalDir = (results = [
+    { label: 'IT', success: true, messageCount: 2, itemCount: 3 },
+    { label: '경제', success: true, messageCount: 1, itemCount: 2 }
+  ]) => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, '261019_통합_메일정리.html'), '<html>통합</html>');
+    fs.writeFileSync(path.join(dir, '261019_통합_메일정리.md'), '# 통합');
+    fs.writeFileSync(path.join(dir, '261019_IT_메일정리.md'), '# IT');
+    fs.writeFileSync(path.join(dir, '261019_경제_메일정리.md'), '# 경제');
+    writeRunManifest(dir, results);
+    return dir;
+  };
+  // 처리 0건 런: 리포트 없이 매니페스트만
+  const makeEmptyFinalDir = () => {
+    const dir = tmpDir();
+    writeRunManifest(dir, [{ label: 'IT', success: true, messageCount: 0, itemCount: 0 }]);
+    return dir;
+  };
+  const ctxFor = (finalDir, env = {}) => ({
+    runId: '20261019', date: '2026-10-19', finalDir, manifest: readManifest(finalDir), projectRoot: PROJECT_ROOT, elapsedMs: 125000, env
+  });
+
+  class FakePublisher extends Publisher {
+    constructor(name, behavior, options) {
+      super(options);
+      this.name = name;
+      this.behavior = behavior;
+      this.calls = 0;
+      this.seenCtx = null;
+    }
+    async skipReason() { return this.behavior.skip || null; }
+    plan() { return [`${this.name} 예정`]; }
+    async publish(ctx) {
+      this.calls++;
+      this.seenCtx = ctx;
+      if (this.calls <= (this.behavior.failTimes || 0)) throw new Error(`${this.name} 오류 ${this.calls}`);
+      return { done: true };
+    }
+  }
+
+  await describe('runPublishers', async () => {
+    await it('실패하면 백오프로 재시도, 한도 초과면 failed 기록 후 다음 발행기 계속', async () => {
+      const flaky = new FakePublisher('flaky', { failTimes: 1 });
+      const broken = new FakePublisher('broken', { failTimes: 9 }, { retries: 2 });
+      const last = new FakePublisher('last', {});
+      const waits = [];
+      const results = await runPublishers(ctxFor(tmpDir()), {
+        publishers: [flaky, broken, last], sleep: async ms => { waits.push(ms); }, retryDelayMs: 100
+      });
+      assert.deepEqual(results.map(r => [r.name, r.status, r.attempts]), [['flaky', 'ok', 2], ['broken', 'failed', 3], ['last', 'ok', 1]]);
+      assert.deepEqual(waits, [100, 100, 200]);
+      assert.equal(results[1].error, 'broken 오류 3');
+      assert.deepEqual(last.seenCtx.failedPublishers, ['broken']);
+    });
+
+    await it('건너뛸 이유가 있으면 skipped, 드라이런이면 publish 없이 예정 동작만', async () => {
+      const skip = new FakePublisher('skip', { skip: '설정 없음' });
+      const real = new FakePublisher('real', {});
+      const results = await runPublishers(ctxFor(tmpDir()), { publishers: [skip, real], dryRun: true });
+      assert.deepEqual(results.map(r => r.status), ['skipped', 'dry_run']);
+      assert.equal(results[0].reason, '설정 없음');
+      assert.deepEqual(results[1].plan, ['real 예정']);
+      assert.equal(real.calls, 0);
+    });
+
+    await it('only로 일부 발행기만', async () => {
+      const a = new FakePublisher('a', {});
+      const b = new FakePublisher('b', {});
+      const results = await runPublishers(ctxFor(tmpDir()), { publishers: [a, b], only: ['b'] });
+      assert.deepEqual(results.map(r => r.name), ['b']);
+    });
+  });
+
+  await describe('writePublishResults', async () => {
+    await it('매니페스트 publish에 기록, merge면 이번에 돌리지 않은 발행기 결과는 유지·발행기 순서로 정렬', () => {
+      const dir = makeFinalDir();
+      writePublishResults(dir, [{ name: 'gh_pages', status: 'failed' }, { name: 'telegram', status: 'ok' }]);
+      const returned = writePublishResults(dir, [{ name: 'gh_pages', status: 'ok' }], { merge: true });
+      const saved = readManifest(dir);
+      assert.deepEqual(saved.publish.results.map(r => [r.name, r.status]), [['gh_pages', 'ok'], ['telegram', 'ok']]);
+      assert.equal(saved.publish.dry_run, false);
+      assert.deepEqual(returned.publish, saved.publish);
+      assert.equal(saved.totals.items, 5);
+      assert.notOk(fs.existsSync(path.join(dir, 'publish.json')));
+      assert.equal(writePublishResults(tmpDir(), []), null);
+    });
+  });
+
+  await describe('telegram', async () => {
+    const fakeFetch = failOn => {
+      const calls = [];
+      const fn = async (url, { body }) => {
+        const method = url.split('/').pop();
+        calls.push({ method, text: body.get('text'), file: body.get('document') && body.get('document').name });
+        const fail = failOn && failOn.method === method && failOn.times-- > 0;
+        return { ok: !fail, status: fail ? 502 : 200, json: async () => (fail ? { ok: false, description: 'Bad Gateway' } : { ok: true, result: {} }) };
+      };
+      fn.calls = calls;
+      return fn;
+    };
+    const env = { TELEGRAM_TOKEN: 't', TELEGRAM_CHAT_ID: '1' };
+
+    await it('완료 메시지(라벨·소요) + HTML/MD 파일, 재시도 때 보낸 메시지는 다시 안 보냄', async () => {
+      const fetch = fakeFetch({ method: 'sendDocument', times: 1 });
+      const results = await runPublishers(ctxFor(makeFinalDir(), env), {
+        publishers: [new TelegramPublisher({ fetch })], sleep: async () => {}
+      });
+      assert.equal(results[0].status, 'ok');
+      assert.equal(results[0].attempts, 2);
+      const messages = fetch.calls.filter(c => c.method === 'sendMessage');
+      assert.lengthOf(messages, 1);
+      assert.includes(messages[0].text, 'IT,경제 등 2개 라벨 처리 (아이템 5개)');
+      assert.includes(messages[0].text, '소요: 2분 5초');
+      assert.deepEqual(results[0].detail.sent, ['message', '261019_통합_메일정리.html', '261019_통합_메일정리.md']);
+    });
+
+    await it('라벨은 아이템이 있는 것만, 실패한 라벨은 따로 표시 (파일 이름이 아닌 매니페스트 기준)', async () => {
+      const fetch = fakeFetch();
+      const finalDir = makeFinalDir([
+        { label: 'IT', success: true, messageCount: 2, itemCount: 3 },
+        { label: '경제', success: true, messageCount: 1, itemCount: 0 },
+        { label: '해외', success: false, error: 'LLM 오류' }
+      ]);
+      await runPublishers(ctxFor(finalDir, env), { publishers: [new TelegramPublisher({ fetch })] });
+      assert.includes(fetch.calls[0].text, 'IT 등 1개 라벨 처리 (아이템 3개)');
+      assert.includes(fetch.calls[0].text, '라벨 실패: 해외');
+    });
+
+    await it('처리 0건이면 안내 메시지만, 토큰 없으면 건너뜀', async () => {
+      const fetch = fakeFetch();
+      await runPublishers(ctxFor(makeEmptyFinalDir(), env), { publishers: [new TelegramPublisher({ fetch })] });
+      assert.deepEqual(fetch.calls.map(c => c.method), ['sendMessage']);
+      assert.includes(fetch.calls[0].text, '처리할 뉴스레터가 없었습니다');
+      const skipped = await runPublishers(ctxFor(makeFinalDir(), {}), { publishers: [new TelegramPublisher({ fetch })] });
+      assert.equal(skipped[0].status, 'skipped');
+    });
+  });
+
+  await describe('drive', async () => {
+    await it('통합 MD를 연도 폴더로 업로드 / GDRIVE_FOLDER_ID 없으면 건너뜀', async () => {
+      const uploads = [];
+      const upload = async (...args) => { uploads.push(args); return { id: 'f1', action: 'created', webViewLink: 'https://drive/f1' }; };
+      const finalDir = makeFinalDir();
+      const [ok] = await runPublishers(ctxFor(finalDir, { GDRIVE_FOLDER_ID: 'root' }), { publishers: [new DrivePublisher({ upload })] });
+      assert.deepEqual(uploads, [[path.join(finalDir, '261019_통합_메일정리.md'), '261019_통합_메일정리.md', '2026']]);
+      assert.deepEqual(ok.detail, { file: '261019_통합_메일정리.md', id: 'f1', action: 'created', url: 'https://drive/f1' });
+      const [skipped] = await runPublishers(ctxFor(finalDir, {}), { publishers: [new DrivePublisher({ upload })] });
+      assert.equal(skipped.reason, 'GDRIVE_FOLDER_ID 미설정');
+      const [empty] = await runPublishers(ctxFor(makeEmptyFinalDir(), { GDRIVE_FOLDER_ID: 'root' }), { publishers: [new DrivePublisher({ upload })] });
+      assert.equal(empty.status, 'skipped');
+    });
+  });
+
+  await describe('git 발행기 (임시 레포 + bare 원격)', async () => {
+    const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    const setupRepo = () => {
+      const root = tmpDir();
+      const remote = path.join(root, 'remote.git');
+      const work = path.join(root, 'work');
+      git(root, 'init', '-q', '--bare', '-b', 'main', remote);
+      git(root, 'clone', '-q', remote, work);
+      git(work, 'config', 'user.email', 'test@example.com');
+      git(work, 'config', 'user.name', 'test');
+      git(work, 'checkout', '-q', '-b', 'main');
+      fs.mkdirSync(path.join(work, 'config'));
+      fs.writeFileSync(path.join(work, 'config', 'newsletters.json'), '{}');
+      git(work, 'add', '-A');
+      git(work, 'commit', '-q', '-m', 'init');
+      git(work, 'push', '-q', 'origin', 'main');
+      git(work, 'checkout', '-q', '--orphan', 'gh-pages');
+      git(work, 'rm', '-rq', '--cached', '.');
+      fs.writeFileSync(path.join(work, 'index.html'), 'old');
+      git(work, 'add', 'index.html');
+      git(work, 'commit', '-q', '-m', 'pages');
+      git(work, 'push', '-q', 'origin', 'gh-pages');
+      git(work, 'checkout', '-q', '-f', 'main');
+      git(work, 'clean', '-qfd');
+      return { remote, work };
+    };
+
+    await it('skill_commit: SKILL 변경을 커밋·푸시, 변경 없으면 건너뜀', async () => {
+      const { remote, work } = setupRepo();
+      const ctx = { ...ctxFor(makeFinalDir()), projectRoot: work };
+      const [none] = await runPublishers(ctx, { publishers: [new SkillCommitPublisher()] });
+      assert.equal(none.status, 'skipped');
+
+      fs.mkdirSync(path.join(work, 'skills', 'newsletters'), { recursive: true });
+      fs.writeFileSync(path.join(work, 'skills', 'newsletters', 'SKILL_new.md'), '# new');
+      const [done] = await runPublishers(ctx, { publishers: [new SkillCommitPublisher()] });
+      assert.equal(done.status, 'ok', done.error);
+      assert.equal(git(remote, 'log', '-1', '--format=%s', 'main'), 'chore: 새 뉴스레터 SKILL 자동 생성');
+      assert.includes(git(remote, 'show', '--name-only', '--format=', 'main'), 'skills/newsletters/SKILL_new.md');
+    });
+
+    await it('gh_pages: reports/<날짜>.html·매니페스트 요약 + 인덱스를 gh-pages에 푸시, 작업 폴더는 정리', async () => {
+      const { remote, work } = setupRepo();
+      const finalDir = makeFinalDir();
+      fs.mkdirSync(path.join(finalDir, 'threads'));
+      fs.writeFileSync(path.join(finalDir, 'threads', 't1.html'), 'thread');
+      writeRunManifest(finalDir, [{ label: 'IT', success: true, messageCount: 2, itemCount: 3 }, { label: '경제', success: true, messageCount: 1, itemCount: 2 }]);
+      // generate_index_page.js는 레포의 스크립트를 쓰므로 작업 레포에 복사
+      fs.mkdirSync(path.join(work, 'scripts'));
+      fs.copyFileSync(path.join(PROJECT_ROOT, 'scripts', 'generate_index_page.js'), path.join(work, 'scripts', 'generate_index_page.js'));
+
+      const [done] = await runPublishers({ ...ctxFor(finalDir), projectRoot: work }, { publishers: [new GhPagesPublisher()] });
+      assert.equal(done.status, 'ok', done.error);
+      assert.equal(done.detail.committed, true);
+      const files = git(remote, 'ls-tree', '-r', '--name-only', 'gh-pages').split('\n');
+      assert.includes(files, 'reports/2026-10-19.html');
+      assert.includes(files, 'reports/threads/t1.html');
+      assert.includes(files, 'reports/2026-10-19.manifest.json');
+      const summary = JSON.parse(git(remote, 'show', 'gh-pages:reports/2026-10-19.manifest.json'));
+      assert.deepEqual(summary.totals, { labels: 2, items: 5 });
+      assert.notIncludes(Object.keys(summary), 'cost');
+      const index = git(remote, 'show', 'gh-pages:index.html');
+      assert.includes(index, '2026');
+      assert.includes(index, '5개 · IT, 경제');
+      assert.equal(git(work, 'worktree', 'list').split('\n').length, 1);
+      assert.equal(git(remote, 'log', '-1', '--format=%s', 'gh-pages'), 'report: 2026-10-19 뉴스레터 리포트');
+    });
+  });
+};
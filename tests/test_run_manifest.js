@@ -0,0 +1,189 @@
+/**
+ * 런 매니페스트 테스트
+ * - buildManifest: 라벨별 최종 아이템 수·추출→병합 흐름(merged_<라벨>.json), 라벨별 토큰·비용, 실패·비용·실제 있는 결과물만 artifacts
+ * - readManifest / updateManifest: 모르는 버전 거부, 일부 필드 갱신
+ * - isCompleteRun: status=ok만 완료, 매니페스트 없는 폴더는 도입 전 날짜일 때만 완료로 간주
+ * - generate_index_page: 리포트 옆 매니페스트 요약으로 아이템·라벨 표시
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  buildManifest, writeManifest, readManifest, updateManifest, isCompleteRun, artifactPaths, MANIFEST_FILE
+} = require('../scripts/run_manifest');
+const { listReports, generateIndexHtml } = require('../scripts/generate_index_page');
+
+module.exports = async function () {
+
+  const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  const timeRange = { start: new Date('2026-10-18T00:41:00Z'), end: new Date('2026-10-19T00:40:00Z') };
+  const stats = {
+    cost: { total_usd: 0.42 },
+    usage: { totalPromptTokens: 1000, totalCompletionTokens: 200, totalCalls: 7 },
+    by_label: { IT: { usage: { totalPromptTokens: 800, totalCompletionTokens: 150 }, cost: { total_usd: 0.3 } } }
+  };
+
+  const build = (finalDir, overrides = {}) => buildManifest({
+    runId: '20261019',
+    date: '2026-10-19',
+    status: 'ok',
+    mode: 'schedule',
+    timeRange,
+    results: [
+      { label: 'IT', success: true, messageCount: 4, itemCount: 9, extractFail: 1 },
+      { label: '경제', success: true, messageCount: 2, itemCount: 3, budgetSkipped: 1 },
+      { label: '해외', success: false, error: 'LLM 오류' }
+    ],
+    health: { healthy: true, reason: '라벨 3개 중 2개 성공' },
+    stats,
+    finalDir,
+    ...overrides
+  });
+
+  await describe('buildManifest', async () => {
+    await it('라벨 아이템 수는 중복 제거 후 merged_<라벨>.json 기준, 합계·실패·비용 집계', () => {
+      const mergedDir = tmpDir();
+      fs.writeFileSync(path.join(mergedDir, 'merged_IT.json'), JSON.stringify({
+        items: [{}, {}, {}, {}, {}, {}],
+        stats: { original_count: 10, total_items: 8, duplicates_removed: 2, junk_dropped: 3, cross_label_removed: 1, history_removed: 1 }
+      }));
+      fs.writeFileSync(path.join(mergedDir, 'merged_경제.json'), 'corrupt');
+      const m = build(tmpDir(), { mergedDir, durationMs: 61000 });
+
+      assert.equal(m.version, 1);
+      assert.equal(m.time_range.start, '2026-10-18T00:41:00.000Z');
+      assert.deepEqual(m.labels.map(l => [l.name, l.item_count]), [['IT', 6], ['경제', 3], ['해외', 0]]);
+      assert.equal(m.labels[0].extract_failed, 1);
+      assert.deepEqual(
+        [m.labels[0].extracted_count, m.labels[0].merged_count, m.labels[0].duplicates_removed, m.labels[0].junk_dropped],
+        [13, 8, 4, 3]);
+      assert.deepEqual([m.labels[0].prompt_tokens, m.labels[0].completion_tokens, m.labels[0].cost_usd], [800, 150, 0.3]);
+      assert.equal(m.labels[1].extracted_count, null);
+      assert.equal(m.labels[2].cost_usd, 0);
+      assert.deepEqual(m.totals, { labels: 3, failed_labels: 1, messages: 6, items: 9 });
+      assert.deepEqual(m.failures, [{ label: '해외', error: 'LLM 오류' }]);
+      assert.deepEqual(m.cost, { total_usd: 0.42, prompt_tokens: 1000, completion_tokens: 200, calls: 7 });
+      assert.equal(m.duration_ms, 61000);
+      assert.equal(m.publish, null);
+      assert.equal(build(tmpDir(), { stats: null }).cost, null);
+    });
+
+    await it('merged_count는 라벨 간 중복 제거 전 라벨 내 병합 수', () => {
+      const { applyCrossLabelDedup } = require('../scripts/orchestrator')._test;
+      const mergedDir = tmpDir();
+      const items = n => Array.from({ length: n }, (_, i) => ({ title: `기사 ${i}`, summary: 's', link: `https://n.com/${i}` }));
+      const write = (label, list, stats) => fs.writeFileSync(path.join(mergedDir, `merged_${label}.json`),
+        JSON.stringify({ label, total_items: list.length, items: list, stats: { ...stats, total_items: list.length } }));
+      // IT: 추출 10 → 병합 8, 그중 2개는 경제에도 있음 (경제 쪽 요약이 길어 경제가 남김)
+      write('IT', items(8), { original_count: 10, merged_count: 8, duplicates_removed: 2 });
+      write('경제', items(2).map(it => ({ ...it, summary: '경제 쪽에서 더 길게 쓴 요약 '.repeat(5) })),
+        { original_count: 2, merged_count: 2, duplicates_removed: 0 });
+      assert.equal(applyCrossLabelDedup(mergedDir).removed, 2);
+
+      const it_ = build(tmpDir(), { mergedDir }).labels[0];
+      assert.deepEqual([it_.extracted_count, it_.merged_count, it_.item_count, it_.duplicates_removed], [10, 8, 6, 4]);
+    });
+
+    await it('artifacts는 결과물 폴더에 실제 있는 파일만 (상대 경로)', () => {
+      const finalDir = tmpDir();
+      fs.writeFileSync(path.join(finalDir, '261019_통합_메일정리.html'), 'html');
+      fs.writeFileSync(path.join(finalDir, '261019_IT_메일정리.md'), 'md');
+      fs.mkdirSync(path.join(finalDir, 'threads'));
+      fs.writeFileSync(path.join(finalDir, 'threads', 'b.html'), '');
+      fs.writeFileSync(path.join(finalDir, 'threads', 'a.html'), '');
+      const m = build(finalDir);
+
+      assert.deepEqual(m.artifacts, {
+        html: '261019_통합_메일정리.html',
+        md: null,
+        label_md: { IT: '261019_IT_메일정리.md' },
+        threads: ['threads/a.html', 'threads/b.html'],
+        dropped_items: null,
+        overlay_diff: null
+      });
+      const abs = artifactPaths(finalDir, m);
+      assert.equal(abs.html, path.join(finalDir, '261019_통합_메일정리.html'));
+      assert.deepEqual(abs.labels, ['IT', '경제']);
+    });
+  });
+
+  await describe('읽기·갱신', async () => {
+    await it('쓰고 읽기, 없으면 null, 모르는 버전은 예외', () => {
+      const dir = path.join(tmpDir(), '20261019');
+      assert.equal(readManifest(dir), null);
+      writeManifest(dir, build(dir));
+      assert.equal(readManifest(dir).run_id, '20261019');
+      assert.notOk(fs.existsSync(path.join(dir, `${MANIFEST_FILE}.tmp`)));
+
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify({ version: 99 }));
+      assert.throws(() => readManifest(dir), /버전 99/);
+    });
+
+    await it('updateManifest: 바꾼 필드만 반영, 매니페스트 없으면 null', () => {
+      const dir = tmpDir();
+      writeManifest(dir, build(dir));
+      const next = updateManifest(dir, m => ({ publish: { results: [], seen: m.run_id } }));
+      assert.equal(readManifest(dir).publish.seen, '20261019');
+      assert.equal(next.totals.items, 12);
+      assert.equal(updateManifest(tmpDir(), () => ({})), null);
+    });
+  });
+
+  await describe('isCompleteRun', async () => {
+    await it('status=ok만 완료, unhealthy·손상은 미완료, 매니페스트 없는 폴더는 도입 전 날짜만 완료', () => {
+      const root = tmpDir();
+      assert.notOk(isCompleteRun(path.join(root, 'none')));
+
+      const ok = path.join(root, 'ok');
+      writeManifest(ok, build(ok));
+      assert.ok(isCompleteRun(ok));
+
+      const unhealthy = path.join(root, 'unhealthy');
+      writeManifest(unhealthy, build(unhealthy, { status: 'unhealthy' }));
+      assert.notOk(isCompleteRun(unhealthy));
+
+      const corrupt = path.join(root, 'corrupt');
+      fs.mkdirSync(corrupt);
+      fs.writeFileSync(path.join(corrupt, MANIFEST_FILE), '{');
+      assert.notOk(isCompleteRun(corrupt));
+
+      // 매니페스트 없는 폴더는 날짜와 무관하게 통합 HTML·MD가 둘 다 있어야 완료
+      const legacy = path.join(root, '20260901');
+      fs.mkdirSync(legacy);
+      fs.writeFileSync(path.join(legacy, '260901_통합_메일정리.html'), 'html');
+      fs.writeFileSync(path.join(legacy, '260901_통합_메일정리.md'), 'md');
+      assert.ok(isCompleteRun(legacy));
+
+      // 결과물 복사 도중 중단(MD 없음) → 다시 돌려야 함
+      const interrupted = path.join(root, '20260902');
+      fs.mkdirSync(interrupted);
+      fs.writeFileSync(path.join(interrupted, '260902_통합_메일정리.html'), 'html');
+      fs.writeFileSync(path.join(interrupted, '260902_IT_메일정리.md'), 'md');
+      assert.notOk(isCompleteRun(interrupted));
+
+      const empty = path.join(root, '20261020');
+      fs.mkdirSync(empty);
+      assert.notOk(isCompleteRun(empty));
+    });
+  });
+
+  await describe('generate_index_page', async () => {
+    await it('매니페스트 요약이 있는 리포트만 아이템 수·라벨 표시', () => {
+      const reportsDir = tmpDir();
+      fs.writeFileSync(path.join(reportsDir, '2026-10-19.html'), '');
+      fs.writeFileSync(path.join(reportsDir, '2026-10-18.html'), '');
+      fs.writeFileSync(path.join(reportsDir, '2026-10-19.manifest.json'), JSON.stringify({
+        totals: { labels: 2, items: 12 }, labels: [{ name: 'IT', item_count: 9 }, { name: '경제', item_count: 3 }]
+      }));
+      const reports = listReports(reportsDir);
+      assert.deepEqual(reports.map(r => r.filename), ['2026-10-19.html', '2026-10-18.html']);
+      assert.deepEqual(reports[0].summary, { items: 12, labels: ['IT', '경제'] });
+      assert.equal(reports[1].summary, null);
+      const html = generateIndexHtml(reports);
+      assert.includes(html, '12개 · IT, 경제');
+      assert.lengthOf(html.match(/class="meta"/g), 1);
+    });
+  });
+};
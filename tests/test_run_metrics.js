@@ -0,0 +1,168 @@
+/**
+ * 런 지표 테스트
+ * - buildRunMetrics: 매니페스트 라벨 흐름 → 아이템·중복 비율·토큰·비용, 로그의 라벨별 단계 소요
+ * - summarizeLastRun: 같은 런 ID 재실행은 마지막 run_start 이후만
+ * - 이력: 같은 런 교체, 보존 기간, 직전 7일 정상 런 평균
+ * - formatPrometheus / recordRunMetrics: textfile collector 형식, 예외로 끝난 런
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  recordRunMetrics, buildRunMetrics, summarizeLastRun, appendHistory, trailingAverages, formatPrometheus,
+  loadHistory, TEXTFILE_NAME, HISTORY_FILE
+} = require('../scripts/run_metrics');
+const { writeManifest } = require('../scripts/run_manifest');
+
+module.exports = async function () {
+
+  const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+  const now = new Date('2026-10-19T00:45:00Z');
+
+  const manifestFor = (runId, date, itItems, overrides = {}) => ({
+    version: 1,
+    run_id: runId,
+    date,
+    status: 'ok',
+    duration_ms: 95000,
+    labels: [
+      {
+        name: 'IT', success: true, message_count: 4, item_count: itItems, extract_failed: 1, budget_skipped: 0, error: null,
+        extracted_count: 14, merged_count: 10, duplicates_removed: 5, junk_dropped: 4,
+        prompt_tokens: 800, completion_tokens: 150, cost_usd: 0.3
+      },
+      {
+        name: '해외', success: false, message_count: 0, item_count: 0, extract_failed: 0, budget_skipped: 0, error: 'LLM 오류',
+        extracted_count: null, merged_count: null, duplicates_removed: 0, junk_dropped: 0,
+        prompt_tokens: 0, completion_tokens: 0, cost_usd: 0
+      }
+    ],
+    totals: { labels: 2, failed_labels: 1, messages: 4, items: itItems },
+    cost: { total_usd: 0.42, prompt_tokens: 1000, completion_tokens: 200, calls: 7 },
+    ...overrides
+  });
+
+  const logLine = (fields) => JSON.stringify({ ts: '2026-10-19T00:41:00.000Z', level: 'debug', runId: '20261019', msg: '', ...fields });
+
+  await describe('buildRunMetrics', async () => {
+    await it('라벨별 아이템 흐름·중복 비율·토큰·비용, 로그의 라벨별 단계 소요', () => {
+      const logSummary = { labels: { IT: { warn: 0, error: 0, stage_ms: { gmail_fetch: 1200, llm_extract: 30000 } } } };
+      const entry = buildRunMetrics({ runId: '20261019', manifest: manifestFor('20261019', '2026-10-19', 5), logSummary, now });
+
+      assert.equal(entry.status, 'ok');
+      assert.equal(entry.recorded_at, '2026-10-19T00:45:00.000Z');
+      assert.deepEqual([entry.messages, entry.items, entry.failed_labels, entry.cost_usd], [4, 5, 1, 0.42]);
+      const it_ = entry.labels.IT;
+      assert.deepEqual([it_.extracted, it_.merged, it_.items, it_.duplicates], [14, 10, 5, 5]);
+      assert.equal(it_.duplicate_ratio, 0.5);
+      assert.deepEqual(it_.stage_ms, { gmail_fetch: 1200, llm_extract: 30000 });
+      assert.equal(entry.labels['해외'].extracted, null);
+      assert.equal(entry.labels['해외'].duplicate_ratio, 0);
+    });
+
+    await it('매니페스트 없이 예외로 끝난 런: 런 ID에서 날짜, 라벨 없음', () => {
+      const entry = buildRunMetrics({ runId: '20261019', manifest: null, error: '토큰 만료', durationMs: 4000, now });
+      assert.deepEqual([entry.date, entry.status, entry.error, entry.duration_ms, entry.items], ['2026-10-19', 'error', '토큰 만료', 4000, 0]);
+      assert.deepEqual(entry.labels, {});
+    });
+
+    await it('summarizeLastRun: 같은 로그 파일의 마지막 run_start 이후만 요약', () => {
+      const logFile = path.join(tmpDir(), '20261019.jsonl');
+      fs.writeFileSync(logFile, [
+        logLine({ event: 'run_start' }),
+        logLine({ event: 'stage_end', label: 'IT', stage: 'merge', duration_ms: 9000 }),
+        logLine({ event: 'run_start' }),
+        logLine({ event: 'stage_end', label: 'IT', stage: 'merge', duration_ms: 2000 }),
+        ''
+      ].join('\n'));
+      assert.deepEqual(summarizeLastRun(logFile).labels.IT.stage_ms, { merge: 2000 });
+      assert.equal(summarizeLastRun(path.join(tmpDir(), 'none.jsonl')), null);
+    });
+  });
+
+  await describe('이력', async () => {
+    const entryFor = (runId, date, items, status = 'ok') => buildRunMetrics({
+      runId, manifest: manifestFor(runId, date, items, { status }), now: new Date(`${date}T00:45:00Z`)
+    });
+
+    await it('같은 런 ID는 교체, 최신 날짜 기준 보존 기간 밖은 삭제, 날짜순', () => {
+      let runs = appendHistory([], entryFor('20260701', '2026-07-01', 3));
+      runs = appendHistory(runs, entryFor('20261018', '2026-10-18', 8));
+      runs = appendHistory(runs, entryFor('20261017', '2026-10-17', 9));
+      runs = appendHistory(runs, entryFor('20261018', '2026-10-18', 7));
+      assert.deepEqual(runs.map(r => [r.run_id, r.items]), [['20261017', 9], ['20261018', 7]]);
+    });
+
+    await it('직전 7일 정상 런 평균: 이 런·unhealthy·7일 밖·실패 라벨 제외', () => {
+      const runs = [
+        entryFor('20261010', '2026-10-10', 100),
+        entryFor('20261012', '2026-10-12', 10),
+        entryFor('20261015', '2026-10-15', 20),
+        entryFor('20261016', '2026-10-16', 0, 'unhealthy'),
+        entryFor('20261019', '2026-10-19', 3)
+      ];
+      const avg = trailingAverages(runs, runs[4]);
+      assert.equal(avg.runs, 2);
+      assert.equal(avg.items, 15);
+      assert.deepEqual(Object.keys(avg.labels), ['IT']);
+      assert.equal(avg.labels.IT.items, 15);
+      assert.equal(avg.labels.IT.runs, 2);
+      assert.equal(trailingAverages([runs[4]], runs[4]).items, null);
+    });
+  });
+
+  await describe('Prometheus textfile', async () => {
+    await it('게이지·HELP/TYPE, 라벨 값 이스케이프, 값 없는 샘플 생략, 7일 평균', () => {
+      const manifest = manifestFor('20261019', '2026-10-19', 3);
+      manifest.labels[0].name = 'IT "해외"';
+      const entry = buildRunMetrics({ runId: '20261019', manifest, now });
+      const prev = buildRunMetrics({ runId: '20261018', manifest: manifestFor('20261018', '2026-10-18', 10), now: new Date('2026-10-18T00:45:00Z') });
+      const text = formatPrometheus(entry, [prev, entry]);
+
+      assert.includes(text, '# TYPE newsletter_digest_run_duration_seconds gauge');
+      assert.includes(text, 'newsletter_digest_run_duration_seconds 95\n');
+      assert.includes(text, 'newsletter_digest_run_status{status="ok"} 1');
+      assert.includes(text, 'newsletter_digest_label_items{label="IT \\"해외\\"",stage="extracted"} 14');
+      assert.includes(text, 'newsletter_digest_label_items{label="해외",stage="final"} 0');
+      assert.notIncludes(text, 'newsletter_digest_label_items{label="해외",stage="extracted"}');
+      assert.includes(text, 'newsletter_digest_label_cost_usd{label="해외"} 0');
+      assert.includes(text, 'newsletter_digest_run_items_avg7d 10');
+      // avg7d는 stage="final"을 달아 label_items{stage="final"}과 레이블 집합이 같음 (ignoring 없이 비교)
+      assert.includes(text, 'newsletter_digest_label_items_avg7d{label="IT",stage="final"} 10');
+      assert.includes(text, 'newsletter_digest_runs_7d 1');
+      // 기준 기간에 성공한 적 없는 라벨도 기준 런 수 0으로 노출
+      assert.includes(text, 'newsletter_digest_label_runs_7d{label="IT"} 1');
+      assert.includes(text, 'newsletter_digest_label_runs_7d{label="해외"} 0');
+      assert.includes(text, 'newsletter_digest_label_runs_7d{label="IT \\"해외\\""} 0');
+      assert.includes(text, `newsletter_digest_last_success_timestamp_seconds ${Date.parse('2026-10-19T00:45:00Z') / 1000}`);
+      assert.ok(text.endsWith('\n'));
+    });
+
+    await it('recordRunMetrics: 매니페스트·로그 → 이력 + .prom (임시 파일 없이), 예외 런은 run_success 0', () => {
+      const root = tmpDir();
+      const finalDir = path.join(root, 'final', '20261019');
+      writeManifest(finalDir, manifestFor('20261019', '2026-10-19', 5));
+      const logFile = path.join(root, '20261019.jsonl');
+      fs.writeFileSync(logFile, `${logLine({ event: 'stage_end', label: 'IT', stage: 'llm_extract', duration_ms: 30500 })}\n`);
+      const metricsDir = path.join(root, 'metrics');
+      const textfileDir = path.join(root, 'textfile');
+
+      const { promPath, entry } = recordRunMetrics({ runId: '20261019', finalDir, logFile, metricsDir, textfileDir, now });
+      assert.equal(promPath, path.join(textfileDir, TEXTFILE_NAME));
+      assert.equal(entry.items, 5);
+      assert.includes(fs.readFileSync(promPath, 'utf8'), 'newsletter_digest_label_stage_seconds{label="IT",stage="llm_extract"} 30.5');
+      assert.deepEqual(fs.readdirSync(textfileDir), [TEXTFILE_NAME]);
+      assert.lengthOf(loadHistory(path.join(metricsDir, HISTORY_FILE)), 1);
+
+      recordRunMetrics({ runId: '20261020', finalDir: path.join(root, 'final', '20261020'), metricsDir, error: '토큰 만료', durationMs: 3000, now });
+      const text = fs.readFileSync(path.join(metricsDir, TEXTFILE_NAME), 'utf8');
+      assert.includes(text, 'newsletter_digest_run_success 0');
+      assert.includes(text, 'newsletter_digest_run_status{status="error"} 1');
+      assert.notIncludes(text, 'newsletter_digest_label_items{');
+      assert.includes(text, 'newsletter_digest_run_items_avg7d 5');
+      assert.deepEqual(loadHistory(path.join(metricsDir, HISTORY_FILE)).map(r => r.status), ['ok', 'error']);
+    });
+  });
+};
@@ -0,0 +1,80 @@
+/**
+ * 출처 룰베이스 귀속 테스트
+ * - sourceDisplayName: display_name 우선, 없으면 name의 표시명
+ * - aliases: AdaptiveLearning 발신자 매칭 / 새 발신자 감지에서 제외
+ * - mergedSource: 병합 LLM 출처 문자열 → 배치 원본의 정규명만
+ * - 실제 카탈로그: SCMP 에디션 전부 같은 출처명
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { catalogSenders, sourceDisplayName, mergedSource } = require('../scripts/source_attribution');
+const { AdaptiveLearning } = require('../scripts/adaptive_learning');
+
+module.exports = async function () {
+
+  await describe('sourceDisplayName', async () => {
+    await it('display_name 우선, 없으면 name 표시명(따옴표·주소 제거), 그다음 id', () => {
+      assert.equal(sourceDisplayName({ id: 'a', name: '"Wendy Wu, SCMP" <w@e.scmp.com>', display_name: 'SCMP' }), 'SCMP');
+      assert.equal(sourceDisplayName({ id: 'a', name: '"요즘IT" <yozm_help@wishket.com>' }), '요즘IT');
+      assert.equal(sourceDisplayName({ id: 'only_id', name: '<x@y.com>' }), 'only_id');
+      assert.equal(sourceDisplayName(null), null);
+    });
+
+    await it('catalogSenders: sender + aliases 소문자', () => {
+      assert.deepEqual(catalogSenders({ sender: 'News@E.scmp.com', aliases: ['Edition2@e.scmp.com', ''] }),
+        ['news@e.scmp.com', 'edition2@e.scmp.com']);
+    });
+  });
+
+  await describe('AdaptiveLearning + aliases', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-attr-'));
+    const al = new AdaptiveLearning();
+    al.catalogPath = path.join(dir, 'newsletters.json');
+    fs.writeFileSync(al.catalogPath, JSON.stringify({ newsletters: [
+      { id: 'scmp', sender: 'news@e.scmp.com', name: 'South China Morning Post <news@e.scmp.com>', display_name: 'SCMP',
+        aliases: ['asia@e.scmp.com'], labels: ['중국_시사'], skill_file: 'skills/newsletters/SKILL_scmp.md', skill_generated: true }
+    ] }));
+
+    await it('alias 주소로도 같은 엔트리·SKILL', () => {
+      assert.equal(al.findBySender('ASIA@e.scmp.com').id, 'scmp');
+      assert.equal(al.isSkillGenerated('asia@e.scmp.com'), true);
+      assert.includes(al.getSkillPath('asia@e.scmp.com'), 'SKILL_scmp.md');
+    });
+
+    await it('alias 발신자는 새 뉴스레터로 감지하지 않음', () => {
+      const found = al.detectNewNewsletters([{ email: 'asia@e.scmp.com' }, { email: 'new@x.com' }], '중국_시사');
+      assert.deepEqual(found.map(n => n.email), ['new@x.com']);
+    });
+  });
+
+  await describe('mergedSource', async () => {
+    const batch = [
+      { title: 'a', source: 'SCMP', message_id: 'm1', link: 'https://a.com/1' },
+      { title: 'b', source: '더밀크', message_id: 'm2', link: 'https://b.com/1' },
+      { title: 'c', source: '바이라인네트워크', message_id: 'm3', link: '' }
+    ];
+
+    await it('LLM 철자 드리프트는 버리고 정규명만, 배치 순서로 연결', () => {
+      const item = { title: 'x', source: 'South China Morning Post, 더 밀크, S.C.M.P', message_id: 'm2', link: 'https://b.com/1' };
+      assert.equal(mergedSource(item, batch), 'SCMP, 더밀크');
+    });
+
+    await it('언급이 없어도 자기 message_id/link 원본의 출처는 포함', () => {
+      assert.equal(mergedSource({ title: 'x', source: '', message_id: 'm3' }, batch), '바이라인네트워크');
+      assert.equal(mergedSource({ title: 'x', source: '알 수 없음', message_id: 'zz' }, batch), '알 수 없음');
+    });
+  });
+
+  await describe('실제 카탈로그', async () => {
+    await it('SCMP·NYT 멀티 에디션은 하나의 출처명', () => {
+      const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'newsletters.json'), 'utf8'));
+      const nameOf = pattern => new Set(catalog.newsletters
+        .filter(n => pattern.test(n.sender)).map(sourceDisplayName));
+      assert.deepEqual([...nameOf(/@e\.scmp\.com$/)], ['SCMP']);
+      assert.deepEqual([...nameOf(/@nytimes\.com$/)], ['The New York Times']);
+    });
+  });
+};
@@ -0,0 +1,132 @@
+/**
+ * 스토리 스레드 테스트
+ * - assignThreads: link / 키워드+고유명사로 이전 스레드에 잇기, 무관 기사는 새 스레드
+ * - 같은 날짜 재실행 멱등, 여러 스레드 합치기, 창 밖 단발 스레드 정리
+ * - applyStoryThreads: merged 재기록 + 레지스트리 저장 + 타임라인 페이지
+ * - render_report: "이 이야기의 이전 소식"
+ * - groupRelated: 스레드·키워드 클러스터 공용 Union-Find
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { StoryRegistry, assignThreads } = require('../scripts/story_threads');
+const { groupRelated } = require('../scripts/clustering');
+const { _test } = require('../scripts/orchestrator');
+const { normalizeUrl, applyStoryThreads } = _test;
+
+module.exports = async function () {
+
+  const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'threads-')), 'threads.json');
+  const opts = date => ({ date, days: 30, normalizeLink: normalizeUrl });
+
+  const doj1 = { title: 'Google, 美 법무부 반독점 소송 첫 공판', summary: 'Google 검색 독점 여부를 다투는 재판이 시작됐다.', keywords: ['구글', '반독점', '법무부'], link: 'https://news.com/g1' };
+  const doj2 = { title: 'Google 반독점 재판 증인 신문', summary: 'Apple 임원이 Google 검색 계약을 증언했다.', keywords: ['구글', '반독점', '검색'], link: 'https://news.com/g2' };
+  const other = { title: '쿠팡 대만 로켓배송 확대', summary: '쿠팡이 대만 물류센터를 늘린다.', keywords: ['쿠팡', '대만', '물류'], link: 'https://news.com/c1' };
+
+  await describe('assignThreads', async () => {
+    await it('키워드 2개 + 고유명사 공유 → 이전 스레드에 이어 붙이고 이전 소식 부착', () => {
+      const registry = new StoryRegistry(tmpFile());
+      const day1 = assignThreads([{ label: 'IT', items: [doj1, other] }], registry, opts('2026-10-01'));
+      const day2 = assignThreads([{ label: '시사', items: [doj2] }], registry, opts('2026-10-05'));
+      const first = day1.labelsData[0].items[0];
+      const next = day2.labelsData[0].items[0];
+      assert.equal(next.thread_id, first.thread_id);
+      assert.notOk(first.thread_id === day1.labelsData[0].items[1].thread_id);
+      assert.deepEqual(next.thread_previous.map(p => [p.date, p.label, p.title]), [['2026-10-01', 'IT', doj1.title]]);
+      assert.deepEqual(day2.continued, [first.thread_id]);
+      assert.equal(first.thread_previous, undefined);
+    });
+
+    await it('같은 link면 키워드가 달라도 같은 스레드', () => {
+      const registry = new StoryRegistry(tmpFile());
+      const a = assignThreads([{ label: 'IT', items: [other] }], registry, opts('2026-10-01'));
+      const b = assignThreads([{ label: '경제', items: [{ title: '전혀 다른 제목', summary: 's', link: 'https://www.news.com/c1?utm_source=x' }] }], registry, opts('2026-10-02'));
+      assert.equal(b.labelsData[0].items[0].thread_id, a.labelsData[0].items[0].thread_id);
+    });
+
+    await it('같은 날짜 재실행은 그 날짜 항목을 교체 (이전 소식에 자기 자신이 안 들어감)', () => {
+      const registry = new StoryRegistry(tmpFile());
+      assignThreads([{ label: 'IT', items: [doj1] }], registry, opts('2026-10-01'));
+      assignThreads([{ label: 'IT', items: [doj2] }], registry, opts('2026-10-05'));
+      const again = assignThreads([{ label: 'IT', items: [doj2] }], registry, opts('2026-10-05'));
+      const id = again.labelsData[0].items[0].thread_id;
+      assert.lengthOf(registry.threads[id].entries, 2);
+      assert.lengthOf(again.labelsData[0].items[0].thread_previous, 1);
+    });
+
+    await it('두 기존 스레드에 걸친 아이템 → 오래된 스레드로 합침, 창 밖 단발 스레드는 정리', () => {
+      const registry = new StoryRegistry(tmpFile());
+      const a = assignThreads([{ label: 'IT', items: [doj1] }], registry, opts('2026-10-01'));
+      const b = assignThreads([
+        { label: 'IT', items: [other] },
+        { label: '경제', items: [{ title: '한은 기준금리 동결', summary: 's', keywords: ['금리'] }] }
+      ], registry, opts('2026-10-02'));
+      const idA = a.labelsData[0].items[0].thread_id;
+      const idB = b.labelsData[0].items[0].thread_id;
+      const idLone = b.labelsData[1].items[0].thread_id;
+      // link는 A, 키워드 3개는 B와 겹침
+      const bridge = { title: '구글 출신 임원, 쿠팡 대만 물류 총괄로', summary: 's', link: doj1.link, keywords: ['쿠팡', '대만', '물류'] };
+      const c = assignThreads([{ label: 'IT', items: [bridge] }], registry, opts('2026-10-03'));
+      assert.equal(c.labelsData[0].items[0].thread_id, idA);
+      assert.equal(registry.threads[idB].merged_into, idA);
+      assert.deepEqual(registry.threads[idA].entries.map(e => e.date), ['2026-10-01', '2026-10-02', '2026-10-03']);
+
+      assignThreads([{ label: 'IT', items: [] }], registry, opts('2026-12-01'));
+      assert.ok(registry.threads[idA], '여러 날짜 스레드는 유지');
+      assert.equal(registry.threads[idB], undefined);
+      assert.equal(registry.threads[idLone], undefined);
+    });
+  });
+
+  await describe('applyStoryThreads', async () => {
+    await it('merged 재기록 + threads.json 저장 + 이어진 스레드 타임라인 페이지', () => {
+      const file = tmpFile();
+      const registry = new StoryRegistry(file);
+      assignThreads([{ label: 'IT', items: [doj1] }], registry, opts('2026-10-01'));
+      registry.save();
+
+      const dir = path.dirname(file);
+      const mergedDir = path.join(dir, 'merged');
+      const finalDir = path.join(dir, 'final');
+      fs.mkdirSync(mergedDir);
+      fs.writeFileSync(path.join(mergedDir, 'merged_시사.json'), JSON.stringify({ label: '시사', items: [doj2, other] }));
+
+      const r = applyStoryThreads(mergedDir, finalDir, new StoryRegistry(file), { date: '2026-10-05', days: 30 });
+      assert.deepEqual(r, { threaded: 2, continued: 1 });
+      const saved = JSON.parse(fs.readFileSync(path.join(mergedDir, 'merged_시사.json'), 'utf8'));
+      const id = saved.items[0].thread_id;
+      assert.ok(saved.items[1].thread_id);
+      const page = fs.readFileSync(path.join(finalDir, 'threads', `${id}.html`), 'utf8');
+      assert.includes(page, '2026-10-01');
+      assert.includes(page, 'Google 반독점 재판 증인 신문');
+      assert.lengthOf(Object.values(new StoryRegistry(file).threads).filter(t => t.id === id), 1);
+    });
+  });
+
+  await describe('render_report: 이전 소식', async () => {
+    await it('thread_previous가 있으면 이전 소식 목록 + 타임라인 링크', () => {
+      const { renderReport } = require('../scripts/render_report');
+      const html = renderReport([{ label: '시사', items: [
+        { ...doj2, thread_id: 't20261001-abc', thread_previous: [{ date: '2026-10-01', label: 'IT', title: doj1.title, link: doj1.link }] },
+        { ...other, thread_id: 't20261005-def' }
+      ] }], '2026-10-05');
+      assert.equal(html.split('class="thread-prev"').length, 2);
+      assert.includes(html, '이 이야기의 이전 소식 1건');
+      assert.includes(html, 'href="threads/t20261001-abc.html"');
+    });
+  });
+
+  await describe('groupRelated', async () => {
+    await it('관계는 전이적으로 묶고, 묶음은 첫 멤버 순·멤버는 오름차순', () => {
+      const links = new Set(['0-3', '3-4', '1-2']);
+      const calls = [];
+      const groups = groupRelated(5, (i, j) => { calls.push([i, j]); return links.has(`${i}-${j}`); });
+      assert.deepEqual(groups, [[0, 3, 4], [1, 2]]);
+      assert.ok(calls.every(([i, j]) => i < j));
+      assert.lengthOf(calls, 10);
+      assert.deepEqual(groupRelated(0, () => true), []);
+    });
+  });
+};
@@ -2,7 +2,7 @@
  * GitHub Actions workflow + 서버 실행 스크립트 정적 검증
  * - YAML 파싱 가능 / 필수 필드 존재
  * - daily-digest.yml 제거됨 (2026-06 노트북 서버 systemd 타이머로 이전)
- * - run_digest.sh: 서버 실행 파이프라인 단계 존재
+ * - run_digest.sh: 서버 실행 파이프라인 단계 존재 (발행은 scripts/publishers/)
  * - test.yml: matrix, npm test 단계, coverage
  * - 위험 패턴 (skip 안전 검사, force push 등) 부재
  *
@@ -64,15 +64,25 @@ module.exports = async function () {
       assert.includes(content, '.env');
     });
 
+    // 발행 단계는 scripts/publishers/로 이전 (orchestrator --publish)
+    const publisherSource = name => fs.readFileSync(path.join(PROJECT_ROOT, 'scripts', 'publishers', name), 'utf8');
+
+    await it('orchestrator --publish로 발행', () => {
+      assert.includes(content, '--publish');
+    });
+
     await it('gh-pages 발행 단계 (worktree)', () => {
-      assert.includes(content, 'gh-pages');
-      assert.includes(content, 'generate_index_page.js');
+      const source = publisherSource('gh_pages.js');
+      assert.includes(source, 'gh-pages');
+      assert.includes(source, 'worktree');
+      assert.includes(source, 'generate_index_page.js');
     });
 
     await it('SKILL 자동커밋 + Drive 업로드 + Telegram 단계', () => {
-      assert.includes(content, 'newsletters.json');
-      assert.includes(content, 'upload_to_drive.js');
-      assert.includes(content, 'TELEGRAM_TOKEN');
+      assert.includes(publisherSource('skill_commit.js'), 'newsletters.json');
+      assert.includes(publisherSource('drive.js'), 'upload_to_drive');
+      assert.includes(publisherSource('telegram.js'), 'TELEGRAM_TOKEN');
+      assert.includes(content, 'TELEGRAM_TOKEN');   // 실패 알림(trap)은 스크립트에 남음
     });
 
     await it('OLLAMA 잔재 없음 (OpenRouter 전환)', () => {